@@ -3,6 +3,8 @@
  * Centralized settings for AI providers and processing
  */
 
+import { ARTICLE_SECTIONS, NEEDS_REVIEW_SECTION } from '../../shared/sections.js';
+
 // ============ BATCH PROCESSING ============
 export const BATCH_CONFIG = {
   // BALANCED: Speed + Quality
@@ -108,13 +110,8 @@ export const PROVIDERS = {
 };
 
 // ============ ARTICLE SECTIONS ============
-export const ARTICLE_SECTIONS = [
-  'ТЕХНИЧЕСКИЕ НАУКИ',
-  'ПЕДАГОГИЧЕСКИЕ НАУКИ',
-  'ЕСТЕСТВЕННЫЕ И ЭКОНОМИЧЕСКИЕ НАУКИ'
-];
-
-export const NEEDS_REVIEW_SECTION = 'ТРЕБУЕТ КЛАССИФИКАЦИИ';
+// Default sections live in shared/sections.js; configured ones in journal_sections (sectionService)
+export { ARTICLE_SECTIONS, NEEDS_REVIEW_SECTION };
 
 export const CONFIDENCE_THRESHOLDS = {
   HIGH: 0.8,
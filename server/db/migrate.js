@@ -1,11 +1,12 @@
 /**
  * Database Migration Runner
- * Automatically applies SQL migrations on startup
+ * Automatically applies migrations on startup
+ * A migration is an SQL file or a JS module exporting up(client) (for data that lives in shared JS constants)
  */
 
 import fs from 'fs/promises';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import { fileURLToPath, pathToFileURL } from 'url';
 import { query, getClient } from './config.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -44,12 +45,12 @@ async function getAppliedMigrations() {
  */
 async function getPendingMigrations() {
   const files = await fs.readdir(MIGRATIONS_DIR);
-  const sqlFiles = files
-    .filter(f => f.endsWith('.sql'))
+  const migrationFiles = files
+    .filter(f => f.endsWith('.sql') || f.endsWith('.js'))
     .sort();
 
   const applied = await getAppliedMigrations();
-  return sqlFiles.filter(f => !applied.includes(f));
+  return migrationFiles.filter(f => !applied.includes(f));
 }
 
 /**
@@ -64,10 +65,14 @@ async function runMigration(filename) {
 
     // Read and execute migration
     const migrationPath = path.join(MIGRATIONS_DIR, filename);
-    const sql = await fs.readFile(migrationPath, 'utf8');
 
     console.log(`📝 Running migration: ${filename}`);
-    await client.query(sql);
+    if (filename.endsWith('.js')) {
+      const { up } = await import(pathToFileURL(migrationPath).href);
+      await up(client);
+    } else {
+      await client.query(await fs.readFile(migrationPath, 'utf8'));
+    }
 
     // Record migration
     await client.query(
@@ -0,0 +1,47 @@
+-- AI-Redactor Database Schema
+-- Migration 003: Journal profiles (branding and layout per journal)
+
+-- Journal profile: title, ISSN, footer, page setup, fonts, TOC heading, section list
+CREATE TABLE IF NOT EXISTS journal_profiles (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(200) NOT NULL,
+    title VARCHAR(500) NOT NULL,
+    issn VARCHAR(20),
+    footer_format JSONB DEFAULT '{}', -- {odd, even} templates with {title}, {page}, {issn}
+    page_size JSONB DEFAULT '{}', -- {name, width, height} in mm
+    margins JSONB DEFAULT '{}', -- {top, right, bottom, left} in mm
+    line_height NUMERIC(5, 2) DEFAULT 6, -- mm
+    fonts JSONB DEFAULT '{}', -- {regular, bold, footerSize, tocTitleSize, tocSectionSize, tocEntrySize}
+    toc_heading VARCHAR(200) DEFAULT 'СОДЕРЖАНИЕ',
+    sections JSONB DEFAULT '[]', -- Ordered list of section names
+    is_default BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Only one default profile
+CREATE UNIQUE INDEX IF NOT EXISTS idx_journal_profiles_default
+    ON journal_profiles(is_default) WHERE is_default = TRUE;
+
+-- Seed "Вестник ЖезУ" (previously hard-coded in the generators)
+INSERT INTO journal_profiles (name, title, issn, footer_format, page_size, margins, line_height, fonts, toc_heading, sections, is_default)
+SELECT
+    'Вестник ЖезУ',
+    'Вестник Жезказганского Университета имени О.А. Байконурова',
+    NULL,
+    '{"odd": "{title} | {page}", "even": "{page} | {title}"}',
+    '{"name": "A4", "width": 210, "height": 297}',
+    '{"top": 30, "right": 25, "bottom": 30, "left": 25}',
+    6,
+    '{"regular": "", "bold": "", "footerSize": 10, "tocTitleSize": 16, "tocSectionSize": 12, "tocEntrySize": 11}',
+    'СОДЕРЖАНИЕ',
+    '["ТЕХНИЧЕСКИЕ НАУКИ", "ПЕДАГОГИЧЕСКИЕ НАУКИ", "ЕСТЕСТВЕННЫЕ И ЭКОНОМИЧЕСКИЕ НАУКИ"]',
+    TRUE
+WHERE NOT EXISTS (SELECT 1 FROM journal_profiles);
+
+-- Trigger for updated_at on journal_profiles
+DROP TRIGGER IF EXISTS update_journal_profiles_updated_at ON journal_profiles;
+CREATE TRIGGER update_journal_profiles_updated_at
+    BEFORE UPDATE ON journal_profiles
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
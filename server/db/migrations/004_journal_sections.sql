@@ -0,0 +1,40 @@
+-- AI-Redactor Database Schema
+-- Migration 004: Journal sections (names per language, order, classification metadata)
+
+-- Sections of a journal profile; articles store the Russian name as their section
+CREATE TABLE IF NOT EXISTS journal_sections (
+    id SERIAL PRIMARY KEY,
+    profile_id INTEGER REFERENCES journal_profiles(id) ON DELETE CASCADE,
+    name_ru VARCHAR(200) NOT NULL,
+    name_kk VARCHAR(200),
+    name_en VARCHAR(200),
+    description TEXT, -- Topic hint for the AI classifier
+    sort_order INTEGER DEFAULT 0,
+    udc_ranges JSONB DEFAULT '[]', -- UDC prefixes or ranges, e.g. ["004", "62"]
+    grnti_ranges JSONB DEFAULT '[]', -- GRNTI prefixes or ranges, e.g. ["14", "50-53"]
+    keywords JSONB DEFAULT '[]', -- Uppercase stems for keyword classification
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(profile_id, name_ru)
+);
+
+CREATE INDEX IF NOT EXISTS idx_journal_sections_profile ON journal_sections(profile_id, sort_order);
+
+-- Move section lists from journal_profiles.sections into the table
+INSERT INTO journal_sections (profile_id, name_ru, sort_order)
+SELECT p.id, s.name, s.position
+FROM journal_profiles p
+CROSS JOIN LATERAL jsonb_array_elements_text(p.sections) WITH ORDINALITY AS s(name, position)
+ON CONFLICT (profile_id, name_ru) DO NOTHING;
+
+-- Metadata for the default "Вестник ЖезУ" sections comes from DEFAULT_SECTIONS (shared/sections.js),
+-- see 004_journal_sections_seed.js
+
+ALTER TABLE journal_profiles DROP COLUMN IF EXISTS sections;
+
+-- Trigger for updated_at on journal_sections
+DROP TRIGGER IF EXISTS update_journal_sections_updated_at ON journal_sections;
+CREATE TRIGGER update_journal_sections_updated_at
+    BEFORE UPDATE ON journal_sections
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,31 @@
+/**
+ * AI-Redactor Database Schema
+ * Migration 004 (seed): metadata of the default "Вестник ЖезУ" sections
+ * Taken from DEFAULT_SECTIONS (shared/sections.js), so the keyword lists and UDC/GRNTI ranges are
+ * kept in one place; only sections without keywords are filled
+ */
+
+import { DEFAULT_SECTIONS } from '../../../shared/sections.js';
+
+/**
+ * Fill names, topic hints, code ranges and keywords of the default sections
+ * @param {Object} client - Database client (inside the migration transaction)
+ */
+export async function up(client) {
+  for (const section of DEFAULT_SECTIONS) {
+    await client.query(
+      `UPDATE journal_sections SET
+         name_kk = $2, name_en = $3, description = $4, udc_ranges = $5, grnti_ranges = $6, keywords = $7
+       WHERE name_ru = $1 AND keywords = '[]'`,
+      [
+        section.names.ru,
+        section.names.kk,
+        section.names.en,
+        section.description,
+        JSON.stringify(section.udcRanges),
+        JSON.stringify(section.grntiRanges),
+        JSON.stringify(section.keywords)
+      ]
+    );
+  }
+}
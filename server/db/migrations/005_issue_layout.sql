@@ -0,0 +1,6 @@
+-- AI-Redactor Database Schema
+-- Migration 005: Issue layout template (order of blocks in the generated issue)
+
+-- Ordered blocks: {type: cover|description|foreword|toc|articles|blank|final, section?}
+ALTER TABLE journal_profiles ADD COLUMN IF NOT EXISTS layout JSONB
+    DEFAULT '[{"type": "cover"}, {"type": "description"}, {"type": "foreword"}, {"type": "articles", "section": null}, {"type": "toc"}, {"type": "final"}]';
@@ -0,0 +1,6 @@
+-- AI-Redactor Database Schema
+-- Migration 006: Print edition settings (recto starts, blank pages)
+
+-- {enabled, blankPageFooter}: articles start on odd pages; footer on inserted blank pages
+ALTER TABLE journal_profiles ADD COLUMN IF NOT EXISTS print_mode JSONB
+    DEFAULT '{"enabled": false, "blankPageFooter": false}';
@@ -0,0 +1,5 @@
+-- AI-Redactor Database Schema
+-- Migration 007: Section heading style (header on the first article or a divider page)
+
+-- 'header' | 'divider'
+ALTER TABLE journal_profiles ADD COLUMN IF NOT EXISTS section_heading VARCHAR(20) DEFAULT 'header';
@@ -0,0 +1,10 @@
+-- AI-Redactor Database Schema
+-- Migration 008: Author index in the default issue layout (before the final page)
+
+ALTER TABLE journal_profiles ALTER COLUMN layout
+    SET DEFAULT '[{"type": "cover"}, {"type": "description"}, {"type": "foreword"}, {"type": "articles", "section": null}, {"type": "toc"}, {"type": "authorIndex"}, {"type": "final"}]';
+
+-- Profiles still using the previous default layout get the author index
+UPDATE journal_profiles
+SET layout = '[{"type": "cover"}, {"type": "description"}, {"type": "foreword"}, {"type": "articles", "section": null}, {"type": "toc"}, {"type": "authorIndex"}, {"type": "final"}]'
+WHERE layout = '[{"type": "cover"}, {"type": "description"}, {"type": "foreword"}, {"type": "articles", "section": null}, {"type": "toc"}, {"type": "final"}]'::jsonb;
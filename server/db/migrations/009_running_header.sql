@@ -0,0 +1,6 @@
+-- AI-Redactor Database Schema
+-- Migration 009: Running header on article pages (short title / first author surname)
+
+-- {enabled, odd, even}: header templates for odd and even pages
+ALTER TABLE journal_profiles ADD COLUMN IF NOT EXISTS running_header JSONB
+    DEFAULT '{"enabled": false, "odd": "{shortTitle}", "even": "{author}"}';
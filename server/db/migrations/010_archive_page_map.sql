@@ -0,0 +1,5 @@
+-- AI-Redactor Database Schema
+-- Migration 010: Article page ranges of archived issues (offprints)
+
+-- [{n, title, author, section, firstPage, lastPage}] in issue order, page numbers as printed
+ALTER TABLE archive_issues ADD COLUMN IF NOT EXISTS page_map JSONB DEFAULT '[]';
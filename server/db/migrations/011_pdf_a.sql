@@ -0,0 +1,5 @@
+-- AI-Redactor Database Schema
+-- Migration 011: Archival output (PDF/A) for library and repository deposit
+
+-- '' (regular PDF) | '1b' | '2b'
+ALTER TABLE journal_profiles ADD COLUMN IF NOT EXISTS pdf_a VARCHAR(5) DEFAULT '';
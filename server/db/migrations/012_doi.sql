@@ -0,0 +1,7 @@
+-- AI-Redactor Database Schema
+-- Migration 012: DOI pattern and Crossref depositor settings
+
+-- {pattern, resourceUrl, depositorName, depositorEmail, registrant}
+-- pattern/resourceUrl placeholders: {year}, {month}, {n}; resourceUrl also {doi}
+ALTER TABLE journal_profiles ADD COLUMN IF NOT EXISTS doi JSONB
+    DEFAULT '{"pattern": "", "resourceUrl": "", "depositorName": "", "depositorEmail": "", "registrant": ""}';
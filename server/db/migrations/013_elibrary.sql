@@ -0,0 +1,5 @@
+-- AI-Redactor Database Schema
+-- Migration 013: eLibrary.ru (RINC) journal identifier for Articulus XML export
+
+-- Journal ID (titleid) assigned by eLibrary, '' until the journal is registered
+ALTER TABLE journal_profiles ADD COLUMN IF NOT EXISTS elibrary_title_id VARCHAR(20) DEFAULT '';
@@ -0,0 +1,36 @@
+-- AI-Redactor Database Schema
+-- Migration 014: Structured article metadata (co-authors, affiliations, multilingual fields)
+
+-- Text by language: {"ru": "...", "kk": "...", "en": "..."}; keywords: {"ru": ["..."], ...}
+-- (articles.author and articles.keywords stay as the display/search forms)
+ALTER TABLE articles ADD COLUMN IF NOT EXISTS titles JSONB DEFAULT '{}';
+ALTER TABLE articles ADD COLUMN IF NOT EXISTS abstracts JSONB DEFAULT '{}';
+ALTER TABLE articles ADD COLUMN IF NOT EXISTS keywords_by_language JSONB DEFAULT '{}';
+
+-- Affiliations of an article, in the order they are numbered in the byline
+CREATE TABLE IF NOT EXISTS article_affiliations (
+    id SERIAL PRIMARY KEY,
+    article_id INTEGER REFERENCES articles(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    name TEXT NOT NULL
+);
+
+-- Co-authors of an article in byline order
+CREATE TABLE IF NOT EXISTS article_authors (
+    id SERIAL PRIMARY KEY,
+    article_id INTEGER REFERENCES articles(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    surname VARCHAR(200) NOT NULL,
+    given_names VARCHAR(200),
+    email VARCHAR(320),
+    orcid VARCHAR(19) -- 0000-0000-0000-000X
+);
+
+CREATE TABLE IF NOT EXISTS article_author_affiliations (
+    author_id INTEGER REFERENCES article_authors(id) ON DELETE CASCADE,
+    affiliation_id INTEGER REFERENCES article_affiliations(id) ON DELETE CASCADE,
+    PRIMARY KEY (author_id, affiliation_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_article_affiliations_article ON article_affiliations(article_id, position);
+CREATE INDEX IF NOT EXISTS idx_article_authors_article ON article_authors(article_id, position);
@@ -0,0 +1,6 @@
+-- AI-Redactor Database Schema
+-- Migration 015: UDC and GRNTI (МРНТИ) codes of articles
+
+-- UDC as printed ("004.8:621.3"), GRNTI codes: ["20.23.25", "50.41.25"]
+ALTER TABLE articles ADD COLUMN IF NOT EXISTS udc VARCHAR(255) DEFAULT '';
+ALTER TABLE articles ADD COLUMN IF NOT EXISTS grnti JSONB DEFAULT '[]';
@@ -0,0 +1,8 @@
+-- AI-Redactor Database Schema
+-- Migration 016: Parsed reference lists and the journal minimum of sources
+
+-- [{number, text, authors: [{surname, givenNames}], title, source, year, pages, doi, latin}]
+ALTER TABLE articles ADD COLUMN IF NOT EXISTS reference_list JSONB DEFAULT '[]';
+
+-- Fewer sources in an article's reference list are flagged in the editor (0 - no minimum)
+ALTER TABLE journal_profiles ADD COLUMN IF NOT EXISTS min_references INTEGER DEFAULT 10;
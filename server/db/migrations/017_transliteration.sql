@@ -0,0 +1,10 @@
+-- AI-Redactor Database Schema
+-- Migration 017: Latin forms of article metadata and the journal transliteration systems
+
+-- What the editor typed; empty fields are transliterated on export
+ALTER TABLE article_authors ADD COLUMN IF NOT EXISTS latin_surname VARCHAR(200);
+ALTER TABLE article_authors ADD COLUMN IF NOT EXISTS latin_given_names VARCHAR(200);
+ALTER TABLE articles ADD COLUMN IF NOT EXISTS latin_title TEXT;
+
+-- System by text language: {"ru": "bgn" | "gost", "kk": "bgn" | "kz2021" | "gost"}
+ALTER TABLE journal_profiles ADD COLUMN IF NOT EXISTS transliteration JSONB DEFAULT '{"ru": "bgn", "kk": "kz2021"}';
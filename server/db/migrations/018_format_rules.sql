@@ -0,0 +1,6 @@
+-- AI-Redactor Database Schema
+-- Migration 018: Manuscript formatting rules of the journal
+
+-- Author guideline rules checked in the editor before assembly (see shared/formatRules.js);
+-- missing keys take the defaults of the information letter
+ALTER TABLE journal_profiles ADD COLUMN IF NOT EXISTS format_rules JSONB DEFAULT '{}';
@@ -14,17 +14,19 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { v4 as uuidv4 } from 'uuid';
-import { PDFDocument, rgb, StandardFonts } from 'pdf-lib';
-import fontkit from '@pdf-lib/fontkit';
-import {
-  SECTION_ORDER,
-  NEEDS_REVIEW_SECTION,
-  isValidSection
-} from '../shared/sections.js';
+import { normalizeJournalProfile } from '../shared/journalProfile.js';
 import aiRoutes from './routes/ai.js';
 import dataRoutes from './routes/data.js';
 import webhookRoutes from './routes/webhooks.js';
 import socialMediaRoutes from './routes/socialMedia.js';
+import jobRoutes from './routes/jobs.js';
+import journalSiteRoutes from './routes/journalSite.js';
+import oaiRoutes from './routes/oai.js';
+import journalProfileService from './services/journalProfileService.js';
+import sectionService from './services/sectionService.js';
+import jobService from './services/jobService.js';
+import { generateJournal } from './services/journalPdfService.js';
+import { convertDocxToPdf, cleanupConversionCache, getPoolStatus } from './services/conversionService.js';
 import pool, { testConnection } from './db/config.js';
 import { runMigrations, isDatabaseReady } from './db/migrate.js';
 
@@ -155,6 +157,7 @@ app.get('/api/health', async (req, res) => {
     status: 'ok',
     timestamp: new Date().toISOString(),
     libreOffice: libreOfficeAvailable,
+    conversionPool: getPoolStatus(),
     ai: aiAvailable,
     database: dbStatus,
     ...(dbError && { databaseError: dbError }),
@@ -255,651 +258,17 @@ app.use('/api/webhooks', webhookRoutes);
 // Social Media Routes (admin settings for social platforms)
 app.use('/api/social-media', socialMediaRoutes);
 
-/**
- * Convert DOCX to PDF using LibreOffice
- * @param {string} inputPath - Path to input DOCX file
- * @param {string} outputDir - Directory for output PDF
- * @returns {Promise<string>} - Path to generated PDF
- */
-async function convertDocxToPdf(inputPath, outputDir) {
-  const libreOfficeCmd = process.platform === 'win32' ? 'soffice' : 'libreoffice';
-
-  const command = `${libreOfficeCmd} --headless --convert-to pdf --outdir "${outputDir}" "${inputPath}"`;
-
-  console.log(`Converting: ${inputPath}`);
-  console.log(`Command: ${command}`);
-
-  try {
-    const { stdout, stderr } = await execAsync(command, { timeout: 60000 });
-    console.log('LibreOffice output:', stdout);
-    if (stderr) console.log('LibreOffice stderr:', stderr);
-
-    // Get output PDF path
-    const baseName = path.basename(inputPath, path.extname(inputPath));
-    const pdfPath = path.join(outputDir, `${baseName}.pdf`);
-
-    // Verify PDF was created
-    await fs.access(pdfPath);
-    return pdfPath;
-  } catch (error) {
-    console.error('LibreOffice conversion error:', error);
-    throw new Error(`Conversion failed: ${error.message}`);
-  }
-}
-
-/**
- * Add page numbers and journal footer to a PDF using pdf-lib
- * Footer format alternates between odd and even pages:
- * - Odd pages: "Вестник Жезказганского Университета имени О.А. Байконурова | page_number" (right-aligned)
- * - Even pages: "page_number | Вестник Жезказганского Университета имени О.А. Байконурова" (left-aligned)
- * @param {Buffer} pdfBuffer - PDF buffer
- * @param {number} startPage - Start numbering from this page (1-indexed, skip cover)
- * @returns {Promise<Buffer>} - PDF buffer with page numbers
- */
-async function addPageNumbers(pdfBuffer, startPage = 2) {
-  try {
-    const pdfDoc = await PDFDocument.load(pdfBuffer);
-    pdfDoc.registerFontkit(fontkit);
-    const pages = pdfDoc.getPages();
-
-    const journalTitle = 'Вестник Жезказганского Университета имени О.А. Байконурова';
-    const fontSize = 10;
-    const marginLeft = 70.87; // 25mm in points
-    const marginRight = 70.87; // 25mm in points
-
-    // Try to load Cyrillic font for footer
-    const fontBuffers = await loadCyrillicFont();
-    let font;
-
-    if (fontBuffers) {
-      try {
-        font = await pdfDoc.embedFont(fontBuffers.regular, { subset: false });
-        console.log('Cyrillic font loaded for footer');
-      } catch (err) {
-        console.warn('Failed to embed Cyrillic font for footer:', err.message);
-        font = await pdfDoc.embedFont(StandardFonts.TimesRoman);
-      }
-    } else {
-      font = await pdfDoc.embedFont(StandardFonts.TimesRoman);
-    }
-
-    for (let i = startPage - 1; i < pages.length; i++) {
-      const page = pages[i];
-      const { width } = page.getSize();
-      const pageNum = i + 1;
-      const isOddPage = pageNum % 2 === 1;
-
-      // Draw horizontal line above footer
-      page.drawLine({
-        start: { x: marginLeft, y: 35 },
-        end: { x: width - marginRight, y: 35 },
-        thickness: 0.5,
-        color: rgb(0, 0, 0),
-      });
-
-      if (isOddPage) {
-        // Odd pages: "Journal Title | page_number" (right-aligned)
-        const footerText = `${journalTitle} | ${pageNum}`;
-        const textWidth = font.widthOfTextAtSize(footerText, fontSize);
-        page.drawText(footerText, {
-          x: width - marginRight - textWidth,
-          y: 20,
-          size: fontSize,
-          font: font,
-          color: rgb(0, 0, 0),
-        });
-      } else {
-        // Even pages: "page_number | Journal Title" (left-aligned)
-        const footerText = `${pageNum} | ${journalTitle}`;
-        page.drawText(footerText, {
-          x: marginLeft,
-          y: 20,
-          size: fontSize,
-          font: font,
-          color: rgb(0, 0, 0),
-        });
-      }
-    }
-
-    return Buffer.from(await pdfDoc.save());
-  } catch (error) {
-    console.error('Error adding page numbers:', error);
-    return pdfBuffer; // Return original if fails
-  }
-}
-
-/**
- * Load Cyrillic font for PDF generation
- * Tries Noto Serif first (full Kazakh support), then Liberation Serif, then DejaVu
- * @returns {Promise<{regular: Buffer, bold: Buffer}|null>} - Font buffers or null if not found
- */
-async function loadCyrillicFont() {
-  // Try Noto Serif first (best Cyrillic Extended support - includes Kazakh: Ә, Ғ, Қ, Ң, Ө, Ұ, Ү, Һ, І)
-  const notoPaths = [
-    // Common paths for Noto Serif on Debian/Ubuntu
-    {
-      regular: '/usr/share/fonts/truetype/noto/NotoSerif-Regular.ttf',
-      bold: '/usr/share/fonts/truetype/noto/NotoSerif-Bold.ttf'
-    },
-    {
-      regular: '/usr/share/fonts/noto/NotoSerif-Regular.ttf',
-      bold: '/usr/share/fonts/noto/NotoSerif-Bold.ttf'
-    },
-    {
-      regular: '/usr/share/fonts/opentype/noto/NotoSerif-Regular.ttf',
-      bold: '/usr/share/fonts/opentype/noto/NotoSerif-Bold.ttf'
-    }
-  ];
-
-  for (const paths of notoPaths) {
-    try {
-      const regular = await fs.readFile(paths.regular);
-      const bold = await fs.readFile(paths.bold);
-      console.log('✓ Loaded Noto Serif font with full Kazakh Cyrillic support');
-      return { regular, bold };
-    } catch {
-      // Try next path
-    }
-  }
-
-  // Try Noto Sans as fallback (also has Kazakh support)
-  const notoSansPaths = [
-    {
-      regular: '/usr/share/fonts/truetype/noto/NotoSans-Regular.ttf',
-      bold: '/usr/share/fonts/truetype/noto/NotoSans-Bold.ttf'
-    }
-  ];
-
-  for (const paths of notoSansPaths) {
-    try {
-      const regular = await fs.readFile(paths.regular);
-      const bold = await fs.readFile(paths.bold);
-      console.log('✓ Loaded Noto Sans font with Kazakh Cyrillic support');
-      return { regular, bold };
-    } catch {
-      // Try next path
-    }
-  }
-
-  console.log('Noto fonts not found, trying Liberation Serif...');
-
-  // Fallback to Liberation Serif (Russian Cyrillic only, no Kazakh)
-  const liberationPaths = {
-    regular: '/usr/share/fonts/truetype/liberation/LiberationSerif-Regular.ttf',
-    bold: '/usr/share/fonts/truetype/liberation/LiberationSerif-Bold.ttf'
-  };
-
-  try {
-    const regular = await fs.readFile(liberationPaths.regular);
-    const bold = await fs.readFile(liberationPaths.bold);
-    console.log('⚠️ Loaded Liberation Serif - Russian only, Kazakh may show as boxes');
-    return { regular, bold };
-  } catch {
-    console.log('Liberation Serif not found, trying DejaVu...');
-  }
-
-  // Fallback to DejaVu Sans
-  const dejavuPaths = [
-    '/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf',
-    '/usr/share/fonts/TTF/DejaVuSans.ttf',
-    '/usr/share/fonts/dejavu/DejaVuSans.ttf'
-  ];
-
-  for (const fontPath of dejavuPaths) {
-    try {
-      const fontBuffer = await fs.readFile(fontPath);
-      console.log(`⚠️ Loaded DejaVu Sans - Kazakh may show as boxes: ${fontPath}`);
-      return { regular: fontBuffer, bold: fontBuffer };
-    } catch {
-      // Try next font
-    }
-  }
-
-  // Try FreeSans
-  try {
-    const fontBuffer = await fs.readFile('/usr/share/fonts/truetype/freefont/FreeSans.ttf');
-    console.log('⚠️ Loaded FreeSans - Kazakh may show as boxes');
-    return { regular: fontBuffer, bold: fontBuffer };
-  } catch {
-    // Continue
-  }
-
-  console.error('❌ No Cyrillic font found! Install fonts-noto for Kazakh support.');
-  return null;
-}
-
-/**
- * Generate Table of Contents PDF page
- * @param {Array} articles - Array of {title, author, section, pageNumber}
- * @param {number} tocStartPage - Page number where TOC starts
- * @returns {Promise<Buffer>} - PDF buffer with TOC
- */
-async function generateTableOfContentsPdf(articles, tocStartPage) {
-  const pdfDoc = await PDFDocument.create();
-  pdfDoc.registerFontkit(fontkit);
-
-  // Page dimensions (A4)
-  const pageWidth = 595.28; // 210mm in points
-  const pageHeight = 841.89; // 297mm in points
-  const marginLeft = 70.87; // 25mm
-  const marginRight = 70.87; // 25mm
-  const marginTop = 85.04; // 30mm
-  const marginBottom = 85.04; // 30mm
-  const contentWidth = pageWidth - marginLeft - marginRight;
-  const lineHeight = 17; // ~6mm
-
-  // Try to load Cyrillic font
-  const fontBuffers = await loadCyrillicFont();
-  let font, fontBold;
-
-  if (fontBuffers) {
-    try {
-      // Use subset: false to include all Cyrillic characters
-      font = await pdfDoc.embedFont(fontBuffers.regular, { subset: false });
-      fontBold = await pdfDoc.embedFont(fontBuffers.bold, { subset: false });
-      console.log('Cyrillic fonts embedded successfully');
-    } catch (err) {
-      console.warn('Failed to embed Cyrillic font:', err.message);
-      font = await pdfDoc.embedFont(StandardFonts.TimesRoman);
-      fontBold = await pdfDoc.embedFont(StandardFonts.TimesRomanBold);
-    }
-  } else {
-    font = await pdfDoc.embedFont(StandardFonts.TimesRoman);
-    fontBold = await pdfDoc.embedFont(StandardFonts.TimesRomanBold);
-  }
-
-  let page = pdfDoc.addPage([pageWidth, pageHeight]);
-  let currentY = pageHeight - marginTop;
-  let currentPageNum = tocStartPage;
-
-  // Title "СОДЕРЖАНИЕ"
-  const titleText = 'СОДЕРЖАНИЕ';
-  const titleSize = 16;
-  try {
-    const titleWidth = fontBold.widthOfTextAtSize(titleText, titleSize);
-    page.drawText(titleText, {
-      x: (pageWidth - titleWidth) / 2,
-      y: currentY,
-      size: titleSize,
-      font: fontBold,
-      color: rgb(0, 0, 0),
-    });
-  } catch {
-    // Fallback for non-Cyrillic font
-    const fallbackTitle = 'TABLE OF CONTENTS';
-    const titleWidth = fontBold.widthOfTextAtSize(fallbackTitle, titleSize);
-    page.drawText(fallbackTitle, {
-      x: (pageWidth - titleWidth) / 2,
-      y: currentY,
-      size: titleSize,
-      font: fontBold,
-      color: rgb(0, 0, 0),
-    });
-  }
-  currentY -= lineHeight * 2.5;
-
-  // Group articles by section
-  const entriesBySection = {};
-  articles.forEach(article => {
-    const section = article.section || SECTION_ORDER[0];
-    if (!entriesBySection[section]) {
-      entriesBySection[section] = [];
-    }
-    entriesBySection[section].push(article);
-  });
-
-  let articleNumber = 1;
-
-  // Iterate through sections in order
-  for (const sectionName of SECTION_ORDER) {
-    const sectionEntries = entriesBySection[sectionName];
-    if (!sectionEntries || sectionEntries.length === 0) continue;
-
-    // Check if we need a new page for section header
-    if (currentY - lineHeight * 4 < marginBottom) {
-      // Add page number to current page
-      const pageNumText = String(currentPageNum);
-      const pageNumWidth = font.widthOfTextAtSize(pageNumText, 10);
-      page.drawText(pageNumText, {
-        x: (pageWidth - pageNumWidth) / 2,
-        y: 20,
-        size: 10,
-        font: font,
-        color: rgb(0, 0, 0),
-      });
-
-      page = pdfDoc.addPage([pageWidth, pageHeight]);
-      currentPageNum++;
-      currentY = pageHeight - marginTop;
-    }
-
-    // Section header (dark blue, centered)
-    try {
-      const sectionWidth = fontBold.widthOfTextAtSize(sectionName, 12);
-      page.drawText(sectionName, {
-        x: (pageWidth - sectionWidth) / 2,
-        y: currentY,
-        size: 12,
-        font: fontBold,
-        color: rgb(0, 0.2, 0.4), // Dark blue
-      });
-    } catch {
-      // Section name might fail with non-Cyrillic font, skip
-    }
-    currentY -= lineHeight * 2;
-
-    // Articles in section
-    for (const entry of sectionEntries) {
-      if (currentY - lineHeight * 3 < marginBottom) {
-        // Add page number to current page
-        const pageNumText = String(currentPageNum);
-        const pageNumWidth = font.widthOfTextAtSize(pageNumText, 10);
-        page.drawText(pageNumText, {
-          x: (pageWidth - pageNumWidth) / 2,
-          y: 20,
-          size: 10,
-          font: font,
-          color: rgb(0, 0, 0),
-        });
-
-        page = pdfDoc.addPage([pageWidth, pageHeight]);
-        currentPageNum++;
-        currentY = pageHeight - marginTop;
-      }
-
-      // Article number and title
-      const titleText = `${articleNumber}. ${entry.title || 'Без названия'}`;
-      try {
-        // Truncate title if too long
-        let displayTitle = titleText;
-        const maxTitleWidth = contentWidth - 30;
-        while (font.widthOfTextAtSize(displayTitle, 11) > maxTitleWidth && displayTitle.length > 20) {
-          displayTitle = displayTitle.slice(0, -4) + '...';
-        }
-
-        page.drawText(displayTitle, {
-          x: marginLeft,
-          y: currentY,
-          size: 11,
-          font: font,
-          color: rgb(0, 0, 0),
-        });
-      } catch {
-        // Skip if text rendering fails
-      }
-      currentY -= lineHeight;
-
-      // Author (gray, indented) and page number
-      const authorText = `    ${entry.author || 'Автор не указан'}`;
-      try {
-        page.drawText(authorText, {
-          x: marginLeft,
-          y: currentY,
-          size: 11,
-          font: font,
-          color: rgb(0.4, 0.4, 0.4),
-        });
-
-        // Page number on the right
-        const pageText = String(entry.pageNumber || '?');
-        const pageTextWidth = font.widthOfTextAtSize(pageText, 11);
-        page.drawText(pageText, {
-          x: pageWidth - marginRight - pageTextWidth,
-          y: currentY,
-          size: 11,
-          font: font,
-          color: rgb(0, 0, 0),
-        });
-      } catch {
-        // Skip if text rendering fails
-      }
-
-      currentY -= lineHeight * 1.5;
-      articleNumber++;
-    }
-
-    // Add space after section
-    currentY -= lineHeight;
-  }
-
-  // Add page number to last page
-  const pageNumText = String(currentPageNum);
-  const pageNumWidth = font.widthOfTextAtSize(pageNumText, 10);
-  page.drawText(pageNumText, {
-    x: (pageWidth - pageNumWidth) / 2,
-    y: 20,
-    size: 10,
-    font: font,
-    color: rgb(0, 0, 0),
-  });
-
-  return Buffer.from(await pdfDoc.save());
-}
-
-/**
- * Add section header to the first page of an article PDF
- * @param {Buffer} pdfBuffer - Original PDF buffer
- * @param {string} sectionName - Section name (e.g., "ТЕХНИЧЕСКИЕ НАУКИ")
- * @returns {Promise<Buffer>} - Modified PDF buffer with section header
- */
-async function addSectionHeaderToArticle(pdfBuffer, sectionName) {
-  const pdfDoc = await PDFDocument.load(pdfBuffer);
-  pdfDoc.registerFontkit(fontkit);
-
-  // Load Cyrillic font
-  const fontBuffers = await loadCyrillicFont();
-  let fontBold;
-
-  if (fontBuffers) {
-    try {
-      fontBold = await pdfDoc.embedFont(fontBuffers.bold, { subset: false });
-    } catch {
-      fontBold = await pdfDoc.embedFont(StandardFonts.TimesRomanBold);
-    }
-  } else {
-    fontBold = await pdfDoc.embedFont(StandardFonts.TimesRomanBold);
-  }
-
-  const pages = pdfDoc.getPages();
-  if (pages.length === 0) return pdfBuffer;
-
-  const firstPage = pages[0];
-  const { width, height } = firstPage.getSize();
-
-  // Section header - centered at top, bold font
-  const titleSize = 14;
-  const marginTop = 50; // Position from top
-
-  try {
-    const titleWidth = fontBold.widthOfTextAtSize(sectionName, titleSize);
-    firstPage.drawText(sectionName, {
-      x: (width - titleWidth) / 2,
-      y: height - marginTop,
-      size: titleSize,
-      font: fontBold,
-      color: rgb(0, 0.2, 0.4), // Dark blue
-    });
-
-    // Add underline
-    const underlineY = height - marginTop - 3;
-    firstPage.drawLine({
-      start: { x: (width - titleWidth) / 2, y: underlineY },
-      end: { x: (width + titleWidth) / 2, y: underlineY },
-      thickness: 0.5,
-      color: rgb(0, 0.2, 0.4),
-    });
-  } catch (err) {
-    console.warn('Failed to add section header to article:', err.message);
-  }
-
-  return Buffer.from(await pdfDoc.save());
-}
-
-/**
- * Check if a PDF page is empty (contains no meaningful content)
- * @param {PDFPage} page - The page to check
- * @param {PDFDocument} pdfDoc - The source PDF document
- * @param {number} pageIndex - Index of the page in the document
- * @returns {Promise<boolean>} - True if page is empty
- */
-async function isPageEmpty(page, pdfDoc, pageIndex) {
-  try {
-    // Get page content stream
-    const contentRef = page.node.get(page.node.context.obj('Contents'));
-
-    if (!contentRef) {
-      // No content stream - page is definitely empty
-      return true;
-    }
-
-    // Get the raw content stream data
-    let contentStream = '';
-
-    if (contentRef.toString().includes('Array')) {
-      // Multiple content streams
-      const contents = page.node.Contents();
-      if (contents) {
-        for (const streamRef of contents.asArray()) {
-          const stream = page.node.context.lookup(streamRef);
-          if (stream && stream.getContentsString) {
-            contentStream += stream.getContentsString() || '';
-          }
-        }
-      }
-    } else {
-      // Single content stream
-      const stream = page.node.context.lookup(contentRef);
-      if (stream && stream.getContentsString) {
-        contentStream = stream.getContentsString() || '';
-      }
-    }
+// Background job routes (status, progress stream, download)
+app.use('/api/jobs', jobRoutes);
 
-    // Remove whitespace and comments
-    const cleanedContent = contentStream
-      .replace(/%[^\n]*\n/g, '') // Remove comments
-      .replace(/\s+/g, ' ')      // Normalize whitespace
-      .trim();
-
-    // Check if there's any actual drawing content
-    // Look for text operators (Tj, TJ, '), image operators (Do), path operators (m, l, c, re, f, S)
-    const hasText = /\((.*?)\)\s*Tj|<[0-9A-Fa-f]+>\s*Tj|\]\s*TJ|'\s*\(|"\s*\(/i.test(cleanedContent);
-    const hasImage = /\/\w+\s+Do/i.test(cleanedContent);
-    const hasPath = /\d+\.?\d*\s+\d+\.?\d*\s+m|\s+re\s+[fFsS\*]|\s+l\s+|\s+c\s+/i.test(cleanedContent);
-    const hasLine = /\d+\.?\d*\s+\d+\.?\d*\s+\d+\.?\d*\s+\d+\.?\d*\s+re\s+[fF]/i.test(cleanedContent);
-
-    // If content is very short (just setup commands) and has no actual content, it's empty
-    if (cleanedContent.length < 100 && !hasText && !hasImage && !hasPath) {
-      return true;
-    }
-
-    // Page has meaningful content
-    if (hasText || hasImage || hasPath || hasLine) {
-      return false;
-    }
+// OAI-PMH harvesting of the archive
+app.use('/oai', oaiRoutes);
 
-    // Content stream exists but has no meaningful drawing operators
-    return cleanedContent.length < 200;
-  } catch (err) {
-    // If we can't determine, assume page is not empty to be safe
-    console.warn(`Could not determine if page ${pageIndex} is empty:`, err.message);
-    return false;
-  }
+// Public website of archived issues (before the SPA fallback)
+if (process.env.JOURNAL_SITE === 'true') {
+  app.use('/journal', journalSiteRoutes);
 }
 
-/**
- * Merge multiple PDF files using pdf-lib (no external tools needed)
- * Also adds page numbering and removes empty pages
- * @param {string[]} pdfPaths - Array of PDF file paths
- * @param {string} outputPath - Path for merged PDF
- */
-async function mergePdfs(pdfPaths, outputPath) {
-  try {
-    // Use pdf-lib for merging (works everywhere, no external tools)
-    const mergedPdf = await PDFDocument.create();
-    let removedEmptyPages = 0;
-
-    for (const pdfPath of pdfPaths) {
-      const pdfBuffer = await fs.readFile(pdfPath);
-      const pdf = await PDFDocument.load(pdfBuffer);
-      const pages = pdf.getPages();
-      const pageIndices = pdf.getPageIndices();
-
-      // Filter out empty pages (except for first page of each file which could be intentional)
-      const nonEmptyIndices = [];
-      for (let i = 0; i < pageIndices.length; i++) {
-        const pageIndex = pageIndices[i];
-        const page = pages[pageIndex];
-
-        // Always keep the first page of each document (could be intentional)
-        // Check other pages for emptiness
-        if (i === 0 || !(await isPageEmpty(page, pdf, pageIndex))) {
-          nonEmptyIndices.push(pageIndex);
-        } else {
-          removedEmptyPages++;
-          console.log(`Removing empty page ${pageIndex + 1} from ${path.basename(pdfPath)}`);
-        }
-      }
-
-      // Copy only non-empty pages
-      if (nonEmptyIndices.length > 0) {
-        const copiedPages = await mergedPdf.copyPages(pdf, nonEmptyIndices);
-        copiedPages.forEach((page) => mergedPdf.addPage(page));
-      }
-    }
-
-    if (removedEmptyPages > 0) {
-      console.log(`Total empty pages removed: ${removedEmptyPages}`);
-    }
-
-    // Save merged PDF
-    const mergedBuffer = await mergedPdf.save();
-
-    // Add page numbers (skip first page - cover)
-    const numberedBuffer = await addPageNumbers(Buffer.from(mergedBuffer), 2);
-
-    await fs.writeFile(outputPath, numberedBuffer);
-    console.log(`Merged ${pdfPaths.length} PDFs with page numbering`);
-    return;
-  } catch (error) {
-    console.log('pdf-lib merge failed, trying external tools...', error.message);
-  }
-
-  // Fallback: Try using pdftk (if available)
-  try {
-    const inputFiles = pdfPaths.map(p => `"${p}"`).join(' ');
-    await execAsync(`pdftk ${inputFiles} cat output "${outputPath}"`, { timeout: 120000 });
-    // Add page numbers to result
-    const buffer = await fs.readFile(outputPath);
-    const numbered = await addPageNumbers(buffer, 2);
-    await fs.writeFile(outputPath, numbered);
-    return;
-  } catch {
-    console.log('pdftk not available, trying alternative method...');
-  }
-
-  // Try using pdfunite (poppler-utils)
-  try {
-    const inputFiles = pdfPaths.map(p => `"${p}"`).join(' ');
-    await execAsync(`pdfunite ${inputFiles} "${outputPath}"`, { timeout: 120000 });
-    // Add page numbers to result
-    const buffer = await fs.readFile(outputPath);
-    const numbered = await addPageNumbers(buffer, 2);
-    await fs.writeFile(outputPath, numbered);
-    return;
-  } catch {
-    console.log('pdfunite not available, using simple copy for single file...');
-  }
-
-  // Fallback: if only one PDF, just copy it
-  if (pdfPaths.length === 1) {
-    const buffer = await fs.readFile(pdfPaths[0]);
-    const numbered = await addPageNumbers(buffer, 2);
-    await fs.writeFile(outputPath, numbered);
-    return;
-  }
-
-  throw new Error('No PDF merge tool available. Install pdftk or poppler-utils.');
-}
 
 /**
  * Clean up old temporary files (older than 1 hour)
@@ -928,6 +297,12 @@ async function cleanupTempFiles() {
 // Run cleanup every 30 minutes
 setInterval(cleanupTempFiles, 30 * 60 * 1000);
 
+// Remove expired generation jobs every hour
+setInterval(jobService.cleanupJobs, 60 * 60 * 1000);
+
+// Remove converted PDFs unused for a week every 6 hours
+setInterval(cleanupConversionCache, 6 * 60 * 60 * 1000);
+
 // ============ API ROUTES ============
 
 /**
@@ -972,241 +347,107 @@ app.post('/api/convert', upload.single('file'), async (req, res) => {
   }
 });
 
-/**
- * Generate journal PDF from multiple files
- * POST /api/generate-journal
- * Body: multipart/form-data with:
- *   - coverPage: cover page DOCX
- *   - descriptionPage: description DOCX
- *   - articles[]: array of article DOCX files
- *   - finalPage: final page DOCX
- *   - articlesMetadata: JSON string with article metadata for TOC
- */
-app.post('/api/generate-journal', upload.fields([
+// Upload fields accepted by journal generation
+const journalUploadFields = upload.fields([
   { name: 'coverPage', maxCount: 1 },
   { name: 'descriptionPage', maxCount: 1 },
+  { name: 'forewordPage', maxCount: 1 },
   { name: 'articles', maxCount: 100 },
   { name: 'finalPage', maxCount: 1 }
-]), async (req, res) => {
-  const sessionDir = path.join(TEMP_DIR, req.sessionId);
-  const pdfPaths = [];
-
-  try {
-    console.log('Generating journal PDF...');
-    console.log('Files received:', {
-      coverPage: req.files.coverPage?.[0] ? decodeFilename(req.files.coverPage[0].originalname) : null,
-      descriptionPage: req.files.descriptionPage?.[0] ? decodeFilename(req.files.descriptionPage[0].originalname) : null,
-      articles: req.files.articles?.map(f => decodeFilename(f.originalname)),
-      finalPage: req.files.finalPage?.[0] ? decodeFilename(req.files.finalPage[0].originalname) : null
-    });
-
-    // Parse article metadata for TOC
-    let articlesMetadata = [];
-    try {
-      if (req.body.articlesMetadata) {
-        articlesMetadata = JSON.parse(req.body.articlesMetadata);
-        console.log('Articles metadata received:', articlesMetadata.length, 'articles');
-      }
-    } catch (e) {
-      console.warn('Failed to parse articles metadata:', e.message);
-    }
-
-    // Track page counts for each section
-    let currentPage = 1; // Start from page 1
-    const pdfPageCounts = {};
-
-    // 1. Process cover page
-    if (req.files.coverPage?.[0]) {
-      const file = req.files.coverPage[0];
-      const decodedName = decodeFilename(file.originalname);
-      console.log('Processing cover:', decodedName);
-      if (decodedName.endsWith('.pdf')) {
-        pdfPaths.push({ path: file.path, type: 'cover' });
-      } else {
-        const pdfPath = await convertDocxToPdf(file.path, sessionDir);
-        pdfPaths.push({ path: pdfPath, type: 'cover' });
-      }
-      // Count pages in cover
-      const coverBuffer = await fs.readFile(pdfPaths[pdfPaths.length - 1].path);
-      const coverDoc = await PDFDocument.load(coverBuffer);
-      pdfPageCounts.cover = coverDoc.getPageCount();
-      currentPage += pdfPageCounts.cover;
-    }
-
-    // 2. Process description page
-    if (req.files.descriptionPage?.[0]) {
-      const file = req.files.descriptionPage[0];
-      const decodedName = decodeFilename(file.originalname);
-      console.log('Processing description:', decodedName);
-      if (decodedName.endsWith('.pdf')) {
-        pdfPaths.push({ path: file.path, type: 'description' });
-      } else {
-        const pdfPath = await convertDocxToPdf(file.path, sessionDir);
-        pdfPaths.push({ path: pdfPath, type: 'description' });
-      }
-      // Count pages in description
-      const descBuffer = await fs.readFile(pdfPaths[pdfPaths.length - 1].path);
-      const descDoc = await PDFDocument.load(descBuffer);
-      pdfPageCounts.description = descDoc.getPageCount();
-      currentPage += pdfPageCounts.description;
-    }
-
-    // Helper function to detect if text is Cyrillic
-    const isCyrillic = (text) => /[а-яёА-ЯЁ]/.test(text);
-
-    // 3. Process and convert all articles to PDF first
-    const articleData = [];
-
-    if (req.files.articles) {
-      for (const file of req.files.articles) {
-        const decodedName = decodeFilename(file.originalname);
-        console.log(`Processing article: ${decodedName}`);
-
-        let pdfPath;
-        if (decodedName.endsWith('.pdf')) {
-          pdfPath = file.path;
-        } else {
-          pdfPath = await convertDocxToPdf(file.path, sessionDir);
-        }
-
-        // Count pages in this article
-        const articleBuffer = await fs.readFile(pdfPath);
-        const articleDoc = await PDFDocument.load(articleBuffer);
-        const articlePageCount = articleDoc.getPageCount();
-
-        // Find metadata for this article (match using decoded filename)
-        const meta = articlesMetadata.find(m => m.fileName === decodedName) || {
-          title: decodedName.replace(/\.[^/.]+$/, ''),
-          author: 'Автор не указан',
-          section: SECTION_ORDER[0]
-        };
-
-        articleData.push({
-          ...meta,
-          pdfPath,
-          pageCount: articlePageCount
-        });
-      }
-    }
-
-    // 4. Group articles by section and sort within each section
-    const articlesBySection = {};
-    for (const section of SECTION_ORDER) {
-      articlesBySection[section] = articleData
-        .filter(a => a.section === section)
-        .sort((a, b) => {
-          // Sort: Cyrillic first, then Latin, alphabetically by author
-          const aIsCyrillic = isCyrillic(a.author);
-          const bIsCyrillic = isCyrillic(b.author);
-
-          if (aIsCyrillic && !bIsCyrillic) return -1;
-          if (!aIsCyrillic && bIsCyrillic) return 1;
-
-          // Same script - sort alphabetically by author
-          return a.author.localeCompare(b.author, aIsCyrillic ? 'ru' : 'en');
-        });
-    }
-
-    // 5. Build ordered list and add section headers to first article of each section
-    const orderedPdfs = []; // Array of {path, pageCount}
-    const articlesWithPages = [];
+]);
 
-    for (const sectionName of SECTION_ORDER) {
-      const sectionArticles = articlesBySection[sectionName];
-      if (!sectionArticles || sectionArticles.length === 0) continue;
-
-      // Process articles in this section
-      for (let i = 0; i < sectionArticles.length; i++) {
-        const article = sectionArticles[i];
-        let articlePdfPath = article.pdfPath;
-
-        // Add section header to FIRST article of each section
-        if (i === 0) {
-          console.log(`Adding section header "${sectionName}" to first article`);
-          const articleBuffer = await fs.readFile(article.pdfPath);
-          const modifiedBuffer = await addSectionHeaderToArticle(articleBuffer, sectionName);
-
-          // Save modified PDF
-          articlePdfPath = path.join(sessionDir, `article-with-header-${Date.now()}-${SECTION_ORDER.indexOf(sectionName)}.pdf`);
-          await fs.writeFile(articlePdfPath, modifiedBuffer);
-        }
-
-        articlesWithPages.push({
-          ...article,
-          pageNumber: currentPage
-        });
+/**
+ * Read journal generation request: uploaded files, article metadata and journal profile
+ * @param {Object} req - Express request (after journalUploadFields)
+ * @returns {Promise<Object>} - generateJournal input without workDir
+ */
+async function parseJournalRequest(req) {
+  const toUploadedFile = (file) => file ? { path: file.path, name: decodeFilename(file.originalname) } : null;
+
+  const input = {
+    coverPage: toUploadedFile(req.files.coverPage?.[0]),
+    descriptionPage: toUploadedFile(req.files.descriptionPage?.[0]),
+    forewordPage: toUploadedFile(req.files.forewordPage?.[0]),
+    articles: (req.files.articles || []).map(toUploadedFile),
+    finalPage: toUploadedFile(req.files.finalPage?.[0]),
+    articlesMetadata: []
+  };
 
-        orderedPdfs.push({
-          path: articlePdfPath,
-          pageCount: article.pageCount
-        });
-        currentPage += article.pageCount;
-      }
-    }
+  console.log('Files received:', {
+    coverPage: input.coverPage?.name || null,
+    descriptionPage: input.descriptionPage?.name || null,
+    forewordPage: input.forewordPage?.name || null,
+    articles: input.articles.map(f => f.name),
+    finalPage: input.finalPage?.name || null
+  });
 
-    // 6. Generate TOC AFTER articles (TOC goes between articles and final page)
-    let tocPdfPath = null;
-    const tocStartPage = currentPage;
-
-    if (articlesWithPages.length > 0) {
-      console.log('Generating Table of Contents...');
-      const tocBuffer = await generateTableOfContentsPdf(articlesWithPages, tocStartPage);
-      tocPdfPath = path.join(sessionDir, `toc-${Date.now()}.pdf`);
-      await fs.writeFile(tocPdfPath, tocBuffer);
-
-      // Get actual TOC page count
-      const tocDoc = await PDFDocument.load(tocBuffer);
-      const tocPageCount = tocDoc.getPageCount();
-      currentPage += tocPageCount;
-      console.log(`TOC generated: ${tocPageCount} page(s), starting at page ${tocStartPage}`);
+  // Parse article metadata for TOC
+  try {
+    if (req.body.articlesMetadata) {
+      input.articlesMetadata = JSON.parse(req.body.articlesMetadata);
+      console.log('Articles metadata received:', input.articlesMetadata.length, 'articles');
     }
+  } catch (e) {
+    console.warn('Failed to parse articles metadata:', e.message);
+  }
 
-    // 7. Process final page
-    let finalPdfPath = null;
-    if (req.files.finalPage?.[0]) {
-      const file = req.files.finalPage[0];
-      const decodedName = decodeFilename(file.originalname);
-      console.log('Processing final page:', decodedName);
-      if (decodedName.endsWith('.pdf')) {
-        finalPdfPath = file.path;
-      } else {
-        finalPdfPath = await convertDocxToPdf(file.path, sessionDir);
-      }
+  // Issue name and date for the document metadata
+  try {
+    if (req.body.issue) {
+      const { name, year, month } = JSON.parse(req.body.issue);
+      input.issue = { name, year, month };
     }
+  } catch (e) {
+    console.warn('Failed to parse issue:', e.message);
+  }
 
-    // 8. Merge all PDFs in correct order:
-    // Cover -> Description -> Articles (with section headers) -> TOC -> Final
-    const allPdfPaths = [];
-
-    // Cover
-    const coverPdf = pdfPaths.find(p => p.type === 'cover');
-    if (coverPdf) allPdfPaths.push(coverPdf.path);
-
-    // Description
-    const descPdf = pdfPaths.find(p => p.type === 'description');
-    if (descPdf) allPdfPaths.push(descPdf.path);
-
-    // Articles (first article of each section has section header embedded)
-    for (const pdf of orderedPdfs) {
-      allPdfPaths.push(pdf.path);
+  // Resolve journal profile (branding, page setup, section order, layout)
+  let inlineProfile = null;
+  try {
+    if (req.body.journalProfile) {
+      inlineProfile = JSON.parse(req.body.journalProfile);
     }
+  } catch (e) {
+    console.warn('Failed to parse journal profile:', e.message);
+  }
+  input.profile = databaseAvailable
+    ? await journalProfileService.resolveProfile(req.body.profileId, inlineProfile)
+    : normalizeJournalProfile(inlineProfile);
+  console.log(`Using journal profile: ${input.profile.name}`);
 
-    // TOC (before final page)
-    if (tocPdfPath) allPdfPaths.push(tocPdfPath);
-
-    // Final
-    if (finalPdfPath) allPdfPaths.push(finalPdfPath);
+  return input;
+}
 
-    console.log('Merging PDFs:', allPdfPaths.length, 'files in order: Cover, Description, Articles, TOC, Final');
+/**
+ * Generate journal PDF from multiple files
+ * POST /api/generate-journal
+ * Body: multipart/form-data with:
+ *   - coverPage: cover page DOCX
+ *   - descriptionPage: description DOCX
+ *   - forewordPage: editorial foreword DOCX (optional)
+ *   - articles[]: array of article DOCX files
+ *   - finalPage: final page DOCX
+ *   - articlesMetadata: JSON string with article metadata for TOC
+ *   - profileId: journal profile ID (optional)
+ *   - journalProfile: JSON string with journal profile (optional, used when no DB profile)
+ *   - issue: JSON string with {name, year, month} (optional, document metadata)
+ * Block order (and TOC placement) follows the profile layout
+ * Returns the PDF only: the page map (article page ranges, see generateJournal) and the PDF/A report
+ * can be too large for response headers, so they come with the job result of POST /api/generate-journal/jobs
+ * Runs within the request; large issues should use POST /api/generate-journal/jobs
+ */
+app.post('/api/generate-journal', journalUploadFields, async (req, res) => {
+  const sessionDir = path.join(TEMP_DIR, req.sessionId);
 
-    // Merge all PDFs
-    const outputPath = path.join(sessionDir, `journal-${Date.now()}.pdf`);
-    await mergePdfs(allPdfPaths, outputPath);
+  try {
+    console.log('Generating journal PDF...');
+    const input = await parseJournalRequest(req);
 
+    const { outputPath, tempPaths } = await generateJournal({ ...input, workDir: sessionDir });
     const pdfBuffer = await fs.readFile(outputPath);
 
     // Clean up
-    for (const pdfPath of allPdfPaths) {
+    for (const pdfPath of tempPaths) {
       await fs.unlink(pdfPath).catch(() => {});
     }
     await fs.unlink(outputPath).catch(() => {});
@@ -1221,6 +462,70 @@ app.post('/api/generate-journal', upload.fields([
   }
 });
 
+/**
+ * Start journal generation as a background job
+ * POST /api/generate-journal/jobs
+ * Body: same as POST /api/generate-journal
+ * Returns 202 with the job; progress via GET /api/jobs/:id or /api/jobs/:id/events,
+ * result via GET /api/jobs/:id/download
+ */
+app.post('/api/generate-journal/jobs', journalUploadFields, async (req, res) => {
+  let jobId = null;
+  try {
+    const input = await parseJournalRequest(req);
+    const { id, workDir } = await jobService.prepareJob();
+    jobId = id;
+
+    // Move uploads out of the session temp dir (cleaned hourly) into the job directory
+    const moveToJob = async (file) => {
+      if (!file) return null;
+      const jobPath = path.join(workDir, path.basename(file.path));
+      await fs.rename(file.path, jobPath).catch(async () => {
+        await fs.copyFile(file.path, jobPath);
+        await fs.unlink(file.path).catch(() => {});
+      });
+      return { ...file, path: jobPath };
+    };
+
+    const job = await jobService.createJob(id, 'generate-journal', {
+      ...input,
+      coverPage: await moveToJob(input.coverPage),
+      descriptionPage: await moveToJob(input.descriptionPage),
+      forewordPage: await moveToJob(input.forewordPage),
+      articles: await Promise.all(input.articles.map(moveToJob)),
+      finalPage: await moveToJob(input.finalPage)
+    }, req.sessionId);
+
+    console.log(`Journal generation job ${job.id} queued (${input.articles.length} articles)`);
+    res.status(202).json(jobService.toPublicJob(job));
+
+  } catch (error) {
+    console.error('Error creating journal generation job:', error);
+    if (jobId) {
+      await jobService.discardJob(jobId).catch(() => {});
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Journal generation job handler
+ * A job resumed after a restart does not convert its documents again:
+ * converted PDFs are taken from the conversion cache
+ */
+jobService.registerJobHandler('generate-journal', async (job, { workDir, outputDir, reportProgress }) => {
+  const { outputPath, pageMap, compliance } = await generateJournal(
+    { ...job.input, workDir },
+    { onProgress: reportProgress }
+  );
+
+  const filename = `journal-${job.createdAt.split('T')[0]}.pdf`;
+  const resultPath = path.join(outputDir, filename);
+  await fs.rename(outputPath, resultPath);
+
+  return { path: resultPath, filename, pageMap, compliance };
+});
+
 /**
  * Convert DOCX to PDF (base64 input/output for easier frontend integration)
  * POST /api/convert-base64
@@ -1330,6 +635,8 @@ app.listen(PORT, async () => {
   console.log('  POST /api/convert          - Convert single DOCX to PDF');
   console.log('  POST /api/convert-base64   - Convert DOCX to PDF (base64)');
   console.log('  POST /api/generate-journal - Generate journal from multiple files');
+  console.log('  POST /api/generate-journal/jobs - Generate journal as a background job');
+  console.log('  /api/jobs/*                - Job status, progress (SSE) and download');
   console.log('  /api/data/*                - Data persistence (articles, archive)');
   console.log('  /api/social-media/*        - Social media integrations (Instagram, etc.)');
   console.log('  /api/webhooks/*            - Webhook endpoints for social platforms');
@@ -1338,6 +645,16 @@ app.listen(PORT, async () => {
   // Initialize database
   databaseAvailable = await initializeDatabase();
 
+  // Load configured journal sections for the AI classifier
+  if (databaseAvailable) {
+    await sectionService.refreshActiveSections();
+  }
+
+  // Resume generation jobs interrupted by a restart
+  jobService.restoreJobs().catch(error => {
+    console.error('Failed to restore jobs:', error);
+  });
+
   // Check LibreOffice availability asynchronously after server starts
   checkLibreOffice().then(available => {
     if (available) {
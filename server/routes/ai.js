@@ -84,7 +84,8 @@ router.post('/analyze-batch', async (req, res) => {
 
 /**
  * POST /api/ai/metadata
- * Extract metadata (title, author) from article content
+ * Extract metadata from article content: title, author and structured metadata
+ * (co-authors with affiliations, e-mail and ORCID; titles, abstracts and keywords by language)
  */
 router.post('/metadata', async (req, res) => {
   try {
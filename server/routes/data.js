@@ -1,6 +1,6 @@
 /**
  * Data API Routes
- * CRUD operations for articles, sessions, archive, and special pages
+ * CRUD operations for articles, sessions, archive, special pages, journal profiles and sections
  */
 
 import express from 'express';
@@ -8,7 +8,15 @@ import multer from 'multer';
 import sessionService from '../services/sessionService.js';
 import articleService from '../services/articleService.js';
 import archiveService from '../services/archiveService.js';
+import offprintService from '../services/offprintService.js';
+import crossrefService from '../services/crossrefService.js';
+import citationService from '../services/citationService.js';
+import elibraryService from '../services/elibraryService.js';
+import micrositeService from '../services/micrositeService.js';
 import specialPagesService from '../services/specialPagesService.js';
+import journalProfileService from '../services/journalProfileService.js';
+import sectionService from '../services/sectionService.js';
+import { isValidFontFile } from '../../shared/journalProfile.js';
 
 const router = express.Router();
 
@@ -109,6 +117,7 @@ router.post('/articles', upload.array('files', 100), async (req, res) => {
         content: meta.content || '',
         keywords: meta.keywords || '',
         language: meta.language || 'ru',
+        metadata: meta.metadata || null,
         fileData: file.buffer
       };
     });
@@ -179,6 +188,29 @@ router.patch('/articles/:id', async (req, res) => {
   }
 });
 
+/**
+ * PUT /api/data/articles/:id/metadata
+ * Replace article metadata (co-authors with affiliations and ORCID, titles, abstracts and keywords by language)
+ * API only: the editor keeps articles in the browser and sends their metadata with the archived issue
+ * (archive metadata.articles), so it does not call this route
+ */
+router.put('/articles/:id/metadata', async (req, res) => {
+  try {
+    const article = await articleService.saveArticleMetadata(
+      parseInt(req.params.id),
+      req.sessionId,
+      req.body
+    );
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+    res.json(article);
+  } catch (error) {
+    console.error('Error saving article metadata:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * DELETE /api/data/articles/:id
  * Delete article
@@ -345,7 +377,7 @@ router.get('/archive/stats', async (req, res) => {
  */
 router.post('/archive', upload.single('pdf'), async (req, res) => {
   try {
-    const { issueNumber, year, month, title, articleCount, metadata } = req.body;
+    const { issueNumber, year, month, title, articleCount, metadata, pageMap } = req.body;
 
     if (!year || !month) {
       return res.status(400).json({ error: 'Year and month are required' });
@@ -359,7 +391,8 @@ router.post('/archive', upload.single('pdf'), async (req, res) => {
       articleCount: parseInt(articleCount) || 0,
       pdfFilename: req.file?.originalname,
       pdfData: req.file?.buffer,
-      metadata: metadata ? JSON.parse(metadata) : {}
+      metadata: metadata ? JSON.parse(metadata) : {},
+      pageMap: pageMap ? JSON.parse(pageMap) : []
     });
 
     res.status(201).json(issue);
@@ -406,6 +439,192 @@ router.get('/archive/:id/pdf', async (req, res) => {
   }
 });
 
+/**
+ * Load an archived issue with its PDF and journal profile (for offprints)
+ * @param {number} issueId - Issue ID
+ * @returns {Promise<{issue: Object, pdf: Object, profile: Object}|null>}
+ */
+async function loadIssueForOffprints(issueId) {
+  const issue = await archiveService.getArchiveIssue(issueId);
+  if (!issue) return null;
+
+  const pdf = await archiveService.getArchiveIssuePdf(issueId);
+  if (!pdf) return null;
+
+  const profile = await journalProfileService.resolveProfile(issue.metadata?.profileId);
+  return { issue, pdf, profile };
+}
+
+/**
+ * GET /api/data/archive/:id/articles/:n/pdf
+ * Download offprint of article n (1-based, in issue order)
+ */
+router.get('/archive/:id/articles/:n/pdf', async (req, res) => {
+  try {
+    const loaded = await loadIssueForOffprints(parseInt(req.params.id));
+    if (!loaded) {
+      return res.status(404).json({ error: 'Archive PDF not found' });
+    }
+
+    const { issue, pdf, profile } = loaded;
+    const article = (issue.page_map || []).find(entry => entry.n === parseInt(req.params.n));
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found in archive issue' });
+    }
+
+    const offprint = await offprintService.extractOffprint(pdf.data, article, { issue, profile });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${offprintService.getOffprintFilename(article)}"`);
+    res.send(offprint);
+  } catch (error) {
+    console.error('Error creating offprint:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/data/archive/:id/offprints
+ * Download offprints of all articles as ZIP
+ */
+router.get('/archive/:id/offprints', async (req, res) => {
+  try {
+    const loaded = await loadIssueForOffprints(parseInt(req.params.id));
+    if (!loaded) {
+      return res.status(404).json({ error: 'Archive PDF not found' });
+    }
+
+    const { issue, pdf, profile } = loaded;
+    if (!issue.page_map?.length) {
+      return res.status(404).json({ error: 'Archive issue has no page map' });
+    }
+
+    const zip = await offprintService.buildOffprintsZip(pdf.data, issue.page_map, { issue, profile });
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="issue-${issue.id}-offprints.zip"`);
+    res.send(zip);
+  } catch (error) {
+    console.error('Error creating offprints:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/data/archive/:id/site
+ * Download the static website of the issue as ZIP (pages, issue PDF and offprints)
+ */
+router.get('/archive/:id/site', async (req, res) => {
+  try {
+    const loaded = await loadIssueForOffprints(parseInt(req.params.id));
+    if (!loaded) {
+      return res.status(404).json({ error: 'Archive PDF not found' });
+    }
+
+    const { issue, pdf, profile } = loaded;
+    if (!issue.page_map?.length) {
+      return res.status(404).json({ error: 'Archive issue has no page map' });
+    }
+
+    const zip = await micrositeService.buildIssueSiteZip(pdf.data, issue, profile);
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="issue-${issue.id}-site.zip"`);
+    res.send(zip);
+  } catch (error) {
+    console.error('Error creating issue site:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/data/archive/:id/citations?format=gost|apa|bibtex|ris[&download=1]
+ * Citations of every article in the issue (JSON), or one file with all of them
+ */
+router.get('/archive/:id/citations', async (req, res) => {
+  try {
+    const format = req.query.format || 'gost';
+    if (!citationService.CITATION_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Unknown citation format: ${format}` });
+    }
+
+    const issue = await archiveService.getArchiveIssue(parseInt(req.params.id));
+    if (!issue) {
+      return res.status(404).json({ error: 'Archive issue not found' });
+    }
+
+    const profile = await journalProfileService.resolveProfile(issue.metadata?.profileId);
+    const citations = citationService.buildIssueCitations(format, issue, profile);
+
+    if (req.query.download) {
+      const file = citationService.buildCitationsFile(format, citations, issue);
+      res.setHeader('Content-Type', file.contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+      return res.send(file.content);
+    }
+
+    res.json({ format, citations });
+  } catch (error) {
+    console.error('Error formatting citations:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/data/archive/:id/crossref
+ * Download Crossref deposit XML of the issue (uploaded to Crossref manually)
+ */
+router.get('/archive/:id/crossref', async (req, res) => {
+  try {
+    const issue = await archiveService.getArchiveIssue(parseInt(req.params.id));
+    if (!issue) {
+      return res.status(404).json({ error: 'Archive issue not found' });
+    }
+
+    const profile = await journalProfileService.resolveProfile(issue.metadata?.profileId);
+    const problems = crossrefService.validateCrossrefDeposit(issue, issue.page_map, profile);
+    if (problems.length > 0) {
+      return res.status(400).json({ error: problems.join('; '), problems });
+    }
+
+    const xml = crossrefService.buildCrossrefDeposit(issue, issue.page_map, profile);
+
+    res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="crossref-issue-${issue.id}.xml"`);
+    res.send(xml);
+  } catch (error) {
+    console.error('Error creating Crossref deposit:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/data/archive/:id/elibrary[?download=1]
+ * Fields missing for eLibrary (RINC) per article (JSON), or the Articulus XML of the issue
+ */
+router.get('/archive/:id/elibrary', async (req, res) => {
+  try {
+    const issue = await archiveService.getArchiveIssue(parseInt(req.params.id));
+    if (!issue) {
+      return res.status(404).json({ error: 'Archive issue not found' });
+    }
+
+    const profile = await journalProfileService.resolveProfile(issue.metadata?.profileId);
+
+    if (req.query.download) {
+      const xml = elibraryService.buildElibraryXml(issue, profile);
+      res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="elibrary-issue-${issue.id}.xml"`);
+      return res.send(xml);
+    }
+
+    res.json({ problems: elibraryService.validateElibraryExport(issue, profile) });
+  } catch (error) {
+    console.error('Error creating eLibrary export:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * PATCH /api/data/archive/:id
  * Update archive issue
@@ -440,4 +659,219 @@ router.delete('/archive/:id', async (req, res) => {
   }
 });
 
+// ============ JOURNAL PROFILE ROUTES ============
+
+/**
+ * GET /api/data/journal-profiles
+ * Get all journal profiles
+ */
+router.get('/journal-profiles', async (req, res) => {
+  try {
+    const profiles = await journalProfileService.getAllProfiles();
+    res.json(profiles);
+  } catch (error) {
+    console.error('Error getting journal profiles:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/data/journal-profiles/default
+ * Get default journal profile (built-in profile if none stored)
+ */
+router.get('/journal-profiles/default', async (req, res) => {
+  try {
+    const profile = await journalProfileService.resolveProfile(null);
+    res.json(profile);
+  } catch (error) {
+    console.error('Error getting default journal profile:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/data/journal-profiles/:id
+ * Get journal profile
+ */
+router.get('/journal-profiles/:id', async (req, res) => {
+  try {
+    const profile = await journalProfileService.getProfile(parseInt(req.params.id));
+    if (!profile) {
+      return res.status(404).json({ error: 'Journal profile not found' });
+    }
+    res.json(profile);
+  } catch (error) {
+    console.error('Error getting journal profile:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Reject profile fonts given as paths: only file names inside the server fonts directory are allowed
+ * @param {Object} body - Profile fields
+ * @returns {string|null} - Error message, or null if the fonts are fine
+ */
+function checkProfileFonts(body) {
+  const invalid = ['regular', 'bold'].filter(key => !isValidFontFile(String(body?.fonts?.[key] || '').trim()));
+  return invalid.length > 0
+    ? `Font must be a TTF/OTF file name without a path: ${invalid.map(key => body.fonts[key]).join(', ')}`
+    : null;
+}
+
+/**
+ * POST /api/data/journal-profiles
+ * Create journal profile
+ */
+router.post('/journal-profiles', async (req, res) => {
+  try {
+    const fontError = checkProfileFonts(req.body);
+    if (fontError) {
+      return res.status(400).json({ error: fontError });
+    }
+    const profile = await journalProfileService.createProfile(req.body);
+    res.status(201).json(profile);
+  } catch (error) {
+    console.error('Error creating journal profile:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PATCH /api/data/journal-profiles/:id
+ * Update journal profile
+ */
+router.patch('/journal-profiles/:id', async (req, res) => {
+  try {
+    const fontError = checkProfileFonts(req.body);
+    if (fontError) {
+      return res.status(400).json({ error: fontError });
+    }
+    const profile = await journalProfileService.updateProfile(parseInt(req.params.id), req.body);
+    if (!profile) {
+      return res.status(404).json({ error: 'Journal profile not found' });
+    }
+    res.json(profile);
+  } catch (error) {
+    console.error('Error updating journal profile:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/data/journal-profiles/:id/default
+ * Make journal profile the default one
+ */
+router.post('/journal-profiles/:id/default', async (req, res) => {
+  try {
+    const profile = await journalProfileService.setDefaultProfile(parseInt(req.params.id));
+    if (!profile) {
+      return res.status(404).json({ error: 'Journal profile not found' });
+    }
+    res.json(profile);
+  } catch (error) {
+    console.error('Error setting default journal profile:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/data/journal-profiles/:id
+ * Delete journal profile (default profile is kept)
+ */
+router.delete('/journal-profiles/:id', async (req, res) => {
+  try {
+    const deleted = await journalProfileService.deleteProfile(parseInt(req.params.id));
+    if (!deleted) {
+      return res.status(404).json({ error: 'Journal profile not found or is default' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting journal profile:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============ SECTION ROUTES ============
+
+/**
+ * GET /api/data/sections
+ * Get sections of a journal profile (query: profileId, default profile if omitted)
+ */
+router.get('/sections', async (req, res) => {
+  try {
+    const profileId = req.query.profileId ? parseInt(req.query.profileId) : null;
+    const sections = await sectionService.getSections(profileId);
+    res.json(sections);
+  } catch (error) {
+    console.error('Error getting sections:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/data/sections
+ * Create section (body: {names: {ru, kk, en}, description, udcRanges, grntiRanges, keywords, profileId})
+ */
+router.post('/sections', async (req, res) => {
+  try {
+    const { profileId, ...sectionData } = req.body;
+    const section = await sectionService.createSection(sectionData, profileId ? parseInt(profileId) : null);
+    res.status(201).json(section);
+  } catch (error) {
+    console.error('Error creating section:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/data/sections/order
+ * Reorder sections (body: {ids: [sectionId, ...]})
+ */
+router.put('/sections/order', async (req, res) => {
+  try {
+    if (!Array.isArray(req.body.ids)) {
+      return res.status(400).json({ error: 'ids array is required' });
+    }
+    const sections = await sectionService.reorderSections(req.body.ids.map(id => parseInt(id)));
+    res.json(sections);
+  } catch (error) {
+    console.error('Error reordering sections:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PATCH /api/data/sections/:id
+ * Update section
+ */
+router.patch('/sections/:id', async (req, res) => {
+  try {
+    const section = await sectionService.updateSection(parseInt(req.params.id), req.body);
+    if (!section) {
+      return res.status(404).json({ error: 'Section not found' });
+    }
+    res.json(section);
+  } catch (error) {
+    console.error('Error updating section:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/data/sections/:id
+ * Delete section
+ */
+router.delete('/sections/:id', async (req, res) => {
+  try {
+    const deleted = await sectionService.deleteSection(parseInt(req.params.id));
+    if (!deleted) {
+      return res.status(404).json({ error: 'Section not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting section:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 export default router;
@@ -0,0 +1,96 @@
+/**
+ * Job Routes
+ * Status, progress stream and result download for background jobs
+ * A job is visible only to the session that started it (X-Session-Id); other sessions get 404.
+ * EventSource cannot send custom headers, so only the event stream also accepts ?sessionId=
+ */
+
+import express from 'express';
+import fs from 'fs/promises';
+import jobService from '../services/jobService.js';
+
+const router = express.Router();
+
+// Keeps SSE connections open behind proxies that drop idle connections
+const SSE_HEARTBEAT_MS = 25000;
+
+/**
+ * GET /api/jobs/:id
+ * Get job status and progress
+ */
+router.get('/:id', (req, res) => {
+  const job = jobService.getSessionJob(req.params.id, req.sessionId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(jobService.toPublicJob(job));
+});
+
+/**
+ * GET /api/jobs/:id/events
+ * Stream job updates (Server-Sent Events); the stream ends when the job is finished
+ */
+router.get('/:id/events', (req, res) => {
+  const job = jobService.getSessionJob(req.params.id, req.get('x-session-id') || req.query.sessionId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  const send = (update) => {
+    res.write(`data: ${JSON.stringify(jobService.toPublicJob(update))}\n\n`);
+  };
+
+  send(job);
+  if (jobService.isJobFinished(job)) {
+    return res.end();
+  }
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+  const unsubscribe = jobService.subscribe(job.id, (update) => {
+    send(update);
+    if (jobService.isJobFinished(update)) {
+      close();
+      res.end();
+    }
+  });
+
+  function close() {
+    clearInterval(heartbeat);
+    unsubscribe();
+  }
+
+  req.on('close', close);
+});
+
+/**
+ * GET /api/jobs/:id/download
+ * Download job result
+ */
+router.get('/:id/download', async (req, res) => {
+  try {
+    const job = jobService.getSessionJob(req.params.id, req.sessionId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (job.status !== jobService.JOB_STATUS.COMPLETED || !job.output) {
+      return res.status(409).json({ error: `Job is ${job.status}` });
+    }
+
+    const fileBuffer = await fs.readFile(job.output.path);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${job.output.filename}"`);
+    res.send(fileBuffer);
+  } catch (error) {
+    console.error('Error downloading job result:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
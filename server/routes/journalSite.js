@@ -0,0 +1,105 @@
+/**
+ * Journal Site Routes
+ * Public website of archived issues under /journal/:year/:issue/ (same pages as the site ZIP)
+ * Mounted only when JOURNAL_SITE=true
+ */
+
+import express from 'express';
+import archiveService from '../services/archiveService.js';
+import journalProfileService from '../services/journalProfileService.js';
+import offprintService from '../services/offprintService.js';
+import micrositeService from '../services/micrositeService.js';
+
+// Strict routing tells /journal/2025/1 (redirected) from /journal/2025/1/ (the landing page)
+const router = express.Router({ strict: true });
+
+/**
+ * Load an issue with its journal profile from the URL parameters
+ * @param {Object} params - {year, issue}
+ * @returns {Promise<{issue: Object, profile: Object}|null>}
+ */
+async function loadIssue({ year, issue: slug }) {
+  const issue = await archiveService.findArchiveIssue(parseInt(year), slug);
+  if (!issue) return null;
+
+  const profile = await journalProfileService.resolveProfile(issue.metadata?.profileId);
+  return { issue, profile };
+}
+
+/**
+ * GET /journal/:year/:issue
+ * Relative links of the pages need the trailing slash
+ */
+router.get('/:year/:issue', (req, res) => {
+  res.redirect(301, `${req.baseUrl}/${req.params.year}/${encodeURIComponent(req.params.issue)}/`);
+});
+
+/**
+ * GET /journal/:year/:issue/issue.pdf
+ * Whole issue PDF
+ */
+router.get('/:year/:issue/issue.pdf', async (req, res) => {
+  try {
+    const loaded = await loadIssue(req.params);
+    const pdf = loaded && await archiveService.getArchiveIssuePdf(loaded.issue.id);
+    if (!pdf) {
+      return res.status(404).send('Not found');
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.send(pdf.data);
+  } catch (error) {
+    console.error('Error serving issue PDF:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
+/**
+ * GET /journal/:year/:issue/pdf/:file
+ * Offprint of an article
+ */
+router.get('/:year/:issue/pdf/:file', async (req, res) => {
+  try {
+    const loaded = await loadIssue(req.params);
+    const article = loaded?.issue.page_map?.find(entry => offprintService.getOffprintFilename(entry) === req.params.file);
+    const pdf = article && await archiveService.getArchiveIssuePdf(loaded.issue.id);
+    if (!pdf) {
+      return res.status(404).send('Not found');
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.send(await offprintService.extractOffprint(pdf.data, article, loaded));
+  } catch (error) {
+    console.error('Error serving offprint:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
+/**
+ * GET /journal/:year/:issue/*
+ * Pages of the issue website (index.html by default)
+ */
+router.get('/:year/:issue/*', async (req, res) => {
+  try {
+    const loaded = await loadIssue(req.params);
+    if (!loaded) {
+      return res.status(404).send('Not found');
+    }
+
+    const { issue, profile } = loaded;
+    const baseUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}/${issue.year}/${encodeURIComponent(req.params.issue)}/`;
+    const pages = micrositeService.renderIssueSite(issue, profile, { baseUrl });
+    const path = req.params[0] || 'index.html';
+    if (!pages[path]) {
+      return res.status(404).send('Not found');
+    }
+
+    res.type(path.endsWith('.css') ? 'text/css' : 'text/html');
+    res.send(pages[path]);
+  } catch (error) {
+    console.error('Error serving journal site:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
+export default router;
@@ -0,0 +1,44 @@
+/**
+ * OAI-PMH Routes
+ * Harvesting endpoint for aggregators (CyberLeninka, eLibrary, BASE)
+ * Requests come as GET query or POST form (application/x-www-form-urlencoded)
+ */
+
+import express from 'express';
+import oaiPmhService from '../services/oaiPmhService.js';
+
+const router = express.Router();
+
+/**
+ * Handle a request with the given arguments
+ * @param {Object} params - Query or form arguments
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function respond(params, req, res) {
+  try {
+    const xml = await oaiPmhService.handleOaiRequest(params, {
+      baseUrl: `${req.protocol}://${req.get('host')}`,
+      repositoryId: process.env.OAI_REPOSITORY_ID || req.hostname,
+      adminEmail: process.env.OAI_ADMIN_EMAIL
+    });
+
+    res.type('text/xml; charset=utf-8');
+    res.send(xml);
+  } catch (error) {
+    console.error('OAI-PMH error:', error);
+    res.status(500).type('text/plain').send('Internal server error');
+  }
+}
+
+/**
+ * GET /oai?verb=...
+ */
+router.get('/', (req, res) => respond(req.query, req, res));
+
+/**
+ * POST /oai (verb and arguments in the form body)
+ */
+router.post('/', express.urlencoded({ extended: false }), (req, res) => respond(req.body, req, res));
+
+export default router;
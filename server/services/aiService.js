@@ -19,16 +19,19 @@ import {
   RATE_LIMIT_CONFIG,
   CACHE_CONFIG,
   PROVIDERS,
-  ARTICLE_SECTIONS,
   NEEDS_REVIEW_SECTION,
   CONFIDENCE_THRESHOLDS,
   SYSTEM_PROMPT,
   CONFIDENCE_GUIDE,
   BATCH_EXAMPLE
 } from '../config/aiConfig.js';
+import { getActiveSections } from './sectionService.js';
+import { normalizeArticleMetadata, formatAuthorsLine } from '../../shared/articleMetadata.js';
+import { extractClassificationCodes, matchSectionByCodes } from '../../shared/classificationCodes.js';
+import { extractReferences } from '../../shared/references.js';
 
 // ============ PROMPT VERSION (A/B Testing) ============
-const PROMPT_VERSION = 'v2.1'; // Increment when prompts change
+const PROMPT_VERSION = 'v2.2'; // Increment when prompts change
 
 // ============ METRICS TRACKING ============
 let metrics = {
@@ -411,76 +414,61 @@ const setCache = (key, data) => {
 
 // ============ SECTION MATCHING ============
 
-// Keywords for flexible section matching (Russian, English, Kazakh)
-const SECTION_KEYWORDS = {
-  'ТЕХНИЧЕСКИЕ НАУКИ': [
-    // Russian
-    'ТЕХНИЧ', 'ТЕХНО', 'IT', 'ИНЖЕНЕР', 'ПРОГРАММИР', 'СТРОИТ',
-    'ИНФОРМАЦ', 'КОМПЬЮТЕР', 'ЦИФРОВ', 'АВТОМАТИЗ', 'РОБОТ',
-    'МАШИН', 'ЭЛЕКТР', 'ЭНЕРГ', 'ПРОМЫШЛЕН', 'ПРОИЗВОД',
-    'СИСТЕМ', 'СЕТЬ', 'АЛГОРИТМ', 'ДАНН', 'SOFTWARE', 'HARDWARE',
-    'АРХИТЕКТ', 'CONSTRUCT', 'ENGINEER', 'TECHNICAL',
-    'ИСКУССТВЕН', 'ИНТЕЛЛЕКТ', 'НЕЙРОН', 'НЕЙРОСЕТ', 'МАШИНН', 'ОБУЧЕН',
-    // Kazakh
-    'ТЕХНИК', 'АҚПАРАТ', 'КОМПЬЮТЕР', 'БАҒДАРЛАМ', 'ЖҮЙЕ', 'ЦИФРЛ',
-    'АВТОМАТТАНД', 'РОБОТ', 'ЭЛЕКТРОН', 'ЭНЕРГЕТИК', 'ӨНДІР',
-    'ҚҰРЫЛЫС', 'ИНЖЕНЕР', 'ЖЕЛІ', 'ДЕРЕКТЕР', 'ТЕХНОЛОГ',
-    'ЖАСАНДЫ ИНТЕЛЛЕКТ', 'ЖАСАНДЫ', 'ИНТЕЛЛЕКТ', 'НЕЙРОН', 'AI', 'ҚОЛДАНУ'
-  ],
-  'ПЕДАГОГИЧЕСКИЕ НАУКИ': [
-    // Russian
-    'ПЕДАГОГ', 'ОБРАЗОВ', 'МЕТОДИК', 'ОБУЧЕН', 'ПРЕПОДАВ',
-    'ДИДАКТ', 'ШКОЛ', 'УЧИТЕЛ', 'СТУДЕНТ', 'УЧАЩ', 'ВОСПИТАН',
-    'УРОК', 'КУРС', 'ЛЕКЦ', 'СЕМИНАР', 'ПРАКТИК', 'ТРЕНИНГ',
-    'КОМПЕТЕН', 'НАВЫК', 'ЗНАН', 'УМЕН', 'ОЦЕНК', 'ТЕСТ',
-    'EDUCATION', 'TEACH', 'LEARN', 'PEDAGOG', 'DIDACT',
-    // Kazakh
-    'ПЕДАГОГ', 'БІЛІМ', 'ОҚЫТУ', 'ОҚУШЫ', 'МҰҒАЛІМ', 'МЕКТЕП',
-    'СТУДЕНТ', 'САБАҚ', 'ӘДІС', 'ТӘСІЛ', 'ДИДАКТ', 'ТӘРБИЕ',
-    'ОҚЫТ', 'ҮЙРЕТ', 'ДАҒДЫ', 'ҚҰЗЫРЕТ', 'БАҒАЛАУ', 'КУРС',
-    'САУАТТЫЛЫҚ', 'САУАТТЫЛ', 'ОРЫС ТІЛ', 'ҚАЗАҚ ТІЛ', 'ЕРЕКШЕЛІК'
-  ],
-  'ЕСТЕСТВЕННЫЕ И ЭКОНОМИЧЕСКИЕ НАУКИ': [
-    // Russian
-    'ЕСТЕСТВ', 'ЭКОНОМ', 'ФИЗИК', 'ХИМИЯ', 'ХИМИЧ', 'БИОЛОГ',
-    'МАТЕМАТ', 'ФИНАНС', 'БУХГАЛТЕР', 'АУДИТ', 'НАЛОГ',
-    'ИНВЕСТ', 'БАНК', 'РЫНОК', 'БИЗНЕС', 'ПРЕДПРИНИМ',
-    'ЭКОЛОГИ', 'ПРИРОД', 'ГЕОЛОГ', 'ГЕОГРАФ', 'АСТРОНОМ',
-    'МЕДИЦ', 'ЗДОРОВ', 'ФАРМАЦ', 'ГЕНЕТИК', 'МИКРОБИО',
-    'СТАТИСТ', 'АНАЛИЗ', 'МОДЕЛ', 'NATURAL', 'ECONOMIC', 'SCIENCE',
-    'BUSINESS', 'FINANCE', 'MARKET', 'ПЛАСТИК', 'ЛАСТАН', 'ЭКОЛОГИЯ',
-    // Kazakh
-    'ЭКОНОМИК', 'ҚАРЖЫ', 'БИЗНЕС', 'КӘСІПКЕР', 'БАНК', 'ИНВЕСТ',
-    'ФИЗИК', 'ХИМИЯ', 'БИОЛОГ', 'МАТЕМАТИК', 'ТАБИҒАТ', 'ЭКОЛОГИЯ',
-    'ГЕОЛОГ', 'ГЕОГРАФ', 'МЕДИЦИН', 'ДЕНСАУЛЫҚ', 'ДӘРІ', 'СТАТИСТ',
-    'ТАЛДАУ', 'МОДЕЛЬ', 'НАРЫҚ', 'САЛЫҚ', 'ҚОРШАҒАН ОРТА', 'ЛАСТАНУ'
-  ]
+// Sections, their topic hints and keywords (ru, kk, en) come from the journal_sections table
+// via sectionService (built-in defaults when the database is not available)
+
+/**
+ * Build the numbered section list for classifier prompts
+ * @param {Array<Object>} sections - Active sections
+ * @returns {string}
+ */
+const buildSectionsPrompt = (sections = getActiveSections()) => {
+  return sections
+    .map((section, i) => {
+      const hint = section.description ? ` — ${section.description}` : '';
+      return `${i + 1}. ${section.names.ru}${hint}`;
+    })
+    .join('\n');
+};
+
+/**
+ * Cache key suffix that changes whenever the section list changes
+ * @returns {string}
+ */
+const sectionsCacheKey = () => {
+  const names = getActiveSections().map(s => s.names.ru).join('|');
+  return crypto.createHash('md5').update(names).digest('hex').substring(0, 8);
 };
 
 /**
  * Match detected section string to known sections using keywords
+ * Also accepts the Kazakh or English section name
  * @param {string} detectedSection - Uppercase section string from AI
- * @returns {string|null} - Matched section name or null
+ * @param {Array<Object>} sections - Active sections
+ * @returns {string|null} - Matched section name (ru) or null
  */
-const matchSectionByKeywords = (detectedSection) => {
+const matchSectionByKeywords = (detectedSection, sections = getActiveSections()) => {
   if (!detectedSection || detectedSection.length === 0) return null;
 
+  const namesOf = (section) => Object.values(section.names)
+    .filter(Boolean)
+    .map(name => name.toUpperCase());
+
   // First try exact match
-  const exactMatch = ARTICLE_SECTIONS.find(s => s.toUpperCase() === detectedSection);
-  if (exactMatch) return exactMatch;
+  const exactMatch = sections.find(s => namesOf(s).includes(detectedSection));
+  if (exactMatch) return exactMatch.names.ru;
 
   // Try partial match (section name contains detected or vice versa)
-  const partialMatch = ARTICLE_SECTIONS.find(s => {
-    const sectionUpper = s.toUpperCase();
-    return detectedSection.includes(sectionUpper) || sectionUpper.includes(detectedSection);
-  });
-  if (partialMatch) return partialMatch;
+  const partialMatch = sections.find(s => namesOf(s).some(sectionUpper =>
+    detectedSection.includes(sectionUpper) || sectionUpper.includes(detectedSection)
+  ));
+  if (partialMatch) return partialMatch.names.ru;
 
   // Try keyword matching
-  for (const [section, keywords] of Object.entries(SECTION_KEYWORDS)) {
-    for (const keyword of keywords) {
+  for (const section of sections) {
+    for (const keyword of section.keywords) {
       if (detectedSection.includes(keyword)) {
-        return section;
+        return section.names.ru;
       }
     }
   }
@@ -488,24 +476,38 @@ const matchSectionByKeywords = (detectedSection) => {
   return null;
 };
 
+/**
+ * Classify by the UDC / GRNTI codes in the article head
+ * A deterministic match is trusted over the AI answer, and section-only requests skip the AI call
+ * @param {string} content - Article content
+ * @param {Array<Object>} sections - Active sections
+ * @returns {{section: string, confidence: number, reasoning: string}|null}
+ */
+const detectSectionFromCodes = (content, sections = getActiveSections()) => {
+  return matchSectionByCodes(extractClassificationCodes(content), sections);
+};
+
 /**
  * Detect section from article content using keywords
  * Fallback when AI fails to return section
  * @param {string} content - Article content
  * @param {string} title - Article title
+ * @param {Array<Object>} sections - Active sections
  * @returns {{section: string, confidence: number}}
  */
-const detectSectionFromContent = (content, title = '') => {
+const detectSectionFromContent = (content, title = '', sections = getActiveSections()) => {
   const text = `${title} ${content}`.toUpperCase();
+  const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
   // Count keyword matches for each section
   const scores = {};
-  for (const [section, keywords] of Object.entries(SECTION_KEYWORDS)) {
-    scores[section] = 0;
-    for (const keyword of keywords) {
+  for (const section of sections) {
+    const name = section.names.ru;
+    scores[name] = 0;
+    for (const keyword of section.keywords) {
       // Count occurrences (up to 3 per keyword)
-      const matches = (text.match(new RegExp(keyword, 'g')) || []).length;
-      scores[section] += Math.min(matches, 3);
+      const matches = (text.match(new RegExp(escapeRegExp(keyword), 'g')) || []).length;
+      scores[name] += Math.min(matches, 3);
     }
   }
 
@@ -925,7 +927,7 @@ const makeAIRequest = async (prompt, maxTokens = 1000, taskType = 'general', opt
  * 4x faster than separate requests
  */
 export const analyzeArticle = async (fileName, content) => {
-  const cacheKey = generateCacheKey('analyze', content, fileName);
+  const cacheKey = generateCacheKey('analyze', content, `${fileName}:${sectionsCacheKey()}`);
   const cached = getCached(cacheKey);
   if (cached) return cached;
 
@@ -953,9 +955,7 @@ export const analyzeArticle = async (fileName, content) => {
 - Если имя в файле (например "Статья Калжанова Г.М.docx") — извлеки его!
 
 ### РАЗДЕЛ (выбери ОДИН):
-1. ТЕХНИЧЕСКИЕ НАУКИ — IT, инженерия, программирование, строительство
-2. ПЕДАГОГИЧЕСКИЕ НАУКИ — образование, методика преподавания, дидактика
-3. ЕСТЕСТВЕННЫЕ И ЭКОНОМИЧЕСКИЕ НАУКИ — физика, химия, биология, экономика, финансы
+${buildSectionsPrompt()}
 ${CONFIDENCE_GUIDE}
 ### ОЦЕНКА:
 - Структура (1-5): наличие введения, методологии, результатов, выводов
@@ -998,11 +998,12 @@ ${content.substring(0, 4000)}
     }
     author = author.trim().replace(/,\s*$/, '').replace(/\s+/g, ' ');
 
-    // Process section - use centralized keyword matching
+    // Process section - codes first, then centralized keyword matching
+    const codeMatch = detectSectionFromCodes(content);
     const detectedSection = result.section?.toUpperCase?.()?.trim() || '';
-    const matchedSection = matchSectionByKeywords(detectedSection);
+    const matchedSection = codeMatch?.section || matchSectionByKeywords(detectedSection);
 
-    const confidence = Math.max(0, Math.min(1, Number(result.sectionConfidence) || 0.5));
+    const confidence = codeMatch?.confidence ?? Math.max(0, Math.min(1, Number(result.sectionConfidence) || 0.5));
 
     const finalResult = {
       title: result.title || fallback.title,
@@ -1010,7 +1011,7 @@ ${content.substring(0, 4000)}
       section: matchedSection || NEEDS_REVIEW_SECTION,
       sectionConfidence: matchedSection ? confidence : 0,
       needsReview: !matchedSection || confidence < CONFIDENCE_THRESHOLDS.LOW,
-      sectionReasoning: result.sectionReasoning || undefined,
+      sectionReasoning: codeMatch?.reasoning || result.sectionReasoning || undefined,
       structureScore: Math.max(1, Math.min(5, Number(result.structureScore) || 3)),
       qualityScore: Math.max(1, Math.min(5, Number(result.qualityScore) || 3))
     };
@@ -1100,7 +1101,7 @@ export const analyzeArticlesBatch = async (articles) => {
   const uncachedArticles = [];
 
   for (const article of batch) {
-    const cacheKey = generateCacheKey('analyze', article.content, article.fileName);
+    const cacheKey = generateCacheKey('analyze', article.content, `${article.fileName}:${sectionsCacheKey()}`);
     const cached = getCached(cacheKey);
     if (cached) {
       results.push({ ...cached, fileName: article.fileName, fromCache: true });
@@ -1129,9 +1130,7 @@ export const analyzeArticlesBatch = async (articles) => {
 3. Если раздел не определён - выбери наиболее подходящий по содержанию
 
 ## РАЗДЕЛЫ (выбери ОДИН для КАЖДОЙ статьи):
-- "ТЕХНИЧЕСКИЕ НАУКИ" — IT, инженерия, программирование, строительство, технологии, компьютеры, цифровизация
-- "ПЕДАГОГИЧЕСКИЕ НАУКИ" — образование, методика преподавания, педагогика, обучение, школа, студенты, дидактика
-- "ЕСТЕСТВЕННЫЕ И ЭКОНОМИЧЕСКИЕ НАУКИ" — физика, химия, биология, экономика, финансы, математика, экология, медицина
+${buildSectionsPrompt()}
 
 ## ИЗВЛЕЧЕНИЕ АВТОРА (КРИТИЧНО!):
 1. Ищи ПОСЛЕ названия статьи, ПЕРЕД аннотацией/abstract
@@ -1151,14 +1150,18 @@ ${articlesText}
 ## ОТВЕТ (JSON массив из ${uncachedArticles.length} объектов, КАЖДЫЙ с полем section):
 [`;
 
-  const fallbackResults = uncachedArticles.map(a => ({
-    fileName: a.fileName,
-    title: a.fileName.replace('.docx', '').replace(/_/g, ' '),
-    author: 'Автор не указан',
-    section: NEEDS_REVIEW_SECTION,
-    sectionConfidence: 0,
-    needsReview: true
-  }));
+  const fallbackResults = uncachedArticles.map(a => {
+    const codeMatch = detectSectionFromCodes(a.content);
+    return {
+      fileName: a.fileName,
+      title: a.fileName.replace('.docx', '').replace(/_/g, ' '),
+      author: 'Автор не указан',
+      section: codeMatch?.section || NEEDS_REVIEW_SECTION,
+      sectionConfidence: codeMatch?.confidence || 0,
+      needsReview: !codeMatch,
+      sectionReasoning: codeMatch?.reasoning
+    };
+  });
 
   try {
     // More tokens for batch response
@@ -1213,12 +1216,16 @@ ${articlesText}
       // DEBUG: Log what the model returned for troubleshooting
       console.log(`Section matching for "${article.fileName}": model returned "${result.section}" -> normalized: "${detectedSection}"`);
 
-      // Try AI-returned section first
-      let matchedSection = detectedSection.length > 0 ? matchSectionByKeywords(detectedSection) : null;
-      let confidence = Number(result.sectionConfidence) || 0;
+      // UDC / GRNTI codes win over the AI-returned section
+      const codeMatch = detectSectionFromCodes(article.content);
+      let matchedSection = codeMatch?.section
+        || (detectedSection.length > 0 ? matchSectionByKeywords(detectedSection) : null);
+      let confidence = codeMatch?.confidence ?? (Number(result.sectionConfidence) || 0);
 
-      // FALLBACK: If AI didn't return section, try content-based detection
-      if (!matchedSection) {
+      if (codeMatch) {
+        console.log(`Code-based section for "${article.fileName}": ${codeMatch.reasoning}`);
+      } else if (!matchedSection) {
+        // FALLBACK: If AI didn't return section, try content-based detection
         console.log(`Fallback: trying content-based section detection for "${article.fileName}"`);
         const contentDetection = detectSectionFromContent(article.content, result.title || '');
         if (contentDetection.section) {
@@ -1275,14 +1282,14 @@ ${articlesText}
         // Only require review if section couldn't be matched at all
         // If section matched, trust the model's classification
         needsReview: !matchedSection,
-        sectionReasoning: result.sectionReasoning
+        sectionReasoning: codeMatch?.reasoning || result.sectionReasoning
       };
 
       // Track confidence for analytics
       trackConfidence(finalResult.section, finalResult.sectionConfidence, finalResult.needsReview);
 
       // Cache the result
-      const cacheKey = generateCacheKey('analyze', article.content, article.fileName);
+      const cacheKey = generateCacheKey('analyze', article.content, `${article.fileName}:${sectionsCacheKey()}`);
       setCache(cacheKey, finalResult);
 
       processedResults.push(finalResult);
@@ -1307,50 +1314,64 @@ ${articlesText}
 
 // ============ INDIVIDUAL FUNCTIONS (backward compatibility) ============
 
+// Metadata extraction reads the start of the article (title, byline, abstract) and its end (translated summaries)
+const METADATA_HEAD_CHARS = 5000;
+const METADATA_TAIL_CHARS = 2500;
+
 /**
- * Extract metadata from article
+ * Extract metadata from article: title, co-authors with affiliations, e-mail and ORCID,
+ * titles, abstracts and keywords in ru/kk/en (see shared/articleMetadata.js)
+ * Translated summaries are often at the end of the article, so the tail of the text is sent too
  */
 export const extractMetadata = async (fileName, content) => {
   const cacheKey = generateCacheKey('metadata', content, fileName);
   const cached = getCached(cacheKey);
   if (cached) return cached;
 
+  const text = content.length > METADATA_HEAD_CHARS + METADATA_TAIL_CHARS
+    ? `${content.substring(0, METADATA_HEAD_CHARS)}\n[...]\n${content.substring(content.length - METADATA_TAIL_CHARS)}`
+    : content;
+
   const prompt = `Извлеки метаданные из научной статьи.
 
 ПРАВИЛА ИЗВЛЕЧЕНИЯ НАЗВАНИЯ:
 1. Название обычно в начале после УДК/UDC
 2. Может быть ЗАГЛАВНЫМИ БУКВАМИ или обычным шрифтом
 3. Идёт ДО списка авторов
+4. Переводы названия (на казахском, русском, английском) обычно стоят перед аннотациями на этих языках
 
-ПРАВИЛА ИЗВЛЕЧЕНИЯ АВТОРА:
-1. Автор указан ПОСЛЕ названия статьи
-2. Форматы: "Фамилия И.О.", "И.О. Фамилия", полное ФИО
-3. Часто ПЕРЕД именем стоит учёная степень (к.т.н., PhD)
-4. Если несколько авторов — верни ПЕРВОГО
+ПРАВИЛА ИЗВЛЕЧЕНИЯ АВТОРОВ:
+1. Авторы указаны ПОСЛЕ названия статьи, верни ВСЕХ в порядке следования
+2. Форматы: "Фамилия И.О.", "И.О. Фамилия", полное ФИО; учёные степени (к.т.н., PhD) не включай
+3. Места работы пронумерованы цифрами после фамилий (¹, ²) — укажи номера мест работы каждого автора (с 0)
+4. E-mail и ORCID (0000-0000-0000-0000) укажи только если они есть в тексте
 
 ТЕКСТ СТАТЬИ (файл "${fileName}"):
-${content.substring(0, 4000)}
+${text}
 
-Ответь ТОЛЬКО JSON: {"title": "полное название", "author": "Фамилия И.О."}`;
+Ответь ТОЛЬКО JSON (языки: ru, kk, en; отсутствующие языки не указывай):
+{"title": "название на языке статьи", "titles": {"ru": "..."}, "authors": [{"surname": "Фамилия", "givenNames": "И.О.", "email": "", "orcid": "", "affiliations": [0]}], "affiliations": ["Университет, город, страна"], "abstracts": {"ru": "..."}, "keywords": {"ru": ["..."]}}`;
 
   const fallback = {
     title: fileName.replace('.docx', '').replace(/_/g, ' '),
-    author: 'Автор не указан'
+    author: 'Автор не указан',
+    metadata: null
   };
 
   try {
-    const response = await makeAIRequest(prompt, 800, 'metadata');
-    const metadata = safeJsonParse(response, fallback);
-
-    let author = metadata.author;
-    if (!author || author === 'null' || author === 'Не указан' || !author.trim()) {
-      author = fallback.author;
-    }
-    author = author.trim().replace(/,\s*$/, '').replace(/\s+/g, ' ');
+    const response = await makeAIRequest(prompt, 3000, 'metadata');
+    const extracted = safeJsonParse(response, {});
+    // Classification codes and references are parsed, not asked from the model
+    const metadata = normalizeArticleMetadata({
+      ...extracted,
+      ...extractClassificationCodes(content),
+      references: extractReferences(content)
+    });
 
     const result = {
-      title: metadata.title || fallback.title,
-      author
+      title: extracted.title || Object.values(metadata.titles)[0] || fallback.title,
+      author: formatAuthorsLine(metadata) || fallback.author,
+      metadata
     };
 
     setCache(cacheKey, result);
@@ -1365,17 +1386,18 @@ ${content.substring(0, 4000)}
  * Detect article section
  */
 export const detectSection = async (content, title) => {
-  const cacheKey = generateCacheKey('section', content, title);
+  const cacheKey = generateCacheKey('section', content, `${title}:${sectionsCacheKey()}`);
   const cached = getCached(cacheKey);
   if (cached) return cached;
 
+  const codeMatch = detectSectionFromCodes(content);
+  if (codeMatch) return { ...codeMatch, needsReview: false };
+
   const prompt = `## ЗАДАЧА
 Определи раздел журнала для научной статьи.
 
 ## РАЗДЕЛЫ (выбери ОДИН):
-1. ТЕХНИЧЕСКИЕ НАУКИ — IT, инженерия, программирование, строительство
-2. ПЕДАГОГИЧЕСКИЕ НАУКИ — образование, методика преподавания, дидактика
-3. ЕСТЕСТВЕННЫЕ И ЭКОНОМИЧЕСКИЕ НАУКИ — физика, химия, биология, экономика
+${buildSectionsPrompt()}
 
 ## НАЗВАНИЕ: "${title}"
 ## ТЕКСТ:
@@ -1809,12 +1831,13 @@ ${textToReview}
  * Retry classification
  */
 export const retryClassification = async (content, title, maxRetries = 3) => {
+  const codeMatch = detectSectionFromCodes(content);
+  if (codeMatch) return { ...codeMatch, needsReview: false };
+
   const prompt = `Ты - ГЛАВНЫЙ ЭКСПЕРТ по классификации научных публикаций.
 
 ## РАЗДЕЛЫ:
-1. ТЕХНИЧЕСКИЕ НАУКИ — IT, программирование, инженерия, строительство
-2. ПЕДАГОГИЧЕСКИЕ НАУКИ — методика преподавания, образование, педагогика
-3. ЕСТЕСТВЕННЫЕ И ЭКОНОМИЧЕСКИЕ НАУКИ — физика, химия, биология, экономика
+${buildSectionsPrompt()}
 
 ## НАЗВАНИЕ: "${title}"
 ## ТЕКСТ:
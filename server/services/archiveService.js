@@ -11,13 +11,13 @@ import { query } from '../db/config.js';
  * @returns {Promise<Object>} Created issue
  */
 export async function createArchiveIssue(issueData) {
-  const { issueNumber, year, month, title, articleCount, pdfFilename, pdfData, metadata } = issueData;
+  const { issueNumber, year, month, title, articleCount, pdfFilename, pdfData, metadata, pageMap } = issueData;
 
   const result = await query(
-    `INSERT INTO archive_issues (issue_number, year, month, title, article_count, pdf_filename, pdf_data, metadata)
-     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-     RETURNING id, issue_number, year, month, title, article_count, pdf_filename, metadata, created_at`,
-    [issueNumber, year, month, title, articleCount, pdfFilename, pdfData, JSON.stringify(metadata || {})]
+    `INSERT INTO archive_issues (issue_number, year, month, title, article_count, pdf_filename, pdf_data, metadata, page_map)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING id, issue_number, year, month, title, article_count, pdf_filename, metadata, page_map, created_at`,
+    [issueNumber, year, month, title, articleCount, pdfFilename, pdfData, JSON.stringify(metadata || {}), JSON.stringify(pageMap || [])]
   );
 
   return result.rows[0];
@@ -29,7 +29,7 @@ export async function createArchiveIssue(issueData) {
  */
 export async function getAllArchiveIssues() {
   const result = await query(
-    `SELECT id, issue_number, year, month, title, article_count, pdf_filename, metadata, created_at
+    `SELECT id, issue_number, year, month, title, article_count, pdf_filename, metadata, page_map, created_at
      FROM archive_issues
      ORDER BY year DESC, month DESC, created_at DESC`
   );
@@ -68,7 +68,7 @@ export async function getArchiveByYearMonth() {
  */
 export async function getArchiveIssue(issueId) {
   const result = await query(
-    `SELECT id, issue_number, year, month, title, article_count, pdf_filename, metadata, created_at
+    `SELECT id, issue_number, year, month, title, article_count, pdf_filename, metadata, page_map, created_at
      FROM archive_issues
      WHERE id = $1`,
     [issueId]
@@ -77,6 +77,27 @@ export async function getArchiveIssue(issueId) {
   return result.rows[0] || null;
 }
 
+/**
+ * Find an archive issue by year and issue number
+ * Issues without a number are found by their month
+ * @param {number} year - Year
+ * @param {string} issue - Issue number or month
+ * @returns {Promise<Object|null>} - The latest matching issue
+ */
+export async function findArchiveIssue(year, issue) {
+  const month = /^\d{1,2}$/.test(issue) ? parseInt(issue) : null;
+  const result = await query(
+    `SELECT id, issue_number, year, month, title, article_count, pdf_filename, metadata, page_map, created_at
+     FROM archive_issues
+     WHERE year = $1 AND (issue_number = $2 OR (COALESCE(issue_number, '') = '' AND month = $3))
+     ORDER BY created_at DESC
+     LIMIT 1`,
+    [year, issue, month]
+  );
+
+  return result.rows[0] || null;
+}
+
 /**
  * Get archive issue PDF data
  * @param {number} issueId - Issue ID
@@ -141,7 +162,7 @@ export async function updateArchiveIssue(issueId, updates) {
     `UPDATE archive_issues
      SET ${setClauses.join(', ')}
      WHERE id = $1
-     RETURNING id, issue_number, year, month, title, article_count, pdf_filename, metadata, created_at`,
+     RETURNING id, issue_number, year, month, title, article_count, pdf_filename, metadata, page_map, created_at`,
     values
   );
 
@@ -183,6 +204,7 @@ export default {
   getAllArchiveIssues,
   getArchiveByYearMonth,
   getArchiveIssue,
+  findArchiveIssue,
   getArchiveIssuePdf,
   deleteArchiveIssue,
   updateArchiveIssue,
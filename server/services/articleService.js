@@ -1,9 +1,123 @@
 /**
  * Article Service
  * Manages articles in database
+ * Structured metadata (see shared/articleMetadata.js) is kept in article_authors, article_affiliations
+ * and the multilingual, classification code, reference list and Latin title columns of articles; it is returned as article.metadata
  */
 
 import { query, getClient } from '../db/config.js';
+import { normalizeArticleMetadata, formatAuthorsLine } from '../../shared/articleMetadata.js';
+
+const ARTICLE_COLUMNS = `id, session_id, filename, title, author, section, content, keywords, language,
+  titles, abstracts, keywords_by_language, udc, grnti, reference_list, latin_title, created_at, updated_at`;
+
+/**
+ * Write the metadata of an article, replacing its authors and affiliations
+ * The author field is updated to the co-author list
+ * @param {Object} client - Database client (inside a transaction)
+ * @param {number} articleId - Article ID
+ * @param {Object} metadata - Metadata
+ */
+async function writeMetadata(client, articleId, metadata) {
+  const { titles, abstracts, keywords, authors, affiliations, udc, grnti, references, latinTitle } = normalizeArticleMetadata(metadata);
+
+  await client.query(
+    `UPDATE articles
+     SET titles = $2, abstracts = $3, keywords_by_language = $4, author = COALESCE(NULLIF($5, ''), author),
+       udc = $6, grnti = $7, reference_list = $8, latin_title = $9
+     WHERE id = $1`,
+    [
+      articleId, JSON.stringify(titles), JSON.stringify(abstracts), JSON.stringify(keywords),
+      formatAuthorsLine({ authors }), udc, JSON.stringify(grnti), JSON.stringify(references), latinTitle
+    ]
+  );
+  await client.query('DELETE FROM article_authors WHERE article_id = $1', [articleId]);
+  await client.query('DELETE FROM article_affiliations WHERE article_id = $1', [articleId]);
+
+  const affiliationIds = [];
+  for (const [position, name] of affiliations.entries()) {
+    const result = await client.query(
+      'INSERT INTO article_affiliations (article_id, position, name) VALUES ($1, $2, $3) RETURNING id',
+      [articleId, position, name]
+    );
+    affiliationIds.push(result.rows[0].id);
+  }
+
+  for (const [position, author] of authors.entries()) {
+    const result = await client.query(
+      `INSERT INTO article_authors (article_id, position, surname, given_names, latin_surname, latin_given_names, email, orcid)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING id`,
+      [
+        articleId, position, author.surname, author.givenNames,
+        author.latinSurname, author.latinGivenNames, author.email, author.orcid
+      ]
+    );
+    for (const index of author.affiliations) {
+      await client.query(
+        'INSERT INTO article_author_affiliations (author_id, affiliation_id) VALUES ($1, $2)',
+        [result.rows[0].id, affiliationIds[index]]
+      );
+    }
+  }
+}
+
+/**
+ * Attach metadata to article rows
+ * @param {Array<Object>} rows - Article rows (ARTICLE_COLUMNS)
+ * @returns {Promise<Array<Object>>} - Rows with metadata, without the metadata columns
+ */
+async function withMetadata(rows) {
+  if (rows.length === 0) return rows;
+  const ids = rows.map(row => row.id);
+
+  const [affiliationsResult, authorsResult] = await Promise.all([
+    query(
+      'SELECT id, article_id, name FROM article_affiliations WHERE article_id = ANY($1) ORDER BY position',
+      [ids]
+    ),
+    query(
+      `SELECT a.article_id, a.surname, a.given_names, a.latin_surname, a.latin_given_names, a.email, a.orcid,
+         COALESCE(array_agg(aa.affiliation_id) FILTER (WHERE aa.affiliation_id IS NOT NULL), '{}') AS affiliation_ids
+       FROM article_authors a
+       LEFT JOIN article_author_affiliations aa ON aa.author_id = a.id
+       WHERE a.article_id = ANY($1)
+       GROUP BY a.id
+       ORDER BY a.position`,
+      [ids]
+    )
+  ]);
+
+  return rows.map(({ titles, abstracts, keywords_by_language: keywordsByLanguage, udc, grnti, reference_list: references,
+    latin_title: latinTitle, ...row }) => {
+    const affiliations = affiliationsResult.rows.filter(aff => aff.article_id === row.id);
+    const authors = authorsResult.rows
+      .filter(author => author.article_id === row.id)
+      .map(author => ({
+        surname: author.surname,
+        givenNames: author.given_names || '',
+        latinSurname: author.latin_surname || '',
+        latinGivenNames: author.latin_given_names || '',
+        email: author.email || '',
+        orcid: author.orcid || '',
+        affiliations: author.affiliation_ids.map(id => affiliations.findIndex(aff => aff.id === id))
+      }));
+
+    return {
+      ...row,
+      metadata: {
+        titles: titles || {},
+        abstracts: abstracts || {},
+        keywords: keywordsByLanguage || {},
+        authors,
+        affiliations: affiliations.map(aff => aff.name),
+        udc: udc || '',
+        grnti: grnti || [],
+        references: references || [],
+        latinTitle: latinTitle || ''
+      }
+    };
+  });
+}
 
 /**
  * Create a new article
@@ -12,16 +126,8 @@ import { query, getClient } from '../db/config.js';
  * @returns {Promise<Object>} Created article
  */
 export async function createArticle(sessionId, articleData) {
-  const { filename, title, author, section, content, keywords, language, fileData } = articleData;
-
-  const result = await query(
-    `INSERT INTO articles (session_id, filename, title, author, section, content, keywords, language, file_data)
-     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-     RETURNING id, session_id, filename, title, author, section, content, keywords, language, created_at, updated_at`,
-    [sessionId, filename, title, author, section, content, keywords, language || 'ru', fileData]
-  );
-
-  return result.rows[0];
+  const [article] = await createArticles(sessionId, [articleData]);
+  return article;
 }
 
 /**
@@ -38,20 +144,25 @@ export async function createArticles(sessionId, articles) {
     await client.query('BEGIN');
 
     for (const articleData of articles) {
-      const { filename, title, author, section, content, keywords, language, fileData } = articleData;
+      const { filename, title, author, section, content, keywords, language, fileData, metadata } = articleData;
 
       const result = await client.query(
         `INSERT INTO articles (session_id, filename, title, author, section, content, keywords, language, file_data)
          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-         RETURNING id, session_id, filename, title, author, section, content, keywords, language, created_at, updated_at`,
+         RETURNING id`,
         [sessionId, filename, title, author, section, content, keywords, language || 'ru', fileData]
       );
 
-      createdArticles.push(result.rows[0]);
+      const articleId = result.rows[0].id;
+      if (metadata) {
+        await writeMetadata(client, articleId, metadata);
+      }
+      createdArticles.push(articleId);
     }
 
     await client.query('COMMIT');
-    return createdArticles;
+    const created = await query(`SELECT ${ARTICLE_COLUMNS} FROM articles WHERE id = ANY($1) ORDER BY id`, [createdArticles]);
+    return withMetadata(created.rows);
   } catch (error) {
     await client.query('ROLLBACK');
     throw error;
@@ -67,14 +178,14 @@ export async function createArticles(sessionId, articles) {
  */
 export async function getArticles(sessionId) {
   const result = await query(
-    `SELECT id, session_id, filename, title, author, section, content, keywords, language, created_at, updated_at
+    `SELECT ${ARTICLE_COLUMNS}
      FROM articles
      WHERE session_id = $1
      ORDER BY created_at ASC`,
     [sessionId]
   );
 
-  return result.rows;
+  return withMetadata(result.rows);
 }
 
 /**
@@ -85,11 +196,13 @@ export async function getArticles(sessionId) {
  */
 export async function getArticle(articleId, sessionId) {
   const result = await query(
-    `SELECT * FROM articles WHERE id = $1 AND session_id = $2`,
+    `SELECT ${ARTICLE_COLUMNS}, file_data FROM articles WHERE id = $1 AND session_id = $2`,
     [articleId, sessionId]
   );
 
-  return result.rows[0] || null;
+  if (result.rows.length === 0) return null;
+  const [article] = await withMetadata(result.rows);
+  return article;
 }
 
 /**
@@ -141,11 +254,47 @@ export async function updateArticle(articleId, sessionId, updates) {
     `UPDATE articles
      SET ${setClauses.join(', ')}
      WHERE id = $1 AND session_id = $2
-     RETURNING id, session_id, filename, title, author, section, content, keywords, language, created_at, updated_at`,
+     RETURNING ${ARTICLE_COLUMNS}`,
     values
   );
 
-  return result.rows[0];
+  return result.rows.length > 0 ? (await withMetadata(result.rows))[0] : null;
+}
+
+/**
+ * Replace the structured metadata of an article (co-authors, affiliations, multilingual fields)
+ * @param {number} articleId - Article ID
+ * @param {string} sessionId - Session ID
+ * @param {Object} metadata - Metadata (see shared/articleMetadata.js)
+ * @returns {Promise<Object|null>} Updated article, or null if not found
+ */
+export async function saveArticleMetadata(articleId, sessionId, metadata) {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const found = await client.query(
+      'SELECT id FROM articles WHERE id = $1 AND session_id = $2 FOR UPDATE',
+      [articleId, sessionId]
+    );
+    if (found.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    await writeMetadata(client, articleId, metadata);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  const result = await query(`SELECT ${ARTICLE_COLUMNS} FROM articles WHERE id = $1`, [articleId]);
+  const [article] = await withMetadata(result.rows);
+  return article;
 }
 
 /**
@@ -198,6 +347,7 @@ export default {
   getArticle,
   getArticleFile,
   updateArticle,
+  saveArticleMetadata,
   deleteArticle,
   deleteAllArticles,
   getArticleCount
@@ -0,0 +1,226 @@
+/**
+ * Citation Service
+ * Citations of archived articles from the issue page map: GOST R 7.0.5-2008, APA 7,
+ * BibTeX and RIS (reference managers import the last two)
+ */
+
+import { splitAuthors, splitPersonName, toInitials } from '../../shared/authors.js';
+
+export const CITATION_FORMATS = ['gost', 'apa', 'bibtex', 'ris'];
+
+// Download file of all citations of an issue, per format
+const CITATION_FILES = {
+  gost: { extension: 'txt', contentType: 'text/plain; charset=utf-8' },
+  apa: { extension: 'txt', contentType: 'text/plain; charset=utf-8' },
+  bibtex: { extension: 'bib', contentType: 'application/x-bibtex; charset=utf-8' },
+  ris: { extension: 'ris', contentType: 'application/x-research-info-systems; charset=utf-8' }
+};
+
+// GOST lists up to this many authors before the title
+const GOST_HEADING_AUTHORS = 3;
+
+/**
+ * Page range of an article
+ * @param {Object} article - Page map entry {firstPage, lastPage}
+ * @param {string} dash - Range separator
+ * @returns {string}
+ */
+function formatPages(article, dash) {
+  return article.firstPage === article.lastPage
+    ? `${article.firstPage}`
+    : `${article.firstPage}${dash}${article.lastPage}`;
+}
+
+/**
+ * Format a GOST R 7.0.5-2008 citation
+ * Up to three authors head the citation; with more, the title comes first and the authors
+ * follow the slash (the first three and "[и др.]" / "[et al.]" for five and more)
+ * @param {Object} article - Page map entry
+ * @param {Object} issue - Archive issue
+ * @param {Object} profile - Journal profile
+ * @returns {string}
+ */
+function formatGost(article, issue, profile) {
+  const authors = splitAuthors(article.author);
+  let heading;
+  if (authors.length <= GOST_HEADING_AUTHORS) {
+    heading = [authors.join(', '), article.title].filter(Boolean).join(' ');
+  } else {
+    const listed = authors.length === 4 ? authors : authors.slice(0, GOST_HEADING_AUTHORS);
+    const names = listed.map(name => {
+      const { surname, givenNames } = splitPersonName(name);
+      return [givenNames, surname].filter(Boolean).join(' ');
+    });
+    const others = /[а-яёәғқңөұүһі]/i.test(article.title) ? ' [и др.]' : ' [et al.]';
+    heading = `${article.title} / ${names.join(', ')}${authors.length > 4 ? others : ''}`;
+  }
+
+  return [
+    `${heading} // ${profile.title}`,
+    issue.year,
+    issue.issue_number ? `№ ${issue.issue_number}` : null,
+    `С. ${formatPages(article, '–')}`,
+    article.doi ? `DOI: ${article.doi}` : null
+  ].filter(Boolean).join('. – ') + '.';
+}
+
+/**
+ * Format an APA 7 citation
+ * @param {Object} article - Page map entry
+ * @param {Object} issue - Archive issue
+ * @param {Object} profile - Journal profile
+ * @returns {string}
+ */
+function formatApa(article, issue, profile) {
+  const names = splitAuthors(article.author).map(name => {
+    const { surname, givenNames } = splitPersonName(name);
+    return givenNames ? `${surname}, ${toInitials(givenNames)}` : surname;
+  });
+  const authors = names.length > 1
+    ? `${names.slice(0, -1).join(', ')}, & ${names[names.length - 1]}`
+    : names.join('');
+  const title = /[.?!]$/.test(article.title) ? article.title : `${article.title}.`;
+  const source = issue.issue_number ? `${profile.title}, (${issue.issue_number})` : profile.title;
+
+  return [
+    authors ? `${authors} (${issue.year}).` : null,
+    title,
+    authors ? null : `(${issue.year}).`,
+    `${source}, ${formatPages(article, '–')}.`,
+    article.doi ? `https://doi.org/${article.doi}` : null
+  ].filter(Boolean).join(' ');
+}
+
+/**
+ * Escape BibTeX special characters
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function escapeBibtex(text) {
+  return String(text ?? '').replace(/[{}]/g, '').replace(/([&%$#_])/g, '\\$1');
+}
+
+/**
+ * Format a BibTeX entry
+ * @param {Object} article - Page map entry
+ * @param {Object} issue - Archive issue
+ * @param {Object} profile - Journal profile
+ * @returns {string}
+ */
+function formatBibtex(article, issue, profile) {
+  const key = `article${issue.year}_${issue.issue_number || issue.month}_${article.n}`.replace(/[^\w]/g, '');
+  const authors = splitAuthors(article.author).map(name => {
+    const { surname, givenNames } = splitPersonName(name);
+    return givenNames ? `${surname}, ${givenNames}` : surname;
+  });
+  const fields = [
+    ['author', authors.join(' and ')],
+    ['title', `{${escapeBibtex(article.title)}}`],
+    ['journal', profile.title],
+    ['year', issue.year],
+    ['number', issue.issue_number],
+    ['pages', formatPages(article, '--')],
+    ['issn', profile.issn],
+    ['doi', article.doi]
+  ].filter(([, value]) => value);
+
+  const body = fields
+    .map(([name, value]) => `  ${name} = {${name === 'title' ? value : escapeBibtex(value)}}`)
+    .join(',\n');
+  return `@article{${key},\n${body}\n}`;
+}
+
+/**
+ * Format a RIS record
+ * @param {Object} article - Page map entry
+ * @param {Object} issue - Archive issue
+ * @param {Object} profile - Journal profile
+ * @returns {string}
+ */
+function formatRis(article, issue, profile) {
+  const tags = [
+    ['TY', 'JOUR'],
+    ...splitAuthors(article.author).map(name => {
+      const { surname, givenNames } = splitPersonName(name);
+      return ['AU', givenNames ? `${surname}, ${givenNames}` : surname];
+    }),
+    ['TI', article.title],
+    ['T2', profile.title],
+    ['J2', profile.name],
+    ['PY', issue.year],
+    ['IS', issue.issue_number],
+    ['SP', article.firstPage],
+    ['EP', article.lastPage],
+    ['SN', profile.issn],
+    ['DO', article.doi],
+    ['ER', '']
+  ].filter(([tag, value]) => tag === 'ER' || value);
+
+  return tags.map(([tag, value]) => `${tag}  - ${value}`).join('\r\n');
+}
+
+const FORMATTERS = {
+  gost: formatGost,
+  apa: formatApa,
+  bibtex: formatBibtex,
+  ris: formatRis
+};
+
+/**
+ * Format the citation of an article in an archived issue
+ * @param {string} format - One of CITATION_FORMATS
+ * @param {Object} article - Page map entry {n, title, author, doi, firstPage, lastPage}
+ * @param {Object} issue - Archive issue {year, month, issue_number}
+ * @param {Object} profile - Journal profile (title, name, issn)
+ * @returns {string}
+ */
+export function formatCitation(format, article, issue, profile) {
+  const formatter = FORMATTERS[format];
+  if (!formatter) {
+    throw new Error(`Unknown citation format: ${format}`);
+  }
+  return formatter(article, issue, profile);
+}
+
+/**
+ * Citations of every article in an archived issue
+ * @param {string} format - One of CITATION_FORMATS
+ * @param {Object} issue - Archive issue with page_map
+ * @param {Object} profile - Journal profile
+ * @returns {Array<{n: number, title: string, author: string, firstPage: number, lastPage: number, citation: string}>}
+ */
+export function buildIssueCitations(format, issue, profile) {
+  return (issue.page_map || []).map(article => ({
+    n: article.n,
+    title: article.title,
+    author: article.author,
+    firstPage: article.firstPage,
+    lastPage: article.lastPage,
+    citation: formatCitation(format, article, issue, profile)
+  }));
+}
+
+/**
+ * File with the citations of an issue (BibTeX/RIS for reference managers, text otherwise)
+ * @param {string} format - One of CITATION_FORMATS
+ * @param {Array<{citation: string}>} citations - Issue citations
+ * @param {Object} issue - Archive issue {id}
+ * @returns {{content: string, filename: string, contentType: string}}
+ */
+export function buildCitationsFile(format, citations, issue) {
+  const { extension, contentType } = CITATION_FILES[format];
+  const separator = format === 'ris' ? '\r\n\r\n' : '\n\n';
+
+  return {
+    content: citations.map(item => item.citation).join(separator) + '\n',
+    filename: `issue-${issue.id}-citations-${format}.${extension}`,
+    contentType
+  };
+}
+
+export default {
+  CITATION_FORMATS,
+  formatCitation,
+  buildIssueCitations,
+  buildCitationsFile
+};
@@ -0,0 +1,200 @@
+/**
+ * Conversion Service
+ * DOCX -> PDF conversion with a bounded pool of LibreOffice workers and a PDF cache
+ * - Each worker has its own LibreOffice user profile, so conversions can run
+ *   concurrently (soffice refuses to share a profile between processes)
+ * - Converted PDFs are cached by the SHA-256 of the source file, so unchanged
+ *   documents are not converted again when an issue is regenerated
+ */
+
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import { createHash } from 'crypto';
+import os from 'os';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { v4 as uuidv4 } from 'uuid';
+
+const execAsync = promisify(exec);
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Number of concurrent LibreOffice processes (each needs ~200-300 MB of memory)
+const WORKER_COUNT = Math.max(1, parseInt(process.env.LIBREOFFICE_WORKERS) || Math.min(2, os.cpus().length));
+
+const PROFILES_DIR = path.join(os.tmpdir(), 'ai-redactor-libreoffice');
+const CACHE_DIR = process.env.PDF_CACHE_DIR || path.join(__dirname, '..', 'cache', 'pdf');
+
+// Cached PDFs not used for this long are removed
+const CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const CONVERSION_TIMEOUT_MS = 60000;
+
+const idleWorkers = Array.from({ length: WORKER_COUNT }, (_, i) => i);
+const waitingForWorker = [];
+
+// Conversions in progress by content hash (the same file uploaded twice is converted once)
+const pendingConversions = new Map();
+
+/**
+ * Wait for a free worker
+ * @returns {Promise<number>} Worker number
+ */
+function acquireWorker() {
+  if (idleWorkers.length > 0) {
+    return Promise.resolve(idleWorkers.pop());
+  }
+  return new Promise(resolve => waitingForWorker.push(resolve));
+}
+
+/**
+ * Return worker to the pool (or hand it to the next waiting conversion)
+ * @param {number} worker - Worker number
+ */
+function releaseWorker(worker) {
+  const next = waitingForWorker.shift();
+  if (next) {
+    next(worker);
+  } else {
+    idleWorkers.push(worker);
+  }
+}
+
+/**
+ * Compute SHA-256 of a file
+ * @param {string} filePath - File path
+ * @returns {Promise<string>} Hex digest
+ */
+async function hashFile(filePath) {
+  const buffer = await fs.readFile(filePath);
+  return createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Run LibreOffice on a worker with its own user profile
+ * @param {string} inputPath - Path to input DOCX file
+ * @param {string} outputDir - Directory for output PDF
+ * @returns {Promise<string>} - Path to generated PDF
+ */
+async function runLibreOffice(inputPath, outputDir) {
+  const libreOfficeCmd = process.platform === 'win32' ? 'soffice' : 'libreoffice';
+  const worker = await acquireWorker();
+
+  try {
+    const profileUrl = pathToFileURL(path.join(PROFILES_DIR, `worker-${worker}`)).href;
+    const command = `${libreOfficeCmd} -env:UserInstallation=${profileUrl} --headless --convert-to pdf --outdir "${outputDir}" "${inputPath}"`;
+
+    console.log(`Converting (worker ${worker}): ${inputPath}`);
+    console.log(`Command: ${command}`);
+
+    const { stdout, stderr } = await execAsync(command, { timeout: CONVERSION_TIMEOUT_MS });
+    console.log('LibreOffice output:', stdout);
+    if (stderr) console.log('LibreOffice stderr:', stderr);
+
+    // Get output PDF path
+    const baseName = path.basename(inputPath, path.extname(inputPath));
+    const pdfPath = path.join(outputDir, `${baseName}.pdf`);
+
+    // Verify PDF was created
+    await fs.access(pdfPath);
+    return pdfPath;
+  } finally {
+    releaseWorker(worker);
+  }
+}
+
+/**
+ * Convert a file and store the PDF in the cache
+ * @param {string} inputPath - Path to input DOCX file
+ * @param {string} cachedPath - Cache file path
+ */
+async function convertToCache(inputPath, cachedPath) {
+  // Convert in a private directory: concurrent conversions may have the same file name
+  const tempDir = path.join(CACHE_DIR, `tmp-${uuidv4()}`);
+  await fs.mkdir(tempDir, { recursive: true });
+
+  try {
+    const pdfPath = await runLibreOffice(inputPath, tempDir);
+    await fs.rename(pdfPath, cachedPath);
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Convert DOCX to PDF using LibreOffice (cached by file content)
+ * @param {string} inputPath - Path to input DOCX file
+ * @param {string} outputDir - Directory for output PDF
+ * @returns {Promise<string>} - Path to generated PDF (<outputDir>/<input name>.pdf)
+ */
+export async function convertDocxToPdf(inputPath, outputDir) {
+  const baseName = path.basename(inputPath, path.extname(inputPath));
+  const pdfPath = path.join(outputDir, `${baseName}.pdf`);
+
+  try {
+    await fs.mkdir(CACHE_DIR, { recursive: true });
+    const hash = await hashFile(inputPath);
+    const cachedPath = path.join(CACHE_DIR, `${hash}.pdf`);
+
+    const isCached = await fs.access(cachedPath).then(() => true, () => false);
+    if (isCached) {
+      console.log(`Using cached PDF for: ${inputPath}`);
+      const now = new Date();
+      await fs.utimes(cachedPath, now, now).catch(() => {});
+    } else {
+      if (!pendingConversions.has(hash)) {
+        pendingConversions.set(hash, convertToCache(inputPath, cachedPath)
+          .finally(() => pendingConversions.delete(hash)));
+      }
+      await pendingConversions.get(hash);
+    }
+
+    await fs.copyFile(cachedPath, pdfPath);
+    return pdfPath;
+  } catch (error) {
+    console.error('LibreOffice conversion error:', error);
+    throw new Error(`Conversion failed: ${error.message}`);
+  }
+}
+
+/**
+ * Remove cached PDFs not used within the TTL (and leftovers of interrupted conversions)
+ */
+export async function cleanupConversionCache() {
+  try {
+    const entries = await fs.readdir(CACHE_DIR, { withFileTypes: true });
+    const expiresBefore = Date.now() - CACHE_TTL_MS;
+    const oneHourAgo = Date.now() - (60 * 60 * 1000);
+
+    for (const entry of entries) {
+      const entryPath = path.join(CACHE_DIR, entry.name);
+      const stats = await fs.stat(entryPath);
+
+      if (entry.isDirectory() ? stats.mtimeMs < oneHourAgo : stats.mtimeMs < expiresBefore) {
+        await fs.rm(entryPath, { recursive: true, force: true });
+      }
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Conversion cache cleanup error:', error);
+    }
+  }
+}
+
+/**
+ * Get conversion pool status (for health check)
+ * @returns {{workers: number, busy: number, queued: number}}
+ */
+export function getPoolStatus() {
+  return {
+    workers: WORKER_COUNT,
+    busy: WORKER_COUNT - idleWorkers.length,
+    queued: waitingForWorker.length
+  };
+}
+
+export default {
+  convertDocxToPdf,
+  cleanupConversionCache,
+  getPoolStatus
+};
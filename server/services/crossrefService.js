@@ -0,0 +1,197 @@
+/**
+ * Crossref Service
+ * Deposit XML (schema 5.3.1) for an archived issue: journal, issue and one journal_article
+ * per page map entry with contributors (affiliations and ORCID when archived), pages, the DOI from the profile pattern
+ * and the citation list from the archived references
+ * The file is uploaded to Crossref manually
+ */
+
+import { splitAuthors, splitPersonName } from '../../shared/authors.js';
+import { formatArticleDoi, formatDoiResourceUrl } from '../../shared/journalProfile.js';
+import { isValidOrcid } from '../../shared/articleMetadata.js';
+
+const SCHEMA_VERSION = '5.3.1';
+const ISSN_PATTERN = /^\d{4}-\d{3}[\dX]$/;
+
+/**
+ * Escape text for XML
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Resolve the DOI and landing page of each article
+ * DOIs printed at generation are kept; older page maps get them from the current pattern
+ * @param {Object} issue - Archive issue {year, month}
+ * @param {Array<Object>} pageMap - Page map of the issue
+ * @param {Object} profile - Journal profile
+ * @returns {Array<Object>} - Page map entries with doi and resourceUrl
+ */
+function resolveArticleDois(issue, pageMap, profile) {
+  return pageMap.map(article => {
+    const values = { year: issue.year, month: issue.month, n: article.n };
+    const doi = article.doi || formatArticleDoi(profile, values);
+    return { ...article, doi, resourceUrl: formatDoiResourceUrl(profile, { ...values, doi }) };
+  });
+}
+
+/**
+ * Find what prevents a deposit (Crossref rejects batches without these)
+ * @param {Object} issue - Archive issue
+ * @param {Array<Object>} pageMap - Page map of the issue
+ * @param {Object} profile - Journal profile
+ * @returns {string[]} - Problems (empty if the deposit can be built)
+ */
+export function validateCrossrefDeposit(issue, pageMap, profile) {
+  const problems = [];
+
+  if (!profile.doi.pattern) problems.push('В профиле журнала не задан шаблон DOI');
+  if (!profile.doi.resourceUrl) problems.push('В профиле журнала не задан адрес страницы статьи (resource URL)');
+  if (!profile.doi.depositorName || !profile.doi.depositorEmail) {
+    problems.push('В профиле журнала не указаны имя и e-mail депозитора Crossref');
+  }
+  if (!ISSN_PATTERN.test(profile.issn || '')) problems.push('ISSN журнала не указан или имеет неверный формат (NNNN-NNNN)');
+  if (!pageMap?.length) problems.push('У выпуска нет карты страниц статей');
+
+  return problems;
+}
+
+/**
+ * Build the contributors element of an article
+ * Authors archived with structured metadata also get their affiliations and ORCID iDs
+ * @param {Object} article - Page map entry {n, author}
+ * @param {Object} issue - Archive issue (metadata.articles)
+ * @returns {string}
+ */
+function buildContributors(article, issue) {
+  const frontMatter = issue.metadata?.articles?.find(entry => entry.n === article.n);
+  const authors = frontMatter?.authors?.length > 0
+    ? frontMatter.authors
+    : splitAuthors(article.author).map(name => ({ ...splitPersonName(name), affiliations: [] }));
+
+  const people = authors.map((author, i) => {
+    const institutions = author.affiliations
+      .map(index => frontMatter.affiliations[index])
+      .filter(Boolean)
+      .map(name => `              <institution><institution_name>${escapeXml(name)}</institution_name></institution>\n`);
+    return `          <person_name sequence="${i === 0 ? 'first' : 'additional'}" contributor_role="author">\n`
+      + (author.givenNames ? `            <given_name>${escapeXml(author.givenNames)}</given_name>\n` : '')
+      + `            <surname>${escapeXml(author.surname)}</surname>\n`
+      + (institutions.length > 0 ? `            <affiliations>\n${institutions.join('')}            </affiliations>\n` : '')
+      + (isValidOrcid(author.orcid) ? `            <ORCID>https://orcid.org/${author.orcid}</ORCID>\n` : '')
+      + '          </person_name>';
+  });
+  return people.length > 0 ? `        <contributors>\n${people.join('\n')}\n        </contributors>\n` : '';
+}
+
+/**
+ * Build the citation_list element of an article from its archived references
+ * Parsed fields go in schema order next to the citation as printed
+ * @param {Object} article - Page map entry {n}
+ * @param {Object} issue - Archive issue (metadata.articles)
+ * @returns {string}
+ */
+function buildCitations(article, issue) {
+  const references = issue.metadata?.articles?.find(entry => entry.n === article.n)?.references || [];
+
+  const citations = references.map((reference, i) => {
+    const [firstPage] = reference.pages.split('-');
+    const fields = [
+      reference.source ? `<journal_title>${escapeXml(reference.source)}</journal_title>` : null,
+      reference.authors[0] ? `<author>${escapeXml(reference.authors[0].surname)}</author>` : null,
+      firstPage ? `<first_page>${escapeXml(firstPage)}</first_page>` : null,
+      reference.year ? `<cYear>${escapeXml(reference.year)}</cYear>` : null,
+      reference.doi ? `<doi>${escapeXml(reference.doi)}</doi>` : null,
+      reference.title ? `<article_title>${escapeXml(reference.title)}</article_title>` : null,
+      `<unstructured_citation>${escapeXml(reference.text)}</unstructured_citation>`
+    ].filter(Boolean);
+    return [
+      `          <citation key="ref${i + 1}">`,
+      ...fields.map(field => `            ${field}`),
+      '          </citation>'
+    ].join('\n');
+  });
+  return citations.length > 0 ? `        <citation_list>\n${citations.join('\n')}\n        </citation_list>` : null;
+}
+
+/**
+ * Build a Crossref deposit batch for an archived issue
+ * @param {Object} issue - Archive issue {id, year, month, issue_number}
+ * @param {Array<Object>} pageMap - Page map of the issue
+ * @param {Object} profile - Journal profile
+ * @param {Object} [options]
+ * @param {Date} [options.date] - Batch time (timestamp and batch ID)
+ * @returns {string} - Deposit XML
+ * @throws {Error} - With the validation problems when the deposit cannot be built
+ */
+export function buildCrossrefDeposit(issue, pageMap, profile, { date = new Date() } = {}) {
+  const problems = validateCrossrefDeposit(issue, pageMap, profile);
+  if (problems.length > 0) {
+    const error = new Error(problems.join('; '));
+    error.problems = problems;
+    throw error;
+  }
+
+  const timestamp = date.toISOString().replace(/\D/g, '').slice(0, 14);
+  const publicationDate = [
+    '        <publication_date media_type="print">',
+    `          <month>${String(issue.month).padStart(2, '0')}</month>`,
+    `          <year>${issue.year}</year>`,
+    '        </publication_date>'
+  ].join('\n');
+
+  const articles = resolveArticleDois(issue, pageMap, profile).map(article => [
+    '      <journal_article publication_type="full_text">',
+    `        <titles>\n          <title>${escapeXml(article.title)}</title>\n        </titles>`,
+    buildContributors(article, issue).trimEnd(),
+    publicationDate,
+    `        <pages>\n          <first_page>${article.firstPage}</first_page>\n          <last_page>${article.lastPage}</last_page>\n        </pages>`,
+    `        <doi_data>\n          <doi>${escapeXml(article.doi)}</doi>\n          <resource>${escapeXml(article.resourceUrl)}</resource>\n        </doi_data>`,
+    buildCitations(article, issue),
+    '      </journal_article>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<doi_batch version="${SCHEMA_VERSION}" xmlns="http://www.crossref.org/schema/${SCHEMA_VERSION}"`
+      + ' xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"'
+      + ` xsi:schemaLocation="http://www.crossref.org/schema/${SCHEMA_VERSION} https://www.crossref.org/schemas/crossref${SCHEMA_VERSION}.xsd">`,
+    '  <head>',
+    `    <doi_batch_id>issue-${issue.id}-${timestamp}</doi_batch_id>`,
+    `    <timestamp>${timestamp}</timestamp>`,
+    '    <depositor>',
+    `      <depositor_name>${escapeXml(profile.doi.depositorName)}</depositor_name>`,
+    `      <email_address>${escapeXml(profile.doi.depositorEmail)}</email_address>`,
+    '    </depositor>',
+    `    <registrant>${escapeXml(profile.doi.registrant || profile.doi.depositorName)}</registrant>`,
+    '  </head>',
+    '  <body>',
+    '    <journal>',
+    '      <journal_metadata>',
+    `        <full_title>${escapeXml(profile.title)}</full_title>`,
+    `        <abbrev_title>${escapeXml(profile.name)}</abbrev_title>`,
+    `        <issn media_type="print">${escapeXml(profile.issn)}</issn>`,
+    '      </journal_metadata>',
+    '      <journal_issue>',
+    publicationDate,
+    issue.issue_number ? `        <issue>${escapeXml(issue.issue_number)}</issue>` : null,
+    '      </journal_issue>',
+    ...articles,
+    '    </journal>',
+    '  </body>',
+    '</doi_batch>',
+    ''
+  ].filter(line => line !== null).join('\n');
+}
+
+export default {
+  validateCrossrefDeposit,
+  buildCrossrefDeposit
+};
@@ -0,0 +1,333 @@
+/**
+ * eLibrary Service
+ * Article metadata of an archived issue in the eLibrary.ru (RINC) Articulus XML format:
+ * titles, abstracts and keywords in ru/en/kk, authors with affiliations, UDC, references and pages
+ * RINC rejects articles without the required fields, so the export also reports what is missing per article
+ */
+
+import { splitAuthors, splitPersonName, toInitials } from '../../shared/authors.js';
+import { FRONT_MATTER_LANGUAGES } from '../../shared/frontMatter.js';
+import { getSectionTitle } from '../../shared/journalProfile.js';
+import { getOffprintFilename } from './offprintService.js';
+
+// Articulus language codes
+const LANGUAGE_CODES = { ru: 'RUS', kk: 'KAZ', en: 'ENG' };
+
+// Research article (RAR) is the only type the archive distinguishes
+const ARTICLE_TYPE = 'RAR';
+
+const ISSN_PATTERN = /^\d{4}-\d{3}[\dX]$/;
+const CYRILLIC_PATTERN = /[а-яёәғқңөұүһі]/i;
+
+/**
+ * Escape text for XML
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Indent XML lines
+ * @param {string[]} lines - Lines
+ * @param {number} depth - Indent in steps of two spaces
+ * @returns {string[]}
+ */
+function indent(lines, depth) {
+  const prefix = '  '.repeat(depth);
+  return lines.map(line => prefix + line);
+}
+
+/**
+ * Metadata of an article: the page map entry and the front matter archived with the issue
+ * Titles are in the article language unless the front matter has translations
+ * @param {Object} issue - Archive issue with page_map and metadata
+ * @returns {Array<Object>} - {n, title, author, section, doi, firstPage, lastPage, language,
+ *   titles, abstracts, keywords, authors, affiliations, udc, references}
+ */
+function getIssueArticles(issue) {
+  const frontMatter = issue.metadata?.articles || [];
+  return (issue.page_map || []).map(article => {
+    const front = frontMatter.find(item => item.n === article.n) || {};
+    const language = LANGUAGE_CODES[front.language] ? front.language : 'ru';
+    return {
+      ...article,
+      language,
+      titles: { [language]: article.title, ...(front.titles || {}) },
+      abstracts: front.abstracts || {},
+      keywords: front.keywords || {},
+      affiliations: front.affiliations || [],
+      authors: front.authors || [],
+      udc: front.udc || '',
+      references: front.references || []
+    };
+  });
+}
+
+/**
+ * Authors of an article with the name in its script, organisations and contacts
+ * Structured authors carry their affiliations and the Latin form of a Cyrillic name; for issues archived
+ * without them the author field is split and affiliations are matched by position when there is one
+ * per author, otherwise every author gets all
+ * @param {Object} article - Article metadata (see getIssueArticles)
+ * @returns {Array<{surname: string, initials: string, lang: string, latinSurname: string, latinInitials: string,
+ *   orgName: string, email: string, orcid: string}>}
+ */
+function getArticleAuthors(article) {
+  const names = splitAuthors(article.author);
+  const people = article.authors.length > 0
+    ? article.authors.map(author => ({
+      ...author,
+      orgName: author.affiliations.map(index => article.affiliations[index]).filter(Boolean).join('; ')
+    }))
+    : names.map((name, i) => ({
+      ...splitPersonName(name),
+      orgName: article.affiliations.length === names.length
+        ? article.affiliations[i]
+        : article.affiliations.join('; ')
+    }));
+
+  return people.map(person => {
+    const isCyrillic = CYRILLIC_PATTERN.test(person.surname);
+    return {
+      surname: person.surname,
+      initials: toInitials(person.givenNames).replace(/\s+/g, ''),
+      lang: isCyrillic ? (article.language === 'en' ? 'ru' : article.language) : 'en',
+      latinSurname: isCyrillic ? person.latinSurname || '' : '',
+      latinInitials: isCyrillic ? toInitials(person.latinGivenNames || '').replace(/\s+/g, '') : '',
+      orgName: person.orgName,
+      email: person.email || '',
+      orcid: person.orcid || ''
+    };
+  });
+}
+
+/**
+ * Find the required fields an article lacks for RINC
+ * Non-English articles also need the English title, abstract, keywords and author names
+ * @param {Object} article - Article metadata (see getIssueArticles)
+ * @returns {string[]} - Missing fields (empty if the article is complete)
+ */
+function findMissingFields(article) {
+  const missing = [];
+  const needsEnglish = article.language !== 'en';
+  const authors = getArticleAuthors(article);
+
+  if (needsEnglish && !article.titles.en) missing.push('название на английском');
+  if (authors.length === 0) {
+    missing.push('авторы');
+  } else if (needsEnglish && !authors.every(author => author.lang === 'en' || author.latinSurname)) {
+    missing.push('ФИО авторов на английском');
+  }
+  if (authors.some(author => !author.orgName)) missing.push('место работы авторов');
+  if (!article.abstracts[article.language]) missing.push('аннотация на языке статьи');
+  if (needsEnglish && !article.abstracts.en) missing.push('аннотация на английском');
+  if (!article.keywords[article.language]?.length) missing.push('ключевые слова на языке статьи');
+  if (needsEnglish && !article.keywords.en?.length) missing.push('ключевые слова на английском');
+  if (!article.udc) missing.push('УДК');
+  if (article.references.length === 0) missing.push('список литературы');
+  if (!article.firstPage || !article.lastPage) missing.push('страницы');
+
+  return missing;
+}
+
+/**
+ * Check an archived issue for eLibrary export
+ * @param {Object} issue - Archive issue with page_map and metadata
+ * @param {Object} profile - Journal profile
+ * @returns {Array<{n: number|null, title: string, missing: string[]}>} - Issue (n = null) and articles
+ *   with missing fields; empty if the issue is complete
+ */
+export function validateElibraryExport(issue, profile) {
+  const problems = [];
+
+  const issueMissing = [];
+  if (!profile.elibraryTitleId) issueMissing.push('ID журнала в eLibrary (titleid) в профиле журнала');
+  if (!ISSN_PATTERN.test(profile.issn || '')) issueMissing.push('ISSN журнала в формате NNNN-NNNN');
+  if (!issue.page_map?.length) issueMissing.push('карта страниц статей');
+  if (issueMissing.length > 0) problems.push({ n: null, title: 'Выпуск', missing: issueMissing });
+
+  for (const article of getIssueArticles(issue)) {
+    const missing = findMissingFields(article);
+    if (missing.length > 0) problems.push({ n: article.n, title: article.title, missing });
+  }
+
+  return problems;
+}
+
+/**
+ * Build the authors element of an article
+ * @param {Object} article - Article metadata
+ * @returns {string[]}
+ */
+function buildAuthors(article) {
+  const authors = getArticleAuthors(article).map((author, i) => [
+    `<author num="${String(i + 1).padStart(3, '0')}">`,
+    author.orcid ? `  <authorCodes><orcid>${escapeXml(author.orcid)}</orcid></authorCodes>` : null,
+    `  <individInfo lang="${LANGUAGE_CODES[author.lang]}">`,
+    `    <surname>${escapeXml(author.surname)}</surname>`,
+    author.initials ? `    <initials>${escapeXml(author.initials)}</initials>` : null,
+    author.orgName ? `    <orgName>${escapeXml(author.orgName)}</orgName>` : null,
+    author.email ? `    <email>${escapeXml(author.email)}</email>` : null,
+    '  </individInfo>',
+    ...(author.latinSurname ? [
+      '  <individInfo lang="ENG">',
+      `    <surname>${escapeXml(author.latinSurname)}</surname>`,
+      author.latinInitials ? `    <initials>${escapeXml(author.latinInitials)}</initials>` : null,
+      '  </individInfo>'
+    ] : []),
+    '</author>'
+  ].filter(Boolean));
+
+  return authors.length > 0 ? ['<authors>', ...indent(authors.flat(), 1), '</authors>'] : [];
+}
+
+/**
+ * Build a group of language variants ("artTitles" of "artTitle", "abstracts" of "abstract")
+ * @param {string} group - Group element
+ * @param {string} item - Item element
+ * @param {Object<string, string>} values - Text by language
+ * @returns {string[]}
+ */
+function buildLanguageGroup(group, item, values) {
+  const items = FRONT_MATTER_LANGUAGES
+    .filter(lang => values[lang])
+    .map(lang => `<${item} lang="${LANGUAGE_CODES[lang]}">${escapeXml(values[lang])}</${item}>`);
+  return items.length > 0 ? [`<${group}>`, ...indent(items, 1), `</${group}>`] : [];
+}
+
+/**
+ * Build the keywords element of an article
+ * @param {Object<string, string[]>} keywords - Keywords by language
+ * @returns {string[]}
+ */
+function buildKeywords(keywords) {
+  const groups = FRONT_MATTER_LANGUAGES
+    .filter(lang => keywords[lang]?.length > 0)
+    .map(lang => [
+      `<kwdGroup lang="${LANGUAGE_CODES[lang]}">`,
+      ...keywords[lang].map(keyword => `  <keyword>${escapeXml(keyword)}</keyword>`),
+      '</kwdGroup>'
+    ]);
+  return groups.length > 0 ? ['<keywords>', ...indent(groups.flat(), 1), '</keywords>'] : [];
+}
+
+/**
+ * Build the article element
+ * @param {Object} article - Article metadata
+ * @returns {string[]}
+ */
+function buildArticle(article) {
+  const codes = [
+    article.udc ? `  <udk>${escapeXml(article.udc)}</udk>` : null,
+    article.doi ? `  <doi>${escapeXml(article.doi)}</doi>` : null
+  ].filter(Boolean);
+  // Sources as printed, with the transliterated References entry when the article has one
+  const references = article.references.map(reference => [
+    '  <reference>',
+    `    <refInfo lang="ANY"><text>${escapeXml(reference.text)}</text></refInfo>`,
+    reference.latin ? `    <refInfo lang="ENG"><text>${escapeXml(reference.latin)}</text></refInfo>` : null,
+    '  </reference>'
+  ].filter(Boolean));
+
+  return [
+    '<article>',
+    ...indent([
+      `<pages>${article.firstPage}-${article.lastPage}</pages>`,
+      `<artType>${ARTICLE_TYPE}</artType>`,
+      `<langPubl>${LANGUAGE_CODES[article.language]}</langPubl>`,
+      ...buildAuthors(article),
+      ...buildLanguageGroup('artTitles', 'artTitle', article.titles),
+      ...buildLanguageGroup('abstracts', 'abstract', article.abstracts),
+      ...(codes.length > 0 ? ['<codes>', ...codes, '</codes>'] : []),
+      ...buildKeywords(article.keywords),
+      ...(references.length > 0 ? ['<references>', ...references.flat(), '</references>'] : []),
+      '<files>',
+      `  <file>${getOffprintFilename(article)}</file>`,
+      '</files>'
+    ], 1),
+    '</article>'
+  ];
+}
+
+/**
+ * Build the articles of an issue, each section opened by its names in ru/kk/en
+ * @param {Array<Object>} articles - Article metadata in issue order
+ * @param {Object} profile - Journal profile
+ * @returns {string[]}
+ */
+function buildArticles(articles, profile) {
+  const lines = [];
+  let section = null;
+
+  for (const article of articles) {
+    if (article.section && article.section !== section) {
+      section = article.section;
+      const titles = getSectionTitle(profile, section);
+      lines.push(
+        '<section>',
+        ...FRONT_MATTER_LANGUAGES
+          .filter(lang => titles[lang])
+          .map(lang => `  <secTitle lang="${LANGUAGE_CODES[lang]}">${escapeXml(titles[lang])}</secTitle>`),
+        '</section>'
+      );
+    }
+    lines.push(...buildArticle(article));
+  }
+
+  return lines;
+}
+
+/**
+ * Build the Articulus XML of an archived issue
+ * Incomplete articles are exported as they are; see validateElibraryExport for what RINC will reject
+ * @param {Object} issue - Archive issue {id, year, month, issue_number, page_map, metadata}
+ * @param {Object} profile - Journal profile
+ * @param {Object} [options]
+ * @param {Date} [options.date] - Export date (operator card)
+ * @returns {string} - XML
+ */
+export function buildElibraryXml(issue, profile, { date = new Date() } = {}) {
+  const articles = getIssueArticles(issue);
+  const firstPage = Math.min(...articles.map(article => article.firstPage));
+  const lastPage = Math.max(...articles.map(article => article.lastPage));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<journal>',
+    ...indent([
+      '<operCard>',
+      `  <operator>${escapeXml(profile.name)}</operator>`,
+      `  <date>${date.toISOString().slice(0, 10)}</date>`,
+      `  <cntArticle>${articles.length}</cntArticle>`,
+      '</operCard>',
+      `<titleid>${escapeXml(profile.elibraryTitleId)}</titleid>`,
+      `<issn>${escapeXml(profile.issn)}</issn>`,
+      '<journalInfo lang="RUS">',
+      `  <title>${escapeXml(profile.title)}</title>`,
+      '</journalInfo>',
+      '<issue>',
+      ...indent([
+        `<number>${escapeXml(issue.issue_number || issue.month)}</number>`,
+        `<dateUni>${issue.year}</dateUni>`,
+        articles.length > 0 ? `<pages>${firstPage}-${lastPage}</pages>` : null,
+        '<articles>',
+        ...indent(buildArticles(articles, profile), 1),
+        '</articles>'
+      ].filter(Boolean), 1),
+      '</issue>'
+    ], 1),
+    '</journal>',
+    ''
+  ].join('\n');
+}
+
+export default {
+  validateElibraryExport,
+  buildElibraryXml
+};
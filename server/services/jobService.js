@@ -0,0 +1,371 @@
+/**
+ * Job Service
+ * Background job queue for long-running work (journal generation)
+ * Each job lives in its own directory (job.json + work files + output), so jobs
+ * survive a server restart with or without a database; unfinished jobs are re-run
+ * from the start on startup (up to MAX_ATTEMPTS)
+ */
+
+import { EventEmitter } from 'events';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { v4 as uuidv4 } from 'uuid';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const JOBS_DIR = process.env.JOBS_DIR || path.join(__dirname, '..', 'jobs');
+
+// Finished jobs (and their output) are kept for a week
+const JOB_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+// A job interrupted this many times (e.g. the server crashed while running it) is failed
+const MAX_ATTEMPTS = 3;
+
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+const jobs = new Map();
+const jobWrites = new Map();
+const handlers = {};
+const queue = [];
+const events = new EventEmitter();
+events.setMaxListeners(0);
+let isProcessing = false;
+
+/**
+ * Get job directory
+ * @param {string} jobId - Job ID
+ * @returns {string}
+ */
+function getJobDir(jobId) {
+  return path.join(JOBS_DIR, jobId);
+}
+
+/**
+ * Get directory for job input and intermediate files (removed when the job finishes)
+ * @param {string} jobId - Job ID
+ * @returns {string}
+ */
+export function getWorkDir(jobId) {
+  return path.join(getJobDir(jobId), 'work');
+}
+
+/**
+ * Write job state to disk (atomic rename so a crash never leaves half a file)
+ * Writes of the same job are chained: progress updates are not awaited by handlers
+ * @param {Object} job - Job record
+ * @returns {Promise<void>}
+ */
+function saveJob(job) {
+  const jobFile = path.join(getJobDir(job.id), 'job.json');
+  const previous = jobWrites.get(job.id) || Promise.resolve();
+
+  const write = previous.then(async () => {
+    await fs.writeFile(`${jobFile}.tmp`, JSON.stringify(job, null, 2));
+    await fs.rename(`${jobFile}.tmp`, jobFile);
+  }).catch(error => {
+    console.error(`Failed to save job ${job.id}:`, error.message);
+  });
+
+  jobWrites.set(job.id, write);
+  return write;
+}
+
+/**
+ * Apply changes to a job, persist it and notify subscribers
+ * @param {Object} job - Job record
+ * @param {Object} changes - Fields to update
+ */
+async function updateJob(job, changes) {
+  Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+  await saveJob(job);
+  events.emit(job.id, job);
+}
+
+/**
+ * Register the function that runs jobs of a type
+ * Handler: async (job, context) => {path, filename}, where context has
+ * workDir, outputDir and reportProgress(progress)
+ * @param {string} type - Job type
+ * @param {Function} handler - Job handler
+ */
+export function registerJobHandler(type, handler) {
+  handlers[type] = handler;
+}
+
+/**
+ * Create a job and put it in the queue
+ * Input files must already be moved into getWorkDir(id) (use prepareJob first)
+ * @param {string} jobId - ID returned by prepareJob
+ * @param {string} type - Job type
+ * @param {Object} input - Handler input (must be JSON-serializable)
+ * @param {string|null} sessionId - Owner session
+ * @returns {Promise<Object>} Created job
+ */
+export async function createJob(jobId, type, input, sessionId = null) {
+  if (!handlers[type]) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    id: jobId,
+    type,
+    sessionId,
+    status: JOB_STATUS.QUEUED,
+    progress: { stage: 'queued', current: 0, total: 0, message: 'В очереди' },
+    input,
+    output: null,
+    error: null,
+    attempts: 0,
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null
+  };
+
+  await fs.mkdir(getWorkDir(jobId), { recursive: true });
+  await saveJob(job);
+  jobs.set(jobId, job);
+
+  queue.push(jobId);
+  processQueue();
+  return job;
+}
+
+/**
+ * Reserve a job ID and create its work directory
+ * @returns {Promise<{id: string, workDir: string}>}
+ */
+export async function prepareJob() {
+  const id = uuidv4();
+  const workDir = getWorkDir(id);
+  await fs.mkdir(workDir, { recursive: true });
+  return { id, workDir };
+}
+
+/**
+ * Remove the directory of a prepared job that was never created (e.g. its uploads could not be moved)
+ * @param {string} jobId - ID returned by prepareJob
+ * @returns {Promise<void>}
+ */
+export async function discardJob(jobId) {
+  if (jobs.has(jobId)) return;
+  await fs.rm(getJobDir(jobId), { recursive: true, force: true });
+}
+
+/**
+ * Get job by ID
+ * @param {string} jobId - Job ID
+ * @returns {Object|null}
+ */
+export function getJob(jobId) {
+  return jobs.get(jobId) || null;
+}
+
+/**
+ * Get a job of a session
+ * @param {string} jobId - Job ID
+ * @param {string} sessionId - Session ID
+ * @returns {Object|null} Job, or null if it does not exist or belongs to another session
+ */
+export function getSessionJob(jobId, sessionId) {
+  const job = getJob(jobId);
+  return job && sessionId && job.sessionId === sessionId ? job : null;
+}
+
+/**
+ * Job fields safe to send to the client (no file paths)
+ * @param {Object} job - Job record
+ * @returns {Object}
+ */
+export function toPublicJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    progress: job.progress,
+    error: job.error,
+    filename: job.output?.filename || null,
+    pageMap: job.output?.pageMap || null,
+    compliance: job.output?.compliance || null,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    finishedAt: job.finishedAt
+  };
+}
+
+/**
+ * Check if job is finished (completed or failed)
+ * @param {Object} job - Job record
+ * @returns {boolean}
+ */
+export function isJobFinished(job) {
+  return job.status === JOB_STATUS.COMPLETED || job.status === JOB_STATUS.FAILED;
+}
+
+/**
+ * Subscribe to job updates
+ * @param {string} jobId - Job ID
+ * @param {Function} listener - Called with the job record on every update
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribe(jobId, listener) {
+  events.on(jobId, listener);
+  return () => events.off(jobId, listener);
+}
+
+/**
+ * Run a single job
+ * @param {Object} job - Job record
+ */
+async function runJob(job) {
+  const handler = handlers[job.type];
+  const outputDir = getJobDir(job.id);
+
+  await updateJob(job, {
+    status: JOB_STATUS.RUNNING,
+    attempts: job.attempts + 1,
+    error: null
+  });
+
+  try {
+    if (!handler) {
+      throw new Error(`Unknown job type: ${job.type}`);
+    }
+
+    const output = await handler(job, {
+      workDir: getWorkDir(job.id),
+      outputDir,
+      reportProgress: (progress) => updateJob(job, { progress })
+    });
+
+    await updateJob(job, {
+      status: JOB_STATUS.COMPLETED,
+      output,
+      finishedAt: new Date().toISOString()
+    });
+
+    // Input and intermediate files are no longer needed
+    await fs.rm(getWorkDir(job.id), { recursive: true, force: true });
+    console.log(`Job ${job.id} (${job.type}) completed`);
+  } catch (error) {
+    console.error(`Job ${job.id} (${job.type}) failed:`, error);
+    await updateJob(job, {
+      status: JOB_STATUS.FAILED,
+      error: error.message,
+      finishedAt: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * Process queued jobs one at a time (LibreOffice conversions are CPU-bound)
+ */
+async function processQueue() {
+  if (isProcessing) return;
+  isProcessing = true;
+
+  try {
+    while (queue.length > 0) {
+      const job = jobs.get(queue.shift());
+      if (job && job.status === JOB_STATUS.QUEUED) {
+        await runJob(job);
+      }
+    }
+  } catch (error) {
+    console.error('Job queue error:', error);
+  } finally {
+    isProcessing = false;
+  }
+}
+
+/**
+ * Load jobs from disk and resume unfinished ones
+ * Unfinished jobs are re-run from the start (up to MAX_ATTEMPTS), oldest first
+ * @returns {Promise<number>} Number of resumed jobs
+ */
+export async function restoreJobs() {
+  await fs.mkdir(JOBS_DIR, { recursive: true });
+
+  const entries = await fs.readdir(JOBS_DIR, { withFileTypes: true });
+  const unfinished = [];
+
+  for (const entry of entries) {
+    if (!entry.isDirectory()) continue;
+
+    try {
+      const data = await fs.readFile(path.join(JOBS_DIR, entry.name, 'job.json'), 'utf8');
+      const job = JSON.parse(data);
+      jobs.set(job.id, job);
+      if (!isJobFinished(job)) unfinished.push(job);
+    } catch (error) {
+      console.warn(`Skipping unreadable job directory ${entry.name}:`, error.message);
+    }
+  }
+
+  unfinished.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+  for (const job of unfinished) {
+    if (job.attempts >= MAX_ATTEMPTS) {
+      await updateJob(job, {
+        status: JOB_STATUS.FAILED,
+        error: 'Задание прервано несколько раз и остановлено',
+        finishedAt: new Date().toISOString()
+      });
+      continue;
+    }
+
+    await updateJob(job, {
+      status: JOB_STATUS.QUEUED,
+      progress: { ...job.progress, message: 'Возобновление после перезапуска сервера' }
+    });
+    queue.push(job.id);
+  }
+
+  if (unfinished.length > 0) {
+    console.log(`Resuming ${unfinished.length} unfinished job(s)`);
+  }
+  processQueue();
+  return unfinished.length;
+}
+
+/**
+ * Delete finished jobs older than the retention period
+ */
+export async function cleanupJobs() {
+  const expiresBefore = Date.now() - JOB_RETENTION_MS;
+
+  for (const job of [...jobs.values()]) {
+    if (!isJobFinished(job) || new Date(job.finishedAt).getTime() > expiresBefore) continue;
+
+    try {
+      await fs.rm(getJobDir(job.id), { recursive: true, force: true });
+      jobs.delete(job.id);
+      jobWrites.delete(job.id);
+      console.log(`Cleaned up job: ${job.id}`);
+    } catch (error) {
+      console.error(`Failed to clean up job ${job.id}:`, error);
+    }
+  }
+}
+
+export default {
+  JOB_STATUS,
+  registerJobHandler,
+  prepareJob,
+  discardJob,
+  createJob,
+  getJob,
+  getSessionJob,
+  getWorkDir,
+  toPublicJob,
+  isJobFinished,
+  subscribe,
+  restoreJobs,
+  cleanupJobs
+};
@@ -0,0 +1,1563 @@
+/**
+ * Journal PDF Service
+ * TOC, section headers, merging, page numbering and running headers (pdf-lib); DOCX conversion is in conversionService
+ * generateJournal() assembles a whole issue; used by the synchronous endpoint and by generation jobs
+ */
+
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { PDFDocument, rgb, StandardFonts } from 'pdf-lib';
+import fontkit from '@pdf-lib/fontkit';
+import {
+  normalizeJournalProfile,
+  formatFooterText,
+  formatRunningHeaderText,
+  formatArticleDoi,
+  getSectionTitle,
+  isValidFontFile,
+  mmToPt
+} from '../../shared/journalProfile.js';
+import {
+  LAYOUT_BLOCK_TYPES,
+  LAYOUT_BLOCK_LABELS,
+  getLayoutBlockLabel
+} from '../../shared/issueLayout.js';
+import { splitAuthors } from '../../shared/authors.js';
+import { getIssueDocumentInfo } from '../../shared/documentInfo.js';
+import { convertDocxToPdf } from './conversionService.js';
+import { addNavigation } from './pdfNavigationService.js';
+import { checkPdfCompliance, convertToPdfA, writeDocumentInfo } from './pdfArchivalService.js';
+
+const execAsync = promisify(exec);
+
+// Journal profile fonts are file names inside this directory (JOURNAL_FONTS_DIR, default server/fonts)
+const FONTS_DIR = path.resolve(process.env.JOURNAL_FONTS_DIR || path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fonts'));
+
+/**
+ * Check if text contains Cyrillic letters
+ * @param {string} text - Text
+ * @returns {boolean}
+ */
+const isCyrillic = (text) => /[а-яёА-ЯЁ]/.test(text);
+
+/**
+ * Compare author names: Cyrillic first, then Latin, alphabetically within each script
+ * (the order of articles within a section and of the author index)
+ * @param {string} a - Author name
+ * @param {string} b - Author name
+ * @returns {number}
+ */
+const compareAuthors = (a, b) => {
+  const aIsCyrillic = isCyrillic(a);
+  const bIsCyrillic = isCyrillic(b);
+
+  if (aIsCyrillic && !bIsCyrillic) return -1;
+  if (!aIsCyrillic && bIsCyrillic) return 1;
+
+  // Same script - sort alphabetically
+  return a.localeCompare(b, aIsCyrillic ? 'ru' : 'en');
+};
+
+/**
+ * Add page numbers and journal footer to a PDF using pdf-lib
+ * Footer format alternates between odd and even pages (templates from the journal profile):
+ * - Odd pages: "Journal Title | page_number" (right-aligned)
+ * - Even pages: "page_number | Journal Title" (left-aligned)
+ * @param {Buffer} pdfBuffer - PDF buffer
+ * @param {number} startPage - Start numbering from this page (1-indexed, skip cover)
+ * @param {Object} profile - Journal profile (title, footer format, margins, fonts)
+ * @param {Set<number>} [skipPages] - Pages (0-indexed) that are counted but get no footer (e.g. blank pages)
+ * @returns {Promise<Buffer>} - PDF buffer with page numbers
+ */
+export async function addPageNumbers(pdfBuffer, startPage = 2, profile = normalizeJournalProfile(), skipPages = new Set()) {
+  try {
+    const pdfDoc = await PDFDocument.load(pdfBuffer);
+    pdfDoc.registerFontkit(fontkit);
+    const pages = pdfDoc.getPages();
+
+    const fontSize = profile.fonts.footerSize;
+    const marginLeft = mmToPt(profile.margins.left);
+    const marginRight = mmToPt(profile.margins.right);
+
+    // Try to load Cyrillic font for footer
+    const fontBuffers = await loadCyrillicFont(profile);
+    let font;
+
+    if (fontBuffers) {
+      try {
+        font = await pdfDoc.embedFont(fontBuffers.regular, { subset: false });
+        console.log('Cyrillic font loaded for footer');
+      } catch (err) {
+        console.warn('Failed to embed Cyrillic font for footer:', err.message);
+        font = await pdfDoc.embedFont(StandardFonts.TimesRoman);
+      }
+    } else {
+      font = await pdfDoc.embedFont(StandardFonts.TimesRoman);
+    }
+
+    for (let i = startPage - 1; i < pages.length; i++) {
+      if (skipPages.has(i)) continue;
+      const page = pages[i];
+      const { width } = page.getSize();
+      const pageNum = i + 1;
+      const isOddPage = pageNum % 2 === 1;
+
+      // Draw horizontal line above footer
+      page.drawLine({
+        start: { x: marginLeft, y: 35 },
+        end: { x: width - marginRight, y: 35 },
+        thickness: 0.5,
+        color: rgb(0, 0, 0),
+      });
+
+      const footerText = formatFooterText(profile, pageNum);
+
+      if (isOddPage) {
+        // Odd pages: right-aligned
+        const textWidth = font.widthOfTextAtSize(footerText, fontSize);
+        page.drawText(footerText, {
+          x: width - marginRight - textWidth,
+          y: 20,
+          size: fontSize,
+          font: font,
+          color: rgb(0, 0, 0),
+        });
+      } else {
+        // Even pages: left-aligned
+        page.drawText(footerText, {
+          x: marginLeft,
+          y: 20,
+          size: fontSize,
+          font: font,
+          color: rgb(0, 0, 0),
+        });
+      }
+    }
+
+    return Buffer.from(await pdfDoc.save());
+  } catch (error) {
+    console.error('Error adding page numbers:', error);
+    return pdfBuffer; // Return original if fails
+  }
+}
+
+/**
+ * Add running headers to article pages of a merged issue
+ * Header templates alternate between odd and even pages (see profile.runningHeader);
+ * the first page of each article gets no header
+ * - Odd pages: right-aligned
+ * - Even pages: left-aligned
+ * @param {Buffer} pdfBuffer - Merged issue PDF buffer
+ * @param {Array<Object>} pageMap - Article page ranges: {title, author, firstPage, lastPage} (page numbers, inclusive)
+ * @param {Object} profile - Journal profile (header format, margins, fonts)
+ * @returns {Promise<Buffer>} - PDF buffer with running headers
+ */
+export async function addRunningHeaders(pdfBuffer, pageMap, profile = normalizeJournalProfile()) {
+  try {
+    const pdfDoc = await PDFDocument.load(pdfBuffer);
+    pdfDoc.registerFontkit(fontkit);
+    const pages = pdfDoc.getPages();
+
+    const fontSize = profile.fonts.footerSize;
+    const marginLeft = mmToPt(profile.margins.left);
+    const marginRight = mmToPt(profile.margins.right);
+
+    const fontBuffers = await loadCyrillicFont(profile);
+    let font;
+
+    if (fontBuffers) {
+      try {
+        font = await pdfDoc.embedFont(fontBuffers.regular, { subset: false });
+      } catch (err) {
+        console.warn('Failed to embed Cyrillic font for running header:', err.message);
+        font = await pdfDoc.embedFont(StandardFonts.TimesRoman);
+      }
+    } else {
+      font = await pdfDoc.embedFont(StandardFonts.TimesRoman);
+    }
+
+    for (const article of pageMap) {
+      for (let pageNum = article.firstPage + 1; pageNum <= article.lastPage && pageNum <= pages.length; pageNum++) {
+        const page = pages[pageNum - 1];
+        const { width, height } = page.getSize();
+        const maxWidth = width - marginLeft - marginRight;
+
+        // Shorten long titles at a word boundary
+        let headerText = formatRunningHeaderText(profile, pageNum, article);
+        if (!headerText) continue;
+        try {
+          const fits = (text) => font.widthOfTextAtSize(text, fontSize) <= maxWidth;
+          if (!fits(headerText)) {
+            const words = headerText.split(' ');
+            while (words.length > 1 && !fits(`${words.join(' ')}...`)) words.pop();
+            headerText = `${words.join(' ').replace(/[\s.,:;–—-]+$/, '')}...`;
+          }
+          const textWidth = font.widthOfTextAtSize(headerText, fontSize);
+
+          page.drawText(headerText, {
+            x: pageNum % 2 === 1 ? width - marginRight - textWidth : marginLeft,
+            y: height - 25,
+            size: fontSize,
+            font: font,
+            color: rgb(0, 0, 0),
+          });
+
+          // Draw horizontal line below header
+          page.drawLine({
+            start: { x: marginLeft, y: height - 30 },
+            end: { x: width - marginRight, y: height - 30 },
+            thickness: 0.5,
+            color: rgb(0, 0, 0),
+          });
+        } catch {
+          // Header might fail with non-Cyrillic font, skip the page
+        }
+      }
+    }
+
+    return Buffer.from(await pdfDoc.save());
+  } catch (error) {
+    console.error('Error adding running headers:', error);
+    return pdfBuffer; // Return original if fails
+  }
+}
+
+/**
+ * Print the DOI at the top of each article's first page (the running header is not drawn there)
+ * @param {Buffer} pdfBuffer - Merged issue PDF
+ * @param {Array<Object>} pageMap - Page map of the issue ({doi, firstPage} per article)
+ * @param {Object} [profile] - Journal profile (margins, fonts)
+ * @returns {Promise<Buffer>} - PDF with DOIs (the original buffer if drawing fails)
+ */
+export async function addArticleDois(pdfBuffer, pageMap, profile = normalizeJournalProfile()) {
+  try {
+    const pdfDoc = await PDFDocument.load(pdfBuffer);
+    pdfDoc.registerFontkit(fontkit);
+    const pages = pdfDoc.getPages();
+
+    // DOIs are ASCII, but the Cyrillic font keeps the issue free of non-embedded fonts (PDF/A)
+    const fontBuffers = await loadCyrillicFont(profile);
+    const font = fontBuffers
+      ? await pdfDoc.embedFont(fontBuffers.regular, { subset: false })
+      : await pdfDoc.embedFont(StandardFonts.TimesRoman);
+    const fontSize = profile.fonts.footerSize - 1;
+    const marginRight = mmToPt(profile.margins.right);
+
+    for (const article of pageMap) {
+      const page = pages[article.firstPage - 1];
+      if (!article.doi || !page) continue;
+
+      const { width, height } = page.getSize();
+      const text = `DOI: ${article.doi}`;
+      page.drawText(text, {
+        x: width - marginRight - font.widthOfTextAtSize(text, fontSize),
+        y: height - 25,
+        size: fontSize,
+        font: font,
+        color: rgb(0.3, 0.3, 0.3),
+      });
+    }
+
+    return Buffer.from(await pdfDoc.save());
+  } catch (error) {
+    console.error('Error adding DOIs:', error);
+    return pdfBuffer; // Return original if fails
+  }
+}
+
+/**
+ * Path of a journal profile font inside FONTS_DIR
+ * @param {string} name - Font file name
+ * @returns {string} - Absolute path
+ * @throws {Error} - If the name is not a bare file name or leaves the fonts directory
+ */
+function resolveProfileFont(name) {
+  const fontPath = path.resolve(FONTS_DIR, name);
+  if (!isValidFontFile(name) || path.dirname(fontPath) !== FONTS_DIR) {
+    throw new Error(`font must be a file name in ${FONTS_DIR}`);
+  }
+  return fontPath;
+}
+
+/**
+ * Load Cyrillic font for PDF generation
+ * Tries the journal profile fonts first, then Noto Serif (full Kazakh support), Liberation Serif, DejaVu
+ * @param {Object} [profile] - Journal profile with optional fonts.regular / fonts.bold file names in FONTS_DIR
+ * @returns {Promise<{regular: Buffer, bold: Buffer}|null>} - Font buffers or null if not found
+ */
+export async function loadCyrillicFont(profile) {
+  if (profile?.fonts?.regular) {
+    try {
+      const regular = await fs.readFile(resolveProfileFont(profile.fonts.regular));
+      const bold = profile.fonts.bold ? await fs.readFile(resolveProfileFont(profile.fonts.bold)) : regular;
+      return { regular, bold };
+    } catch (err) {
+      console.warn(`Journal profile font not found (${profile.fonts.regular}), using system fonts:`, err.message);
+    }
+  }
+
+  // Try Noto Serif first (best Cyrillic Extended support - includes Kazakh: Ә, Ғ, Қ, Ң, Ө, Ұ, Ү, Һ, І)
+  const notoPaths = [
+    // Common paths for Noto Serif on Debian/Ubuntu
+    {
+      regular: '/usr/share/fonts/truetype/noto/NotoSerif-Regular.ttf',
+      bold: '/usr/share/fonts/truetype/noto/NotoSerif-Bold.ttf'
+    },
+    {
+      regular: '/usr/share/fonts/noto/NotoSerif-Regular.ttf',
+      bold: '/usr/share/fonts/noto/NotoSerif-Bold.ttf'
+    },
+    {
+      regular: '/usr/share/fonts/opentype/noto/NotoSerif-Regular.ttf',
+      bold: '/usr/share/fonts/opentype/noto/NotoSerif-Bold.ttf'
+    }
+  ];
+
+  for (const paths of notoPaths) {
+    try {
+      const regular = await fs.readFile(paths.regular);
+      const bold = await fs.readFile(paths.bold);
+      console.log('✓ Loaded Noto Serif font with full Kazakh Cyrillic support');
+      return { regular, bold };
+    } catch {
+      // Try next path
+    }
+  }
+
+  // Try Noto Sans as fallback (also has Kazakh support)
+  const notoSansPaths = [
+    {
+      regular: '/usr/share/fonts/truetype/noto/NotoSans-Regular.ttf',
+      bold: '/usr/share/fonts/truetype/noto/NotoSans-Bold.ttf'
+    }
+  ];
+
+  for (const paths of notoSansPaths) {
+    try {
+      const regular = await fs.readFile(paths.regular);
+      const bold = await fs.readFile(paths.bold);
+      console.log('✓ Loaded Noto Sans font with Kazakh Cyrillic support');
+      return { regular, bold };
+    } catch {
+      // Try next path
+    }
+  }
+
+  console.log('Noto fonts not found, trying Liberation Serif...');
+
+  // Fallback to Liberation Serif (Russian Cyrillic only, no Kazakh)
+  const liberationPaths = {
+    regular: '/usr/share/fonts/truetype/liberation/LiberationSerif-Regular.ttf',
+    bold: '/usr/share/fonts/truetype/liberation/LiberationSerif-Bold.ttf'
+  };
+
+  try {
+    const regular = await fs.readFile(liberationPaths.regular);
+    const bold = await fs.readFile(liberationPaths.bold);
+    console.log('⚠️ Loaded Liberation Serif - Russian only, Kazakh may show as boxes');
+    return { regular, bold };
+  } catch {
+    console.log('Liberation Serif not found, trying DejaVu...');
+  }
+
+  // Fallback to DejaVu Sans
+  const dejavuPaths = [
+    '/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf',
+    '/usr/share/fonts/TTF/DejaVuSans.ttf',
+    '/usr/share/fonts/dejavu/DejaVuSans.ttf'
+  ];
+
+  for (const fontPath of dejavuPaths) {
+    try {
+      const fontBuffer = await fs.readFile(fontPath);
+      console.log(`⚠️ Loaded DejaVu Sans - Kazakh may show as boxes: ${fontPath}`);
+      return { regular: fontBuffer, bold: fontBuffer };
+    } catch {
+      // Try next font
+    }
+  }
+
+  // Try FreeSans
+  try {
+    const fontBuffer = await fs.readFile('/usr/share/fonts/truetype/freefont/FreeSans.ttf');
+    console.log('⚠️ Loaded FreeSans - Kazakh may show as boxes');
+    return { regular: fontBuffer, bold: fontBuffer };
+  } catch {
+    // Continue
+  }
+
+  console.error('❌ No Cyrillic font found! Install fonts-noto for Kazakh support.');
+  return null;
+}
+
+/**
+ * Generate Table of Contents PDF page
+ * @param {Array} articles - Array of {title, author, section, pageNumber} in issue order
+ * @param {number} tocStartPage - Page number where TOC starts
+ * @param {Object} profile - Journal profile (page setup, fonts, TOC heading, section order)
+ * @returns {Promise<{buffer: Buffer, links: Array<Object>}>} - PDF buffer with TOC and the
+ *   clickable area of each entry: {pageIndex (within the TOC), rect: [x1, y1, x2, y2], article}
+ */
+export async function generateTableOfContentsPdf(articles, tocStartPage, profile = normalizeJournalProfile()) {
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.registerFontkit(fontkit);
+
+  // Page dimensions from profile (mm -> points)
+  const pageWidth = mmToPt(profile.pageSize.width);
+  const pageHeight = mmToPt(profile.pageSize.height);
+  const marginLeft = mmToPt(profile.margins.left);
+  const marginRight = mmToPt(profile.margins.right);
+  const marginTop = mmToPt(profile.margins.top);
+  const marginBottom = mmToPt(profile.margins.bottom);
+  const contentWidth = pageWidth - marginLeft - marginRight;
+  const lineHeight = mmToPt(profile.lineHeight);
+  const { tocTitleSize, tocSectionSize, tocEntrySize, footerSize } = profile.fonts;
+  const sectionOrder = profile.sections;
+
+  // Try to load Cyrillic font
+  const fontBuffers = await loadCyrillicFont(profile);
+  let font, fontBold;
+
+  if (fontBuffers) {
+    try {
+      // Use subset: false to include all Cyrillic characters
+      font = await pdfDoc.embedFont(fontBuffers.regular, { subset: false });
+      fontBold = await pdfDoc.embedFont(fontBuffers.bold, { subset: false });
+      console.log('Cyrillic fonts embedded successfully');
+    } catch (err) {
+      console.warn('Failed to embed Cyrillic font:', err.message);
+      font = await pdfDoc.embedFont(StandardFonts.TimesRoman);
+      fontBold = await pdfDoc.embedFont(StandardFonts.TimesRomanBold);
+    }
+  } else {
+    font = await pdfDoc.embedFont(StandardFonts.TimesRoman);
+    fontBold = await pdfDoc.embedFont(StandardFonts.TimesRomanBold);
+  }
+
+  let page = pdfDoc.addPage([pageWidth, pageHeight]);
+  let currentY = pageHeight - marginTop;
+  let currentPageNum = tocStartPage;
+
+  // Title (e.g. "СОДЕРЖАНИЕ")
+  const titleText = profile.tocHeading;
+  const titleSize = tocTitleSize;
+  try {
+    const titleWidth = fontBold.widthOfTextAtSize(titleText, titleSize);
+    page.drawText(titleText, {
+      x: (pageWidth - titleWidth) / 2,
+      y: currentY,
+      size: titleSize,
+      font: fontBold,
+      color: rgb(0, 0, 0),
+    });
+  } catch {
+    // Fallback for non-Cyrillic font
+    const fallbackTitle = 'TABLE OF CONTENTS';
+    const titleWidth = fontBold.widthOfTextAtSize(fallbackTitle, titleSize);
+    page.drawText(fallbackTitle, {
+      x: (pageWidth - titleWidth) / 2,
+      y: currentY,
+      size: titleSize,
+      font: fontBold,
+      color: rgb(0, 0, 0),
+    });
+  }
+  currentY -= lineHeight * 2.5;
+
+  // Group articles by section
+  const entriesBySection = {};
+  articles.forEach(article => {
+    const section = article.section || sectionOrder[0];
+    if (!entriesBySection[section]) {
+      entriesBySection[section] = [];
+    }
+    entriesBySection[section].push(article);
+  });
+
+  let articleNumber = 1;
+  const links = [];
+
+  // Iterate through sections in the order they appear in the issue
+  for (const sectionName of Object.keys(entriesBySection)) {
+    const sectionEntries = entriesBySection[sectionName];
+    if (!sectionEntries || sectionEntries.length === 0) continue;
+
+    // Check if we need a new page for section header
+    if (currentY - lineHeight * 4 < marginBottom) {
+      // Add page number to current page
+      const pageNumText = String(currentPageNum);
+      const pageNumWidth = font.widthOfTextAtSize(pageNumText, footerSize);
+      page.drawText(pageNumText, {
+        x: (pageWidth - pageNumWidth) / 2,
+        y: 20,
+        size: footerSize,
+        font: font,
+        color: rgb(0, 0, 0),
+      });
+
+      page = pdfDoc.addPage([pageWidth, pageHeight]);
+      currentPageNum++;
+      currentY = pageHeight - marginTop;
+    }
+
+    // Section header (dark blue, centered)
+    try {
+      const sectionWidth = fontBold.widthOfTextAtSize(sectionName, tocSectionSize);
+      page.drawText(sectionName, {
+        x: (pageWidth - sectionWidth) / 2,
+        y: currentY,
+        size: tocSectionSize,
+        font: fontBold,
+        color: rgb(0, 0.2, 0.4), // Dark blue
+      });
+    } catch {
+      // Section name might fail with non-Cyrillic font, skip
+    }
+    currentY -= lineHeight * 2;
+
+    // Articles in section
+    for (const entry of sectionEntries) {
+      if (currentY - lineHeight * (entry.doi ? 4 : 3) < marginBottom) {
+        // Add page number to current page
+        const pageNumText = String(currentPageNum);
+        const pageNumWidth = font.widthOfTextAtSize(pageNumText, footerSize);
+        page.drawText(pageNumText, {
+          x: (pageWidth - pageNumWidth) / 2,
+          y: 20,
+          size: footerSize,
+          font: font,
+          color: rgb(0, 0, 0),
+        });
+
+        page = pdfDoc.addPage([pageWidth, pageHeight]);
+        currentPageNum++;
+        currentY = pageHeight - marginTop;
+      }
+
+      // Entry (title and author lines) links to the article's first page
+      links.push({
+        pageIndex: pdfDoc.getPageCount() - 1,
+        rect: [marginLeft, currentY - lineHeight - tocEntrySize * 0.3, pageWidth - marginRight, currentY + tocEntrySize],
+        article: entry
+      });
+
+      // Article number and title
+      const titleText = `${articleNumber}. ${entry.title || 'Без названия'}`;
+      try {
+        // Truncate title if too long
+        let displayTitle = titleText;
+        const maxTitleWidth = contentWidth - 30;
+        while (font.widthOfTextAtSize(displayTitle, tocEntrySize) > maxTitleWidth && displayTitle.length > 20) {
+          displayTitle = displayTitle.slice(0, -4) + '...';
+        }
+
+        page.drawText(displayTitle, {
+          x: marginLeft,
+          y: currentY,
+          size: tocEntrySize,
+          font: font,
+          color: rgb(0, 0, 0),
+        });
+      } catch {
+        // Skip if text rendering fails
+      }
+      currentY -= lineHeight;
+
+      // Author (gray, indented) and page number
+      const authorText = `    ${entry.author || 'Автор не указан'}`;
+      try {
+        page.drawText(authorText, {
+          x: marginLeft,
+          y: currentY,
+          size: tocEntrySize,
+          font: font,
+          color: rgb(0.4, 0.4, 0.4),
+        });
+
+        // Page number on the right
+        const pageText = String(entry.pageNumber || '?');
+        const pageTextWidth = font.widthOfTextAtSize(pageText, tocEntrySize);
+        page.drawText(pageText, {
+          x: pageWidth - marginRight - pageTextWidth,
+          y: currentY,
+          size: tocEntrySize,
+          font: font,
+          color: rgb(0, 0, 0),
+        });
+      } catch {
+        // Skip if text rendering fails
+      }
+
+      if (entry.doi) {
+        currentY -= lineHeight;
+        page.drawText(`    DOI: ${entry.doi}`, {
+          x: marginLeft,
+          y: currentY,
+          size: tocEntrySize - 2,
+          font: font,
+          color: rgb(0.4, 0.4, 0.4),
+        });
+      }
+
+      currentY -= lineHeight * 1.5;
+      articleNumber++;
+    }
+
+    // Add space after section
+    currentY -= lineHeight;
+  }
+
+  // Add page number to last page
+  const pageNumText = String(currentPageNum);
+  const pageNumWidth = font.widthOfTextAtSize(pageNumText, footerSize);
+  page.drawText(pageNumText, {
+    x: (pageWidth - pageNumWidth) / 2,
+    y: 20,
+    size: footerSize,
+    font: font,
+    color: rgb(0, 0, 0),
+  });
+
+  return { buffer: Buffer.from(await pdfDoc.save()), links };
+}
+
+/**
+ * Add section header to the first page of an article PDF
+ * @param {Buffer} pdfBuffer - Original PDF buffer
+ * @param {string} sectionName - Section name (e.g., "ТЕХНИЧЕСКИЕ НАУКИ")
+ * @param {Object} [profile] - Journal profile (fonts)
+ * @returns {Promise<Buffer>} - Modified PDF buffer with section header
+ */
+export async function addSectionHeaderToArticle(pdfBuffer, sectionName, profile) {
+  const pdfDoc = await PDFDocument.load(pdfBuffer);
+  pdfDoc.registerFontkit(fontkit);
+
+  // Load Cyrillic font
+  const fontBuffers = await loadCyrillicFont(profile);
+  let fontBold;
+
+  if (fontBuffers) {
+    try {
+      fontBold = await pdfDoc.embedFont(fontBuffers.bold, { subset: false });
+    } catch {
+      fontBold = await pdfDoc.embedFont(StandardFonts.TimesRomanBold);
+    }
+  } else {
+    fontBold = await pdfDoc.embedFont(StandardFonts.TimesRomanBold);
+  }
+
+  const pages = pdfDoc.getPages();
+  if (pages.length === 0) return pdfBuffer;
+
+  const firstPage = pages[0];
+  const { width, height } = firstPage.getSize();
+
+  // Section header - centered at top, bold font
+  const titleSize = 14;
+  const marginTop = 50; // Position from top
+
+  try {
+    const titleWidth = fontBold.widthOfTextAtSize(sectionName, titleSize);
+    firstPage.drawText(sectionName, {
+      x: (width - titleWidth) / 2,
+      y: height - marginTop,
+      size: titleSize,
+      font: fontBold,
+      color: rgb(0, 0.2, 0.4), // Dark blue
+    });
+
+    // Add underline
+    const underlineY = height - marginTop - 3;
+    firstPage.drawLine({
+      start: { x: (width - titleWidth) / 2, y: underlineY },
+      end: { x: (width + titleWidth) / 2, y: underlineY },
+      thickness: 0.5,
+      color: rgb(0, 0.2, 0.4),
+    });
+  } catch (err) {
+    console.warn('Failed to add section header to article:', err.message);
+  }
+
+  return Buffer.from(await pdfDoc.save());
+}
+
+/**
+ * Generate a section divider page: the section name in Russian (large, bold),
+ * with the Kazakh and English names below
+ * @param {{ru: string, kk: string, en: string}} titles - Section names
+ * @param {Object} profile - Journal profile (page setup, fonts)
+ * @returns {Promise<Buffer>} - Single-page PDF buffer
+ */
+export async function generateSectionDividerPdf(titles, profile = normalizeJournalProfile()) {
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.registerFontkit(fontkit);
+
+  const pageWidth = mmToPt(profile.pageSize.width);
+  const pageHeight = mmToPt(profile.pageSize.height);
+  const contentWidth = pageWidth - mmToPt(profile.margins.left) - mmToPt(profile.margins.right);
+  const { tocTitleSize, tocSectionSize } = profile.fonts;
+
+  // Kazakh letters need the Cyrillic font; without it only the Latin fallback can be drawn
+  const fontBuffers = await loadCyrillicFont(profile);
+  let font, fontBold;
+
+  if (fontBuffers) {
+    try {
+      font = await pdfDoc.embedFont(fontBuffers.regular, { subset: false });
+      fontBold = await pdfDoc.embedFont(fontBuffers.bold, { subset: false });
+    } catch (err) {
+      console.warn('Failed to embed Cyrillic font for section divider:', err.message);
+      font = await pdfDoc.embedFont(StandardFonts.TimesRoman);
+      fontBold = await pdfDoc.embedFont(StandardFonts.TimesRomanBold);
+    }
+  } else {
+    font = await pdfDoc.embedFont(StandardFonts.TimesRoman);
+    fontBold = await pdfDoc.embedFont(StandardFonts.TimesRomanBold);
+  }
+
+  const page = pdfDoc.addPage([pageWidth, pageHeight]);
+  const color = rgb(0, 0.2, 0.4); // Dark blue, as section headers in the TOC
+
+  // Scale the size down so long names fit on one line
+  const fitSize = (text, textFont, size) => {
+    const width = textFont.widthOfTextAtSize(text, size);
+    return width > contentWidth ? size * contentWidth / width : size;
+  };
+
+  const lines = [
+    { text: titles.ru, font: fontBold, size: tocTitleSize * 1.5 },
+    { text: titles.kk, font, size: tocSectionSize * 1.2 },
+    { text: titles.en, font, size: tocSectionSize * 1.2 }
+  ].filter(line => line.text);
+
+  // Block is centered vertically, with a rule under the Russian name
+  let currentY = pageHeight / 2 + lines.length * tocTitleSize;
+
+  lines.forEach((line, i) => {
+    try {
+      const size = fitSize(line.text, line.font, line.size);
+      const textWidth = line.font.widthOfTextAtSize(line.text, size);
+      page.drawText(line.text, {
+        x: (pageWidth - textWidth) / 2,
+        y: currentY,
+        size,
+        font: line.font,
+        color,
+      });
+
+      if (i === 0) {
+        page.drawLine({
+          start: { x: (pageWidth - contentWidth / 2) / 2, y: currentY - size * 0.6 },
+          end: { x: (pageWidth + contentWidth / 2) / 2, y: currentY - size * 0.6 },
+          thickness: 1,
+          color,
+        });
+      }
+      currentY -= size * 2.2;
+    } catch (err) {
+      // Name might fail with non-Cyrillic font, skip
+      console.warn('Failed to draw section name on divider:', err.message);
+    }
+  });
+
+  return Buffer.from(await pdfDoc.save());
+}
+
+/**
+ * Generate the author index: every author (co-authors are listed separately) with the
+ * pages where their articles start, Cyrillic names first, then Latin, grouped by first letter
+ * Page numbers are drawn by the issue footer, as on article pages
+ * @param {Array} articles - Array of {author, pageNumber} in issue order
+ * @param {Object} profile - Journal profile (page setup, fonts)
+ * @returns {Promise<{buffer: Buffer, links: Array<Object>}>} - PDF buffer and the clickable
+ *   area of each page number: {pageIndex (within the index), rect: [x1, y1, x2, y2], article}
+ */
+export async function generateAuthorIndexPdf(articles, profile = normalizeJournalProfile()) {
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.registerFontkit(fontkit);
+
+  const pageWidth = mmToPt(profile.pageSize.width);
+  const pageHeight = mmToPt(profile.pageSize.height);
+  const marginLeft = mmToPt(profile.margins.left);
+  const marginRight = mmToPt(profile.margins.right);
+  const marginTop = mmToPt(profile.margins.top);
+  const marginBottom = mmToPt(profile.margins.bottom);
+  const lineHeight = mmToPt(profile.lineHeight);
+  const { tocTitleSize, tocSectionSize, tocEntrySize } = profile.fonts;
+
+  const fontBuffers = await loadCyrillicFont(profile);
+  let font, fontBold;
+
+  if (fontBuffers) {
+    try {
+      font = await pdfDoc.embedFont(fontBuffers.regular, { subset: false });
+      fontBold = await pdfDoc.embedFont(fontBuffers.bold, { subset: false });
+    } catch (err) {
+      console.warn('Failed to embed Cyrillic font for author index:', err.message);
+      font = await pdfDoc.embedFont(StandardFonts.TimesRoman);
+      fontBold = await pdfDoc.embedFont(StandardFonts.TimesRomanBold);
+    }
+  } else {
+    font = await pdfDoc.embedFont(StandardFonts.TimesRoman);
+    fontBold = await pdfDoc.embedFont(StandardFonts.TimesRomanBold);
+  }
+
+  // Author -> articles (an author of several articles gets several pages)
+  const articlesByAuthor = new Map();
+  for (const article of articles) {
+    for (const name of splitAuthors(article.author)) {
+      const authorArticles = articlesByAuthor.get(name) || [];
+      if (!authorArticles.includes(article)) authorArticles.push(article);
+      articlesByAuthor.set(name, authorArticles);
+    }
+  }
+  const names = [...articlesByAuthor.keys()].sort(compareAuthors);
+
+  let page = pdfDoc.addPage([pageWidth, pageHeight]);
+  let currentY = pageHeight - marginTop;
+  const links = [];
+
+  const newPageIfNeeded = (height) => {
+    if (currentY - height < marginBottom) {
+      page = pdfDoc.addPage([pageWidth, pageHeight]);
+      currentY = pageHeight - marginTop;
+    }
+  };
+
+  // Title
+  const titleText = LAYOUT_BLOCK_LABELS[LAYOUT_BLOCK_TYPES.AUTHOR_INDEX].toUpperCase();
+  try {
+    const titleWidth = fontBold.widthOfTextAtSize(titleText, tocTitleSize);
+    page.drawText(titleText, {
+      x: (pageWidth - titleWidth) / 2,
+      y: currentY,
+      size: tocTitleSize,
+      font: fontBold,
+      color: rgb(0, 0, 0),
+    });
+  } catch {
+    // Fallback for non-Cyrillic font
+    const fallbackTitle = 'AUTHOR INDEX';
+    const titleWidth = fontBold.widthOfTextAtSize(fallbackTitle, tocTitleSize);
+    page.drawText(fallbackTitle, {
+      x: (pageWidth - titleWidth) / 2,
+      y: currentY,
+      size: tocTitleSize,
+      font: fontBold,
+      color: rgb(0, 0, 0),
+    });
+  }
+  currentY -= lineHeight * 2.5;
+
+  let currentLetter = null;
+
+  for (const name of names) {
+    // Letter heading (dark blue), kept on the same page as its first name
+    const letter = name[0].toLocaleUpperCase(isCyrillic(name) ? 'ru' : 'en');
+    if (letter !== currentLetter) {
+      newPageIfNeeded(lineHeight * 3);
+      if (currentLetter !== null) currentY -= lineHeight * 0.5;
+      try {
+        page.drawText(letter, {
+          x: marginLeft,
+          y: currentY,
+          size: tocSectionSize,
+          font: fontBold,
+          color: rgb(0, 0.2, 0.4), // Dark blue
+        });
+      } catch {
+        // Letter might fail with non-Cyrillic font, skip
+      }
+      currentY -= lineHeight * 1.5;
+      currentLetter = letter;
+    }
+
+    newPageIfNeeded(lineHeight);
+
+    // Page numbers on the right, each linking to its article
+    const authorArticles = articlesByAuthor.get(name);
+    const separatorWidth = font.widthOfTextAtSize(', ', tocEntrySize);
+    let x = pageWidth - marginRight;
+    for (let i = authorArticles.length - 1; i >= 0; i--) {
+      const pageText = String(authorArticles[i].pageNumber || '?');
+      const pageTextWidth = font.widthOfTextAtSize(pageText, tocEntrySize);
+      x -= pageTextWidth;
+      page.drawText(pageText, {
+        x,
+        y: currentY,
+        size: tocEntrySize,
+        font: font,
+        color: rgb(0, 0, 0),
+      });
+      links.push({
+        pageIndex: pdfDoc.getPageCount() - 1,
+        rect: [x, currentY - tocEntrySize * 0.3, x + pageTextWidth, currentY + tocEntrySize],
+        article: authorArticles[i]
+      });
+      if (i > 0) {
+        x -= separatorWidth;
+        page.drawText(', ', { x, y: currentY, size: tocEntrySize, font: font, color: rgb(0, 0, 0) });
+      }
+    }
+
+    // Name (truncated if it runs into the page numbers)
+    try {
+      let displayName = name;
+      const maxNameWidth = x - marginLeft - 20;
+      while (font.widthOfTextAtSize(displayName, tocEntrySize) > maxNameWidth && displayName.length > 10) {
+        displayName = displayName.slice(0, -4) + '...';
+      }
+
+      page.drawText(displayName, {
+        x: marginLeft + tocEntrySize,
+        y: currentY,
+        size: tocEntrySize,
+        font: font,
+        color: rgb(0, 0, 0),
+      });
+    } catch {
+      // Skip if text rendering fails
+    }
+    currentY -= lineHeight;
+  }
+
+  return { buffer: Buffer.from(await pdfDoc.save()), links };
+}
+
+/**
+ * Check if a PDF page is empty (contains no meaningful content)
+ * @param {PDFPage} page - The page to check
+ * @param {PDFDocument} pdfDoc - The source PDF document
+ * @param {number} pageIndex - Index of the page in the document
+ * @returns {Promise<boolean>} - True if page is empty
+ */
+async function isPageEmpty(page, pdfDoc, pageIndex) {
+  try {
+    // Get page content stream
+    const contentRef = page.node.get(page.node.context.obj('Contents'));
+
+    if (!contentRef) {
+      // No content stream - page is definitely empty
+      return true;
+    }
+
+    // Get the raw content stream data
+    let contentStream = '';
+
+    if (contentRef.toString().includes('Array')) {
+      // Multiple content streams
+      const contents = page.node.Contents();
+      if (contents) {
+        for (const streamRef of contents.asArray()) {
+          const stream = page.node.context.lookup(streamRef);
+          if (stream && stream.getContentsString) {
+            contentStream += stream.getContentsString() || '';
+          }
+        }
+      }
+    } else {
+      // Single content stream
+      const stream = page.node.context.lookup(contentRef);
+      if (stream && stream.getContentsString) {
+        contentStream = stream.getContentsString() || '';
+      }
+    }
+
+    // Remove whitespace and comments
+    const cleanedContent = contentStream
+      .replace(/%[^\n]*\n/g, '') // Remove comments
+      .replace(/\s+/g, ' ')      // Normalize whitespace
+      .trim();
+
+    // Check if there's any actual drawing content
+    // Look for text operators (Tj, TJ, '), image operators (Do), path operators (m, l, c, re, f, S)
+    const hasText = /\((.*?)\)\s*Tj|<[0-9A-Fa-f]+>\s*Tj|\]\s*TJ|'\s*\(|"\s*\(/i.test(cleanedContent);
+    const hasImage = /\/\w+\s+Do/i.test(cleanedContent);
+    const hasPath = /\d+\.?\d*\s+\d+\.?\d*\s+m|\s+re\s+[fFsS\*]|\s+l\s+|\s+c\s+/i.test(cleanedContent);
+    const hasLine = /\d+\.?\d*\s+\d+\.?\d*\s+\d+\.?\d*\s+\d+\.?\d*\s+re\s+[fF]/i.test(cleanedContent);
+
+    // If content is very short (just setup commands) and has no actual content, it's empty
+    if (cleanedContent.length < 100 && !hasText && !hasImage && !hasPath) {
+      return true;
+    }
+
+    // Page has meaningful content
+    if (hasText || hasImage || hasPath || hasLine) {
+      return false;
+    }
+
+    // Content stream exists but has no meaningful drawing operators
+    return cleanedContent.length < 200;
+  } catch (err) {
+    // If we can't determine, assume page is not empty to be safe
+    console.warn(`Could not determine if page ${pageIndex} is empty:`, err.message);
+    return false;
+  }
+}
+
+/**
+ * Get indices of pages to keep: the first page of a document (could be intentional)
+ * and every page with content
+ * @param {PDFDocument} pdfDoc - PDF document
+ * @param {string} label - Document name for logging
+ * @returns {Promise<number[]>}
+ */
+async function getNonEmptyPageIndices(pdfDoc, label) {
+  const pages = pdfDoc.getPages();
+  const nonEmptyIndices = [];
+
+  for (let i = 0; i < pages.length; i++) {
+    if (i === 0 || !(await isPageEmpty(pages[i], pdfDoc, i))) {
+      nonEmptyIndices.push(i);
+    } else {
+      console.log(`Removing empty page ${i + 1} from ${label}`);
+    }
+  }
+
+  return nonEmptyIndices;
+}
+
+/**
+ * Remove empty pages from a PDF file in place
+ * Done before pagination, so computed page numbers match the merged issue
+ * @param {string} pdfPath - PDF file path
+ * @returns {Promise<number>} - Page count after removal
+ */
+async function removeEmptyPages(pdfPath) {
+  const pdfDoc = await PDFDocument.load(await fs.readFile(pdfPath));
+  const nonEmptyIndices = await getNonEmptyPageIndices(pdfDoc, path.basename(pdfPath));
+
+  if (nonEmptyIndices.length < pdfDoc.getPageCount()) {
+    const cleanedPdf = await PDFDocument.create();
+    const copiedPages = await cleanedPdf.copyPages(pdfDoc, nonEmptyIndices);
+    copiedPages.forEach((page) => cleanedPdf.addPage(page));
+    await fs.writeFile(pdfPath, await cleanedPdf.save());
+  }
+
+  return nonEmptyIndices.length;
+}
+
+/**
+ * Merge multiple PDF files using pdf-lib (no external tools needed)
+ * Also adds page numbering and removes empty pages
+ * @param {string[]} pdfPaths - Array of PDF file paths
+ * @param {string} outputPath - Path for merged PDF
+ * @param {Object} [profile] - Journal profile used for the footer
+ * @param {Function} [onNumbering] - Called when merging is done and page numbering starts
+ * @param {string[]} [noFooterPaths] - Input PDFs whose pages get no footer (still counted)
+ * @returns {Promise<number[]>} - Index of the first page of each input PDF in the merged PDF
+ */
+export async function mergePdfs(pdfPaths, outputPath, profile = normalizeJournalProfile(), onNumbering = () => {}, noFooterPaths = []) {
+  const numberPages = async (buffer, startPages) => {
+    onNumbering();
+
+    const skipPages = new Set();
+    for (const [i, pdfPath] of pdfPaths.entries()) {
+      if (!noFooterPaths.includes(pdfPath)) continue;
+      const end = startPages[i + 1] ?? startPages[i] + await countPages(pdfPath);
+      for (let page = startPages[i]; page < end; page++) skipPages.add(page);
+    }
+
+    return addPageNumbers(buffer, 2, profile, skipPages);
+  };
+
+  try {
+    // Use pdf-lib for merging (works everywhere, no external tools)
+    const mergedPdf = await PDFDocument.create();
+    const startPages = [];
+    let removedEmptyPages = 0;
+
+    for (const pdfPath of pdfPaths) {
+      startPages.push(mergedPdf.getPageCount());
+      const pdfBuffer = await fs.readFile(pdfPath);
+      const pdf = await PDFDocument.load(pdfBuffer);
+      const nonEmptyIndices = await getNonEmptyPageIndices(pdf, path.basename(pdfPath));
+      removedEmptyPages += pdf.getPageCount() - nonEmptyIndices.length;
+
+      // Copy only non-empty pages
+      if (nonEmptyIndices.length > 0) {
+        const copiedPages = await mergedPdf.copyPages(pdf, nonEmptyIndices);
+        copiedPages.forEach((page) => mergedPdf.addPage(page));
+      }
+    }
+
+    if (removedEmptyPages > 0) {
+      console.log(`Total empty pages removed: ${removedEmptyPages}`);
+    }
+
+    // Save merged PDF
+    const mergedBuffer = await mergedPdf.save();
+
+    // Add page numbers (skip first page - cover)
+    const numberedBuffer = await numberPages(Buffer.from(mergedBuffer), startPages);
+
+    await fs.writeFile(outputPath, numberedBuffer);
+    console.log(`Merged ${pdfPaths.length} PDFs with page numbering`);
+    return startPages;
+  } catch (error) {
+    console.log('pdf-lib merge failed, trying external tools...', error.message);
+  }
+
+  // Fallback: Try using pdftk (if available)
+  try {
+    const inputFiles = pdfPaths.map(p => `"${p}"`).join(' ');
+    await execAsync(`pdftk ${inputFiles} cat output "${outputPath}"`, { timeout: 120000 });
+    // Add page numbers to result
+    const buffer = await fs.readFile(outputPath);
+    const startPages = await getStartPages(pdfPaths);
+    const numbered = await numberPages(buffer, startPages);
+    await fs.writeFile(outputPath, numbered);
+    return startPages;
+  } catch {
+    console.log('pdftk not available, trying alternative method...');
+  }
+
+  // Try using pdfunite (poppler-utils)
+  try {
+    const inputFiles = pdfPaths.map(p => `"${p}"`).join(' ');
+    await execAsync(`pdfunite ${inputFiles} "${outputPath}"`, { timeout: 120000 });
+    // Add page numbers to result
+    const buffer = await fs.readFile(outputPath);
+    const startPages = await getStartPages(pdfPaths);
+    const numbered = await numberPages(buffer, startPages);
+    await fs.writeFile(outputPath, numbered);
+    return startPages;
+  } catch {
+    console.log('pdfunite not available, using simple copy for single file...');
+  }
+
+  // Fallback: if only one PDF, just copy it
+  if (pdfPaths.length === 1) {
+    const buffer = await fs.readFile(pdfPaths[0]);
+    const numbered = await numberPages(buffer, [0]);
+    await fs.writeFile(outputPath, numbered);
+    return [0];
+  }
+
+  throw new Error('No PDF merge tool available. Install pdftk or poppler-utils.');
+}
+
+/**
+ * Count pages in a PDF file
+ * @param {string} pdfPath - PDF file path
+ * @returns {Promise<number>}
+ */
+async function countPages(pdfPath) {
+  const pdfDoc = await PDFDocument.load(await fs.readFile(pdfPath));
+  return pdfDoc.getPageCount();
+}
+
+/**
+ * First page index of each PDF when merged as is (external tools keep empty pages)
+ * @param {string[]} pdfPaths - PDF file paths in merge order
+ * @returns {Promise<number[]>}
+ */
+async function getStartPages(pdfPaths) {
+  const startPages = [];
+  let pageIndex = 0;
+  for (const pdfPath of pdfPaths) {
+    startPages.push(pageIndex);
+    pageIndex += await countPages(pdfPath);
+  }
+  return startPages;
+}
+
+/**
+ * Generate a single blank page PDF in the profile page size
+ * @param {Object} profile - Journal profile (page size)
+ * @returns {Promise<Buffer>}
+ */
+export async function generateBlankPagePdf(profile = normalizeJournalProfile()) {
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.addPage([mmToPt(profile.pageSize.width), mmToPt(profile.pageSize.height)]);
+  return Buffer.from(await pdfDoc.save());
+}
+
+/**
+ * Generate journal issue PDF
+ * Order follows the profile layout
+ * (default: Cover -> Description -> Foreword -> Articles -> TOC -> Author index -> Final);
+ * each section gets a header on its first article or a divider page (profile.sectionHeading),
+ * or the divider page of its layout divider block
+ * In print mode every article starts on an odd page (blank pages are inserted as needed)
+ * TOC entries and author index page numbers link to the articles; bookmarks cover every part of the issue
+ * Article pages after the first get a running header when enabled in the profile; with a DOI pattern
+ * in the profile the first page and the TOC entry show the article DOI
+ * The document info (title, authors, keywords) is filled from the issue and its articles;
+ * with profile.pdfA the issue is written as PDF/A and checked for embedded fonts
+ * Uploaded files are {path, name} where name is the decoded original filename
+ * @param {Object} input - Issue input
+ * @param {Object|null} input.coverPage - Cover page file
+ * @param {Object|null} input.descriptionPage - Description page file
+ * @param {Object|null} input.forewordPage - Editorial foreword file
+ * @param {Array<Object>} input.articles - Article files
+ * @param {Object|null} input.finalPage - Final page file
+ * @param {Array<Object>} input.articlesMetadata - {fileName, title, author, section} for the TOC
+ * @param {Object} input.profile - Normalized journal profile
+ * @param {Object} [input.issue] - Issue {name, year, month} for the document info
+ * @param {string} input.workDir - Directory for intermediate files
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with {stage, current, total, message}
+ * @param {Function} [options.convert] - DOCX -> PDF converter (inputPath, outputDir) => pdfPath
+ * @returns {Promise<{outputPath: string, tempPaths: string[], pageMap: Array<Object>, compliance: Object|null}>} -
+ *   Merged PDF, intermediate files, the page map: {n, fileName, title, author, section, doi, firstPage, lastPage} per article
+ *   in issue order (page numbers as printed, inclusive), and the PDF/A report when profile.pdfA is set:
+ *   {level, compliant, problems: [{source, fileName?, issues}]}
+ */
+export async function generateJournal(input, { onProgress = () => {}, convert = convertDocxToPdf } = {}) {
+  const {
+    coverPage = null,
+    descriptionPage = null,
+    forewordPage = null,
+    articles = [],
+    finalPage = null,
+    articlesMetadata = [],
+    profile,
+    issue = {},
+    workDir
+  } = input;
+  const sectionOrder = profile.sections;
+  const specialPages = {
+    [LAYOUT_BLOCK_TYPES.COVER]: coverPage,
+    [LAYOUT_BLOCK_TYPES.DESCRIPTION]: descriptionPage,
+    [LAYOUT_BLOCK_TYPES.FOREWORD]: forewordPage,
+    [LAYOUT_BLOCK_TYPES.FINAL]: finalPage
+  };
+
+  // Progress units: one per uploaded file, then TOC, merging and numbering
+  const files = [...Object.values(specialPages), ...articles].filter(Boolean);
+  const total = files.length + 3;
+  let completed = 0;
+  const report = (stage, message) => onProgress({ stage, current: completed, total, message });
+
+  const toPdf = (file) => file.name.endsWith('.pdf') ? file.path : convert(file.path, workDir);
+
+  // 1. Convert all uploaded files concurrently (bounded by the LibreOffice worker pool)
+  const pdfPaths = new Map();
+
+  report('convert', `Конвертация документов [0/${files.length}]`);
+  const results = await Promise.allSettled(files.map(async (file) => {
+    console.log('Processing:', file.name);
+    pdfPaths.set(file, await toPdf(file));
+    completed++;
+    report('convert', `Конвертация документов [${completed}/${files.length}]: ${file.name}`);
+  }));
+
+  // Wait for every conversion before failing, so none writes into a removed work dir
+  const failed = results.find(result => result.status === 'rejected');
+  if (failed) throw failed.reason;
+
+  // 2. Collect article metadata and page counts (empty pages are removed first)
+  const articleData = [];
+
+  for (const file of articles) {
+    const pdfPath = pdfPaths.get(file);
+
+    // Find metadata for this article (match using decoded filename)
+    const meta = articlesMetadata.find(m => m.fileName === file.name) || {
+      fileName: file.name,
+      title: file.name.replace(/\.[^/.]+$/, ''),
+      author: 'Автор не указан',
+      section: sectionOrder[0]
+    };
+
+    articleData.push({
+      ...meta,
+      pdfPath,
+      pageCount: await removeEmptyPages(pdfPath)
+    });
+  }
+
+  // 3. Group articles by section and sort within each section
+  // (sections missing from the profile go last, so no article is dropped)
+  const issueSections = [...new Set([...sectionOrder, ...articleData.map(a => a.section)])];
+  const articlesBySection = {};
+  for (const section of issueSections) {
+    articlesBySection[section] = articleData
+      .filter(a => a.section === section)
+      .sort((a, b) => compareAuthors(a.author, b.author));
+  }
+
+  // 4. Resolve layout blocks into parts: {block, pdfPath, pageCount, article?, sectionName?}
+  const placedSections = new Set(profile.layout
+    .filter(block => block.type === LAYOUT_BLOCK_TYPES.ARTICLES && block.section)
+    .map(block => block.section));
+  // Sections with a divider block get no automatic header or divider
+  const dividedSections = new Set(profile.layout
+    .filter(block => block.type === LAYOUT_BLOCK_TYPES.DIVIDER)
+    .map(block => block.section));
+  const parts = [];
+
+  for (const block of profile.layout) {
+    switch (block.type) {
+      case LAYOUT_BLOCK_TYPES.TOC:
+      case LAYOUT_BLOCK_TYPES.AUTHOR_INDEX:
+        if (articleData.length > 0) parts.push({ block, pdfPath: null, pageCount: 0 });
+        break;
+      case LAYOUT_BLOCK_TYPES.BLANK:
+        parts.push({ block, pdfPath: null, pageCount: 1 });
+        break;
+      case LAYOUT_BLOCK_TYPES.DIVIDER:
+        if (articlesBySection[block.section]?.length > 0) {
+          parts.push({ block, pdfPath: null, pageCount: 1, divider: true, sectionName: block.section });
+        }
+        break;
+      case LAYOUT_BLOCK_TYPES.ARTICLES: {
+        const sections = block.section
+          ? [block.section]
+          : issueSections.filter(section => !placedSections.has(section));
+        for (const sectionName of sections) {
+          const sectionArticles = articlesBySection[sectionName] || [];
+          if (sectionArticles.length > 0 && profile.sectionHeading === 'divider' && !dividedSections.has(sectionName)) {
+            parts.push({ block, pdfPath: null, pageCount: 1, divider: true, sectionName });
+          }
+          sectionArticles.forEach((article, i) => {
+            parts.push({ block, pdfPath: article.pdfPath, pageCount: article.pageCount, article, sectionName, isFirstInSection: i === 0 });
+          });
+        }
+        break;
+      }
+      default: {
+        const file = specialPages[block.type];
+        if (file) {
+          const pdfPath = pdfPaths.get(file);
+          parts.push({ block, pdfPath, pageCount: await removeEmptyPages(pdfPath), fileName: file.name });
+        }
+      }
+    }
+  }
+
+  // DOIs follow the article order in the issue
+  const issueDate = { year: issue.year || new Date().getFullYear(), month: issue.month || new Date().getMonth() + 1 };
+  parts.filter(part => part.article).forEach((part, i) => {
+    part.doi = formatArticleDoi(profile, { ...issueDate, n: i + 1 });
+  });
+
+  // PDF/A: check the uploaded documents before headers are added, so problems point to their source
+  const complianceProblems = [];
+  if (profile.pdfA) {
+    for (const part of parts.filter(part => part.pdfPath)) {
+      const issues = await checkPdfCompliance(await fs.readFile(part.pdfPath), profile.pdfA);
+      if (issues.length > 0) {
+        complianceProblems.push(part.article
+          ? { source: part.article.title, fileName: part.article.fileName, issues }
+          : { source: getLayoutBlockLabel(part.block), fileName: part.fileName, issues });
+      }
+    }
+  }
+
+  // 5. Assign page numbers. The TOC and author index lengths depend only on the entries,
+  // so they are rendered once without page numbers to learn their length (they may precede the articles)
+  const tocPart = parts.find(part => part.block.type === LAYOUT_BLOCK_TYPES.TOC);
+  const authorIndexPart = parts.find(part => part.block.type === LAYOUT_BLOCK_TYPES.AUTHOR_INDEX);
+  const tocEntries = () => parts.filter(part => part.article).map(part => ({
+    ...part.article,
+    pdfPath: part.pdfPath,
+    pageNumber: part.startPage,
+    doi: part.doi
+  }));
+
+  if (tocPart) {
+    report('toc', 'Формирование содержания');
+    const { buffer } = await generateTableOfContentsPdf(tocEntries(), 0, profile);
+    tocPart.pageCount = (await PDFDocument.load(buffer)).getPageCount();
+  }
+
+  if (authorIndexPart) {
+    report('toc', 'Формирование указателя авторов');
+    const { buffer } = await generateAuthorIndexPdf(tocEntries(), profile);
+    authorIndexPart.pageCount = (await PDFDocument.load(buffer)).getPageCount();
+  }
+
+  // Print mode: articles and section headers/dividers start on odd, right-hand pages;
+  // a blank page is inserted before a part that would start on an even page
+  let currentPage = 1; // Start from page 1
+  for (let i = 0; i < parts.length; i++) {
+    const startsRecto = parts[i].article || parts[i].divider;
+    if (profile.printMode.enabled && startsRecto && currentPage % 2 === 0) {
+      parts.splice(i, 0, { block: { type: LAYOUT_BLOCK_TYPES.BLANK }, pdfPath: null, pageCount: 1 });
+    }
+    parts[i].startPage = currentPage;
+    currentPage += parts[i].pageCount;
+  }
+
+  // 6. Render generated parts and add section headers to the first article of each section
+  let tocLinks = [];
+  let authorIndexLinks = [];
+
+  for (const [index, part] of parts.entries()) {
+    if (part.divider) {
+      console.log(`Generating section divider "${part.sectionName}"`);
+      part.pdfPath = path.join(workDir, `divider-${Date.now()}-${index}.pdf`);
+      await fs.writeFile(part.pdfPath, await generateSectionDividerPdf(getSectionTitle(profile, part.sectionName), profile));
+    } else if (part.article && part.isFirstInSection && profile.sectionHeading === 'header' && !dividedSections.has(part.sectionName)) {
+      console.log(`Adding section header "${part.sectionName}" to first article`);
+      const articleBuffer = await fs.readFile(part.pdfPath);
+      const modifiedBuffer = await addSectionHeaderToArticle(articleBuffer, part.sectionName, profile);
+
+      // Save modified PDF
+      part.pdfPath = path.join(workDir, `article-with-header-${Date.now()}-${index}.pdf`);
+      await fs.writeFile(part.pdfPath, modifiedBuffer);
+    } else if (part.block.type === LAYOUT_BLOCK_TYPES.BLANK) {
+      part.pdfPath = path.join(workDir, `blank-${Date.now()}-${index}.pdf`);
+      await fs.writeFile(part.pdfPath, await generateBlankPagePdf(profile));
+    }
+  }
+
+  if (tocPart) {
+    console.log('Generating Table of Contents...');
+    const { buffer, links } = await generateTableOfContentsPdf(tocEntries(), tocPart.startPage, profile);
+    tocLinks = links;
+    tocPart.pdfPath = path.join(workDir, `toc-${Date.now()}.pdf`);
+    await fs.writeFile(tocPart.pdfPath, buffer);
+    console.log(`TOC generated: ${tocPart.pageCount} page(s), starting at page ${tocPart.startPage}`);
+  }
+
+  if (authorIndexPart) {
+    console.log('Generating author index...');
+    const { buffer, links } = await generateAuthorIndexPdf(tocEntries(), profile);
+    authorIndexLinks = links;
+    authorIndexPart.pdfPath = path.join(workDir, `author-index-${Date.now()}.pdf`);
+    await fs.writeFile(authorIndexPart.pdfPath, buffer);
+    console.log(`Author index generated: ${authorIndexPart.pageCount} page(s), starting at page ${authorIndexPart.startPage}`);
+  }
+  completed++;
+
+  // 7. Merge all PDFs in layout order
+  const allPdfPaths = parts.map(part => part.pdfPath);
+
+  console.log('Merging PDFs:', allPdfPaths.length, 'files in order:',
+    [...new Set(parts.map(part => getLayoutBlockLabel(part.block)))].join(', '));
+  report('merge', 'Объединение PDF');
+
+  // Blank pages are numbered; their footer is optional
+  const noFooterPaths = profile.printMode.blankPageFooter
+    ? []
+    : parts.filter(part => part.block.type === LAYOUT_BLOCK_TYPES.BLANK).map(part => part.pdfPath);
+
+  const outputPath = path.join(workDir, `journal-${Date.now()}.pdf`);
+  const startPages = await mergePdfs(allPdfPaths, outputPath, profile, () => {
+    completed++;
+    report('numbering', 'Нумерация страниц');
+  }, noFooterPaths);
+
+  // 8. Page map: where each article is in the merged issue (empty pages were removed while merging)
+  const startOf = (pdfPath) => startPages[allPdfPaths.indexOf(pdfPath)];
+  const mergedPageCount = await countPages(outputPath);
+  const pageMap = parts.filter(part => part.article).map((part, i) => {
+    const index = allPdfPaths.indexOf(part.pdfPath);
+    return {
+      n: i + 1,
+      fileName: part.article.fileName,
+      title: part.article.title,
+      author: part.article.author,
+      section: part.article.section,
+      doi: part.doi,
+      firstPage: startPages[index] + 1,
+      lastPage: startPages[index + 1] ?? mergedPageCount
+    };
+  });
+
+  if (profile.runningHeader.enabled) {
+    console.log('Adding running headers...');
+    const mergedBuffer = await fs.readFile(outputPath);
+    await fs.writeFile(outputPath, await addRunningHeaders(mergedBuffer, pageMap, profile));
+  }
+
+  if (pageMap.some(article => article.doi)) {
+    console.log('Adding DOIs to article first pages...');
+    const mergedBuffer = await fs.readFile(outputPath);
+    await fs.writeFile(outputPath, await addArticleDois(mergedBuffer, pageMap, profile));
+  }
+
+  // 9. Clickable TOC entries, author index pages and bookmarks
+  const outline = [];
+
+  for (const part of parts) {
+    const pageIndex = startOf(part.pdfPath);
+
+    if (part.divider) {
+      outline.push({ title: part.sectionName, sectionName: part.sectionName, pageIndex, children: [] });
+    } else if (part.article) {
+      const item = { title: `${part.article.title} — ${part.article.author}`, pageIndex };
+      let sectionItem = outline[outline.length - 1];
+      const startsNewSection = part.isFirstInSection && sectionItem?.children?.length > 0;
+      if (sectionItem?.sectionName !== part.sectionName || startsNewSection) {
+        sectionItem = { title: part.sectionName, sectionName: part.sectionName, pageIndex, children: [] };
+        outline.push(sectionItem);
+      }
+      sectionItem.children.push(item);
+    } else if (part.block.type === LAYOUT_BLOCK_TYPES.TOC) {
+      outline.push({ title: profile.tocHeading, pageIndex });
+    } else if (part.block.type !== LAYOUT_BLOCK_TYPES.BLANK) {
+      outline.push({ title: LAYOUT_BLOCK_LABELS[part.block.type], pageIndex });
+    }
+  }
+
+  const toDocumentLinks = (part, partLinks) => partLinks.map(link => ({
+    pageIndex: startOf(part.pdfPath) + link.pageIndex,
+    rect: link.rect,
+    targetPageIndex: startOf(link.article.pdfPath)
+  }));
+  const links = [
+    ...toDocumentLinks(tocPart, tocLinks),
+    ...toDocumentLinks(authorIndexPart, authorIndexLinks)
+  ];
+
+  try {
+    const mergedBuffer = await fs.readFile(outputPath);
+    await fs.writeFile(outputPath, await addNavigation(mergedBuffer, { links, outline }));
+  } catch (error) {
+    // The issue is still usable without navigation
+    console.warn('Failed to add TOC links and bookmarks:', error.message);
+  }
+
+  // 10. Document info; in archival mode also XMP metadata and output intent. PDF/A problems left by
+  // generated pages (TOC, footers, headers) are reported separately from those of uploaded documents
+  const documentInfo = getIssueDocumentInfo(profile, issue, parts.filter(part => part.article).map(part => part.article));
+  let compliance = null;
+  if (!profile.pdfA) {
+    await fs.writeFile(outputPath, await writeDocumentInfo(await fs.readFile(outputPath), documentInfo));
+  } else {
+    console.log(`Converting issue to PDF/A-${profile.pdfA}...`);
+    const { buffer, problems } = await convertToPdfA(await fs.readFile(outputPath), {
+      level: profile.pdfA,
+      info: documentInfo,
+      issn: profile.issn
+    });
+    await fs.writeFile(outputPath, buffer);
+
+    const reported = new Set(complianceProblems.flatMap(problem => problem.issues));
+    const generatedIssues = problems.filter(problem => !reported.has(problem));
+    if (generatedIssues.length > 0) {
+      complianceProblems.push({ source: 'Оформление выпуска', issues: generatedIssues });
+    }
+
+    compliance = { level: profile.pdfA, compliant: complianceProblems.length === 0, problems: complianceProblems };
+    if (!compliance.compliant) {
+      console.warn(`PDF/A-${profile.pdfA} problems:`, complianceProblems.map(p => `${p.source}: ${p.issues.join('; ')}`).join(' | '));
+    }
+  }
+
+  completed = total;
+  report('done', 'Выпуск сформирован');
+
+  return { outputPath, tempPaths: allPdfPaths, pageMap, compliance };
+}
+
+export default {
+  addPageNumbers,
+  addRunningHeaders,
+  addArticleDois,
+  loadCyrillicFont,
+  generateTableOfContentsPdf,
+  generateBlankPagePdf,
+  addSectionHeaderToArticle,
+  generateSectionDividerPdf,
+  generateAuthorIndexPdf,
+  mergePdfs,
+  generateJournal
+};
@@ -0,0 +1,246 @@
+/**
+ * Journal Profile Service
+ * Manages journal profiles (branding and layout) in database
+ */
+
+import { query } from '../db/config.js';
+import { DEFAULT_JOURNAL_PROFILE, normalizeJournalProfile } from '../../shared/journalProfile.js';
+import { DEFAULT_SECTIONS } from '../../shared/sections.js';
+import sectionService from './sectionService.js';
+
+// Section names (in order) are read from journal_sections
+const PROFILE_COLUMNS = `id, name, title, issn, footer_format, page_size, margins, line_height, fonts,
+  toc_heading, layout, print_mode, section_heading, running_header, pdf_a, doi, elibrary_title_id, min_references, transliteration, format_rules, is_default, created_at, updated_at,
+  (SELECT COALESCE(jsonb_agg(s.name_ru ORDER BY s.sort_order, s.id), '[]'::jsonb)
+   FROM journal_sections s WHERE s.profile_id = journal_profiles.id) AS sections,
+  (SELECT COALESCE(jsonb_agg(jsonb_build_object('ru', s.name_ru, 'kk', s.name_kk, 'en', s.name_en)
+     ORDER BY s.sort_order, s.id), '[]'::jsonb)
+   FROM journal_sections s WHERE s.profile_id = journal_profiles.id) AS section_titles`;
+
+// API field name -> database column (JSONB columns are serialized on write)
+const FIELD_MAP = {
+  name: 'name',
+  title: 'title',
+  issn: 'issn',
+  footerFormat: 'footer_format',
+  pageSize: 'page_size',
+  margins: 'margins',
+  lineHeight: 'line_height',
+  fonts: 'fonts',
+  tocHeading: 'toc_heading',
+  layout: 'layout',
+  printMode: 'print_mode',
+  sectionHeading: 'section_heading',
+  runningHeader: 'running_header',
+  pdfA: 'pdf_a',
+  doi: 'doi',
+  elibraryTitleId: 'elibrary_title_id',
+  minReferences: 'min_references',
+  transliteration: 'transliteration',
+  formatRules: 'format_rules'
+};
+const JSONB_COLUMNS = ['footer_format', 'page_size', 'margins', 'fonts', 'layout', 'print_mode', 'running_header', 'doi', 'transliteration', 'format_rules'];
+
+/**
+ * Convert database row to API profile
+ * @param {Object|undefined} row - Database row
+ * @returns {Object|null}
+ */
+function toProfile(row) {
+  if (!row) return null;
+  return {
+    ...normalizeJournalProfile(row),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Get all journal profiles
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getAllProfiles() {
+  const result = await query(
+    `SELECT ${PROFILE_COLUMNS} FROM journal_profiles ORDER BY is_default DESC, name ASC`
+  );
+  return result.rows.map(toProfile);
+}
+
+/**
+ * Get journal profile by ID
+ * @param {number} profileId - Profile ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getProfile(profileId) {
+  const result = await query(
+    `SELECT ${PROFILE_COLUMNS} FROM journal_profiles WHERE id = $1`,
+    [profileId]
+  );
+  return toProfile(result.rows[0]);
+}
+
+/**
+ * Get default journal profile
+ * @returns {Promise<Object|null>}
+ */
+export async function getDefaultProfile() {
+  const result = await query(
+    `SELECT ${PROFILE_COLUMNS} FROM journal_profiles WHERE is_default = TRUE LIMIT 1`
+  );
+  return toProfile(result.rows[0]);
+}
+
+/**
+ * Resolve the profile used for generation
+ * Order: profile by ID -> inline profile sent by client -> default in DB -> built-in default
+ * Never throws: generation must work without a database
+ * @param {number|string|null} profileId - Profile ID
+ * @param {Object|null} inlineProfile - Profile sent with the request (memory-only mode)
+ * @returns {Promise<Object>} - Normalized profile
+ */
+export async function resolveProfile(profileId, inlineProfile = null) {
+  try {
+    if (profileId) {
+      const profile = await getProfile(parseInt(profileId));
+      if (profile) return profile;
+    }
+  } catch (error) {
+    console.warn('Failed to load journal profile from database:', error.message);
+  }
+
+  if (inlineProfile) {
+    return normalizeJournalProfile(inlineProfile);
+  }
+
+  try {
+    const profile = await getDefaultProfile();
+    if (profile) return profile;
+  } catch (error) {
+    console.warn('Failed to load default journal profile:', error.message);
+  }
+
+  return normalizeJournalProfile(DEFAULT_JOURNAL_PROFILE);
+}
+
+/**
+ * Build column list and values from API fields
+ * @param {Object} data - Profile fields (camelCase)
+ * @returns {{columns: string[], values: Array}}
+ */
+function toColumns(data) {
+  const columns = [];
+  const values = [];
+
+  for (const [key, value] of Object.entries(data)) {
+    const column = FIELD_MAP[key];
+    if (!column || value === undefined) continue;
+    // Font paths are never stored: only file names inside the server fonts directory
+    const stored = key === 'fonts' ? normalizeJournalProfile({ fonts: value }).fonts : value;
+    columns.push(column);
+    values.push(JSONB_COLUMNS.includes(column) ? JSON.stringify(stored) : stored);
+  }
+
+  return { columns, values };
+}
+
+/**
+ * Create a journal profile
+ * The first profile created becomes the default one
+ * Sections are copied from the default profile (or built-in sections)
+ * @param {Object} profileData - Profile fields (camelCase)
+ * @returns {Promise<Object>} Created profile
+ */
+export async function createProfile(profileData) {
+  if (!profileData.name || !profileData.title) {
+    throw new Error('Profile name and title are required');
+  }
+
+  const { columns, values } = toColumns(profileData);
+  const placeholders = columns.map((_, i) => `$${i + 1}`);
+
+  const result = await query(
+    `INSERT INTO journal_profiles (${columns.join(', ')}, is_default)
+     VALUES (${placeholders.join(', ')},
+       NOT EXISTS (SELECT 1 FROM journal_profiles WHERE is_default = TRUE))
+     RETURNING id`,
+    values
+  );
+  const profileId = result.rows[0].id;
+
+  const defaultSections = await sectionService.getSections();
+  const sections = defaultSections.length > 0 && defaultSections[0].profileId !== profileId
+    ? defaultSections
+    : DEFAULT_SECTIONS;
+  for (const section of sections) {
+    const { id, profileId: _sourceProfile, ...fields } = section;
+    await sectionService.createSection(fields, profileId);
+  }
+
+  return getProfile(profileId);
+}
+
+/**
+ * Update a journal profile
+ * @param {number} profileId - Profile ID
+ * @param {Object} updates - Fields to update (camelCase)
+ * @returns {Promise<Object|null>} Updated profile
+ */
+export async function updateProfile(profileId, updates) {
+  const { columns, values } = toColumns(updates);
+
+  if (columns.length === 0) {
+    throw new Error('No valid fields to update');
+  }
+
+  const setClauses = columns.map((column, i) => `${column} = $${i + 2}`);
+
+  const result = await query(
+    `UPDATE journal_profiles
+     SET ${setClauses.join(', ')}
+     WHERE id = $1
+     RETURNING ${PROFILE_COLUMNS}`,
+    [profileId, ...values]
+  );
+
+  return toProfile(result.rows[0]);
+}
+
+/**
+ * Make a profile the default one
+ * @param {number} profileId - Profile ID
+ * @returns {Promise<Object|null>} Updated profile
+ */
+export async function setDefaultProfile(profileId) {
+  await query('UPDATE journal_profiles SET is_default = FALSE WHERE is_default = TRUE AND id <> $1', [profileId]);
+  const result = await query(
+    `UPDATE journal_profiles SET is_default = TRUE WHERE id = $1 RETURNING ${PROFILE_COLUMNS}`,
+    [profileId]
+  );
+  // The classifier uses the sections of the default profile
+  await sectionService.refreshActiveSections();
+  return toProfile(result.rows[0]);
+}
+
+/**
+ * Delete a journal profile (the default profile cannot be deleted)
+ * @param {number} profileId - Profile ID
+ * @returns {Promise<boolean>} True if deleted
+ */
+export async function deleteProfile(profileId) {
+  const result = await query(
+    'DELETE FROM journal_profiles WHERE id = $1 AND is_default = FALSE',
+    [profileId]
+  );
+  return result.rowCount > 0;
+}
+
+export default {
+  getAllProfiles,
+  getProfile,
+  getDefaultProfile,
+  resolveProfile,
+  createProfile,
+  updateProfile,
+  setDefaultProfile,
+  deleteProfile
+};
@@ -0,0 +1,317 @@
+/**
+ * Microsite Service
+ * Static HTML edition of an archived issue: landing page, contents grouped by section and
+ * one page per article with abstracts, keywords, citation and offprint link
+ * Article pages carry Highwire Press citation_* meta tags, which Google Scholar indexes
+ * The pages are rendered from the page map and the front matter stored in the issue metadata
+ */
+
+import JSZip from 'jszip';
+import { getSectionTitle } from '../../shared/journalProfile.js';
+import { splitAuthors } from '../../shared/authors.js';
+import { FRONT_MATTER_LANGUAGES } from '../../shared/frontMatter.js';
+import { formatCitation } from './citationService.js';
+import { getOffprintFilename, buildOffprints } from './offprintService.js';
+
+const ISSUE_PDF = 'issue.pdf';
+
+const LABELS = {
+  ru: { abstract: 'Аннотация', keywords: 'Ключевые слова' },
+  kk: { abstract: 'Аңдатпа', keywords: 'Түйін сөздер' },
+  en: { abstract: 'Abstract', keywords: 'Keywords' }
+};
+
+const STYLE = `body { font-family: Georgia, 'Times New Roman', serif; max-width: 820px; margin: 0 auto; padding: 24px; color: #222; line-height: 1.5; }
+header { border-bottom: 1px solid #ccc; margin-bottom: 24px; }
+header a { color: #222; text-decoration: none; }
+h1 { font-size: 1.6em; } h2 { font-size: 1.25em; margin-top: 2em; } h3 { font-size: 1.05em; }
+a { color: #3545a8; }
+.meta { color: #666; font-size: 0.9em; }
+.authors { font-style: italic; }
+ol.contents li { margin-bottom: 0.8em; }
+.citation { background: #f5f5f5; padding: 12px; font-size: 0.9em; }
+`;
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * URL segment of an issue: its number, or the month when the issue has no number
+ * @param {Object} issue - Archive issue {issue_number, month}
+ * @returns {string}
+ */
+export function getIssueSlug(issue) {
+  return String(issue.issue_number || issue.month);
+}
+
+/**
+ * Path the issue website is served under (/journal/:year/:issue/)
+ * @param {Object} issue - Archive issue {year, issue_number, month}
+ * @returns {string}
+ */
+export function getIssueSitePath(issue) {
+  return `/journal/${issue.year}/${encodeURIComponent(getIssueSlug(issue))}/`;
+}
+
+/**
+ * Page of an article in the site
+ * @param {Object} article - Page map entry {n}
+ * @returns {string}
+ */
+function getArticlePage(article) {
+  return `articles/article-${String(article.n).padStart(2, '0')}.html`;
+}
+
+/**
+ * Issue name shown on the pages ("№ 2, 2025" or the archive title)
+ * @param {Object} issue - Archive issue
+ * @returns {string}
+ */
+function getIssueName(issue) {
+  return issue.issue_number ? `№ ${issue.issue_number}, ${issue.year}` : (issue.title || String(issue.year));
+}
+
+/**
+ * Pages of an article ("с. 5–9", "с. 5")
+ * @param {Object} article - Page map entry {firstPage, lastPage}
+ * @returns {string}
+ */
+function formatPageRange(article) {
+  return article.firstPage === article.lastPage ? `с. ${article.firstPage}` : `с. ${article.firstPage}–${article.lastPage}`;
+}
+
+/**
+ * Render an HTML page
+ * @param {Object} page
+ * @param {string} page.lang - Page language
+ * @param {string} page.title - Document title
+ * @param {string} page.body - Body HTML
+ * @param {string} [page.root] - Relative path to the site root ('' or '../')
+ * @param {string[]} [page.meta] - Extra meta tags
+ * @param {Object} page.profile - Journal profile
+ * @returns {string}
+ */
+function renderPage({ lang, title, body, root = '', meta = [], profile }) {
+  return [
+    '<!DOCTYPE html>',
+    `<html lang="${lang}">`,
+    '<head>',
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<title>${escapeHtml(title)}</title>`,
+    ...meta,
+    `<link rel="stylesheet" href="${root}style.css">`,
+    '</head>',
+    '<body>',
+    `<header><p><a href="${root}index.html">${escapeHtml(profile.title)}</a></p></header>`,
+    body,
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Highwire Press meta tags of an article
+ * @param {Object} article - Page map entry
+ * @param {Object} frontMatter - Stored front matter {language, abstracts, keywords, references}
+ * @param {Object} issue - Archive issue
+ * @param {Object} profile - Journal profile
+ * @param {string} pdfUrl - Offprint URL
+ * @returns {string[]}
+ */
+function buildHighwireTags(article, frontMatter, issue, profile, pdfUrl) {
+  const lang = frontMatter.language || 'ru';
+  const keywords = frontMatter.keywords?.[lang] || [];
+  const tags = [
+    ['citation_title', article.title],
+    ...splitAuthors(article.author).map(name => ['citation_author', name]),
+    ['citation_publication_date', `${issue.year}/${String(issue.month).padStart(2, '0')}`],
+    ['citation_journal_title', profile.title],
+    ['citation_journal_abbrev', profile.name],
+    ['citation_issn', profile.issn],
+    ['citation_issue', issue.issue_number],
+    ['citation_firstpage', article.firstPage],
+    ['citation_lastpage', article.lastPage],
+    ['citation_doi', article.doi],
+    ['citation_language', lang],
+    ['citation_keywords', keywords.join('; ')],
+    ['citation_abstract', frontMatter.abstracts?.[lang]],
+    ['citation_pdf_url', pdfUrl],
+    ...(frontMatter.references || []).map(reference => ['citation_reference', reference.text])
+  ];
+
+  return tags
+    .filter(([, value]) => value)
+    .map(([name, value]) => `<meta name="${name}" content="${escapeHtml(value)}">`);
+}
+
+/**
+ * Render the landing page of the issue
+ * @param {Object} issue - Archive issue
+ * @param {Object} profile - Journal profile
+ * @returns {string}
+ */
+function renderLanding(issue, profile) {
+  const pageMap = issue.page_map || [];
+  const body = [
+    `<h1>${escapeHtml(profile.title)}</h1>`,
+    `<p class="meta">${[getIssueName(issue), profile.issn && `ISSN ${profile.issn}`].filter(Boolean).map(escapeHtml).join(' · ')}</p>`,
+    `<p>Статей в выпуске: ${pageMap.length}</p>`,
+    '<ul>',
+    '<li><a href="contents.html">Содержание выпуска</a></li>',
+    `<li><a href="${ISSUE_PDF}">Выпуск целиком (PDF)</a></li>`,
+    '</ul>'
+  ].join('\n');
+
+  return renderPage({ lang: 'ru', title: `${profile.title}. ${getIssueName(issue)}`, body, profile });
+}
+
+/**
+ * Render the contents page: articles grouped by section in issue order
+ * @param {Object} issue - Archive issue
+ * @param {Object} profile - Journal profile
+ * @returns {string}
+ */
+function renderContents(issue, profile) {
+  const groups = [];
+  for (const article of issue.page_map || []) {
+    const last = groups[groups.length - 1];
+    if (last && last.section === article.section) {
+      last.articles.push(article);
+    } else {
+      groups.push({ section: article.section, articles: [article] });
+    }
+  }
+
+  const body = [`<h1>Содержание · ${escapeHtml(getIssueName(issue))}</h1>`];
+  for (const group of groups) {
+    if (group.section) {
+      const titles = getSectionTitle(profile, group.section);
+      body.push(`<h2>${[titles.ru, titles.kk, titles.en].filter(Boolean).map(escapeHtml).join(' / ')}</h2>`);
+    }
+    body.push('<ol class="contents">');
+    for (const article of group.articles) {
+      body.push(
+        `<li value="${article.n}"><a href="${getArticlePage(article)}">${escapeHtml(article.title)}</a><br>`
+        + `<span class="authors">${escapeHtml(article.author)}</span> <span class="meta">${formatPageRange(article)}</span></li>`
+      );
+    }
+    body.push('</ol>');
+  }
+
+  return renderPage({ lang: 'ru', title: `Содержание. ${getIssueName(issue)}`, body: body.join('\n'), profile });
+}
+
+/**
+ * Render the page of one article
+ * @param {Object} article - Page map entry
+ * @param {Object} issue - Archive issue (with metadata.articles front matter)
+ * @param {Object} profile - Journal profile
+ * @param {string} baseUrl - Absolute URL of the site root, '' for relative links
+ * @returns {string}
+ */
+function renderArticle(article, issue, profile, baseUrl) {
+  const frontMatter = issue.metadata?.articles?.find(entry => entry.n === article.n) || {};
+  const pdfPath = `pdf/${getOffprintFilename(article)}`;
+  const lang = frontMatter.language || 'ru';
+
+  // The article's own language first, then the translations
+  const languages = [lang, ...FRONT_MATTER_LANGUAGES.filter(other => other !== lang)];
+  const abstracts = languages
+    .filter(other => frontMatter.abstracts?.[other] || frontMatter.keywords?.[other]?.length)
+    .map(other => [
+      frontMatter.abstracts?.[other]
+        ? `<h3>${LABELS[other].abstract}</h3>\n<p lang="${other}">${escapeHtml(frontMatter.abstracts[other])}</p>`
+        : '',
+      frontMatter.keywords?.[other]?.length
+        ? `<p lang="${other}"><strong>${LABELS[other].keywords}:</strong> ${escapeHtml(frontMatter.keywords[other].join(', '))}</p>`
+        : ''
+    ].filter(Boolean).join('\n'));
+
+  const body = [
+    article.section ? `<p class="meta">${escapeHtml(article.section)}</p>` : '',
+    `<h1>${escapeHtml(article.title)}</h1>`,
+    `<p class="authors">${escapeHtml(splitAuthors(article.author).join(', '))}</p>`,
+    ...(frontMatter.affiliations || []).map(affiliation => `<p class="meta">${escapeHtml(affiliation)}</p>`),
+    `<p class="meta">${escapeHtml(getIssueName(issue))} · ${formatPageRange(article)}`
+      + (article.doi ? ` · DOI: <a href="https://doi.org/${escapeHtml(article.doi)}">${escapeHtml(article.doi)}</a>` : '')
+      + '</p>',
+    `<p><a href="../${pdfPath}">Полный текст (PDF)</a></p>`,
+    ...abstracts,
+    '<h3>Для цитирования</h3>',
+    `<p class="citation">${escapeHtml(formatCitation('gost', article, issue, profile))}</p>`,
+    '<p><a href="../contents.html">← Содержание выпуска</a></p>'
+  ].filter(Boolean).join('\n');
+
+  return renderPage({
+    lang,
+    title: article.title,
+    body,
+    root: '../',
+    meta: buildHighwireTags(article, frontMatter, issue, profile, baseUrl ? `${baseUrl}${pdfPath}` : `../${pdfPath}`),
+    profile
+  });
+}
+
+/**
+ * Render the HTML pages of an issue website
+ * @param {Object} issue - Archive issue with page_map and metadata
+ * @param {Object} profile - Journal profile
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - Absolute URL of the site root ending with '/'
+ *   (Google Scholar expects an absolute citation_pdf_url; the ZIP uses relative links)
+ * @returns {Object<string, string>} - Page content by path in the site
+ */
+export function renderIssueSite(issue, profile, { baseUrl = '' } = {}) {
+  const pages = {
+    'index.html': renderLanding(issue, profile),
+    'contents.html': renderContents(issue, profile),
+    'style.css': STYLE
+  };
+
+  for (const article of issue.page_map || []) {
+    pages[getArticlePage(article)] = renderArticle(article, issue, profile, baseUrl);
+  }
+
+  return pages;
+}
+
+/**
+ * Build a ZIP of the issue website with the issue PDF and the offprints
+ * @param {Buffer} issuePdf - Issue PDF buffer
+ * @param {Object} issue - Archive issue with page_map and metadata
+ * @param {Object} profile - Journal profile
+ * @returns {Promise<Buffer>} - ZIP buffer
+ */
+export async function buildIssueSiteZip(issuePdf, issue, profile) {
+  const zip = new JSZip();
+
+  for (const [path, content] of Object.entries(renderIssueSite(issue, profile))) {
+    zip.file(path, content);
+  }
+
+  zip.file(ISSUE_PDF, issuePdf);
+  for (const offprint of await buildOffprints(issuePdf, issue.page_map || [], { issue, profile })) {
+    zip.file(`pdf/${offprint.filename}`, offprint.data);
+  }
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+export default {
+  getIssueSlug,
+  getIssueSitePath,
+  renderIssueSite,
+  buildIssueSiteZip
+};
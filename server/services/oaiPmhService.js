@@ -0,0 +1,479 @@
+/**
+ * OAI-PMH Service
+ * OAI-PMH 2.0 data provider over the archive: every article of an archived issue is a record
+ * (oai_dc metadata), sets are sections and years
+ * Harvesters page through lists with stateless resumption tokens; records are never
+ * updated after archiving, so the issue creation time is the datestamp
+ */
+
+import archiveService from './archiveService.js';
+import journalProfileService from './journalProfileService.js';
+import { getSectionTitle } from '../../shared/journalProfile.js';
+import { splitAuthors } from '../../shared/authors.js';
+import { formatCitation } from './citationService.js';
+
+// Records per ListRecords/ListIdentifiers response
+const PAGE_SIZE = 100;
+
+const METADATA_FORMATS = [
+  {
+    prefix: 'oai_dc',
+    schema: 'http://www.openarchives.org/OAI/2.0/oai_dc.xsd',
+    namespace: 'http://www.openarchives.org/OAI/2.0/oai_dc/'
+  }
+];
+
+// Arguments allowed per verb (verb itself excluded); required ones are checked separately
+const VERB_ARGUMENTS = {
+  Identify: [],
+  ListMetadataFormats: ['identifier'],
+  ListSets: ['resumptionToken'],
+  ListIdentifiers: ['metadataPrefix', 'from', 'until', 'set', 'resumptionToken'],
+  ListRecords: ['metadataPrefix', 'from', 'until', 'set', 'resumptionToken'],
+  GetRecord: ['identifier', 'metadataPrefix']
+};
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const SECONDS_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}Z$/;
+
+/**
+ * OAI-PMH protocol error, rendered as an <error> element
+ */
+class OaiError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+/**
+ * Escape text for XML
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format a date with the repository granularity (seconds, UTC)
+ * @param {Date|string} date - Date
+ * @returns {string}
+ */
+function formatDatestamp(date) {
+  return new Date(date).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * ASCII set spec of a section (from its English name)
+ * @param {Object} profile - Journal profile
+ * @param {string} section - Section name (Russian)
+ * @returns {string}
+ */
+function getSectionSetSpec(profile, section) {
+  const { en } = getSectionTitle(profile, section);
+  const slug = String(en || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `section:${slug || profile.sections.indexOf(section) + 1}`;
+}
+
+/**
+ * Load all archived articles as OAI records, oldest first
+ * @returns {Promise<Array<Object>>} - {issue, article, profile, datestamp, setSpecs}
+ */
+async function loadRecords() {
+  const issues = await archiveService.getAllArchiveIssues();
+  const profiles = new Map();
+  const records = [];
+
+  const sorted = [...issues].sort((a, b) => new Date(a.created_at) - new Date(b.created_at) || a.id - b.id);
+  for (const issue of sorted) {
+    const profileId = issue.metadata?.profileId ?? null;
+    if (!profiles.has(profileId)) {
+      profiles.set(profileId, await journalProfileService.resolveProfile(profileId));
+    }
+    const profile = profiles.get(profileId);
+
+    for (const article of issue.page_map || []) {
+      records.push({
+        issue,
+        article,
+        profile,
+        datestamp: formatDatestamp(issue.created_at),
+        setSpecs: [
+          `year:${issue.year}`,
+          ...(article.section ? [getSectionSetSpec(profile, article.section)] : [])
+        ]
+      });
+    }
+  }
+
+  return records;
+}
+
+/**
+ * OAI identifier of an archived article
+ * @param {string} repositoryId - Repository identifier (host name)
+ * @param {Object} record - Record {issue, article}
+ * @returns {string}
+ */
+function getRecordIdentifier(repositoryId, record) {
+  return `oai:${repositoryId}:${record.issue.id}-${record.article.n}`;
+}
+
+/**
+ * Parse and check a from/until argument
+ * @param {string} value - Datestamp argument
+ * @param {boolean} isUntil - Day granularity "until" covers the whole day
+ * @returns {{time: number, granularity: string}|null}
+ */
+function parseDatestampArgument(value, isUntil) {
+  if (value === undefined) return null;
+
+  if (DAY_PATTERN.test(value)) {
+    const time = Date.parse(`${value}T${isUntil ? '23:59:59' : '00:00:00'}Z`);
+    if (!Number.isNaN(time)) return { time, granularity: 'day' };
+  } else if (SECONDS_PATTERN.test(value)) {
+    const time = Date.parse(value);
+    if (!Number.isNaN(time)) return { time, granularity: 'seconds' };
+  }
+
+  throw new OaiError('badArgument', `Illegal datestamp: ${value}`);
+}
+
+/**
+ * Encode the state of a list request as a resumption token
+ * @param {Object} state - {metadataPrefix, set, from, until, cursor}
+ * @returns {string}
+ */
+function encodeResumptionToken(state) {
+  return Buffer.from(JSON.stringify(state)).toString('base64url');
+}
+
+/**
+ * Decode a resumption token
+ * @param {string} token - Resumption token
+ * @returns {Object} - {metadataPrefix, set, from, until, cursor}
+ */
+function decodeResumptionToken(token) {
+  try {
+    const state = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    if (Number.isInteger(state.cursor) && state.cursor >= 0) return state;
+  } catch {
+    // Reported below
+  }
+  throw new OaiError('badResumptionToken', 'The resumption token is invalid or expired');
+}
+
+/**
+ * Check the arguments of a request
+ * @param {string} verb - Verb
+ * @param {Object} args - Arguments without the verb
+ */
+function checkArguments(verb, args) {
+  const allowed = VERB_ARGUMENTS[verb];
+  const illegal = Object.keys(args).filter(name => !allowed.includes(name));
+  if (illegal.length > 0) {
+    throw new OaiError('badArgument', `Illegal argument: ${illegal.join(', ')}`);
+  }
+
+  const repeated = Object.entries(args).filter(([, value]) => Array.isArray(value));
+  if (repeated.length > 0) {
+    throw new OaiError('badArgument', `Repeated argument: ${repeated.map(([name]) => name).join(', ')}`);
+  }
+
+  if (args.resumptionToken && Object.keys(args).length > 1) {
+    throw new OaiError('badArgument', 'resumptionToken is an exclusive argument');
+  }
+}
+
+/**
+ * Check that a metadata format is supported
+ * @param {string} metadataPrefix - Metadata prefix
+ */
+function checkMetadataPrefix(metadataPrefix) {
+  if (!metadataPrefix) {
+    throw new OaiError('badArgument', 'Missing required argument: metadataPrefix');
+  }
+  if (!METADATA_FORMATS.some(format => format.prefix === metadataPrefix)) {
+    throw new OaiError('cannotDisseminateFormat', `Unsupported metadata format: ${metadataPrefix}`);
+  }
+}
+
+/**
+ * Build the record header
+ * @param {string} repositoryId - Repository identifier
+ * @param {Object} record - Record
+ * @returns {string}
+ */
+function buildHeader(repositoryId, record) {
+  return [
+    '<header>',
+    `<identifier>${escapeXml(getRecordIdentifier(repositoryId, record))}</identifier>`,
+    `<datestamp>${record.datestamp}</datestamp>`,
+    ...record.setSpecs.map(spec => `<setSpec>${escapeXml(spec)}</setSpec>`),
+    '</header>'
+  ].join('');
+}
+
+/**
+ * Build the oai_dc metadata of an article
+ * @param {Object} record - Record {issue, article, profile}
+ * @param {string} baseUrl - Server URL (offprint links)
+ * @returns {string}
+ */
+function buildDublinCore({ issue, article, profile }, baseUrl) {
+  const frontMatter = issue.metadata?.articles?.find(entry => entry.n === article.n) || {};
+  const keywords = Object.values(frontMatter.keywords || {}).flat();
+  const elements = [
+    ['title', article.title],
+    ...splitAuthors(article.author).map(name => ['creator', name]),
+    ['subject', article.section],
+    ...keywords.map(keyword => ['subject', keyword]),
+    ...Object.values(frontMatter.abstracts || {}).map(abstract => ['description', abstract]),
+    ['publisher', profile.title],
+    ['date', `${issue.year}-${String(issue.month).padStart(2, '0')}`],
+    ['type', 'info:eu-repo/semantics/article'],
+    ['type', 'Text'],
+    ['format', 'application/pdf'],
+    ['identifier', `${baseUrl}/api/data/archive/${issue.id}/articles/${article.n}/pdf`],
+    ['identifier', article.doi ? `https://doi.org/${article.doi}` : null],
+    ['source', formatCitation('gost', article, issue, profile)],
+    ['source', profile.issn ? `ISSN ${profile.issn}` : null],
+    ['language', frontMatter.language]
+  ];
+
+  return [
+    '<oai_dc:dc xmlns:oai_dc="http://www.openarchives.org/OAI/2.0/oai_dc/" xmlns:dc="http://purl.org/dc/elements/1.1/"'
+      + ' xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"'
+      + ' xsi:schemaLocation="http://www.openarchives.org/OAI/2.0/oai_dc/ http://www.openarchives.org/OAI/2.0/oai_dc.xsd">',
+    ...elements.filter(([, value]) => value).map(([name, value]) => `<dc:${name}>${escapeXml(value)}</dc:${name}>`),
+    '</oai_dc:dc>'
+  ].join('');
+}
+
+/**
+ * Identify verb
+ * @param {Object} context - {baseUrl, repositoryId, adminEmail}
+ * @returns {Promise<string>}
+ */
+async function identify({ baseUrl, repositoryId, adminEmail }) {
+  const [records, profile] = await Promise.all([loadRecords(), journalProfileService.resolveProfile(null)]);
+  const earliest = records[0]?.datestamp || formatDatestamp(new Date());
+
+  return [
+    '<Identify>',
+    `<repositoryName>${escapeXml(profile.title)}</repositoryName>`,
+    `<baseURL>${escapeXml(`${baseUrl}/oai`)}</baseURL>`,
+    '<protocolVersion>2.0</protocolVersion>',
+    `<adminEmail>${escapeXml(adminEmail || profile.doi.depositorEmail || `admin@${repositoryId}`)}</adminEmail>`,
+    `<earliestDatestamp>${earliest}</earliestDatestamp>`,
+    '<deletedRecord>no</deletedRecord>',
+    '<granularity>YYYY-MM-DDThh:mm:ssZ</granularity>',
+    '<description>',
+    '<oai-identifier xmlns="http://www.openarchives.org/OAI/2.0/oai-identifier"'
+      + ' xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"'
+      + ' xsi:schemaLocation="http://www.openarchives.org/OAI/2.0/oai-identifier http://www.openarchives.org/OAI/2.0/oai-identifier.xsd">',
+    '<scheme>oai</scheme>',
+    `<repositoryIdentifier>${escapeXml(repositoryId)}</repositoryIdentifier>`,
+    '<delimiter>:</delimiter>',
+    `<sampleIdentifier>oai:${escapeXml(repositoryId)}:1-1</sampleIdentifier>`,
+    '</oai-identifier>',
+    '</description>',
+    '</Identify>'
+  ].join('');
+}
+
+/**
+ * ListMetadataFormats verb
+ * @param {Object} args - {identifier?}
+ * @param {Object} context - {repositoryId}
+ * @returns {Promise<string>}
+ */
+async function listMetadataFormats(args, { repositoryId }) {
+  if (args.identifier) {
+    const records = await loadRecords();
+    if (!records.some(record => getRecordIdentifier(repositoryId, record) === args.identifier)) {
+      throw new OaiError('idDoesNotExist', `Unknown identifier: ${args.identifier}`);
+    }
+  }
+
+  return [
+    '<ListMetadataFormats>',
+    ...METADATA_FORMATS.map(format => '<metadataFormat>'
+      + `<metadataPrefix>${format.prefix}</metadataPrefix>`
+      + `<schema>${format.schema}</schema>`
+      + `<metadataNamespace>${format.namespace}</metadataNamespace>`
+      + '</metadataFormat>'),
+    '</ListMetadataFormats>'
+  ].join('');
+}
+
+/**
+ * ListSets verb: sections and years that have records
+ * @param {Object} args - {resumptionToken?}
+ * @returns {Promise<string>}
+ */
+async function listSets(args) {
+  if (args.resumptionToken) {
+    // The set list fits one response
+    throw new OaiError('badResumptionToken', 'The resumption token is invalid or expired');
+  }
+
+  const sets = new Map();
+  for (const record of await loadRecords()) {
+    sets.set(`year:${record.issue.year}`, `${record.issue.year}`);
+    if (record.article.section) {
+      const titles = getSectionTitle(record.profile, record.article.section);
+      sets.set(getSectionSetSpec(record.profile, record.article.section), titles.en || titles.ru);
+    }
+  }
+
+  return [
+    '<ListSets>',
+    ...[...sets].map(([spec, name]) => `<set><setSpec>${escapeXml(spec)}</setSpec><setName>${escapeXml(name)}</setName></set>`),
+    '</ListSets>'
+  ].join('');
+}
+
+/**
+ * ListIdentifiers and ListRecords verbs
+ * @param {string} verb - 'ListIdentifiers' or 'ListRecords'
+ * @param {Object} args - Request arguments
+ * @param {Object} context - {baseUrl, repositoryId}
+ * @returns {Promise<string>}
+ */
+async function listRecords(verb, args, { baseUrl, repositoryId }) {
+  const state = args.resumptionToken
+    ? decodeResumptionToken(args.resumptionToken)
+    : { metadataPrefix: args.metadataPrefix, set: args.set, from: args.from, until: args.until, cursor: 0 };
+
+  checkMetadataPrefix(state.metadataPrefix);
+  const from = parseDatestampArgument(state.from, false);
+  const until = parseDatestampArgument(state.until, true);
+  if (from && until) {
+    if (from.granularity !== until.granularity) {
+      throw new OaiError('badArgument', 'from and until must have the same granularity');
+    }
+    if (from.time > until.time) {
+      throw new OaiError('badArgument', 'from is later than until');
+    }
+  }
+
+  const records = (await loadRecords()).filter(record => {
+    const time = Date.parse(record.datestamp);
+    return (!from || time >= from.time)
+      && (!until || time <= until.time)
+      && (!state.set || record.setSpecs.includes(state.set));
+  });
+
+  if (records.length === 0) {
+    throw new OaiError('noRecordsMatch', 'No records match the request');
+  }
+  if (state.cursor >= records.length) {
+    throw new OaiError('badResumptionToken', 'The resumption token is invalid or expired');
+  }
+
+  const page = records.slice(state.cursor, state.cursor + PAGE_SIZE);
+  const nextCursor = state.cursor + page.length;
+  const items = page.map(record => (verb === 'ListIdentifiers'
+    ? buildHeader(repositoryId, record)
+    : `<record>${buildHeader(repositoryId, record)}<metadata>${buildDublinCore(record, baseUrl)}</metadata></record>`));
+
+  // The last page of a resumed list carries an empty token
+  const token = nextCursor < records.length
+    ? encodeResumptionToken({ ...state, cursor: nextCursor })
+    : '';
+  const resumption = args.resumptionToken || token
+    ? `<resumptionToken completeListSize="${records.length}" cursor="${state.cursor}">${token}</resumptionToken>`
+    : '';
+
+  return `<${verb}>${items.join('')}${resumption}</${verb}>`;
+}
+
+/**
+ * GetRecord verb
+ * @param {Object} args - {identifier, metadataPrefix}
+ * @param {Object} context - {baseUrl, repositoryId}
+ * @returns {Promise<string>}
+ */
+async function getRecord(args, { baseUrl, repositoryId }) {
+  if (!args.identifier) {
+    throw new OaiError('badArgument', 'Missing required argument: identifier');
+  }
+  checkMetadataPrefix(args.metadataPrefix);
+
+  const record = (await loadRecords()).find(item => getRecordIdentifier(repositoryId, item) === args.identifier);
+  if (!record) {
+    throw new OaiError('idDoesNotExist', `Unknown identifier: ${args.identifier}`);
+  }
+
+  return `<GetRecord><record>${buildHeader(repositoryId, record)}<metadata>${buildDublinCore(record, baseUrl)}</metadata></record></GetRecord>`;
+}
+
+/**
+ * Handle an OAI-PMH request
+ * Protocol errors are part of the response (OAI-PMH answers them with HTTP 200)
+ * @param {Object} params - Query or form arguments (verb included)
+ * @param {Object} context
+ * @param {string} context.baseUrl - Server URL without trailing slash
+ * @param {string} context.repositoryId - Repository identifier used in record identifiers
+ * @param {string} [context.adminEmail] - Administrator e-mail for Identify
+ * @returns {Promise<string>} - Response XML
+ */
+export async function handleOaiRequest(params, context) {
+  const { verb, ...args } = params;
+  let body;
+  let requestAttributes = '';
+
+  try {
+    if (typeof verb !== 'string' || !VERB_ARGUMENTS[verb]) {
+      throw new OaiError('badVerb', verb ? `Illegal verb: ${verb}` : 'Missing verb');
+    }
+    checkArguments(verb, args);
+
+    // The request element echoes the arguments only when they are valid
+    requestAttributes = Object.entries(params)
+      .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+      .join('');
+
+    switch (verb) {
+      case 'Identify':
+        body = await identify(context);
+        break;
+      case 'ListMetadataFormats':
+        body = await listMetadataFormats(args, context);
+        break;
+      case 'ListSets':
+        body = await listSets(args);
+        break;
+      case 'GetRecord':
+        body = await getRecord(args, context);
+        break;
+      default:
+        body = await listRecords(verb, args, context);
+    }
+  } catch (error) {
+    if (!(error instanceof OaiError)) throw error;
+    if (error.code === 'badVerb' || error.code === 'badArgument') requestAttributes = '';
+    body = `<error code="${error.code}">${escapeXml(error.message)}</error>`;
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<OAI-PMH xmlns="http://www.openarchives.org/OAI/2.0/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"'
+      + ' xsi:schemaLocation="http://www.openarchives.org/OAI/2.0/ http://www.openarchives.org/OAI/2.0/OAI-PMH.xsd">',
+    `<responseDate>${formatDatestamp(new Date())}</responseDate>`,
+    `<request${requestAttributes}>${escapeXml(`${context.baseUrl}/oai`)}</request>`,
+    body,
+    '</OAI-PMH>',
+    ''
+  ].join('\n');
+}
+
+export default {
+  handleOaiRequest
+};
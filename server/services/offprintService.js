@@ -0,0 +1,196 @@
+/**
+ * Offprint Service
+ * Per-article PDFs split from an archived issue using its page map
+ * Offprints keep the issue pagination, footer and running headers; the first page
+ * gets a small stamp with the GOST citation of the article, the document info names the article
+ */
+
+import { PDFDocument, rgb, StandardFonts } from 'pdf-lib';
+import fontkit from '@pdf-lib/fontkit';
+import JSZip from 'jszip';
+import { mmToPt } from '../../shared/journalProfile.js';
+import { getArticleDocumentInfo } from '../../shared/documentInfo.js';
+import { loadCyrillicFont } from './journalPdfService.js';
+import { setDocumentInfo } from './pdfArchivalService.js';
+import { formatCitation } from './citationService.js';
+
+const STAMP_FONT_SIZE = 7;
+const STAMP_MAX_LINES = 3;
+
+/**
+ * File name of an offprint (ASCII only, safe for Content-Disposition)
+ * @param {Object} article - Page map entry {n, firstPage, lastPage}
+ * @returns {string}
+ */
+export function getOffprintFilename(article) {
+  return `article-${String(article.n).padStart(2, '0')}-p${article.firstPage}-${article.lastPage}.pdf`;
+}
+
+/**
+ * Split text into lines that fit a width
+ * @param {string} text - Text
+ * @param {PDFFont} font - Font
+ * @param {number} size - Font size
+ * @param {number} maxWidth - Line width
+ * @returns {string[]}
+ */
+function wrapText(text, font, size, maxWidth) {
+  const lines = [];
+  let line = '';
+
+  for (const word of text.split(/\s+/)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && font.widthOfTextAtSize(candidate, size) > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  }
+  if (line) lines.push(line);
+
+  return lines;
+}
+
+/**
+ * Draw the citation stamp in the top margin of a page
+ * @param {PDFDocument} pdfDoc - Offprint document
+ * @param {PDFPage} page - First page of the offprint
+ * @param {string} citation - Citation text
+ * @param {Object} profile - Journal profile (margins, fonts)
+ */
+async function drawCitationStamp(pdfDoc, page, citation, profile) {
+  const fontBuffers = await loadCyrillicFont(profile);
+  let font;
+
+  if (fontBuffers) {
+    try {
+      font = await pdfDoc.embedFont(fontBuffers.regular, { subset: false });
+    } catch (err) {
+      console.warn('Failed to embed Cyrillic font for offprint stamp:', err.message);
+      font = await pdfDoc.embedFont(StandardFonts.TimesRoman);
+    }
+  } else {
+    font = await pdfDoc.embedFont(StandardFonts.TimesRoman);
+  }
+
+  const { width, height } = page.getSize();
+  const marginLeft = mmToPt(profile.margins.left);
+  const marginRight = mmToPt(profile.margins.right);
+  const padding = 4;
+  const lineHeight = STAMP_FONT_SIZE * 1.3;
+  const boxWidth = width - marginLeft - marginRight;
+
+  const lines = wrapText(`Для цитирования: ${citation}`, font, STAMP_FONT_SIZE, boxWidth - padding * 2);
+  if (lines.length > STAMP_MAX_LINES) {
+    lines.length = STAMP_MAX_LINES;
+    lines[STAMP_MAX_LINES - 1] += '...';
+  }
+
+  const boxHeight = lines.length * lineHeight + padding * 2;
+  const boxTop = height - 10;
+
+  page.drawRectangle({
+    x: marginLeft,
+    y: boxTop - boxHeight,
+    width: boxWidth,
+    height: boxHeight,
+    color: rgb(0.96, 0.96, 0.96),
+    borderColor: rgb(0.6, 0.6, 0.6),
+    borderWidth: 0.5,
+  });
+
+  lines.forEach((line, i) => {
+    try {
+      page.drawText(line, {
+        x: marginLeft + padding,
+        y: boxTop - padding - STAMP_FONT_SIZE - i * lineHeight,
+        size: STAMP_FONT_SIZE,
+        font,
+        color: rgb(0.2, 0.2, 0.2),
+      });
+    } catch {
+      // Citation might fail with non-Cyrillic font, skip the line
+    }
+  });
+}
+
+/**
+ * Copy an article's pages from a loaded issue into a new document
+ * @param {PDFDocument} issueDoc - Issue PDF
+ * @param {Object} article - Page map entry
+ * @param {Object} context - {issue, profile} for the citation stamp
+ * @returns {Promise<Buffer>} - Offprint PDF buffer
+ */
+async function buildOffprint(issueDoc, article, { issue, profile }) {
+  const pageCount = issueDoc.getPageCount();
+  if (article.firstPage < 1 || article.lastPage > pageCount || article.firstPage > article.lastPage) {
+    throw new Error(`Pages ${article.firstPage}-${article.lastPage} are outside the issue (${pageCount} pages)`);
+  }
+
+  const offprint = await PDFDocument.create();
+  offprint.registerFontkit(fontkit);
+
+  const indices = Array.from({ length: article.lastPage - article.firstPage + 1 }, (_, i) => article.firstPage - 1 + i);
+  const pages = await offprint.copyPages(issueDoc, indices);
+  pages.forEach(page => offprint.addPage(page));
+
+  await drawCitationStamp(offprint, pages[0], formatCitation('gost', article, issue, profile), profile);
+  setDocumentInfo(offprint, getArticleDocumentInfo(profile, issue, article));
+
+  return Buffer.from(await offprint.save());
+}
+
+/**
+ * Extract one article from an archived issue PDF
+ * @param {Buffer} issuePdf - Issue PDF buffer
+ * @param {Object} article - Page map entry {n, title, author, firstPage, lastPage}
+ * @param {Object} context - {issue: archive issue, profile: journal profile}
+ * @returns {Promise<Buffer>} - Offprint PDF buffer
+ */
+export async function extractOffprint(issuePdf, article, context) {
+  const issueDoc = await PDFDocument.load(issuePdf);
+  return buildOffprint(issueDoc, article, context);
+}
+
+/**
+ * Build the offprints of all articles of an archived issue
+ * @param {Buffer} issuePdf - Issue PDF buffer
+ * @param {Array<Object>} pageMap - Page map of the issue
+ * @param {Object} context - {issue: archive issue, profile: journal profile}
+ * @returns {Promise<Array<{filename: string, data: Buffer}>>}
+ */
+export async function buildOffprints(issuePdf, pageMap, context) {
+  const issueDoc = await PDFDocument.load(issuePdf);
+  const offprints = [];
+
+  for (const article of pageMap) {
+    offprints.push({ filename: getOffprintFilename(article), data: await buildOffprint(issueDoc, article, context) });
+  }
+
+  return offprints;
+}
+
+/**
+ * Build a ZIP with the offprints of all articles of an archived issue
+ * @param {Buffer} issuePdf - Issue PDF buffer
+ * @param {Array<Object>} pageMap - Page map of the issue
+ * @param {Object} context - {issue: archive issue, profile: journal profile}
+ * @returns {Promise<Buffer>} - ZIP buffer
+ */
+export async function buildOffprintsZip(issuePdf, pageMap, context) {
+  const zip = new JSZip();
+
+  for (const offprint of await buildOffprints(issuePdf, pageMap, context)) {
+    zip.file(offprint.filename, offprint.data);
+  }
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+export default {
+  getOffprintFilename,
+  extractOffprint,
+  buildOffprints,
+  buildOffprintsZip
+};
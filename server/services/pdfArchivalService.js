@@ -0,0 +1,421 @@
+/**
+ * PDF Archival Service
+ * Document info (title, authors, keywords) of generated PDFs, and PDF/A-1b / PDF/A-2b output
+ * for library deposit: XMP metadata, sRGB output intent and compliance checks of source documents
+ * Problems that cannot be fixed by rewriting the file (unembedded fonts, transparency
+ * in PDF/A-1) are reported, so the offending article can be re-exported
+ */
+
+import {
+  PDFDocument,
+  PDFDict,
+  PDFArray,
+  PDFName,
+  PDFNumber,
+  PDFString,
+  PDFHexString
+} from 'pdf-lib';
+import { randomBytes } from 'crypto';
+import { PDF_A_LEVELS } from '../../shared/journalProfile.js';
+import { DOCUMENT_CREATOR } from '../../shared/documentInfo.js';
+
+const PRODUCER = 'AI-Redactor (pdf-lib)';
+const SRGB_IDENTIFIER = 'sRGB IEC61966-2.1';
+
+// ============ ICC PROFILE ============
+
+/**
+ * Encode a number as ICC s15Fixed16
+ * @param {number} value - Value
+ * @returns {Buffer}
+ */
+function s15Fixed16(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeInt32BE(Math.round(value * 65536));
+  return buffer;
+}
+
+/**
+ * ICC XYZType tag
+ * @param {number[]} xyz - X, Y, Z
+ * @returns {Buffer}
+ */
+function xyzTag([x, y, z]) {
+  return Buffer.concat([Buffer.from('XYZ '), Buffer.alloc(4), s15Fixed16(x), s15Fixed16(y), s15Fixed16(z)]);
+}
+
+/**
+ * ICC textDescriptionType tag (ICC v2)
+ * @param {string} text - ASCII description
+ * @returns {Buffer}
+ */
+function descTag(text) {
+  const ascii = Buffer.from(`${text}\0`, 'latin1');
+  const count = Buffer.alloc(4);
+  count.writeUInt32BE(ascii.length);
+  // Unicode (language + count) and ScriptCode (code + count + 67 bytes) parts are empty
+  return Buffer.concat([Buffer.from('desc'), Buffer.alloc(4), count, ascii, Buffer.alloc(8), Buffer.alloc(3 + 67)]);
+}
+
+/**
+ * ICC curveType tag sampling the sRGB transfer function
+ * @returns {Buffer}
+ */
+function srgbCurveTag() {
+  const points = 1024;
+  const curve = Buffer.alloc(12 + points * 2);
+  curve.write('curv', 0);
+  curve.writeUInt32BE(points, 8);
+  for (let i = 0; i < points; i++) {
+    const v = i / (points - 1);
+    const linear = v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+    curve.writeUInt16BE(Math.round(linear * 65535), 12 + i * 2);
+  }
+  return curve;
+}
+
+/**
+ * Build an sRGB ICC profile (v2.1, matrix/TRC display profile; PDF/A-1 does not allow v4)
+ * @returns {Buffer}
+ */
+function buildSrgbIccProfile() {
+  const curve = srgbCurveTag();
+  const tags = [
+    ['desc', descTag(SRGB_IDENTIFIER)],
+    ['cprt', Buffer.concat([Buffer.from('text'), Buffer.alloc(4), Buffer.from('No copyright, use freely\0', 'latin1')])],
+    ['wtpt', xyzTag([0.9642, 1.0, 0.8249])],
+    // sRGB primaries adapted to D50
+    ['rXYZ', xyzTag([0.4361, 0.2225, 0.0139])],
+    ['gXYZ', xyzTag([0.3851, 0.7169, 0.0971])],
+    ['bXYZ', xyzTag([0.1431, 0.0606, 0.7141])],
+    ['rTRC', curve],
+    ['gTRC', curve],
+    ['bTRC', curve]
+  ];
+
+  const headerSize = 128;
+  const tableSize = 4 + tags.length * 12;
+  const table = Buffer.alloc(tableSize);
+  table.writeUInt32BE(tags.length, 0);
+
+  // Tag data is 4-byte aligned; the three TRC tags share one curve
+  const data = [];
+  const offsets = new Map();
+  let offset = headerSize + tableSize;
+
+  tags.forEach(([signature, tagData], i) => {
+    if (!offsets.has(tagData)) {
+      offsets.set(tagData, offset);
+      const padding = (4 - (tagData.length % 4)) % 4;
+      data.push(tagData, Buffer.alloc(padding));
+      offset += tagData.length + padding;
+    }
+    table.write(signature, 4 + i * 12);
+    table.writeUInt32BE(offsets.get(tagData), 4 + i * 12 + 4);
+    table.writeUInt32BE(tagData.length, 4 + i * 12 + 8);
+  });
+
+  const header = Buffer.alloc(headerSize);
+  header.writeUInt32BE(offset, 0);
+  header.writeUInt32BE(0x02100000, 8); // Version 2.1
+  header.write('mntr', 12);
+  header.write('RGB ', 16);
+  header.write('XYZ ', 20);
+  [2000, 1, 1, 0, 0, 0].forEach((value, i) => header.writeUInt16BE(value, 24 + i * 2));
+  header.write('acsp', 36);
+  // PCS illuminant (D50)
+  s15Fixed16(0.9642).copy(header, 68);
+  s15Fixed16(1.0).copy(header, 72);
+  s15Fixed16(0.8249).copy(header, 76);
+
+  return Buffer.concat([header, table, ...data]);
+}
+
+// ============ COMPLIANCE CHECKS ============
+
+/**
+ * Check whether a font dictionary has its font program embedded
+ * @param {PDFDict} font - Font dictionary
+ * @returns {boolean}
+ */
+function isFontEmbedded(font) {
+  const subtype = font.lookup(PDFName.of('Subtype'));
+  // Type 3 glyphs are content streams in the file
+  if (subtype === PDFName.of('Type3')) return true;
+
+  let descriptorOwner = font;
+  if (subtype === PDFName.of('Type0')) {
+    const descendants = font.lookupMaybe(PDFName.of('DescendantFonts'), PDFArray);
+    descriptorOwner = descendants?.lookupMaybe(0, PDFDict);
+    if (!descriptorOwner) return false;
+  }
+
+  const descriptor = descriptorOwner.lookupMaybe(PDFName.of('FontDescriptor'), PDFDict);
+  if (!descriptor) return false;
+  return ['FontFile', 'FontFile2', 'FontFile3'].some(key => descriptor.has(PDFName.of(key)));
+}
+
+/**
+ * Get a readable font name (subset prefix removed)
+ * @param {PDFDict} font - Font dictionary
+ * @returns {string}
+ */
+function getFontName(font) {
+  const baseFont = font.lookup(PDFName.of('BaseFont'));
+  return baseFont instanceof PDFName ? baseFont.decodeText().replace(/^[A-Z]{6}\+/, '') : 'без имени';
+}
+
+/**
+ * Check whether an ExtGState uses transparency
+ * @param {PDFDict} extGState - Graphics state dictionary
+ * @returns {boolean}
+ */
+function usesTransparency(extGState) {
+  const softMask = extGState.lookup(PDFName.of('SMask'));
+  if (softMask && softMask !== PDFName.of('None')) return true;
+
+  for (const key of ['CA', 'ca']) {
+    const alpha = extGState.lookup(PDFName.of(key));
+    if (alpha instanceof PDFNumber && alpha.asNumber() < 1) return true;
+  }
+
+  const blendMode = extGState.lookup(PDFName.of('BM'));
+  return blendMode instanceof PDFName && !['Normal', 'Compatible'].includes(blendMode.decodeText());
+}
+
+/**
+ * Walk page resources (including form XObjects) and collect compliance problems
+ * @param {PDFDict} resources - Resources dictionary
+ * @param {Object} found - Accumulator {fonts: Set<string>, transparency: boolean}
+ * @param {Set<PDFDict>} visited - Resources already checked (shared between pages)
+ */
+function inspectResources(resources, found, visited) {
+  if (!resources || visited.has(resources)) return;
+  visited.add(resources);
+
+  const fonts = resources.lookupMaybe(PDFName.of('Font'), PDFDict);
+  for (const [, value] of fonts?.entries() || []) {
+    const font = resources.context.lookup(value);
+    if (font instanceof PDFDict && !isFontEmbedded(font)) {
+      found.fonts.add(getFontName(font));
+    }
+  }
+
+  const extGStates = resources.lookupMaybe(PDFName.of('ExtGState'), PDFDict);
+  for (const [, value] of extGStates?.entries() || []) {
+    const extGState = resources.context.lookup(value);
+    if (extGState instanceof PDFDict && usesTransparency(extGState)) {
+      found.transparency = true;
+    }
+  }
+
+  const xObjects = resources.lookupMaybe(PDFName.of('XObject'), PDFDict);
+  for (const [, value] of xObjects?.entries() || []) {
+    const xObject = resources.context.lookup(value);
+    const dict = xObject?.dict;
+    if (!(dict instanceof PDFDict)) continue;
+
+    if (dict.has(PDFName.of('SMask'))) found.transparency = true;
+    const group = dict.lookupMaybe(PDFName.of('Group'), PDFDict);
+    if (group?.lookup(PDFName.of('S')) === PDFName.of('Transparency')) found.transparency = true;
+
+    if (dict.lookup(PDFName.of('Subtype')) === PDFName.of('Form')) {
+      inspectResources(dict.lookupMaybe(PDFName.of('Resources'), PDFDict), found, visited);
+    }
+  }
+}
+
+/**
+ * Find PDF/A problems that cannot be fixed by rewriting the document
+ * - Fonts without an embedded font program (all levels)
+ * - Transparency (PDF/A-1 only)
+ * @param {PDFDocument} pdfDoc - PDF document
+ * @param {string} level - '1b' or '2b'
+ * @returns {string[]} - Problem descriptions (empty if compliant)
+ */
+export function findComplianceProblems(pdfDoc, level) {
+  const found = { fonts: new Set(), transparency: false };
+  const visited = new Set();
+
+  for (const page of pdfDoc.getPages()) {
+    inspectResources(page.node.Resources(), found, visited);
+
+    const group = page.node.lookupMaybe(PDFName.of('Group'), PDFDict);
+    if (group?.lookup(PDFName.of('S')) === PDFName.of('Transparency')) found.transparency = true;
+  }
+
+  const problems = [...found.fonts].map(name => `Шрифт не встроен: ${name}`);
+  if (found.transparency && level === '1b') {
+    problems.push('Прозрачность (не допускается в PDF/A-1, используйте PDF/A-2b)');
+  }
+  return problems;
+}
+
+/**
+ * Check a PDF file for PDF/A problems
+ * @param {Buffer} pdfBuffer - PDF buffer
+ * @param {string} level - '1b' or '2b'
+ * @returns {Promise<string[]>} - Problem descriptions
+ */
+export async function checkPdfCompliance(pdfBuffer, level) {
+  try {
+    const pdfDoc = await PDFDocument.load(pdfBuffer);
+    return findComplianceProblems(pdfDoc, level);
+  } catch (error) {
+    return [`Не удалось прочитать PDF: ${error.message}`];
+  }
+}
+
+// ============ DOCUMENT INFO ============
+
+/**
+ * Fill the document info dictionary
+ * @param {PDFDocument} pdfDoc - PDF document
+ * @param {Object} info - {title, author, subject, keywords: string[], creator} (see shared/documentInfo.js)
+ * @param {Date} [date] - Creation and modification date
+ */
+export function setDocumentInfo(pdfDoc, { title, author, subject, keywords = [], creator = DOCUMENT_CREATOR }, date = new Date()) {
+  pdfDoc.setTitle(title, { showInWindowTitleBar: true });
+  if (author) pdfDoc.setAuthor(author);
+  if (subject) pdfDoc.setSubject(subject);
+  // pdf-lib joins keywords with spaces; multi-word keywords need commas
+  if (keywords.length > 0) pdfDoc.setKeywords([keywords.join(', ')]);
+  pdfDoc.setCreator(creator);
+  pdfDoc.setProducer(PRODUCER);
+  pdfDoc.setCreationDate(date);
+  pdfDoc.setModificationDate(date);
+}
+
+/**
+ * Write document info into a PDF
+ * @param {Buffer} pdfBuffer - PDF buffer
+ * @param {Object} info - Document info (see setDocumentInfo)
+ * @returns {Promise<Buffer>}
+ */
+export async function writeDocumentInfo(pdfBuffer, info) {
+  const pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+  setDocumentInfo(pdfDoc, info);
+  return Buffer.from(await pdfDoc.save());
+}
+
+// ============ CONVERSION ============
+
+/**
+ * Escape text for XML
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Build the XMP packet
+ * Only schemas predefined by PDF/A are used (no extension schemas needed):
+ * ISSN goes to dc:identifier, the issue to dc:description
+ * @param {Object} info - Document info (see setDocumentInfo) and date
+ * @param {Object} options - {level, issn}
+ * @returns {string}
+ */
+function buildXmp(info, { level, issn }) {
+  const date = info.date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+  const langAlt = (text) => `<rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(text)}</rdf:li></rdf:Alt>`;
+
+  return `<?xpacket begin="﻿" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+ <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+  <rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/">
+   <dc:format>application/pdf</dc:format>
+   <dc:title>${langAlt(info.title)}</dc:title>
+${info.author ? `   <dc:creator><rdf:Seq><rdf:li>${escapeXml(info.author)}</rdf:li></rdf:Seq></dc:creator>\n` : ''}${info.subject ? `   <dc:description>${langAlt(info.subject)}</dc:description>\n` : ''}${issn ? `   <dc:identifier>urn:ISSN:${escapeXml(issn)}</dc:identifier>\n` : ''}  </rdf:Description>
+  <rdf:Description rdf:about="" xmlns:xmp="http://ns.adobe.com/xap/1.0/">
+   <xmp:CreatorTool>${escapeXml(info.creator)}</xmp:CreatorTool>
+   <xmp:CreateDate>${date}</xmp:CreateDate>
+   <xmp:ModifyDate>${date}</xmp:ModifyDate>
+   <xmp:MetadataDate>${date}</xmp:MetadataDate>
+  </rdf:Description>
+  <rdf:Description rdf:about="" xmlns:pdf="http://ns.adobe.com/pdf/1.3/">
+   <pdf:Producer>${PRODUCER}</pdf:Producer>
+${info.keywords.length > 0 ? `   <pdf:Keywords>${escapeXml(info.keywords.join(', '))}</pdf:Keywords>\n` : ''}  </rdf:Description>
+  <rdf:Description rdf:about="" xmlns:pdfaid="http://www.aiim.org/pdfa/ns/id/">
+   <pdfaid:part>${level[0]}</pdfaid:part>
+   <pdfaid:conformance>B</pdfaid:conformance>
+  </rdf:Description>
+ </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+}
+
+/**
+ * Rewrite a PDF as PDF/A (level B)
+ * - XMP metadata stream (uncompressed) and document info with the same values
+ * - sRGB output intent
+ * - File identifier, printable annotations, no object streams (PDF/A-1)
+ * Font embedding and transparency are not changed; see findComplianceProblems
+ * @param {Buffer} pdfBuffer - PDF buffer
+ * @param {Object} options
+ * @param {string} options.level - '1b' or '2b'
+ * @param {Object} options.info - Document info (see setDocumentInfo)
+ * @param {string} [options.issn] - ISSN
+ * @returns {Promise<{buffer: Buffer, problems: string[]}>} - PDF/A buffer and remaining problems
+ */
+export async function convertToPdfA(pdfBuffer, { level, info, issn = '' }) {
+  if (!PDF_A_LEVELS.includes(level)) {
+    throw new Error(`Unsupported PDF/A level: ${level}`);
+  }
+
+  const pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+  const { context, catalog } = pdfDoc;
+
+  // Document info and XMP must match; dates without milliseconds
+  const date = new Date(Math.floor(Date.now() / 1000) * 1000);
+  const xmpInfo = { keywords: [], creator: DOCUMENT_CREATOR, ...info, date };
+  setDocumentInfo(pdfDoc, xmpInfo, date);
+
+  const metadata = context.stream(Buffer.from(buildXmp(xmpInfo, { level, issn }), 'utf8'), {
+    Type: 'Metadata',
+    Subtype: 'XML'
+  });
+  catalog.set(PDFName.of('Metadata'), context.register(metadata));
+
+  const iccProfile = context.register(context.flateStream(buildSrgbIccProfile(), { N: 3 }));
+  catalog.set(PDFName.of('OutputIntents'), context.obj([
+    context.obj({
+      Type: 'OutputIntent',
+      S: 'GTS_PDFA1',
+      OutputConditionIdentifier: PDFString.of(SRGB_IDENTIFIER),
+      Info: PDFString.of(SRGB_IDENTIFIER),
+      DestOutputProfile: iccProfile
+    })
+  ]));
+
+  // Annotations must be printable (Print flag set, Hidden/Invisible/NoView cleared)
+  for (const page of pdfDoc.getPages()) {
+    const annots = page.node.Annots();
+    for (let i = 0; i < (annots?.size() || 0); i++) {
+      const annot = annots.lookup(i, PDFDict);
+      const flags = annot.lookup(PDFName.of('F'));
+      const value = flags instanceof PDFNumber ? flags.asNumber() : 0;
+      annot.set(PDFName.of('F'), PDFNumber.of((value | 4) & ~(1 | 2 | 32)));
+    }
+  }
+
+  const id = PDFHexString.of(randomBytes(16).toString('hex'));
+  context.trailerInfo.ID = context.obj([id, id]);
+
+  const problems = findComplianceProblems(pdfDoc, level);
+  const buffer = Buffer.from(await pdfDoc.save({ useObjectStreams: false }));
+  return { buffer, problems };
+}
+
+export default {
+  setDocumentInfo,
+  writeDocumentInfo,
+  findComplianceProblems,
+  checkPdfCompliance,
+  convertToPdfA
+};
@@ -0,0 +1,113 @@
+/**
+ * PDF Navigation Service
+ * Internal links and document outline (bookmarks) for generated PDFs
+ * pdf-lib has no high-level API for either, so the dictionaries are built directly
+ */
+
+import { PDFDocument, PDFName, PDFHexString } from 'pdf-lib';
+
+/**
+ * Build an explicit destination to the top of a page
+ * @param {PDFDocument} pdfDoc - PDF document
+ * @param {number} pageIndex - Target page (0-indexed)
+ * @returns {PDFArray}
+ */
+function pageDestination(pdfDoc, pageIndex) {
+  const page = pdfDoc.getPage(pageIndex);
+  return pdfDoc.context.obj([page.ref, 'XYZ', null, null, null]);
+}
+
+/**
+ * Check that a page index points into the document
+ * @param {PDFDocument} pdfDoc - PDF document
+ * @param {number} pageIndex - Page index
+ * @returns {boolean}
+ */
+function isValidPage(pdfDoc, pageIndex) {
+  return Number.isInteger(pageIndex) && pageIndex >= 0 && pageIndex < pdfDoc.getPageCount();
+}
+
+/**
+ * Add outline items (siblings) under a parent outline node
+ * @param {PDFDocument} pdfDoc - PDF document
+ * @param {PDFRef} parentRef - Parent node (outline root or item)
+ * @param {Array<Object>} items - {title, pageIndex, children?}
+ * @returns {{first: PDFRef, last: PDFRef, count: number}|null} - null if no item is valid
+ */
+function addOutlineItems(pdfDoc, parentRef, items) {
+  const { context } = pdfDoc;
+  const validItems = items.filter(item => isValidPage(pdfDoc, item.pageIndex));
+  if (validItems.length === 0) return null;
+
+  const refs = validItems.map(() => context.nextRef());
+  let count = validItems.length;
+
+  validItems.forEach((item, i) => {
+    const fields = {
+      Title: PDFHexString.fromText(item.title),
+      Parent: parentRef,
+      Dest: pageDestination(pdfDoc, item.pageIndex)
+    };
+    if (i > 0) fields.Prev = refs[i - 1];
+    if (i < refs.length - 1) fields.Next = refs[i + 1];
+
+    // Children are shown expanded (positive Count)
+    const children = item.children ? addOutlineItems(pdfDoc, refs[i], item.children) : null;
+    if (children) {
+      fields.First = children.first;
+      fields.Last = children.last;
+      fields.Count = children.count;
+      count += children.count;
+    }
+
+    context.assign(refs[i], context.obj(fields));
+  });
+
+  return { first: refs[0], last: refs[refs.length - 1], count };
+}
+
+/**
+ * Add internal links and an outline to a PDF
+ * @param {Buffer} pdfBuffer - PDF buffer
+ * @param {Object} navigation
+ * @param {Array<Object>} [navigation.links] - {pageIndex, rect: [x1, y1, x2, y2], targetPageIndex}
+ * @param {Array<Object>} [navigation.outline] - Bookmark tree: {title, pageIndex, children?}
+ * @returns {Promise<Buffer>} - PDF buffer with navigation
+ */
+export async function addNavigation(pdfBuffer, { links = [], outline = [] } = {}) {
+  const pdfDoc = await PDFDocument.load(pdfBuffer);
+  const { context } = pdfDoc;
+
+  for (const link of links) {
+    if (!isValidPage(pdfDoc, link.pageIndex) || !isValidPage(pdfDoc, link.targetPageIndex)) continue;
+
+    const annotation = context.register(context.obj({
+      Type: 'Annot',
+      Subtype: 'Link',
+      Rect: link.rect,
+      Border: [0, 0, 0],
+      Dest: pageDestination(pdfDoc, link.targetPageIndex)
+    }));
+    pdfDoc.getPage(link.pageIndex).node.addAnnot(annotation);
+  }
+
+  const outlineRef = context.nextRef();
+  const items = addOutlineItems(pdfDoc, outlineRef, outline);
+  if (items) {
+    context.assign(outlineRef, context.obj({
+      Type: 'Outlines',
+      First: items.first,
+      Last: items.last,
+      Count: items.count
+    }));
+    pdfDoc.catalog.set(PDFName.of('Outlines'), outlineRef);
+    // Open the bookmarks panel when the document is opened
+    pdfDoc.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+  }
+
+  return Buffer.from(await pdfDoc.save());
+}
+
+export default {
+  addNavigation
+};
@@ -0,0 +1,226 @@
+/**
+ * Section Service
+ * Manages journal sections (per-language names, order, UDC/GRNTI ranges, keywords) in database
+ * Keeps an in-memory copy of the default profile's sections for the AI classifier
+ */
+
+import { query } from '../db/config.js';
+import { DEFAULT_SECTIONS, normalizeSection, sortSections } from '../../shared/sections.js';
+
+const SECTION_COLUMNS = `id, profile_id, name_ru, name_kk, name_en, description, sort_order,
+  udc_ranges, grnti_ranges, keywords, created_at, updated_at`;
+
+// Sections of the default profile, used by the classifier (falls back to built-in sections)
+let activeSections = DEFAULT_SECTIONS.map(normalizeSection);
+
+/**
+ * Convert database row to API section
+ * @param {Object|undefined} row - Database row
+ * @returns {Object|null}
+ */
+function toSection(row) {
+  if (!row) return null;
+  return {
+    ...normalizeSection(row),
+    profileId: row.profile_id
+  };
+}
+
+/**
+ * Build column values from API fields
+ * @param {Object} data - Section fields (camelCase, names: {ru, kk, en})
+ * @returns {Object} - Column -> value
+ */
+function toColumns(data) {
+  const columns = {};
+
+  if (data.names) {
+    if (data.names.ru !== undefined) columns.name_ru = data.names.ru.trim();
+    if (data.names.kk !== undefined) columns.name_kk = data.names.kk.trim();
+    if (data.names.en !== undefined) columns.name_en = data.names.en.trim();
+  }
+  if (data.description !== undefined) columns.description = data.description;
+  if (data.sortOrder !== undefined) columns.sort_order = parseInt(data.sortOrder) || 0;
+
+  // JSONB lists (trimmed; keywords uppercased to match uppercased article text)
+  const normalized = normalizeSection({ ...data, names: data.names || {} });
+  if (data.udcRanges !== undefined) columns.udc_ranges = JSON.stringify(normalized.udcRanges);
+  if (data.grntiRanges !== undefined) columns.grnti_ranges = JSON.stringify(normalized.grntiRanges);
+  if (data.keywords !== undefined) columns.keywords = JSON.stringify(normalized.keywords);
+
+  return columns;
+}
+
+/**
+ * Resolve profile ID (default profile when not given)
+ * @param {number|null} profileId - Profile ID
+ * @returns {Promise<number|null>}
+ */
+async function resolveProfileId(profileId) {
+  if (profileId) return profileId;
+  const result = await query('SELECT id FROM journal_profiles WHERE is_default = TRUE LIMIT 1');
+  return result.rows[0]?.id || null;
+}
+
+/**
+ * Get sections of a journal profile ordered by sort order
+ * @param {number|null} profileId - Profile ID (default profile if null)
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getSections(profileId = null) {
+  const id = await resolveProfileId(profileId);
+  if (!id) return [];
+
+  const result = await query(
+    `SELECT ${SECTION_COLUMNS} FROM journal_sections
+     WHERE profile_id = $1
+     ORDER BY sort_order ASC, id ASC`,
+    [id]
+  );
+  return result.rows.map(toSection);
+}
+
+/**
+ * Get section by ID
+ * @param {number} sectionId - Section ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getSection(sectionId) {
+  const result = await query(
+    `SELECT ${SECTION_COLUMNS} FROM journal_sections WHERE id = $1`,
+    [sectionId]
+  );
+  return toSection(result.rows[0]);
+}
+
+/**
+ * Create a section (appended to the end unless sortOrder given)
+ * @param {Object} sectionData - Section fields
+ * @param {number|null} profileId - Profile ID (default profile if null)
+ * @returns {Promise<Object>} Created section
+ */
+export async function createSection(sectionData, profileId = null) {
+  if (!sectionData.names?.ru?.trim()) {
+    throw new Error('Section name (ru) is required');
+  }
+
+  const id = await resolveProfileId(profileId);
+  if (!id) {
+    throw new Error('Journal profile not found');
+  }
+
+  const columns = toColumns(sectionData);
+
+  if (columns.sort_order === undefined) {
+    const last = await query(
+      'SELECT COALESCE(MAX(sort_order), 0) AS max_order FROM journal_sections WHERE profile_id = $1',
+      [id]
+    );
+    columns.sort_order = Number(last.rows[0].max_order) + 1;
+  }
+
+  const names = Object.keys(columns);
+  const placeholders = names.map((_, i) => `$${i + 2}`);
+
+  const result = await query(
+    `INSERT INTO journal_sections (profile_id, ${names.join(', ')})
+     VALUES ($1, ${placeholders.join(', ')})
+     RETURNING ${SECTION_COLUMNS}`,
+    [id, ...Object.values(columns)]
+  );
+
+  await refreshActiveSections();
+  return toSection(result.rows[0]);
+}
+
+/**
+ * Update a section
+ * @param {number} sectionId - Section ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object|null>} Updated section
+ */
+export async function updateSection(sectionId, updates) {
+  const columns = toColumns(updates);
+  const names = Object.keys(columns);
+
+  if (names.length === 0) {
+    throw new Error('No valid fields to update');
+  }
+
+  const setClauses = names.map((column, i) => `${column} = $${i + 2}`);
+
+  const result = await query(
+    `UPDATE journal_sections
+     SET ${setClauses.join(', ')}
+     WHERE id = $1
+     RETURNING ${SECTION_COLUMNS}`,
+    [sectionId, ...Object.values(columns)]
+  );
+
+  await refreshActiveSections();
+  return toSection(result.rows[0]);
+}
+
+/**
+ * Reorder sections of a profile
+ * @param {number[]} sectionIds - Section IDs in the new order
+ * @returns {Promise<Array<Object>>} Sections in new order
+ */
+export async function reorderSections(sectionIds) {
+  for (let i = 0; i < sectionIds.length; i++) {
+    await query('UPDATE journal_sections SET sort_order = $2 WHERE id = $1', [sectionIds[i], i + 1]);
+  }
+
+  await refreshActiveSections();
+  if (sectionIds.length === 0) return [];
+
+  const section = await getSection(sectionIds[0]);
+  return section ? getSections(section.profileId) : [];
+}
+
+/**
+ * Delete a section
+ * Articles keep their section name and are regrouped on next classification
+ * @param {number} sectionId - Section ID
+ * @returns {Promise<boolean>} True if deleted
+ */
+export async function deleteSection(sectionId) {
+  const result = await query('DELETE FROM journal_sections WHERE id = $1', [sectionId]);
+  await refreshActiveSections();
+  return result.rowCount > 0;
+}
+
+/**
+ * Reload sections of the default profile into memory
+ * Called on startup (when database is available) and after every change; an empty list is kept
+ * (all sections deleted), built-in sections are used only when the sections cannot be read
+ * @returns {Promise<Array<Object>>} Active sections
+ */
+export async function refreshActiveSections() {
+  try {
+    activeSections = await getSections();
+  } catch (error) {
+    console.warn('Failed to load journal sections, using defaults:', error.message);
+    activeSections = DEFAULT_SECTIONS.map(normalizeSection);
+  }
+  return activeSections;
+}
+
+/**
+ * Get sections used by the classifier (no database access)
+ * @returns {Array<Object>} Normalized sections ordered by sort order
+ */
+export function getActiveSections() {
+  return sortSections(activeSections);
+}
+
+export default {
+  getSections,
+  getSection,
+  createSection,
+  updateSection,
+  reorderSections,
+  deleteSection,
+  refreshActiveSections,
+  getActiveSections
+};
@@ -0,0 +1,191 @@
+/**
+ * Job queue tests: restore after a crash, queue order, failures, session scoping and cleanup
+ * Run with `npm test` (node --test); jobs are written to a temporary JOBS_DIR
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const jobsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ai-redactor-jobs-'));
+process.env.JOBS_DIR = jobsDir;
+const { default: jobService } = await import('../services/jobService.js');
+
+// Handler of the 'test' job type; each test sets its own
+let runTest = async () => ({});
+const runs = [];
+
+jobService.registerJobHandler('test', async (job, context) => {
+  runs.push(job.id);
+  return runTest(job, context);
+});
+
+/**
+ * Wait until a job is completed or failed
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} Finished job
+ */
+function waitForJob(jobId) {
+  return new Promise(resolve => {
+    const job = jobService.getJob(jobId);
+    if (job && jobService.isJobFinished(job)) {
+      resolve(job);
+      return;
+    }
+    const unsubscribe = jobService.subscribe(jobId, update => {
+      if (jobService.isJobFinished(update)) {
+        unsubscribe();
+        resolve(update);
+      }
+    });
+  });
+}
+
+/**
+ * Write a job record as the server left it on disk
+ * @param {Object} fields - Job fields
+ */
+async function writeStoredJob(fields) {
+  const job = {
+    type: 'test',
+    sessionId: 'owner',
+    status: jobService.JOB_STATUS.QUEUED,
+    progress: { stage: 'queued', current: 0, total: 0, message: 'В очереди' },
+    input: {},
+    output: null,
+    error: null,
+    attempts: 0,
+    updatedAt: fields.createdAt,
+    finishedAt: null,
+    ...fields
+  };
+  await fs.mkdir(jobService.getWorkDir(job.id), { recursive: true });
+  await fs.writeFile(path.join(jobsDir, job.id, 'job.json'), JSON.stringify(job));
+}
+
+/**
+ * Create a job of the 'test' type
+ * @param {string|null} sessionId - Owner session
+ * @returns {Promise<Object>}
+ */
+async function createTestJob(sessionId = 'owner') {
+  const { id } = await jobService.prepareJob();
+  return jobService.createJob(id, 'test', {}, sessionId);
+}
+
+const exists = (filePath) => fs.access(filePath).then(() => true, () => false);
+
+after(async () => {
+  await fs.rm(jobsDir, { recursive: true, force: true });
+});
+
+// Runs first: restoreJobs reads the jobs directory before any job is created in this process
+test('restoreJobs re-runs interrupted jobs oldest first and fails jobs out of attempts', async () => {
+  await writeStoredJob({ id: 'crashed', status: 'running', attempts: 1, createdAt: '2024-01-02T00:00:00.000Z' });
+  await writeStoredJob({ id: 'waiting', status: 'queued', attempts: 0, createdAt: '2024-01-01T00:00:00.000Z' });
+  await writeStoredJob({ id: 'exhausted', status: 'running', attempts: 3, createdAt: '2024-01-03T00:00:00.000Z' });
+  await writeStoredJob({
+    id: 'done',
+    status: 'completed',
+    attempts: 1,
+    createdAt: '2024-01-01T00:00:00.000Z',
+    finishedAt: new Date().toISOString()
+  });
+
+  runTest = async () => ({ path: null, filename: 'result.pdf' });
+  const resumed = await jobService.restoreJobs();
+  assert.equal(resumed, 3);
+
+  const [waiting, crashed] = await Promise.all([waitForJob('waiting'), waitForJob('crashed')]);
+  assert.deepEqual(runs, ['waiting', 'crashed']);
+  assert.equal(waiting.status, 'completed');
+  assert.equal(crashed.status, 'completed');
+  assert.equal(crashed.attempts, 2);
+
+  const exhausted = jobService.getJob('exhausted');
+  assert.equal(exhausted.status, 'failed');
+  assert.equal(exhausted.attempts, 3);
+  assert.equal(jobService.getJob('done').status, 'completed');
+
+  const stored = JSON.parse(await fs.readFile(path.join(jobsDir, 'crashed', 'job.json'), 'utf8'));
+  assert.equal(stored.status, 'completed');
+});
+
+test('jobs run one at a time in the order they were created', async () => {
+  runs.length = 0;
+  let running = 0;
+  let maxRunning = 0;
+  runTest = async () => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    running--;
+    return { path: null, filename: 'result.pdf' };
+  };
+
+  const created = [];
+  for (let i = 0; i < 3; i++) {
+    created.push(await createTestJob());
+  }
+  await Promise.all(created.map(job => waitForJob(job.id)));
+
+  assert.deepEqual(runs, created.map(job => job.id));
+  assert.equal(maxRunning, 1);
+});
+
+test('a failing handler fails the job with its error and keeps the queue going', async () => {
+  runTest = async () => {
+    throw new Error('conversion failed');
+  };
+  const failing = await createTestJob();
+  const failed = await waitForJob(failing.id);
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.error, 'conversion failed');
+
+  runTest = async () => ({ path: null, filename: 'result.pdf' });
+  const next = await createTestJob();
+  assert.equal((await waitForJob(next.id)).status, 'completed');
+});
+
+test('getSessionJob returns a job only to the session that started it', async () => {
+  runTest = async () => ({ path: null, filename: 'result.pdf' });
+  const job = await createTestJob('owner');
+  const anonymous = await createTestJob(null);
+  await Promise.all([waitForJob(job.id), waitForJob(anonymous.id)]);
+
+  assert.equal(jobService.getSessionJob(job.id, 'owner'), jobService.getJob(job.id));
+  assert.equal(jobService.getSessionJob(job.id, 'intruder'), null);
+  assert.equal(jobService.getSessionJob(job.id, undefined), null);
+  assert.equal(jobService.getSessionJob(anonymous.id, null), null);
+  assert.equal(jobService.getSessionJob('missing', 'owner'), null);
+});
+
+test('discardJob removes a prepared job but not a created one', async () => {
+  const prepared = await jobService.prepareJob();
+  assert.equal(await exists(prepared.workDir), true);
+  await jobService.discardJob(prepared.id);
+  assert.equal(await exists(path.join(jobsDir, prepared.id)), false);
+
+  runTest = async () => ({ path: null, filename: 'result.pdf' });
+  const job = await createTestJob();
+  await waitForJob(job.id);
+  await jobService.discardJob(job.id);
+  assert.equal(await exists(path.join(jobsDir, job.id, 'job.json')), true);
+});
+
+test('cleanupJobs deletes finished jobs older than a week', async () => {
+  runTest = async () => ({ path: null, filename: 'result.pdf' });
+  const expired = await createTestJob();
+  const recent = await createTestJob();
+  await Promise.all([waitForJob(expired.id), waitForJob(recent.id)]);
+
+  jobService.getJob(expired.id).finishedAt = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000).toISOString();
+  jobService.getJob(recent.id).finishedAt = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+  await jobService.cleanupJobs();
+
+  assert.equal(jobService.getJob(expired.id), null);
+  assert.equal(await exists(path.join(jobsDir, expired.id)), false);
+  assert.notEqual(jobService.getJob(recent.id), null);
+});
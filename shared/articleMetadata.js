@@ -0,0 +1,315 @@
+/**
+ * Shared structured article metadata
+ * Used by both frontend and backend
+ * Next to the free-text title and author fields an article carries:
+ *   titles, abstracts - text by language {ru, kk, en}; keywords - {ru: [], kk: [], en: []}
+ *   authors - [{surname, givenNames, latinSurname, latinGivenNames, email, orcid, affiliations: [index]}] in byline order
+ *   affiliations - organisation names, referenced by index from authors
+ *   udc, grnti - classification codes from the article head (see shared/classificationCodes.js)
+ *   references - the parsed reference list (see shared/references.js)
+ *   latinTitle - the title in the article language in Latin letters
+ * The Latin fields (latinSurname, latinGivenNames, latinTitle, reference latin) hold what the editor typed;
+ * empty ones are transliterated on export (see shared/transliteration.js)
+ * The author field stays the display form of the co-author list (TOC, author index, citations)
+ */
+
+import { splitAuthors, splitPersonName } from './authors.js';
+import { FRONT_MATTER_LANGUAGES, parseFrontMatter } from './frontMatter.js';
+import { extractClassificationCodes, normalizeUdc, normalizeGrnti } from './classificationCodes.js';
+import { extractReferences, normalizeReferences } from './references.js';
+import { hasCyrillic, toLatin } from './transliteration.js';
+
+export const EMPTY_AUTHOR = {
+  surname: '', givenNames: '', latinSurname: '', latinGivenNames: '', email: '', orcid: '', affiliations: []
+};
+
+const ORCID_PATTERN = /(\d{4})-?(\d{4})-?(\d{4})-?(\d{3}[\dX])/i;
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+
+// Authors, their contacts and affiliations are looked for in the first lines only
+const BYLINE_SEARCH_LINES = 20;
+
+// Affiliation markers after author names ("Иванов И.И.¹", "Smith J.1,2*")
+const MARKER_RUN = /(?<=[\p{L}.])\s*([\d¹²³⁴⁵⁶⁷⁸⁹⁰*†]+(?:\s*,\s*[\d¹²³⁴⁵⁶⁷⁸⁹⁰*†]+)*)/gu;
+const SUPERSCRIPT_DIGITS = '⁰¹²³⁴⁵⁶⁷⁸⁹';
+
+/**
+ * Bring an ORCID iD to the 0000-0000-0000-000X form (also from https://orcid.org/... links)
+ * @param {string} value - ORCID as entered
+ * @returns {string} - Normalized iD, or the trimmed input if it does not look like one
+ */
+export const normalizeOrcid = (value) => {
+  const match = String(value || '').match(ORCID_PATTERN);
+  return match ? match.slice(1).join('-').toUpperCase() : String(value || '').trim();
+};
+
+/**
+ * Check an ORCID iD, including its ISO 7064 11,2 check digit
+ * @param {string} orcid - Normalized iD
+ * @returns {boolean}
+ */
+export const isValidOrcid = (orcid) => {
+  if (!/^\d{4}-\d{4}-\d{4}-\d{3}[\dX]$/.test(orcid || '')) return false;
+
+  const digits = orcid.replace(/-/g, '');
+  let total = 0;
+  for (const digit of digits.slice(0, -1)) {
+    total = (total + Number(digit)) * 2;
+  }
+  const check = (12 - (total % 11)) % 11;
+  return digits.slice(-1) === (check === 10 ? 'X' : String(check));
+};
+
+/**
+ * Keep the non-empty values of a by-language map
+ * @param {Object} values - Values by language
+ * @param {Function} normalizeValue - Value -> string or string[] (empty when missing)
+ * @returns {Object}
+ */
+const normalizeLanguageMap = (values, normalizeValue) => Object.fromEntries(
+  FRONT_MATTER_LANGUAGES
+    .map(lang => [lang, normalizeValue(values?.[lang])])
+    .filter(([, value]) => value.length > 0)
+);
+
+const normalizeText = (value) => String(value || '').replace(/\s+/g, ' ').trim();
+
+const normalizeKeywords = (value) => (Array.isArray(value) ? value : String(value || '').split(/[,;]/))
+  .map(normalizeText)
+  .filter(Boolean);
+
+/**
+ * Merge (possibly partial) metadata with defaults
+ * Empty affiliations are dropped and author references renumbered; authors without a surname are dropped
+ * @param {Object|null} metadata - Metadata
+ * @returns {{titles: Object, abstracts: Object, keywords: Object, authors: Array<Object>, affiliations: string[], udc: string, grnti: string[],
+ *   references: Array<Object>, latinTitle: string}}
+ */
+export const normalizeArticleMetadata = (metadata) => {
+  const affiliations = [];
+  const affiliationIndex = new Map();
+  (metadata?.affiliations || []).forEach((name, i) => {
+    const text = normalizeText(name);
+    if (text) {
+      affiliationIndex.set(i, affiliations.length);
+      affiliations.push(text);
+    }
+  });
+
+  const authors = (metadata?.authors || [])
+    .map(author => ({
+      surname: normalizeText(author.surname),
+      givenNames: normalizeText(author.givenNames),
+      latinSurname: normalizeText(author.latinSurname),
+      latinGivenNames: normalizeText(author.latinGivenNames),
+      email: normalizeText(author.email),
+      orcid: normalizeOrcid(author.orcid),
+      affiliations: [...new Set((author.affiliations || [])
+        .filter(i => affiliationIndex.has(i))
+        .map(i => affiliationIndex.get(i)))]
+    }))
+    .filter(author => author.surname);
+
+  return {
+    titles: normalizeLanguageMap(metadata?.titles, normalizeText),
+    abstracts: normalizeLanguageMap(metadata?.abstracts, normalizeText),
+    keywords: normalizeLanguageMap(metadata?.keywords, normalizeKeywords),
+    authors,
+    affiliations,
+    udc: normalizeUdc(metadata?.udc),
+    grnti: normalizeGrnti(metadata?.grnti),
+    references: normalizeReferences(metadata?.references),
+    latinTitle: normalizeText(metadata?.latinTitle)
+  };
+};
+
+/**
+ * Fill the empty Latin fields by transliteration: author names, the title in the article language and
+ * references with Cyrillic text (References entries of the article and the editor's forms are kept)
+ * @param {Object} metadata - Normalized metadata
+ * @param {Object} settings - Transliteration system by language (journal profile)
+ * @param {string} language - Article language (ru/kk/en)
+ * @returns {Object} - Metadata with the Latin fields filled
+ */
+export const transliterateMetadata = (metadata, settings, language) => ({
+  ...metadata,
+  authors: metadata.authors.map(author => ({
+    ...author,
+    latinSurname: author.latinSurname || toLatin(author.surname, settings, language),
+    latinGivenNames: author.latinGivenNames || toLatin(author.givenNames, settings, language)
+  })),
+  latinTitle: metadata.latinTitle || toLatin(metadata.titles[language] || '', settings, language),
+  references: metadata.references.map(reference => ({
+    ...reference,
+    latin: reference.latin || (hasCyrillic(reference.text) ? toLatin(reference.text, settings) : '')
+  }))
+});
+
+/**
+ * Display form of an author name, in the order splitPersonName reads back
+ * ("Иванов И.И.", "Иванов Иван Иванович", "Smith J.", "John Smith")
+ * @param {Object} author - {surname, givenNames}
+ * @returns {string}
+ */
+export const formatAuthorName = ({ surname, givenNames }) => {
+  if (!givenNames) return surname;
+  const isInitials = /^(?:\p{L}{1,2}\.-?\s*)+$/u.test(givenNames);
+  return isInitials || /[а-яёәғқңөұүһі]/i.test(surname)
+    ? `${surname} ${givenNames}`
+    : `${givenNames} ${surname}`;
+};
+
+/**
+ * Author field of an article from its metadata ("Иванов И.И., Smith J.")
+ * @param {Object} metadata - Normalized metadata
+ * @returns {string} - '' without authors
+ */
+export const formatAuthorsLine = (metadata) => metadata.authors.map(formatAuthorName).join(', ');
+
+/**
+ * Apply an edited author field to the metadata: authors follow the field, and an author
+ * whose surname is still there keeps the e-mail, ORCID and affiliations
+ * @param {Object} metadata - Normalized metadata
+ * @param {string} author - Author field
+ * @returns {Object} - Metadata with the new authors
+ */
+export const applyAuthorsLine = (metadata, author) => ({
+  ...metadata,
+  authors: splitAuthors(author).map(name => {
+    const person = splitPersonName(name);
+    const previous = metadata.authors.find(item => item.surname === person.surname) || EMPTY_AUTHOR;
+    return { ...previous, ...person };
+  })
+});
+
+/**
+ * Check whether a byline fragment looks like a person name: two to four capitalised tokens
+ * after any lowercase degree ("к.т.н. Иванов И.И.")
+ * @param {string} fragment - Byline fragment
+ * @returns {string} - The name without the degree, or '' if it is not a name
+ */
+const cleanPersonName = (fragment) => {
+  const tokens = fragment.split(/\s+/).filter(Boolean);
+  const nameTokens = tokens.slice(Math.max(0, tokens.findIndex(token => /^\p{Lu}/u.test(token))));
+  const isName = nameTokens.length >= 2 && nameTokens.length <= 4
+    && nameTokens.every(token => /^\p{Lu}/u.test(token));
+  return isName ? nameTokens.join(' ') : '';
+};
+
+/**
+ * Affiliation numbers of a marker run ("¹,²*" -> [1, 2])
+ * @param {string} run - Markers
+ * @returns {number[]}
+ */
+const parseMarkers = (run) => ([...run]
+  .map(char => (SUPERSCRIPT_DIGITS.includes(char) ? String(SUPERSCRIPT_DIGITS.indexOf(char)) : char))
+  .join('')
+  .match(/\d+/g) || []).map(Number);
+
+/**
+ * Find the co-authors in the byline: the line with the first extracted author,
+ * split into names (the extracted author field often has the first author only)
+ * @param {string[]} lines - First lines of the article
+ * @param {string} author - Extracted author field
+ * @returns {Array<{name: string, markers: number[]}>} - Names with their affiliation markers
+ */
+const findBylineAuthors = (lines, author) => {
+  const names = splitAuthors(author).map(name => ({ name, markers: [] }));
+  if (names.length === 0) return [];
+
+  const { surname } = splitPersonName(names[0].name);
+  const byline = lines.find(line => surname && line.includes(surname));
+  if (!byline) return names;
+
+  // Commas inside marker runs ("¹,²") must not split names
+  const marked = byline
+    .replace(EMAIL_PATTERN, '')
+    .replace(ORCID_PATTERN, '')
+    .replace(MARKER_RUN, (_, run) => `⟨${run.replace(/\s*,\s*/g, '+')}⟩`);
+  const candidates = splitAuthors(marked)
+    .map(fragment => ({
+      name: cleanPersonName(fragment.replace(/⟨[^⟩]*⟩/g, '')),
+      markers: parseMarkers(fragment.match(/⟨([^⟩]*)⟩/)?.[1] || '')
+    }))
+    .filter(candidate => candidate.name);
+  return candidates.some(candidate => candidate.name.includes(surname)) ? candidates : names;
+};
+
+/**
+ * Give e-mails and ORCID iDs found in the first lines to the authors
+ * A contact on a line that names one author belongs to that author (or to the lines after it),
+ * others go to the first author that has none yet
+ * @param {string[]} lines - First lines of the article
+ * @param {Array<Object>} authors - Authors, updated in place
+ */
+const assignContacts = (lines, authors) => {
+  let current = null;
+
+  for (const line of lines) {
+    const named = authors.filter(author => line.includes(author.surname));
+    if (named.length === 1) current = named[0];
+    else if (named.length > 1) current = null;
+
+    for (const email of line.match(EMAIL_PATTERN) || []) {
+      const target = current && !current.email ? current : authors.find(author => !author.email);
+      if (target) target.email = email;
+    }
+    const orcid = line.match(ORCID_PATTERN);
+    if (orcid) {
+      const target = current && !current.orcid ? current : authors.find(author => !author.orcid);
+      if (target) target.orcid = normalizeOrcid(orcid[0]);
+    }
+  }
+};
+
+/**
+ * Extract metadata from the article text without AI
+ * Abstracts, keywords and affiliations come from the labelled front matter; authors from the byline;
+ * UDC and GRNTI codes from the code lines above the title; references from the reference list.
+ * Affiliations are matched by the markers after the names ("Иванов И.И.¹"), by position when there is
+ * one per author, otherwise every author gets all of them
+ * @param {Object} article - {title, author, content}
+ * @param {string} language - Article language (ru/kk/en)
+ * @returns {Object} - Normalized metadata
+ */
+export const extractArticleMetadata = ({ title, author, content }, language) => {
+  const { abstracts, keywords, affiliations } = parseFrontMatter(content);
+  const lines = String(content || '').split('\n').map(line => line.trim()).filter(Boolean).slice(0, BYLINE_SEARCH_LINES);
+
+  const byline = findBylineAuthors(lines, author);
+  const authors = byline.map(({ name }) => ({ ...EMPTY_AUTHOR, ...splitPersonName(name) }));
+  assignContacts(lines, authors);
+
+  const hasMarkers = byline.every(({ markers }) => markers.length > 0 && markers.every(n => n >= 1 && n <= affiliations.length));
+  authors.forEach((item, i) => {
+    if (hasMarkers) item.affiliations = byline[i].markers.map(n => n - 1);
+    else if (affiliations.length === authors.length) item.affiliations = [i];
+    else item.affiliations = affiliations.map((_, index) => index);
+  });
+
+  return normalizeArticleMetadata({
+    titles: { [language]: title },
+    abstracts,
+    keywords,
+    authors,
+    affiliations,
+    ...extractClassificationCodes(content),
+    references: extractReferences(content)
+  });
+};
+
+/**
+ * Metadata of an article: as edited, or extracted from the text for articles without it
+ * The title in the article language falls back to the title field
+ * @param {Object} article - Article {title, author, content, metadata?}
+ * @param {string} language - Article language (ru/kk/en)
+ * @param {Object} [transliteration] - Transliteration settings; with them the Latin fields are filled
+ * @returns {Object} - Normalized metadata
+ */
+export const getArticleMetadata = (article, language, transliteration = null) => {
+  const metadata = article.metadata
+    ? normalizeArticleMetadata(article.metadata)
+    : extractArticleMetadata(article, language);
+  const withTitle = { ...metadata, titles: { [language]: article.title, ...metadata.titles } };
+  return transliteration ? transliterateMetadata(withTitle, transliteration, language) : withTitle;
+};
@@ -0,0 +1,67 @@
+/**
+ * Shared helpers for the article author field
+ * Used by both frontend and backend
+ * The field is free text as extracted from the document: "Иванов И.И., Петров П.П."
+ */
+
+// Placeholder stored when the author could not be extracted
+export const UNKNOWN_AUTHOR = 'Автор не указан';
+
+/**
+ * Split an author field into individual authors
+ * ("Иванов И.И., Петров П.П. и Сидоров С.С." -> three names)
+ * @param {string} author - Author field
+ * @returns {string[]}
+ */
+export const splitAuthors = (author) => String(author || '')
+  .split(/[,;]|\s+(?:и|және|and|&)\s+/i)
+  .map(name => name.replace(/\s+/g, ' ').trim())
+  .filter(name => name && name !== UNKNOWN_AUTHOR);
+
+/**
+ * Split one author name into surname and given names
+ * - With initials ("Иванов И.И.", "I.I. Ivanov") the other tokens are the surname
+ * - Full Cyrillic names are written surname first ("Иванов Иван Иванович"),
+ *   full Latin names surname last ("John Smith")
+ * Initials are the tokens made of one or two letters with a dot ("И.", "Zh.", "Ж.-К.")
+ * @param {string} name - Author name
+ * @returns {{surname: string, givenNames: string}}
+ */
+export const splitPersonName = (name) => {
+  const tokens = String(name || '').replace(/\.(?=\p{L})/gu, '. ').split(/\s+/).filter(Boolean);
+  const isInitials = (token) => /^(?:\p{L}{1,2}\.-?)+$/u.test(token);
+  const initials = tokens.filter(isInitials);
+
+  if (initials.length > 0) {
+    const surname = tokens.filter(token => !isInitials(token)).join(' ');
+    return surname
+      ? { surname, givenNames: initials.join('') }
+      : { surname: tokens.join(' '), givenNames: '' };
+  }
+  if (tokens.length < 2) return { surname: tokens.join(' '), givenNames: '' };
+
+  return /[а-яёәғқңөұүһі]/i.test(tokens[0])
+    ? { surname: tokens[0], givenNames: tokens.slice(1).join(' ') }
+    : { surname: tokens[tokens.length - 1], givenNames: tokens.slice(0, -1).join(' ') };
+};
+
+/**
+ * Initials of given names ("Иван Иванович" / "И.И." -> "И. И.", "Zh." stays "Zh.")
+ * @param {string} givenNames - Given names or initials
+ * @returns {string}
+ */
+export const toInitials = (givenNames) => String(givenNames || '')
+  .split(/[\s.]+/)
+  .filter(Boolean)
+  .map(name => name.split('-').map(part => (part.length <= 2 ? part : part[0]) + '.').join('-'))
+  .join(' ');
+
+/**
+ * Get the surname of the first author ("Иванов И.И." / "И.И. Иванов" -> "Иванов")
+ * @param {string} author - Author field
+ * @returns {string} - Surname, or '' if there is no author
+ */
+export const getFirstAuthorSurname = (author) => {
+  const [firstAuthor] = splitAuthors(author);
+  return firstAuthor ? splitPersonName(firstAuthor).surname : '';
+};
@@ -0,0 +1,172 @@
+/**
+ * Shared UDC and GRNTI classification codes
+ * Used by both frontend and backend
+ * Vestnik articles start with a code line: "УДК 004.8", "ӘОЖ 622.7(574)", "МРНТИ 20.23.25", "IRSTI 50.41.25"
+ * The codes are stored in the article metadata (udc - one string as printed, grnti - list of codes)
+ * and classify the article by the udcRanges / grntiRanges of the journal sections
+ */
+
+// Codes are looked for in the first lines only (above the title)
+const CODE_SEARCH_LINES = 10;
+
+// Labels in ru, kk and en; a line may carry both ("УДК 004.8 МРНТИ 20.23.25")
+const UDC_LABEL = /^(?:УДК|UDC|UDK|ӘОЖ|ЭОЖ)$/i;
+const CODE_LABELS = /(?<![\p{L}])(УДК|UDC|UDK|ӘОЖ|ЭОЖ|МРНТИ|ГРНТИ|IRSTI|GRNTI|SRSTI|ХҒТАР)(?![\p{L}])[\s.:№]*/iu;
+
+// Characters a code value may consist of; the title or text after it is cut off
+const UDC_VALUE = /^[\d.:+/()"'=\-–\s,;]+/;
+const GRNTI_VALUE = /^[\d.\s,;]+/;
+
+// UDC index: main number ("004.8") with auxiliaries - place (574), time "19", language =161.1, special -7, .0x;
+// numbers joined by ":", "::", "+" or "/" ("004.8:621.3", "622.7/.8"); several indexes separated by commas
+const UDC_NUMBER = String.raw`\d{1,3}(?:\.\d+)*`;
+const UDC_AUXILIARY = String.raw`(?:\(\d[\d.\-]*\)|"\d[\d.\-/]*"|=\d[\d.]*|-\d[\d.]*|'\d+)`;
+const UDC_SIMPLE = `${UDC_NUMBER}${UDC_AUXILIARY}*`;
+const UDC_INDEX = `${UDC_SIMPLE}(?:(?:::|[:+]|/\\.?)${UDC_SIMPLE})*`;
+const UDC_PATTERN = new RegExp(`^${UDC_INDEX}(?:, ${UDC_INDEX})*$`);
+
+// GRNTI (МРНТИ, IRSTI) rubric: two-digit levels, "20", "20.23" or "20.23.25"
+const GRNTI_PATTERN = /^\d{2}(?:\.\d{2}){0,2}$/;
+
+/**
+ * Bring a UDC string to the printed form without stray spaces ("004. 8 : 621.3" -> "004.8:621.3")
+ * @param {string} value - UDC as entered
+ * @returns {string}
+ */
+export const normalizeUdc = (value) => String(value || '')
+  .replace(/–/g, '-')
+  .replace(/\s*([.:+/=()"-])\s*/g, '$1')
+  .replace(/\s*[,;]\s*/g, ', ')
+  .replace(/\s+/g, ' ')
+  .replace(/^[\s,.]+|[\s,.]+$/g, '');
+
+/**
+ * Split GRNTI codes as entered ("20.23.25; 50.41.25") into a list
+ * @param {string|string[]} value - Codes
+ * @returns {string[]}
+ */
+export const normalizeGrnti = (value) => [...new Set(
+  (Array.isArray(value) ? value : String(value || '').split(/[\s,;]+/))
+    .map(code => String(code).trim().replace(/\.+$/, ''))
+    .filter(Boolean)
+)];
+
+/**
+ * Check the format of a UDC string
+ * @param {string} udc - Normalized UDC
+ * @returns {boolean}
+ */
+export const isValidUdc = (udc) => UDC_PATTERN.test(udc || '');
+
+/**
+ * Check the format of a GRNTI code
+ * @param {string} code - GRNTI code
+ * @returns {boolean}
+ */
+export const isValidGrnti = (code) => GRNTI_PATTERN.test(code || '');
+
+/**
+ * Check whether a line is a classification code line (no title or author text on it)
+ * @param {string} line - Text line
+ * @returns {boolean}
+ */
+export const isClassificationLine = (line) => {
+  const parts = String(line || '').trim().split(CODE_LABELS);
+  return parts.length > 1 && parts.every((part, i) => i % 2 === 1 || /^[\d.:+/()"'=\-–\s,;]*$/.test(part));
+};
+
+/**
+ * Extract the UDC and GRNTI codes from the head of the article
+ * The first label of each kind is used; the values are kept as printed so that the editor can flag bad ones
+ * @param {string} content - Article text
+ * @returns {{udc: string, grnti: string[]}}
+ */
+export const extractClassificationCodes = (content) => {
+  const lines = String(content || '').split('\n').map(line => line.trim()).filter(Boolean).slice(0, CODE_SEARCH_LINES);
+  const codes = { udc: '', grnti: [] };
+
+  for (const line of lines) {
+    // split() with a capture group gives [before, label, value, label, value, ...]
+    const parts = line.split(CODE_LABELS);
+    for (let i = 1; i < parts.length; i += 2) {
+      if (UDC_LABEL.test(parts[i])) {
+        if (!codes.udc) codes.udc = normalizeUdc(parts[i + 1].match(UDC_VALUE)?.[0]);
+      } else if (codes.grnti.length === 0) {
+        codes.grnti = normalizeGrnti(parts[i + 1].match(GRNTI_VALUE)?.[0]);
+      }
+    }
+  }
+
+  return codes;
+};
+
+/**
+ * Match a code against a section range: a prefix ("004", "51-7") or a range of leading numbers ("50-59")
+ * @param {string} code - UDC number or GRNTI code
+ * @param {string} range - Section range
+ * @returns {number} - Length of the matched part (0 when it does not match), longer is more specific
+ */
+const matchRange = (code, range) => {
+  const bounds = range.match(/^(\d+)-(\d+)$/);
+  if (bounds && bounds[1].length === bounds[2].length && Number(bounds[1]) <= Number(bounds[2])) {
+    const head = code.replace(/\./g, '').match(/^\d+/)?.[0].slice(0, bounds[1].length) || '';
+    const inRange = head.length === bounds[1].length
+      && Number(head) >= Number(bounds[1]) && Number(head) <= Number(bounds[2]);
+    return inRange ? bounds[1].length : 0;
+  }
+  return code.startsWith(range) ? range.length : 0;
+};
+
+/**
+ * Find the section whose ranges match a code best
+ * @param {string} code - Code
+ * @param {Array<Object>} sections - Normalized sections
+ * @param {string} field - 'udcRanges' or 'grntiRanges'
+ * @returns {Object|null}
+ */
+const findSectionByCode = (code, sections, field) => {
+  let best = null;
+  let bestLength = 0;
+  for (const section of sections) {
+    for (const range of section[field]) {
+      const length = matchRange(code, range);
+      if (length > bestLength) {
+        best = section;
+        bestLength = length;
+      }
+    }
+  }
+  return best;
+};
+
+/**
+ * Classify an article by its codes, before any AI call
+ * Every valid code votes: the main numbers of the UDC ("004.8:621.3" -> 004.8, 621.3) and each GRNTI code.
+ * Codes pointing to different sections give no result, so the AI decides
+ * @param {{udc: string, grnti: string[]}} codes - Article codes (the article metadata)
+ * @param {Array<Object>} sections - Normalized sections
+ * @returns {{section: string, confidence: number, reasoning: string}|null}
+ */
+export const matchSectionByCodes = ({ udc, grnti } = {}, sections = []) => {
+  const votes = [];
+
+  if (isValidUdc(udc)) {
+    const numbers = udc.split(/, |::|[:+/]/).filter(part => /^\d/.test(part));
+    for (const number of numbers) {
+      votes.push({ code: `УДК ${number}`, section: findSectionByCode(number, sections, 'udcRanges') });
+    }
+  }
+  for (const code of (grnti || []).filter(isValidGrnti)) {
+    votes.push({ code: `МРНТИ ${code}`, section: findSectionByCode(code, sections, 'grntiRanges') });
+  }
+
+  const matched = votes.filter(vote => vote.section);
+  const names = new Set(matched.map(vote => vote.section.names.ru));
+  if (names.size !== 1) return null;
+
+  return {
+    section: [...names][0],
+    confidence: matched.length > 1 ? 0.95 : 0.9,
+    reasoning: `Определено по классификационным кодам: ${matched.map(vote => vote.code).join(', ')}`
+  };
+};
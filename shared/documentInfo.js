@@ -0,0 +1,87 @@
+/**
+ * Shared PDF document metadata (Info dictionary / XMP)
+ * Used by both frontend (jsPDF) and backend (pdf-lib) generation paths
+ * Search engines and Google Scholar read the title, authors and keywords of the file
+ */
+
+import { splitAuthors } from './authors.js';
+import { FRONT_MATTER_LANGUAGES } from './frontMatter.js';
+
+// Creator application written to generated documents
+export const DOCUMENT_CREATOR = 'AI-Redactor';
+
+/**
+ * Name of an issue: generated issue {name}, archive issue {title} or the year
+ * @param {Object} [issue] - Issue
+ * @returns {string}
+ */
+const getIssueName = (issue) => issue?.name || issue?.title || (issue?.year ? String(issue.year) : '');
+
+/**
+ * Normalize article keywords (array, comma/semicolon separated text or keywords by language)
+ * @param {string[]|string|Object<string, string[]>|undefined} keywords - Keywords
+ * @param {string} [language] - Article language: its keywords go first
+ * @returns {string[]}
+ */
+const toKeywordList = (keywords, language) => {
+  if (keywords && typeof keywords === 'object' && !Array.isArray(keywords)) {
+    const languages = [...new Set([language, ...FRONT_MATTER_LANGUAGES])].filter(lang => keywords[lang]);
+    return [...new Set(languages.flatMap(lang => toKeywordList(keywords[lang])))];
+  }
+  return (Array.isArray(keywords) ? keywords : String(keywords || '').split(/[,;]/))
+    .map(keyword => String(keyword).trim())
+    .filter(Boolean);
+};
+
+/**
+ * Keywords of an article: the front matter stored with an archive issue (metadata.articles, matched by n),
+ * then the article's own metadata or keywords
+ * @param {Object} article - Article or page map entry
+ * @param {Object} [issue] - Issue (archive issues carry the front matter)
+ * @returns {string[]}
+ */
+const getArticleKeywords = (article, issue) => {
+  const frontMatter = issue?.metadata?.articles?.find(entry => entry.n === article.n);
+  return toKeywordList(frontMatter?.keywords || article.metadata?.keywords || article.keywords, frontMatter?.language);
+};
+
+/**
+ * Document metadata of an issue
+ * @param {Object} profile - Normalized journal profile
+ * @param {Object} [issue] - Issue {name, year} or archive issue {title, year, metadata}
+ * @param {Array<Object>} articles - Articles {title, author, section, keywords?, metadata?} or page map entries
+ * @returns {{title: string, author: string, subject: string, keywords: string[], creator: string}}
+ */
+export const getIssueDocumentInfo = (profile, issue, articles) => {
+  const issueName = getIssueName(issue);
+  const authors = [...new Set(articles.flatMap(article => splitAuthors(article.author)))];
+  const sections = [...new Set(articles.map(article => article.section).filter(Boolean))];
+
+  return {
+    title: issueName ? `${profile.title}. ${issueName}` : profile.title,
+    author: authors.join(', '),
+    subject: [profile.title, issueName, profile.issn && `ISSN ${profile.issn}`].filter(Boolean).join(', '),
+    keywords: [...new Set([...sections, ...articles.flatMap(article => getArticleKeywords(article, issue))])],
+    creator: DOCUMENT_CREATOR
+  };
+};
+
+/**
+ * Document metadata of one article (offprint)
+ * The subject names the journal and issue, so the file is identifiable on its own
+ * @param {Object} profile - Normalized journal profile
+ * @param {Object} [issue] - Issue {name} or archive issue {title, year, metadata}
+ * @param {Object} article - Article {title, author, section, keywords?, metadata?} or page map entry
+ * @returns {{title: string, author: string, subject: string, keywords: string[], creator: string}}
+ */
+export const getArticleDocumentInfo = (profile, issue, article) => {
+  const keywords = getArticleKeywords(article, issue);
+
+  return {
+    title: article.title,
+    author: splitAuthors(article.author).join(', '),
+    subject: [profile.title, getIssueName(issue), profile.issn && `ISSN ${profile.issn}`].filter(Boolean).join(', '),
+    keywords: keywords.length > 0 ? keywords : [article.section].filter(Boolean),
+    creator: DOCUMENT_CREATOR
+  };
+};
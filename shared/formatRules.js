@@ -0,0 +1,74 @@
+/**
+ * Shared manuscript formatting rules
+ * Used by the profile editor and the manuscript check in the editor (src/utils/formatChecker.js)
+ * Defaults follow the journal's information letter to authors: A4, margins top/bottom 3.0 cm and
+ * left/right 2.5 cm, Times New Roman 12 pt, single spacing, 4-6 pages, UDC in the top left corner,
+ * the title in bold capitals, abstracts and keywords in Kazakh, Russian and English.
+ * The letter does not limit the abstract length or the keyword count; those defaults are the usual RINC ones.
+ * A numeric rule of 0 (or an empty font) is not checked
+ */
+
+import { FRONT_MATTER_LANGUAGES } from './frontMatter.js';
+
+export const DEFAULT_FORMAT_RULES = {
+  enabled: true,
+  // Page size and margins, mm
+  pageWidth: 210,
+  pageHeight: 297,
+  marginTop: 30,
+  marginBottom: 30,
+  marginLeft: 25,
+  marginRight: 25,
+  // Main text (outside tables)
+  fontFamily: 'Times New Roman',
+  fontSize: 12,
+  lineSpacing: 1,
+  // Page count saved by Word (docProps/app.xml)
+  minPages: 4,
+  maxPages: 6,
+  // Article head: the UDC line first, then the title
+  udcFirst: true,
+  titleBold: true,
+  titleUppercase: true,
+  // Abstracts and keywords are required in these languages
+  frontMatterLanguages: ['kk', 'ru', 'en'],
+  abstractMinWords: 100,
+  abstractMaxWords: 300,
+  minKeywords: 5,
+  maxKeywords: 10,
+  // Every figure has a numbered caption ("Рисунок 1 –", "Сурет 1", "Figure 1")
+  figureCaptions: true
+};
+
+// Rules given as numbers (mm, pt, words, count)
+const NUMERIC_RULES = [
+  'pageWidth', 'pageHeight', 'marginTop', 'marginBottom', 'marginLeft', 'marginRight', 'fontSize', 'lineSpacing',
+  'minPages', 'maxPages', 'abstractMinWords', 'abstractMaxWords', 'minKeywords', 'maxKeywords'
+];
+
+const BOOLEAN_RULES = ['enabled', 'udcFirst', 'titleBold', 'titleUppercase', 'figureCaptions'];
+
+/**
+ * Merge (possibly partial) rules with defaults
+ * @param {Object|null} rules - Rules
+ * @returns {Object} - Complete rules
+ */
+export const normalizeFormatRules = (rules) => {
+  const normalized = { ...DEFAULT_FORMAT_RULES };
+  if (!rules) return normalized;
+
+  for (const key of NUMERIC_RULES) {
+    if (rules[key] !== undefined && rules[key] !== null && rules[key] !== '') {
+      normalized[key] = Math.max(0, Number(rules[key]) || 0);
+    }
+  }
+  for (const key of BOOLEAN_RULES) {
+    if (typeof rules[key] === 'boolean') normalized[key] = rules[key];
+  }
+  if (typeof rules.fontFamily === 'string') normalized.fontFamily = rules.fontFamily.trim();
+  if (Array.isArray(rules.frontMatterLanguages)) {
+    normalized.frontMatterLanguages = FRONT_MATTER_LANGUAGES.filter(lang => rules.frontMatterLanguages.includes(lang));
+  }
+
+  return normalized;
+};
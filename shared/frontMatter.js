@@ -0,0 +1,101 @@
+/**
+ * Shared article front matter parsing
+ * Used by both frontend and backend
+ * Articles are free-form DOCX text: the abstract, keywords and affiliations are found
+ * by their labels in ru, kk and en ("Аннотация", "Түйін сөздер", "Keywords", ...)
+ */
+
+export const FRONT_MATTER_LANGUAGES = ['ru', 'kk', 'en'];
+
+// A label is followed by punctuation, whitespace or the end of the line
+// (\b does not work for Cyrillic without the u flag)
+const LABEL_END = '(?=[\\s.:–—-]|$)[\\s.:–—-]*';
+
+const ABSTRACT_LABELS = {
+  kk: new RegExp(`^(?:аңдатпа|андатпа|түйіндеме)${LABEL_END}`, 'i'),
+  ru: new RegExp(`^(?:аннотация|резюме)${LABEL_END}`, 'i'),
+  en: new RegExp(`^(?:abstract|annotation|summary)${LABEL_END}`, 'i')
+};
+
+const KEYWORD_LABELS = {
+  kk: new RegExp(`^(?:түйін(?:ді)?|кілт(?:ті)?) сөздер${LABEL_END}`, 'i'),
+  ru: new RegExp(`^ключевые слова${LABEL_END}`, 'i'),
+  en: new RegExp(`^key\\s?words${LABEL_END}`, 'i')
+};
+
+// Organisation names in the affiliation lines under the authors
+const AFFILIATION_PATTERN = /университет|university|институт|institute|академи|academy|колледж|college|орталығы|центр|centre|center/i;
+
+// Affiliations are looked for in the first lines only (title, authors, affiliations)
+const AFFILIATION_SEARCH_LINES = 15;
+
+/**
+ * Check whether a line starts with any abstract or keywords label
+ * @param {string} line - Text line
+ * @returns {boolean}
+ */
+const isLabelLine = (line) => [...Object.values(ABSTRACT_LABELS), ...Object.values(KEYWORD_LABELS)]
+  .some(pattern => pattern.test(line));
+
+/**
+ * Find a labelled block: the text after the label, or the next line when the label is on its own
+ * The first occurrence is used (translated summaries may repeat at the end of the article)
+ * @param {string[]} lines - Non-empty text lines
+ * @param {RegExp} label - Label pattern
+ * @returns {{text: string}|null}
+ */
+const findLabelled = (lines, label) => {
+  const index = lines.findIndex(line => label.test(line));
+  if (index === -1) return null;
+
+  const rest = lines[index].replace(label, '').trim();
+  if (rest) return { text: rest };
+
+  const next = lines[index + 1];
+  return next && !isLabelLine(next) ? { text: next } : null;
+};
+
+/**
+ * Split a keywords line ("слово; другое слово.") into keywords
+ * @param {string} text - Keywords text
+ * @returns {string[]}
+ */
+const splitKeywords = (text) => text
+  .split(/[,;]/)
+  .map(keyword => keyword.trim().replace(/\.$/, ''))
+  .filter(Boolean);
+
+/**
+ * Parse the abstract, keywords and affiliations of an article
+ * @param {string} text - Article plain text
+ * @returns {{abstracts: Object<string, string>, keywords: Object<string, string[]>, affiliations: string[]}}
+ *   Abstracts and keywords by language (ru/kk/en, missing languages are omitted)
+ */
+export const parseFrontMatter = (text) => {
+  const lines = String(text || '').split('\n').map(line => line.trim()).filter(Boolean);
+  const abstracts = {};
+  const keywords = {};
+
+  for (const lang of FRONT_MATTER_LANGUAGES) {
+    const abstract = findLabelled(lines, ABSTRACT_LABELS[lang]);
+    if (abstract) abstracts[lang] = abstract.text;
+
+    const keywordBlock = findLabelled(lines, KEYWORD_LABELS[lang]);
+    if (keywordBlock) keywords[lang] = splitKeywords(keywordBlock.text);
+  }
+
+  const firstLabel = lines.findIndex(isLabelLine);
+  const headLines = lines.slice(0, Math.min(AFFILIATION_SEARCH_LINES, firstLabel === -1 ? lines.length : firstLabel));
+  const affiliations = [...new Set(headLines
+    .filter(line => AFFILIATION_PATTERN.test(line))
+    .map(line => line.replace(/^[\d*¹²³⁴⁵\s]+/, '').trim()))];
+
+  return { abstracts, keywords, affiliations };
+};
+
+/**
+ * Check whether a line is a keywords line (end of the front matter before the body)
+ * @param {string} line - Text line
+ * @returns {boolean}
+ */
+export const isKeywordsLine = (line) => Object.values(KEYWORD_LABELS).some(pattern => pattern.test(line.trim()));
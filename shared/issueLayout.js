@@ -0,0 +1,141 @@
+/**
+ * Shared issue layout template
+ * Used by the profile editor (frontend) and the issue generator (backend)
+ * A layout is an ordered list of blocks; the generator merges the issue in this order
+ * and computes TOC page numbers from it
+ */
+
+/**
+ * Block types
+ * - Special pages are uploaded files; a block whose file is not uploaded is skipped
+ * - articles: articles of one section ({section: 'name'}) or, without a section,
+ *   of every section not placed by another articles block (in section order)
+ * - divider: divider page of one section ({section: 'name'}), skipped if the section has no articles;
+ *   it replaces the section's automatic header or divider (profile sectionHeading)
+ * - authorIndex: alphabetical index of authors with the pages of their articles
+ * @type {Object<string, string>}
+ */
+export const LAYOUT_BLOCK_TYPES = {
+  COVER: 'cover',
+  DESCRIPTION: 'description',
+  FOREWORD: 'foreword',
+  TOC: 'toc',
+  ARTICLES: 'articles',
+  DIVIDER: 'divider',
+  AUTHOR_INDEX: 'authorIndex',
+  BLANK: 'blank',
+  FINAL: 'final'
+};
+
+/**
+ * Block types backed by an uploaded file
+ * @type {string[]}
+ */
+export const SPECIAL_PAGE_BLOCKS = [
+  LAYOUT_BLOCK_TYPES.COVER,
+  LAYOUT_BLOCK_TYPES.DESCRIPTION,
+  LAYOUT_BLOCK_TYPES.FOREWORD,
+  LAYOUT_BLOCK_TYPES.FINAL
+];
+
+/**
+ * Block labels for the editor, bookmarks and logs
+ * @type {Object<string, string>}
+ */
+export const LAYOUT_BLOCK_LABELS = {
+  cover: 'Титульный лист',
+  description: 'Описание журнала',
+  foreword: 'Слово редактора',
+  toc: 'Содержание',
+  articles: 'Статьи',
+  divider: 'Разделитель раздела',
+  authorIndex: 'Указатель авторов',
+  blank: 'Пустая страница',
+  final: 'Заключительная страница'
+};
+
+/**
+ * Default layout - the order used before layouts were configurable
+ * (the foreword is skipped when not uploaded)
+ * @type {Array<Object>}
+ */
+export const DEFAULT_ISSUE_LAYOUT = [
+  { type: 'cover' },
+  { type: 'description' },
+  { type: 'foreword' },
+  { type: 'articles', section: null },
+  { type: 'toc' },
+  { type: 'authorIndex' },
+  { type: 'final' }
+];
+
+/**
+ * Blocks that may appear only once
+ * @type {string[]}
+ */
+export const UNIQUE_LAYOUT_BLOCKS = [...SPECIAL_PAGE_BLOCKS, LAYOUT_BLOCK_TYPES.TOC, LAYOUT_BLOCK_TYPES.AUTHOR_INDEX];
+
+/**
+ * Validate and complete a layout
+ * - Unknown blocks and repeated special pages / TOC / author index are dropped
+ * - Dividers without a section and repeated dividers of a section are dropped
+ * - A catch-all articles block is added after the last articles block (or before
+ *   the final page) if missing, so no article is left out of the issue
+ * @param {Array<Object>|null} layout - Layout blocks
+ * @returns {Array<Object>} - Normalized layout
+ */
+export const normalizeIssueLayout = (layout) => {
+  if (!Array.isArray(layout) || layout.length === 0) {
+    return DEFAULT_ISSUE_LAYOUT.map(block => ({ ...block }));
+  }
+
+  const knownTypes = Object.values(LAYOUT_BLOCK_TYPES);
+  const seen = new Set();
+  const dividedSections = new Set();
+  const blocks = [];
+
+  for (const block of layout) {
+    const type = typeof block === 'string' ? block : block?.type;
+    if (!knownTypes.includes(type)) continue;
+    if (UNIQUE_LAYOUT_BLOCKS.includes(type)) {
+      if (seen.has(type)) continue;
+      seen.add(type);
+    }
+    if (type === LAYOUT_BLOCK_TYPES.DIVIDER) {
+      const section = typeof block.section === 'string' && block.section.trim();
+      if (!section || dividedSections.has(section)) continue;
+      dividedSections.add(section);
+      blocks.push({ type, section });
+      continue;
+    }
+
+    blocks.push(type === LAYOUT_BLOCK_TYPES.ARTICLES
+      ? { type, section: (typeof block.section === 'string' && block.section.trim()) || null }
+      : { type });
+  }
+
+  const isArticles = block => block.type === LAYOUT_BLOCK_TYPES.ARTICLES;
+  if (!blocks.some(block => isArticles(block) && !block.section)) {
+    const lastArticles = blocks.map(isArticles).lastIndexOf(true);
+    const finalIndex = blocks.findIndex(block => block.type === LAYOUT_BLOCK_TYPES.FINAL);
+    const insertAt = lastArticles >= 0 ? lastArticles + 1 : (finalIndex >= 0 ? finalIndex : blocks.length);
+    blocks.splice(insertAt, 0, { type: LAYOUT_BLOCK_TYPES.ARTICLES, section: null });
+  }
+
+  return blocks;
+};
+
+/**
+ * Human-readable block name
+ * @param {Object} block - Layout block
+ * @returns {string}
+ */
+export const getLayoutBlockLabel = (block) => {
+  if (block.type === LAYOUT_BLOCK_TYPES.ARTICLES) {
+    return block.section ? `Статьи: ${block.section}` : 'Статьи (остальные разделы)';
+  }
+  if (block.type === LAYOUT_BLOCK_TYPES.DIVIDER) {
+    return `Разделитель: ${block.section}`;
+  }
+  return LAYOUT_BLOCK_LABELS[block.type] || block.type;
+};
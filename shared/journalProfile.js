@@ -0,0 +1,239 @@
+/**
+ * Shared journal profile defaults
+ * Used by both frontend (jsPDF) and backend (pdf-lib) generation paths
+ * A profile describes the branding and layout of one journal (title, ISSN, footer, page setup, fonts, TOC,
+ * order of blocks in the issue)
+ */
+
+import { ARTICLE_SECTIONS, DEFAULT_SECTIONS, getSectionTitles } from './sections.js';
+import { DEFAULT_ISSUE_LAYOUT, normalizeIssueLayout } from './issueLayout.js';
+import { getFirstAuthorSurname } from './authors.js';
+import { DEFAULT_TRANSLITERATION, normalizeTransliteration } from './transliteration.js';
+import { DEFAULT_FORMAT_RULES, normalizeFormatRules } from './formatRules.js';
+
+/**
+ * Points per millimetre (pdf-lib works in points, jsPDF in millimetres)
+ */
+export const PT_PER_MM = 72 / 25.4;
+
+/**
+ * Default profile - "Вестник ЖезУ" as it was hard-coded before profiles existed
+ * All dimensions are in millimetres
+ * @type {Object}
+ */
+export const DEFAULT_JOURNAL_PROFILE = {
+  id: null,
+  name: 'Вестник ЖезУ',
+  title: 'Вестник Жезказганского Университета имени О.А. Байконурова',
+  issn: '',
+  // Placeholders: {title}, {page}, {issn}
+  footerFormat: {
+    odd: '{title} | {page}',
+    even: '{page} | {title}'
+  },
+  pageSize: { name: 'A4', width: 210, height: 297 },
+  margins: { top: 30, right: 25, bottom: 30, left: 25 },
+  lineHeight: 6,
+  fonts: {
+    regular: '', // Optional TTF/OTF file name in the server fonts directory (falls back to system Noto/Liberation/DejaVu)
+    bold: '',
+    footerSize: 10,
+    tocTitleSize: 16,
+    tocSectionSize: 12,
+    tocEntrySize: 11
+  },
+  // Running header on article pages except the first one
+  // Placeholders: {shortTitle} (article), {author} (first author surname), {title}, {issn}
+  runningHeader: {
+    enabled: false,
+    odd: '{shortTitle}',
+    even: '{author}'
+  },
+  tocHeading: 'СОДЕРЖАНИЕ',
+  // Order of blocks in the issue (see issueLayout.js)
+  layout: DEFAULT_ISSUE_LAYOUT,
+  // Print edition: articles start on odd (right-hand) pages; blank pages are inserted as needed
+  printMode: {
+    enabled: false,
+    blankPageFooter: false // Draw the footer on blank pages (they are always counted)
+  },
+  // Section heading style: 'header' (on the first page of the section's first article)
+  // or 'divider' (a separate page with the section name in ru/kk/en)
+  sectionHeading: 'header',
+  // Archival output: '' (regular PDF), '1b' (PDF/A-1b) or '2b' (PDF/A-2b)
+  pdfA: '',
+  // Crossref: article DOIs are built from the pattern (empty - no DOIs)
+  // Placeholders: {year}, {month}, {n} (article number in the issue); resourceUrl also {doi}
+  doi: {
+    pattern: '',
+    resourceUrl: '',
+    depositorName: '',
+    depositorEmail: '',
+    registrant: ''
+  },
+  // eLibrary.ru (RINC): journal ID (titleid) in Articulus XML, '' until registered
+  elibraryTitleId: '',
+  // Reference list check: fewer sources are flagged in the editor (0 - no minimum)
+  minReferences: 10,
+  // Latin forms of author names, titles and references: system by text language (see shared/transliteration.js)
+  transliteration: { ...DEFAULT_TRANSLITERATION },
+  // Manuscript check against the author guidelines (see shared/formatRules.js)
+  formatRules: { ...DEFAULT_FORMAT_RULES },
+  sections: [...ARTICLE_SECTIONS],
+  // Section names in all languages, in section order: [{ru, kk, en}]
+  sectionTitles: getSectionTitles(DEFAULT_SECTIONS),
+  isDefault: true
+};
+
+// A font is a bare file name: no directories, so the server never reads outside its fonts directory
+const FONT_FILE_PATTERN = /^[\w][\w .-]*\.(?:ttf|otf)$/i;
+
+/**
+ * Check a profile font file name (empty means the system fonts)
+ * @param {string} name - Font file name
+ * @returns {boolean}
+ */
+export const isValidFontFile = (name) => !name || (FONT_FILE_PATTERN.test(name) && !name.includes('..'));
+
+export const SECTION_HEADING_STYLES = ['header', 'divider'];
+
+export const PDF_A_LEVELS = ['1b', '2b'];
+
+/**
+ * Merge fonts with defaults; a font that is not a bare file name (absolute path, "..") is dropped
+ * @param {Object|null} fonts - Fonts
+ * @returns {Object}
+ */
+const normalizeFonts = (fonts) => {
+  const merged = { ...DEFAULT_JOURNAL_PROFILE.fonts, ...(fonts || {}) };
+  for (const key of ['regular', 'bold']) {
+    merged[key] = String(merged[key] || '').trim();
+    if (!isValidFontFile(merged[key])) merged[key] = '';
+  }
+  return merged;
+};
+
+/**
+ * Merge a (possibly partial) profile with defaults
+ * Accepts both camelCase API objects and snake_case database rows
+ * @param {Object|null} profile - Profile data
+ * @returns {Object} - Complete profile
+ */
+export const normalizeJournalProfile = (profile) => {
+  if (!profile) return { ...DEFAULT_JOURNAL_PROFILE };
+
+  const pick = (camel, snake) => profile[camel] ?? profile[snake];
+  const sections = Array.isArray(profile.sections) && profile.sections.length > 0
+    ? profile.sections.filter(s => typeof s === 'string' && s.trim().length > 0)
+    : DEFAULT_JOURNAL_PROFILE.sections;
+  const sectionTitles = pick('sectionTitles', 'section_titles');
+  const sectionHeading = pick('sectionHeading', 'section_heading');
+  const pdfA = pick('pdfA', 'pdf_a');
+
+  return {
+    id: profile.id ?? null,
+    name: profile.name || DEFAULT_JOURNAL_PROFILE.name,
+    title: profile.title || DEFAULT_JOURNAL_PROFILE.title,
+    issn: profile.issn || '',
+    footerFormat: { ...DEFAULT_JOURNAL_PROFILE.footerFormat, ...(pick('footerFormat', 'footer_format') || {}) },
+    pageSize: { ...DEFAULT_JOURNAL_PROFILE.pageSize, ...(pick('pageSize', 'page_size') || {}) },
+    margins: { ...DEFAULT_JOURNAL_PROFILE.margins, ...(profile.margins || {}) },
+    lineHeight: Number(pick('lineHeight', 'line_height')) || DEFAULT_JOURNAL_PROFILE.lineHeight,
+    fonts: normalizeFonts(profile.fonts),
+    runningHeader: { ...DEFAULT_JOURNAL_PROFILE.runningHeader, ...(pick('runningHeader', 'running_header') || {}) },
+    tocHeading: pick('tocHeading', 'toc_heading') || DEFAULT_JOURNAL_PROFILE.tocHeading,
+    layout: normalizeIssueLayout(profile.layout),
+    printMode: { ...DEFAULT_JOURNAL_PROFILE.printMode, ...(pick('printMode', 'print_mode') || {}) },
+    sectionHeading: SECTION_HEADING_STYLES.includes(sectionHeading) ? sectionHeading : DEFAULT_JOURNAL_PROFILE.sectionHeading,
+    pdfA: PDF_A_LEVELS.includes(pdfA) ? pdfA : '',
+    doi: { ...DEFAULT_JOURNAL_PROFILE.doi, ...(profile.doi || {}) },
+    elibraryTitleId: String(pick('elibraryTitleId', 'elibrary_title_id') ?? '').trim(),
+    minReferences: Math.max(0, Number(pick('minReferences', 'min_references') ?? DEFAULT_JOURNAL_PROFILE.minReferences) || 0),
+    transliteration: normalizeTransliteration(profile.transliteration),
+    formatRules: normalizeFormatRules(pick('formatRules', 'format_rules')),
+    sections,
+    sectionTitles: Array.isArray(sectionTitles) && sectionTitles.length > 0
+      ? sectionTitles.filter(t => t?.ru).map(t => ({ ru: t.ru, kk: t.kk || '', en: t.en || '' }))
+      : DEFAULT_JOURNAL_PROFILE.sectionTitles,
+    isDefault: !!pick('isDefault', 'is_default')
+  };
+};
+
+/**
+ * Build footer text for a page from the profile footer format
+ * @param {Object} profile - Normalized journal profile
+ * @param {number} pageNum - Page number (1-indexed)
+ * @returns {string}
+ */
+export const formatFooterText = (profile, pageNum) => {
+  const template = pageNum % 2 === 1 ? profile.footerFormat.odd : profile.footerFormat.even;
+  return String(template || '')
+    .replace(/\{title\}/g, profile.title)
+    .replace(/\{page\}/g, String(pageNum))
+    .replace(/\{issn\}/g, profile.issn ? `ISSN ${profile.issn}` : '')
+    .trim();
+};
+
+/**
+ * Build running header text for an article page from the profile header format
+ * @param {Object} profile - Normalized journal profile
+ * @param {number} pageNum - Page number (1-indexed)
+ * @param {Object} article - Article {title, shortTitle?, author}
+ * @returns {string}
+ */
+export const formatRunningHeaderText = (profile, pageNum, article) => {
+  const template = pageNum % 2 === 1 ? profile.runningHeader.odd : profile.runningHeader.even;
+  return String(template || '')
+    .replace(/\{shortTitle\}/g, article.shortTitle || article.title || '')
+    .replace(/\{author\}/g, getFirstAuthorSurname(article.author))
+    .replace(/\{title\}/g, profile.title)
+    .replace(/\{issn\}/g, profile.issn ? `ISSN ${profile.issn}` : '')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Fill a DOI template: {year}, {month} (two digits), {n} (article number in the issue)
+ * @param {string} template - Template
+ * @param {Object} values - {year, month, n, doi?}
+ * @returns {string}
+ */
+const fillDoiTemplate = (template, { year, month, n, doi = '' }) => String(template || '')
+  .replace(/\{year\}/g, String(year))
+  .replace(/\{month\}/g, String(month).padStart(2, '0'))
+  .replace(/\{n\}/g, String(n))
+  .replace(/\{doi\}/g, doi)
+  .trim();
+
+/**
+ * Build the DOI of an article from the profile pattern
+ * @param {Object} profile - Normalized journal profile
+ * @param {Object} article - {year, month, n}
+ * @returns {string} - DOI, or '' when the profile has no DOI pattern
+ */
+export const formatArticleDoi = (profile, article) => fillDoiTemplate(profile.doi.pattern, article);
+
+/**
+ * Build the landing page URL registered for a DOI
+ * @param {Object} profile - Normalized journal profile
+ * @param {Object} article - {year, month, n, doi}
+ * @returns {string} - URL, or '' when the profile has no resource URL
+ */
+export const formatDoiResourceUrl = (profile, article) => fillDoiTemplate(profile.doi.resourceUrl, article);
+
+/**
+ * Get a section's names in all languages
+ * @param {Object} profile - Normalized journal profile
+ * @param {string} sectionName - Section name (Russian, as stored on articles)
+ * @returns {{ru: string, kk: string, en: string}}
+ */
+export const getSectionTitle = (profile, sectionName) => {
+  return profile.sectionTitles.find(t => t.ru === sectionName) || { ru: sectionName, kk: '', en: '' };
+};
+
+/**
+ * Convert millimetres to PDF points
+ * @param {number} mm - Millimetres
+ * @returns {number}
+ */
+export const mmToPt = (mm) => mm * PT_PER_MM;
@@ -0,0 +1,320 @@
+/**
+ * Shared reference list parsing and checks
+ * Used by both frontend and backend
+ * The list follows its heading ("Список литературы", "Әдебиеттер тізімі", "References"), one source per line.
+ * Articles in Russian or Kazakh repeat it transliterated under a "References" heading (RINC, Scopus).
+ * Parsed references are stored in the article metadata:
+ *   [{number, text, authors: [{surname, givenNames}], title, source, year, pages, doi, latin}]
+ * where latin is the matching entry of the transliterated list
+ */
+
+const HEADING = String.raw`(?:список (?:использованн(?:ой|ых) )?(?:литературы|источников)|библиографический список|литература`
+  + String.raw`|пайдаланылған әдебиеттер(?: тізімі)?|әдебиеттер тізімі|әдебиеттер|әдебиет`
+  + String.raw`|references|reference list|bibliography|literature)`;
+
+// A heading line may combine languages ("Список литературы / References")
+const HEADING_PATTERN = new RegExp(`^${HEADING}(?:\\s*/\\s*${HEADING})*[\\s.:]*$`, 'i');
+
+// Lines that end a list: translated summaries, keywords and the author notes after the references
+const LIST_END_PATTERN = /^(?:сведения об авторах|информация об авторах|авторлар туралы|information about (?:the )?authors?|about the authors?|аннотация|аңдатпа|андатпа|түйін|резюме|abstract|annotation|summary|ключевые слова|кілт(?:ті)? сөздер|keywords?|статья поступила|поступила в редакцию|received)(?=[\s.:–—-]|$)/i;
+
+// Entry number: "1.", "1)", "[1]"
+const NUMBER_PATTERN = /^\[?(\d{1,3})\s*[.)\]]\s*/;
+
+const CYRILLIC_PATTERN = /[а-яёәғқңөұүһі]/i;
+const YEAR_PATTERN = /\b(1[6-9]\d{2}|20\d{2})\b/;
+const DOI_PATTERN = /10\.\d{4,9}\/[^\s"<>]+/;
+const URL_PATTERN = /https?:\/\/\S+/g;
+const PAGES_PATTERN = /(?:^|[\s.,;–—-])(?:[СсCcБбPpSs]|pp|стр|бб)\.\s*(\d+)(?:\s*[-–—]\s*(\d+))?/;
+
+// Names at the start of a reference: "Иванов И.И.", "Smith, J.", "И.И. Иванов"
+const SURNAME = String.raw`\p{Lu}[\p{L}'’]+(?:-\p{Lu}?[\p{L}'’]+)?`;
+const INITIALS = String.raw`(?:\p{Lu}\p{Ll}?\.\s?-?){1,3}`;
+const SURNAME_FIRST = new RegExp(`^(${SURNAME}),?\\s+(${INITIALS})`, 'u');
+const INITIALS_FIRST = new RegExp(`^(${INITIALS})\\s*(${SURNAME})(?![\\p{L}.])`, 'u');
+const NAME_SEPARATOR = /^(?:\s*(?:,|;|&|and|и|және)(?=\s|$)\s*|\s*[,;]\s*)*/i;
+const ET_AL = /^\s*(?:et al\.?|и др\.?|және т\.б\.?|т\.б\.?)/i;
+
+// A transliterated list may keep a few Cyrillic words ("[in Russian]" is usual, but not always)
+const LATIN_SHARE = 2 / 3;
+
+// Unnumbered lists: a line without a year, link or DOI is not a reference
+const looksLikeReference = (line) => YEAR_PATTERN.test(line) || /https?:|doi/i.test(line);
+
+const normalizeText = (value) => String(value || '').replace(/\s+/g, ' ').trim();
+
+const trimPunctuation = (value) => normalizeText(value).replace(/^[\s.,;:–—-]+|[\s.,;:/–—-]+$/g, '');
+
+/**
+ * Read the entries of a list from its first line
+ * In a numbered list a line without a number continues the previous entry when it starts in lowercase,
+ * with a digit or a link; otherwise, as in an unnumbered list, it is an entry if it looks like a reference
+ * and ends the list if not
+ * @param {string[]} lines - Non-empty text lines
+ * @param {number} start - Index of the first line after the heading
+ * @returns {Array<{number: number|null, text: string}>}
+ */
+const readList = (lines, start) => {
+  const entries = [];
+
+  for (const line of lines.slice(start)) {
+    if (HEADING_PATTERN.test(line) || LIST_END_PATTERN.test(line)) break;
+
+    const number = line.match(NUMBER_PATTERN);
+    const isNumberedList = entries.length > 0 && entries[0].number !== null;
+
+    if (number) {
+      entries.push({ number: Number(number[1]), text: line.slice(number[0].length).trim() });
+    } else if (isNumberedList && /^(?:\p{Ll}|\d|https?:|DOI)/u.test(line)) {
+      entries[entries.length - 1].text += ` ${line}`;
+    } else if (looksLikeReference(line)) {
+      entries.push({ number: null, text: line });
+    } else {
+      break;
+    }
+  }
+
+  return entries;
+};
+
+/**
+ * Check whether a line is a reference list heading
+ * @param {string} line - Text line
+ * @returns {boolean}
+ */
+export const isReferenceHeading = (line) => HEADING_PATTERN.test(String(line || '').trim());
+
+/**
+ * Find the reference lists of an article: the one in the article language first, then others
+ * (usually the transliterated "References")
+ * @param {string} content - Article text
+ * @returns {Array<{heading: string, line: number, entries: Array<{number: number|null, text: string}>}>}
+ */
+export const findReferenceLists = (content) => {
+  const lines = String(content || '').split('\n').map(line => line.trim()).filter(Boolean);
+
+  return lines
+    .map((line, index) => (HEADING_PATTERN.test(line) ? { heading: line, line: index } : null))
+    .filter(Boolean)
+    .map(list => ({ ...list, entries: readList(lines, list.line + 1) }))
+    .filter(list => list.entries.length > 0);
+};
+
+/**
+ * Check whether a list is in Latin script
+ * @param {Array<{text: string}>} entries - List entries
+ * @returns {boolean}
+ */
+const isLatinList = (entries) => {
+  const latin = entries.filter(entry => !CYRILLIC_PATTERN.test(entry.text)).length;
+  return latin >= entries.length * LATIN_SHARE;
+};
+
+/**
+ * Parse the authors at the start of a reference
+ * @param {string} text - Reference text
+ * @returns {{authors: Array<{surname: string, givenNames: string}>, rest: string}}
+ */
+const parseAuthors = (text) => {
+  const authors = [];
+  let rest = text;
+
+  for (;;) {
+    const surnameFirst = rest.match(SURNAME_FIRST);
+    const initialsFirst = surnameFirst ? null : rest.match(INITIALS_FIRST);
+    if (surnameFirst) {
+      authors.push({ surname: surnameFirst[1], givenNames: surnameFirst[2].replace(/\s+/g, '') });
+    } else if (initialsFirst) {
+      authors.push({ surname: initialsFirst[2], givenNames: initialsFirst[1].replace(/\s+/g, '') });
+    } else {
+      break;
+    }
+    rest = rest.slice((surnameFirst || initialsFirst)[0].length).replace(NAME_SEPARATOR, '');
+  }
+
+  if (authors.length > 0) rest = rest.replace(ET_AL, '');
+  return { authors, rest: rest.trim() };
+};
+
+/**
+ * Parse one reference into fields
+ * GOST ("Иванов И.И. Название // Журнал. – 2020. – № 1. – С. 10–20.") and
+ * APA/Harvard ("Smith, J. (2020). Title. Journal, 5(2), 10–20.") styles are recognised;
+ * fields that cannot be found stay empty
+ * @param {string} text - Reference text without its number
+ * @param {number|null} [number] - Number in the list
+ * @returns {Object} - {number, text, authors, title, source, year, pages, doi, latin}
+ */
+export const parseReference = (text, number = null) => {
+  const clean = normalizeText(text);
+  const doi = (clean.match(DOI_PATTERN)?.[0] || '').replace(/[.,;)\]]+$/, '');
+
+  const { authors, rest: afterAuthors } = parseAuthors(clean);
+  const rest = afterAuthors.replace(/^\((\d{4})[a-z]?\)\.?\s*/, '');
+  const withoutLinks = rest.replace(URL_PATTERN, '').replace(DOI_PATTERN, '');
+
+  let title;
+  let tail;
+  const slashes = withoutLinks.indexOf('//');
+  if (slashes >= 0) {
+    title = withoutLinks.slice(0, slashes);
+    tail = withoutLinks.slice(slashes + 2);
+  } else {
+    const end = withoutLinks.search(/\.\s+(?=[\p{Lu}\d–—-])/u);
+    title = end >= 0 ? withoutLinks.slice(0, end) : withoutLinks;
+    tail = end >= 0 ? withoutLinks.slice(end + 1) : '';
+  }
+
+  // The source ends where the year, volume or pages begin
+  const source = trimPunctuation(tail.split(/\.\s*[–—-]\s|[.,]\s*(?=(?:1[6-9]|20)\d{2}\b)|[.,]\s*(?:[ТтVv]|Vol|№|N|No)\.?\s*\d|,\s*\d/)[0]);
+  const pages = withoutLinks.match(PAGES_PATTERN)
+    || tail.match(/,\s*(\d+)\s*[-–—]\s*(\d+)\.?\s*$/);
+
+  return {
+    number,
+    text: clean,
+    authors,
+    title: trimPunctuation(title.replace(/\[(?:Электронный ресурс|Electronic resource|Text|Текст)\]/gi, '')),
+    source,
+    year: (tail.match(YEAR_PATTERN) || clean.match(YEAR_PATTERN))?.[1] || '',
+    pages: pages ? [pages[1], pages[2]].filter(Boolean).join('-') : '',
+    doi,
+    latin: ''
+  };
+};
+
+/**
+ * Parse the reference list of an article, each entry with its transliterated version
+ * @param {string} content - Article text
+ * @returns {Array<Object>} - Parsed references (see parseReference), [] without a list
+ */
+export const extractReferences = (content) => {
+  const [primary, ...others] = findReferenceLists(content);
+  if (!primary) return [];
+
+  const latin = isLatinList(primary.entries) ? null : others.find(list => isLatinList(list.entries));
+  return primary.entries.map((entry, i) => ({
+    ...parseReference(entry.text, entry.number),
+    latin: normalizeText(latin?.entries[i]?.text)
+  }));
+};
+
+/**
+ * Merge (possibly partial) references with defaults; references without text are dropped
+ * @param {Array<Object>} references - References
+ * @returns {Array<Object>}
+ */
+export const normalizeReferences = (references) => (Array.isArray(references) ? references : [])
+  .map(reference => ({
+    number: Number.isInteger(reference?.number) ? reference.number : null,
+    text: normalizeText(reference?.text),
+    authors: (reference?.authors || [])
+      .map(author => ({ surname: normalizeText(author.surname), givenNames: normalizeText(author.givenNames) }))
+      .filter(author => author.surname),
+    title: normalizeText(reference?.title),
+    source: normalizeText(reference?.source),
+    year: normalizeText(reference?.year),
+    pages: normalizeText(reference?.pages),
+    doi: normalizeText(reference?.doi),
+    latin: normalizeText(reference?.latin)
+  }))
+  .filter(reference => reference.text);
+
+/**
+ * Reference numbers of the in-text citations: [3], [1, 4], [2-5], [7, с. 12]
+ * @param {string} text - Article text before the reference list
+ * @returns {number[]} - Sorted distinct numbers
+ */
+const findCitedNumbers = (text) => {
+  const numbers = new Set();
+
+  for (const [, inner] of String(text || '').matchAll(/\[([^[\]]{1,60})\]/g)) {
+    // Page locators ("с. 12", "p. 5-7") are dropped first
+    const refs = inner.split(/[,;]\s*(?:[СсCcБбPpSs]|pp|стр|бб)\.\s*/)[0];
+    if (!/^\s*\d+(?:\s*[-–—]\s*\d+)?(?:\s*[,;]\s*\d+(?:\s*[-–—]\s*\d+)?)*\s*$/.test(refs)) continue;
+
+    for (const part of refs.split(/[,;]/)) {
+      const [from, to = from] = part.split(/[-–—]/).map(Number);
+      for (let n = from; n <= Math.min(to, from + 100); n++) numbers.add(n);
+    }
+  }
+
+  return [...numbers].sort((a, b) => a - b);
+};
+
+/**
+ * Problems of a numbered list: missing numbers, gaps, duplicates
+ * @param {Array<{number: number|null}>} entries - List entries
+ * @returns {string[]}
+ */
+const findNumberingProblems = (entries) => {
+  const numbered = entries.filter(entry => entry.number !== null);
+  if (numbered.length === 0) return [];
+  if (numbered.length < entries.length) {
+    return [`Пронумерованы не все источники (${numbered.length} из ${entries.length})`];
+  }
+
+  const problems = [];
+  entries.forEach((entry, i) => {
+    const expected = i === 0 ? 1 : entries[i - 1].number + 1;
+    if (entry.number !== expected) problems.push(`№ ${entry.number} вместо № ${expected}`);
+  });
+  return problems.length > 0 ? [`Нарушена нумерация: ${problems.slice(0, 3).join(', ')}${problems.length > 3 ? '…' : ''}`] : [];
+};
+
+/**
+ * Check the reference list of an article
+ * @param {string} content - Article text
+ * @param {Object} [options]
+ * @param {number} [options.minReferences] - Journal minimum of sources (0 - no minimum)
+ * @returns {{references: Array<Object>, latinCount: number, citedNumbers: number[],
+ *   problems: Array<{type: string, message: string}>}} - type: missing, count, latin, numbering, citations
+ */
+export const checkReferences = (content, { minReferences = 0 } = {}) => {
+  const lists = findReferenceLists(content);
+  const [primary, ...others] = lists;
+  const problems = [];
+
+  if (!primary) {
+    return {
+      references: [],
+      latinCount: 0,
+      citedNumbers: findCitedNumbers(content),
+      problems: [{ type: 'missing', message: 'Список литературы не найден' }]
+    };
+  }
+
+  const references = extractReferences(content);
+  const count = primary.entries.length;
+  if (minReferences > 0 && count < minReferences) {
+    problems.push({ type: 'count', message: `В списке ${count} источн., требуется не менее ${minReferences}` });
+  }
+
+  const needsLatin = !isLatinList(primary.entries);
+  const latin = needsLatin ? others.find(list => isLatinList(list.entries)) : null;
+  if (needsLatin && !latin) {
+    problems.push({ type: 'latin', message: 'Нет транслитерированного списка References' });
+  } else if (latin && latin.entries.length !== count) {
+    problems.push({ type: 'latin', message: `В References ${latin.entries.length} источн., в списке литературы ${count}` });
+  }
+
+  for (const list of [primary, latin].filter(Boolean)) {
+    for (const message of findNumberingProblems(list.entries)) {
+      problems.push({ type: 'numbering', message: list === primary ? message : `References: ${message}` });
+    }
+  }
+
+  // Citations are looked for in the text above the list
+  const body = String(content || '').split('\n').map(line => line.trim()).filter(Boolean).slice(0, primary.line).join('\n');
+  const citedNumbers = findCitedNumbers(body);
+  const known = new Set(primary.entries.map((entry, i) => entry.number ?? i + 1));
+  const unmatched = citedNumbers.filter(n => !known.has(n));
+  if (unmatched.length > 0) {
+    problems.push({
+      type: 'citations',
+      message: `Ссылки в тексте без источника в списке: ${unmatched.map(n => `[${n}]`).join(', ')}`
+    });
+  }
+
+  return { references, latinCount: latin?.entries.length || 0, citedNumbers, problems };
+};
@@ -1,19 +1,106 @@
 /**
  * Shared constants for article sections
  * Used by both frontend and backend
- * Single source of truth for section names and order
+ * Default sections are seeded into the journal_sections table (migration 004_journal_sections_seed.js
+ * and new journal profiles), so this is the only copy of their keywords and code ranges; at runtime
+ * the list comes from the database (see sectionService) and falls back to these
  */
 
 /**
- * Available scientific sections for the journal
- * @type {string[]}
+ * Default journal sections ("Вестник ЖезУ")
+ * - names: section name per language (ru is the canonical key stored on articles)
+ * - description: short topic hint for the AI classifier
+ * - udcRanges / grntiRanges: code prefixes ("004") or ranges ("50-53")
+ * - keywords: uppercase stems matched against article text (ru, kk, en)
+ * @type {Array<Object>}
  */
-export const ARTICLE_SECTIONS = [
-  'ТЕХНИЧЕСКИЕ НАУКИ',
-  'ПЕДАГОГИЧЕСКИЕ НАУКИ',
-  'ЕСТЕСТВЕННЫЕ И ЭКОНОМИЧЕСКИЕ НАУКИ'
+export const DEFAULT_SECTIONS = [
+  {
+    id: null,
+    names: {
+      ru: 'ТЕХНИЧЕСКИЕ НАУКИ',
+      kk: 'ТЕХНИКАЛЫҚ ҒЫЛЫМДАР',
+      en: 'TECHNICAL SCIENCES'
+    },
+    description: 'IT, инженерия, программирование, строительство',
+    sortOrder: 1,
+    udcRanges: ['004', '51-7', '62', '66', '67', '68', '69'],
+    grntiRanges: ['20', '28', '44-45', '47', '50', '52-55', '59-61', '67', '73'],
+    keywords: [
+      // Russian
+      'ТЕХНИЧ', 'ТЕХНО', 'IT', 'ИНЖЕНЕР', 'ПРОГРАММИР', 'СТРОИТ',
+      'ИНФОРМАЦ', 'КОМПЬЮТЕР', 'ЦИФРОВ', 'АВТОМАТИЗ', 'РОБОТ',
+      'МАШИН', 'ЭЛЕКТР', 'ЭНЕРГ', 'ПРОМЫШЛЕН', 'ПРОИЗВОД',
+      'СИСТЕМ', 'СЕТЬ', 'АЛГОРИТМ', 'ДАНН', 'SOFTWARE', 'HARDWARE',
+      'АРХИТЕКТ', 'CONSTRUCT', 'ENGINEER', 'TECHNICAL',
+      'ИСКУССТВЕН', 'ИНТЕЛЛЕКТ', 'НЕЙРОН', 'НЕЙРОСЕТ', 'МАШИНН', 'ОБУЧЕН',
+      // Kazakh
+      'ТЕХНИК', 'АҚПАРАТ', 'БАҒДАРЛАМ', 'ЖҮЙЕ', 'ЦИФРЛ',
+      'АВТОМАТТАНД', 'ЭЛЕКТРОН', 'ЭНЕРГЕТИК', 'ӨНДІР',
+      'ҚҰРЫЛЫС', 'ЖЕЛІ', 'ДЕРЕКТЕР', 'ТЕХНОЛОГ',
+      'ЖАСАНДЫ ИНТЕЛЛЕКТ', 'ЖАСАНДЫ', 'AI', 'ҚОЛДАНУ'
+    ]
+  },
+  {
+    id: null,
+    names: {
+      ru: 'ПЕДАГОГИЧЕСКИЕ НАУКИ',
+      kk: 'ПЕДАГОГИКАЛЫҚ ҒЫЛЫМДАР',
+      en: 'PEDAGOGICAL SCIENCES'
+    },
+    description: 'образование, методика преподавания, дидактика',
+    sortOrder: 2,
+    udcRanges: ['37'],
+    grntiRanges: ['14'],
+    keywords: [
+      // Russian
+      'ПЕДАГОГ', 'ОБРАЗОВ', 'МЕТОДИК', 'ОБУЧЕН', 'ПРЕПОДАВ',
+      'ДИДАКТ', 'ШКОЛ', 'УЧИТЕЛ', 'СТУДЕНТ', 'УЧАЩ', 'ВОСПИТАН',
+      'УРОК', 'КУРС', 'ЛЕКЦ', 'СЕМИНАР', 'ПРАКТИК', 'ТРЕНИНГ',
+      'КОМПЕТЕН', 'НАВЫК', 'ЗНАН', 'УМЕН', 'ОЦЕНК', 'ТЕСТ',
+      'EDUCATION', 'TEACH', 'LEARN', 'PEDAGOG', 'DIDACT',
+      // Kazakh
+      'БІЛІМ', 'ОҚЫТУ', 'ОҚУШЫ', 'МҰҒАЛІМ', 'МЕКТЕП',
+      'САБАҚ', 'ӘДІС', 'ТӘСІЛ', 'ТӘРБИЕ',
+      'ОҚЫТ', 'ҮЙРЕТ', 'ДАҒДЫ', 'ҚҰЗЫРЕТ', 'БАҒАЛАУ',
+      'САУАТТЫЛЫҚ', 'САУАТТЫЛ', 'ОРЫС ТІЛ', 'ҚАЗАҚ ТІЛ', 'ЕРЕКШЕЛІК'
+    ]
+  },
+  {
+    id: null,
+    names: {
+      ru: 'ЕСТЕСТВЕННЫЕ И ЭКОНОМИЧЕСКИЕ НАУКИ',
+      kk: 'ЖАРАТЫЛЫСТАНУ ЖӘНЕ ЭКОНОМИКАЛЫҚ ҒЫЛЫМДАР',
+      en: 'NATURAL AND ECONOMIC SCIENCES'
+    },
+    description: 'физика, химия, биология, экономика, финансы',
+    sortOrder: 3,
+    udcRanges: ['33', '50-59', '61'],
+    grntiRanges: ['06', '27', '29', '31', '34', '36-39', '41', '62', '68-70', '76', '87'],
+    keywords: [
+      // Russian
+      'ЕСТЕСТВ', 'ЭКОНОМ', 'ФИЗИК', 'ХИМИЯ', 'ХИМИЧ', 'БИОЛОГ',
+      'МАТЕМАТ', 'ФИНАНС', 'БУХГАЛТЕР', 'АУДИТ', 'НАЛОГ',
+      'ИНВЕСТ', 'БАНК', 'РЫНОК', 'БИЗНЕС', 'ПРЕДПРИНИМ',
+      'ЭКОЛОГИ', 'ПРИРОД', 'ГЕОЛОГ', 'ГЕОГРАФ', 'АСТРОНОМ',
+      'МЕДИЦ', 'ЗДОРОВ', 'ФАРМАЦ', 'ГЕНЕТИК', 'МИКРОБИО',
+      'СТАТИСТ', 'АНАЛИЗ', 'МОДЕЛ', 'NATURAL', 'ECONOMIC', 'SCIENCE',
+      'BUSINESS', 'FINANCE', 'MARKET', 'ПЛАСТИК', 'ЛАСТАН', 'ЭКОЛОГИЯ',
+      // Kazakh
+      'ЭКОНОМИК', 'ҚАРЖЫ', 'КӘСІПКЕР',
+      'МАТЕМАТИК', 'ТАБИҒАТ',
+      'МЕДИЦИН', 'ДЕНСАУЛЫҚ', 'ДӘРІ',
+      'ТАЛДАУ', 'МОДЕЛЬ', 'НАРЫҚ', 'САЛЫҚ', 'ҚОРШАҒАН ОРТА', 'ЛАСТАНУ'
+    ]
+  }
 ];
 
+/**
+ * Available scientific sections for the journal (default Russian names)
+ * @type {string[]}
+ */
+export const ARTICLE_SECTIONS = DEFAULT_SECTIONS.map(s => s.names.ru);
+
 /**
  * Section order for sorting and display
  * Matches ARTICLE_SECTIONS order
@@ -26,21 +113,101 @@ export const SECTION_ORDER = ARTICLE_SECTIONS;
  */
 export const NEEDS_REVIEW_SECTION = 'ТРЕБУЕТ КЛАССИФИКАЦИИ';
 
+/**
+ * Supported section name languages
+ */
+export const SECTION_LANGUAGES = ['ru', 'kk', 'en'];
+
 /**
  * Check if a section name is valid for PDF generation
  * @param {string} section - Section name to validate
+ * @param {string[]} [sectionOrder] - Configured section names (defaults to ARTICLE_SECTIONS)
  * @returns {boolean}
  */
-export const isValidSection = (section) => {
-  return ARTICLE_SECTIONS.includes(section);
+export const isValidSection = (section, sectionOrder = ARTICLE_SECTIONS) => {
+  return sectionOrder.includes(section);
 };
 
 /**
  * Get section priority for sorting
  * @param {string} section - Section name
+ * @param {string[]} [sectionOrder] - Configured section names (defaults to SECTION_ORDER)
  * @returns {number} - Sort priority (lower = first)
  */
-export const getSectionPriority = (section) => {
-  const index = SECTION_ORDER.indexOf(section);
-  return index >= 0 ? index : SECTION_ORDER.length;
+export const getSectionPriority = (section, sectionOrder = SECTION_ORDER) => {
+  const index = sectionOrder.indexOf(section);
+  return index >= 0 ? index : sectionOrder.length;
+};
+
+/**
+ * Normalize a section definition
+ * Accepts camelCase API objects and snake_case database rows
+ * @param {Object} section - Section data
+ * @returns {Object} - Section with names, description, sortOrder, udcRanges, grntiRanges, keywords
+ */
+export const normalizeSection = (section) => {
+  const toList = (value) => (Array.isArray(value) ? value : [])
+    .map(item => String(item).trim())
+    .filter(Boolean);
+
+  const names = section.names || {
+    ru: section.name_ru,
+    kk: section.name_kk,
+    en: section.name_en
+  };
+
+  return {
+    id: section.id ?? null,
+    names: {
+      ru: (names.ru || '').trim(),
+      kk: (names.kk || '').trim(),
+      en: (names.en || '').trim()
+    },
+    description: section.description || '',
+    sortOrder: Number(section.sortOrder ?? section.sort_order) || 0,
+    udcRanges: toList(section.udcRanges ?? section.udc_ranges),
+    grntiRanges: toList(section.grntiRanges ?? section.grnti_ranges),
+    keywords: toList(section.keywords).map(k => k.toUpperCase())
+  };
+};
+
+/**
+ * Sort sections by sortOrder (stable)
+ * @param {Array<Object>} sections - Normalized sections
+ * @returns {Array<Object>}
+ */
+export const sortSections = (sections) => {
+  return [...sections].sort((a, b) => a.sortOrder - b.sortOrder);
+};
+
+/**
+ * Get section name in the requested language (falls back to Russian)
+ * @param {Object} section - Normalized section
+ * @param {string} [lang] - 'ru', 'kk' or 'en'
+ * @returns {string}
+ */
+export const getSectionName = (section, lang = 'ru') => {
+  return section.names[lang] || section.names.ru;
+};
+
+/**
+ * Get ordered Russian section names (the values stored on articles)
+ * @param {Array<Object>} sections - Section definitions
+ * @returns {string[]}
+ */
+export const getSectionNames = (sections) => {
+  return sortSections(sections.map(normalizeSection))
+    .map(s => s.names.ru)
+    .filter(Boolean);
+};
+
+/**
+ * Get ordered section names in all languages ({ru, kk, en}), e.g. for divider pages
+ * @param {Array<Object>} sections - Section definitions
+ * @returns {Array<Object>}
+ */
+export const getSectionTitles = (sections) => {
+  return sortSections(sections.map(normalizeSection))
+    .map(s => s.names)
+    .filter(names => names.ru);
 };
@@ -0,0 +1,142 @@
+/**
+ * Shared transliteration of Cyrillic metadata into Latin script
+ * Used by both frontend and backend
+ * RINC and Scopus want the author names, titles and references of ru/kk articles in Latin letters.
+ * Systems: BGN/PCGN (Russian 1947, Kazakh 1979), the Kazakh Latin alphabet of 2021 and GOST 7.79-2000 system B
+ * (Russian with the Kazakh letters of its table). The journal profile picks a system per language;
+ * what an editor types in the metadata form overrides the automatic form
+ */
+
+/**
+ * Transliteration systems
+ * letters - Russian table (lowercase), kazakh - additions and changes for Kazakh text,
+ * rule(letter, context) - contextual form or undefined, upper - uppercase of a Latin string
+ */
+const SYSTEMS = {
+  bgn: {
+    letters: {
+      а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'ë', ж: 'zh', з: 'z', и: 'i', й: 'y',
+      к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't', у: 'u', ф: 'f',
+      х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'shch', ъ: 'ʺ', ы: 'y', ь: 'ʹ', э: 'e', ю: 'yu', я: 'ya'
+    },
+    kazakh: {
+      ә: 'ä', ғ: 'gh', ё: 'yo', и: 'ī', қ: 'q', ң: 'ng', ө: 'ö', у: 'w', ұ: 'u', ү: 'ü', һ: 'h', і: 'i', э: 'é'
+    },
+    // е (and Russian ё) is "ye" at the start of a word and after a vowel, й, ъ or ь
+    rule: (letter, { prev, language }) => {
+      const afterVowel = !prev || 'аеёиоуыэюяйъьәөұүі'.includes(prev);
+      if (letter === 'е' && afterVowel) return 'ye';
+      if (letter === 'ё' && language === 'ru' && afterVowel) return 'yë';
+      return undefined;
+    }
+  },
+  kz2021: {
+    letters: {
+      а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'io', ж: 'j', з: 'z', и: 'i', й: 'i',
+      к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't', у: 'u', ф: 'f',
+      х: 'h', ц: 'ts', ч: 'ch', ш: 'ş', щ: 'ş', ъ: '', ы: 'y', ь: '', э: 'e', ю: 'iu', я: 'ia',
+      ә: 'ä', ғ: 'ğ', қ: 'q', ң: 'ñ', ө: 'ö', ұ: 'ū', ү: 'ü', һ: 'h', і: 'ı'
+    },
+    kazakh: {},
+    // İ i stands for и and й, I ı for і
+    upper: (text) => text.replace(/i/g, 'İ').replace(/ı/g, 'I').toUpperCase()
+  },
+  gost: {
+    letters: {
+      а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'yo', ж: 'zh', з: 'z', и: 'i', й: 'j',
+      к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't', у: 'u', ф: 'f',
+      х: 'x', ц: 'cz', ч: 'ch', ш: 'sh', щ: 'shh', ъ: '``', ы: "y'", ь: '`', э: 'e`', ю: 'yu', я: 'ya'
+    },
+    kazakh: {
+      ә: 'a`', ғ: 'g`', қ: 'k`', ң: 'n`', ө: 'o`', ұ: 'u`', ү: 'u``', һ: 'h', і: 'i`'
+    },
+    // ц is "c" before и, е, ы, й (and і)
+    rule: (letter, { next }) => (letter === 'ц' && next && 'иеыйі'.includes(next) ? 'c' : undefined)
+  }
+};
+
+export const TRANSLITERATION_SYSTEMS = [
+  { id: 'bgn', name: 'BGN/PCGN', languages: ['ru', 'kk'] },
+  { id: 'kz2021', name: 'Казахский латинский алфавит (2021)', languages: ['kk'] },
+  { id: 'gost', name: 'ГОСТ 7.79-2000, система Б', languages: ['ru', 'kk'] }
+];
+
+// System by text language
+export const DEFAULT_TRANSLITERATION = { ru: 'bgn', kk: 'kz2021' };
+
+const CYRILLIC_PATTERN = /[а-яёәғқңөұүһі]/i;
+const KAZAKH_PATTERN = /[әғқңөұүһі]/i;
+
+/**
+ * Check whether text has Cyrillic letters (and so needs a Latin form)
+ * @param {string} text - Text
+ * @returns {boolean}
+ */
+export const hasCyrillic = (text) => CYRILLIC_PATTERN.test(text || '');
+
+/**
+ * Merge (possibly partial) transliteration settings with defaults; systems that do not cover the language are dropped
+ * @param {Object|null} settings - System by language {ru, kk}
+ * @returns {{ru: string, kk: string}}
+ */
+export const normalizeTransliteration = (settings) => Object.fromEntries(
+  Object.entries(DEFAULT_TRANSLITERATION).map(([language, fallback]) => {
+    const id = settings?.[language];
+    const supported = TRANSLITERATION_SYSTEMS.some(system => system.id === id && system.languages.includes(language));
+    return [language, supported ? id : fallback];
+  })
+);
+
+const defaultUpper = (text) => text.toUpperCase();
+
+/**
+ * Transliterate one word: a capital letter gives a capitalised Latin form ("Щ" -> "Shch"),
+ * a word in capitals stays in capitals ("ЩУКИН" -> "SHCHUKIN")
+ * @param {string} word - Word
+ * @param {Object} table - Letter table
+ * @param {Object} system - System
+ * @param {string} language - Text language
+ * @returns {string}
+ */
+const transliterateWord = (word, table, system, language) => {
+  const chars = [...word];
+  const lower = chars.map(char => char.toLowerCase());
+  const isCapitals = chars.length > 1 && word === word.toUpperCase();
+  const upper = system.upper || defaultUpper;
+
+  return chars.map((char, i) => {
+    const letter = lower[i];
+    if (!(letter in table)) return char;
+
+    const latin = system.rule?.(letter, { prev: lower[i - 1], next: lower[i + 1], language }) ?? table[letter];
+    if (char === letter) return latin;
+    return isCapitals ? upper(latin) : upper(latin.slice(0, 1)) + latin.slice(1);
+  }).join('');
+};
+
+/**
+ * Transliterate text with a system; letters outside the table (Latin, digits, punctuation) are kept
+ * @param {string} text - Text
+ * @param {string} systemId - System ID (see TRANSLITERATION_SYSTEMS)
+ * @param {string} [language] - Text language: 'kk' adds the Kazakh letters of the system
+ * @returns {string}
+ */
+export const transliterate = (text, systemId, language = 'ru') => {
+  const system = SYSTEMS[systemId] || SYSTEMS[DEFAULT_TRANSLITERATION.ru];
+  const table = language === 'kk' ? { ...system.letters, ...system.kazakh } : system.letters;
+  return String(text || '').replace(/\p{L}+/gu, word => transliterateWord(word, table, system, language));
+};
+
+/**
+ * Latin form of a metadata value with the journal settings
+ * Text with Kazakh letters is Kazakh whatever the article language; Latin text is returned as is
+ * @param {string} text - Text
+ * @param {Object} settings - System by language (see normalizeTransliteration)
+ * @param {string} [language] - Language of the text when it has no Kazakh letters (ru/kk)
+ * @returns {string}
+ */
+export const toLatin = (text, settings, language = 'ru') => {
+  if (!hasCyrillic(text)) return String(text || '');
+  const textLanguage = KAZAKH_PATTERN.test(text) ? 'kk' : (language === 'kk' ? 'kk' : 'ru');
+  return transliterate(text, normalizeTransliteration(settings)[textLanguage], textLanguage);
+};
@@ -11,21 +11,40 @@ import SpellCheckTab from './components/SpellCheck/SpellCheckTab';
 import ReviewTab from './components/Review/ReviewTab';
 import ArchiveTab from './components/Archive/ArchiveTab';
 import InfoTab from './components/Info/InfoTab';
+import JournalProfileTab from './components/Profile/JournalProfileTab';
 
 import { useApp, useNotifications, useProcessing } from './context/AppContext';
 import { analyzeArticle, analyzeArticlesBatch, extractMetadataWithAI, checkSpelling, reviewArticle, detectArticleSection, ARTICLE_SECTIONS, retryArticleClassification, batchRetryClassification } from './services/aiApi';
 import { validatePageFile, validateArticleFile } from './utils/fileValidation';
 import useTheme from './hooks/useTheme';
-import { detectLanguage, detectArticleLanguage, sortArticlesBySectionAndLanguage, NEEDS_REVIEW_SECTION } from './utils/languageDetection';
+import { detectLanguage, detectArticleLanguage, getLocale, sortArticlesBySectionAndLanguage, NEEDS_REVIEW_SECTION } from './utils/languageDetection';
 import { CONFIDENCE_THRESHOLDS } from './constants/sections';
 import { validatePdfRequirements, createIssue, generatePDF, generatePDFSmart, downloadPDF } from './utils/pdfGenerator';
 import { convertDocxToText } from './utils/docxConverter';
-import { addToArchive, getPdfBlob, removeFromArchive } from './utils/archiveStorage';
+import { addToArchive, getPdfBlob, removeFromArchive, saveJatsFiles, getJatsFiles, saveEpubFile, getEpubFile } from './utils/archiveStorage';
+import { buildIssueJatsFiles, buildJatsPackage } from './utils/jatsExport';
+import { buildIssueEpub } from './utils/epubExport';
 import { extractMetadataLocal } from './utils/localMetadataParser';
+import { extractArticleMetadata, getArticleMetadata, normalizeArticleMetadata, formatAuthorsLine, applyAuthorsLine } from '../shared/articleMetadata.js';
+import { matchSectionByCodes } from '../shared/classificationCodes.js';
+import {
+  saveJournalProfile,
+  getSections,
+  saveSection,
+  deleteSection,
+  reorderSections,
+  uploadArchiveIssue,
+  deleteArchiveIssue,
+  getCrossrefDeposit,
+  getElibraryProblems,
+  getElibraryXml,
+  getArchiveCitations
+} from './services/dataApi';
+import { getActiveJournalJobId, getActiveJournalJobIssue, getJournalJobResult } from './utils/apiService';
 
 const App = () => {
   const { state, actions } = useApp();
-  const { notifications, showSuccess, showError, removeNotification } = useNotifications();
+  const { notifications, showNotification, showSuccess, showError, removeNotification } = useNotifications();
   const { isProcessing, processingMessage, progressCurrent, progressTotal, setProcessing } = useProcessing();
   const { isDark, toggleTheme } = useTheme();
 
@@ -33,6 +52,7 @@ const App = () => {
     articles,
     coverPage,
     descriptionPage,
+    forewordPage,
     finalPage,
     activeTab,
     archive,
@@ -40,12 +60,18 @@ const App = () => {
     spellCheckResults,
     reviewResult,
     hasSeenOnboarding,
+    journalProfile,
+    sections,
   } = state;
 
+  // Configured section names in issue order (values stored on articles)
+  const sectionNames = journalProfile.sections;
+
   // Refs
   const fileInputRef = useRef(null);
   const coverInputRef = useRef(null);
   const descInputRef = useRef(null);
+  const forewordInputRef = useRef(null);
   const finalInputRef = useRef(null);
 
   // Local state for retry functionality
@@ -83,6 +109,84 @@ const App = () => {
     setConfirmDialog(prev => ({ ...prev, isOpen: false }));
   };
 
+  // PDF/A problems: name the documents to fix (duration 0 - stays until closed)
+  const reportPdfACompliance = (compliance) => {
+    if (!compliance || compliance.compliant) return;
+    const sources = compliance.problems
+      .map(problem => `${problem.fileName || problem.source}: ${problem.issues.join('; ')}`)
+      .join('\n');
+    showNotification(`Выпуск не соответствует PDF/A-${compliance.level}:\n${sources}`, 'warning', 0);
+  };
+
+  // The profile loads after mount; a job resumed on mount archives its issue with the loaded one
+  const journalProfileRef = useRef(journalProfile);
+  journalProfileRef.current = journalProfile;
+
+  // After generation: server archive copy with the page map (offprints, citations, Crossref and eLibrary),
+  // JATS XML and EPUB (they need the DOCX files, so only when the articles are loaded), local archive entry,
+  // download and PDF/A report
+  const completeGeneratedIssue = async (issue, { blob: pdfBlob, pageMap, compliance }, issueArticles) => {
+    const profile = journalProfileRef.current;
+
+    // The server copy is used for offprints; the local archive works without it
+    const serverIssue = await uploadArchiveIssue({ ...issue, pageMap }, pdfBlob, profile, issueArticles)
+      .catch((error) => {
+        console.warn('Failed to upload issue to server archive:', error);
+        return null;
+      });
+
+    let hasJats = false;
+    let hasEpub = false;
+    if (issueArticles.length > 0) {
+      // JATS XML needs the DOCX files, so it is built now and exported later from the archive
+      setProcessing(true, 'Подготовка JATS XML...');
+      hasJats = await buildIssueJatsFiles(issueArticles, { profile, issue, pageMap })
+        .then(jatsFiles => saveJatsFiles(issue.id, jatsFiles))
+        .then(() => true)
+        .catch((error) => {
+          console.warn('Failed to build JATS XML:', error);
+          return false;
+        });
+
+      setProcessing(true, 'Подготовка EPUB...');
+      hasEpub = await buildIssueEpub(issueArticles, { profile, issue, pageMap, coverPage })
+        .then(epub => saveEpubFile(issue.id, epub))
+        .then(() => true)
+        .catch((error) => {
+          console.warn('Failed to build EPUB:', error);
+          return false;
+        });
+    }
+
+    const archivedIssue = await addToArchive({ ...issue, pageMap, serverId: serverIssue?.id ?? null, hasJats, hasEpub }, pdfBlob);
+    actions.addToArchive(archivedIssue);
+
+    downloadPDF(pdfBlob, `${issue.name.replace(/\s+/g, '_')}.pdf`);
+    reportPdfACompliance(compliance);
+  };
+
+  // Resume server-side generation started before the page was reloaded
+  // (the uploaded files are gone, so the issue is archived without JATS XML and EPUB)
+  useEffect(() => {
+    const jobId = getActiveJournalJobId();
+    if (!jobId) return;
+
+    const issue = getActiveJournalJobIssue() || createIssue([], null, null, null);
+    setProcessing(true, 'Продолжение генерации выпуска на сервере...');
+    getJournalJobResult(jobId, (progress) => {
+      setProcessing(true, progress.message, progress.current, progress.total);
+    })
+      .then(async (result) => {
+        await completeGeneratedIssue(issue, result, []);
+        showSuccess('Выпуск, сгенерированный на сервере, загружен');
+      })
+      .catch((error) => {
+        console.error('Error resuming PDF generation:', error);
+        showError('Ошибка при генерации PDF: ' + error.message);
+      })
+      .finally(() => setProcessing(false));
+  }, []);
+
   // Special page upload handlers
   const handleSpecialPageUpload = async (file, type) => {
     if (!file) {
@@ -93,6 +197,9 @@ const App = () => {
         case 'description':
           actions.setDescriptionPage(null);
           break;
+        case 'foreword':
+          actions.setForewordPage(null);
+          break;
         case 'final':
           actions.setFinalPage(null);
           break;
@@ -123,6 +230,10 @@ const App = () => {
         actions.setDescriptionPage(pageData);
         showSuccess('Описание журнала загружено');
         break;
+      case 'foreword':
+        actions.setForewordPage(pageData);
+        showSuccess('Слово редактора загружено');
+        break;
       case 'final':
         actions.setFinalPage(pageData);
         showSuccess('Заключительная страница загружена');
@@ -131,6 +242,17 @@ const App = () => {
   };
 
   // Articles upload handler - BATCH processing for maximum speed
+  // Section from the UDC / GRNTI codes of an article: a deterministic match is trusted over the AI
+  const getCodeClassification = (metadata) => {
+    const match = matchSectionByCodes(metadata, sections);
+    return match && {
+      section: match.section,
+      sectionConfidence: match.confidence,
+      needsReview: false,
+      sectionReasoning: match.reasoning
+    };
+  };
+
   const handleArticlesUpload = async (files) => {
     const totalFiles = files.length;
     const startTime = Date.now();
@@ -203,17 +325,21 @@ const App = () => {
             const author = aiResult.author || articleData.localMetadata.author;
             // Use improved language detection that checks title, author, and content
             const language = detectArticleLanguage(title, author, articleData.content);
+            // Co-authors, affiliations, abstracts and keywords from the text (edited in the article form)
+            const metadata = extractArticleMetadata({ title, author, content: articleData.content }, getLocale(language));
 
             newArticles.push({
               id: Date.now() + Math.random() + i,
               file: articleData.file,
               title,
-              author,
+              author: formatAuthorsLine(metadata) || author,
+              metadata,
               language,
               section: aiResult.section || NEEDS_REVIEW_SECTION,
               sectionConfidence: aiResult.sectionConfidence || 0,
               needsReview: aiResult.needsReview !== false,
               sectionReasoning: aiResult.sectionReasoning,
+              ...getCodeClassification(metadata),
               content: articleData.content,
               aiProcessed: true
             });
@@ -239,15 +365,21 @@ const App = () => {
               articleData.localMetadata.author,
               articleData.content
             );
+            const metadata = extractArticleMetadata(
+              { ...articleData.localMetadata, content: articleData.content },
+              getLocale(language)
+            );
             newArticles.push({
               id: Date.now() + Math.random(),
               file: articleData.file,
               title: articleData.localMetadata.title,
-              author: articleData.localMetadata.author,
+              author: formatAuthorsLine(metadata) || articleData.localMetadata.author,
+              metadata,
               language,
               section: NEEDS_REVIEW_SECTION,
               sectionConfidence: 0,
               needsReview: true,
+              ...getCodeClassification(metadata),
               content: articleData.content,
               aiProcessed: false
             });
@@ -258,7 +390,7 @@ const App = () => {
       }
 
       const allArticles = [...articles, ...newArticles];
-      const sortedArticles = sortArticlesBySectionAndLanguage(allArticles);
+      const sortedArticles = sortArticlesBySectionAndLanguage(allArticles, sectionNames);
 
       actions.setArticles(sortedArticles);
 
@@ -317,7 +449,7 @@ const App = () => {
               const result = spellCheckResults.find(r => r.fileName === a.file?.name);
               return result?.language ? { ...a, language: result.language } : a;
             });
-            const resortedArticles = sortArticlesBySectionAndLanguage(updatedArticles);
+            const resortedArticles = sortArticlesBySectionAndLanguage(updatedArticles, sectionNames);
             actions.setArticles(resortedArticles);
           }
         }
@@ -374,6 +506,13 @@ const App = () => {
         const newAuthor = field === 'author' ? value : article.author;
         // Use improved detection that checks all sources for Kazakh
         updates.language = detectArticleLanguage(newTitle, newAuthor, article.content);
+
+        // Keep the structured metadata in step with the edited fields
+        if (article.metadata) {
+          updates.metadata = field === 'title'
+            ? { ...article.metadata, titles: { ...article.metadata.titles, [getLocale(updates.language)]: value } }
+            : applyAuthorsLine(article.metadata, value);
+        }
       }
     }
     // When section is manually changed, mark as manually reviewed
@@ -389,7 +528,46 @@ const App = () => {
       const updated = articles.map((a) =>
         a.id === id ? { ...a, ...updates } : a
       );
-      actions.setArticles(sortArticlesBySectionAndLanguage(updated));
+      actions.setArticles(sortArticlesBySectionAndLanguage(updated, sectionNames));
+    }
+  };
+
+  // Structured metadata from the article form; the title and author fields follow it
+  const updateArticleMetadata = (id, metadata) => {
+    const article = articles.find(a => a.id === id);
+    if (!article) return;
+
+    const normalized = normalizeArticleMetadata(metadata);
+    const updates = {
+      metadata: normalized,
+      title: normalized.titles[getLocale(article.language)] || article.title,
+      author: formatAuthorsLine(normalized) || article.author,
+      // Edited codes reclassify the article unless its section was chosen by hand
+      ...(!article.manuallyClassified && getCodeClassification(normalized))
+    };
+    const updated = articles.map((a) => (a.id === id ? { ...a, ...updates } : a));
+    actions.setArticles(sortArticlesBySectionAndLanguage(updated, sectionNames));
+  };
+
+  const handleExtractMetadataWithAI = async (id) => {
+    const article = articles.find(a => a.id === id);
+    if (!article) return;
+
+    setProcessing(true, 'Извлекаю метаданные статьи...');
+
+    try {
+      const result = await extractMetadataWithAI(article.file.name, article.content);
+      if (!result.metadata || result.metadata.authors.length === 0) {
+        showError('AI не смог извлечь метаданные. Заполните форму вручную.');
+        return;
+      }
+      updateArticleMetadata(id, result.metadata);
+      showSuccess('Метаданные статьи заполнены с помощью AI');
+    } catch (error) {
+      console.error('Error extracting article metadata:', error);
+      showError('Ошибка извлечения метаданных: ' + error.message);
+    } finally {
+      setProcessing(false);
     }
   };
 
@@ -426,22 +604,20 @@ const App = () => {
     try {
       const issue = createIssue(articles, coverPage, descriptionPage, finalPage);
 
-      const { blob: pdfBlob } = await generatePDFSmart(
+      const result = await generatePDFSmart(
         issue,
         articles,
         coverPage,
         descriptionPage,
         finalPage,
         (progress) => {
-          setProcessing(true, progress.message);
-        }
+          setProcessing(true, progress.message, progress.step, progress.total);
+        },
+        journalProfile,
+        forewordPage
       );
 
-      const archivedIssue = await addToArchive(issue, pdfBlob);
-      actions.addToArchive(archivedIssue);
-
-      downloadPDF(pdfBlob, `${issue.name.replace(/\s+/g, '_')}.pdf`);
-
+      await completeGeneratedIssue(issue, result, articles);
       showSuccess(`PDF успешно сгенерирован! ${articles.length} статей в выпуске.`);
     } catch (error) {
       console.error('Error generating PDF:', error);
@@ -451,6 +627,78 @@ const App = () => {
     }
   };
 
+  // Journal profile
+  const handleSaveJournalProfile = async (profile) => {
+    setProcessing(true, 'Сохранение профиля журнала...');
+
+    try {
+      const saved = await saveJournalProfile(profile);
+      actions.setJournalProfile(saved);
+      showSuccess('Профиль журнала сохранён');
+    } catch (error) {
+      console.error('Error saving journal profile:', error);
+      showError('Ошибка при сохранении профиля: ' + error.message);
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  // Section handlers
+  const handleSaveSection = async (section) => {
+    setProcessing(true, 'Сохранение раздела...');
+
+    try {
+      const previous = sections.find(s => s.id !== null && s.id === section.id);
+      await saveSection(section);
+      const updatedSections = await getSections();
+      actions.setSections(updatedSections);
+
+      // Articles keep their section after a rename
+      const oldName = previous?.names.ru;
+      const newName = section.names.ru.trim();
+      if (oldName && oldName !== newName) {
+        const updatedArticles = articles.map(a => a.section === oldName ? { ...a, section: newName } : a);
+        actions.setArticles(sortArticlesBySectionAndLanguage(updatedArticles, updatedSections.map(s => s.names.ru)));
+      }
+      showSuccess('Раздел сохранён');
+    } catch (error) {
+      console.error('Error saving section:', error);
+      showError('Ошибка при сохранении раздела: ' + error.message);
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const handleDeleteSection = (section) => {
+    showConfirm({
+      title: 'Удаление раздела',
+      message: `Удалить раздел "${section.names.ru}" из профиля журнала? Статьи этого раздела нужно будет переклассифицировать.`,
+      confirmText: 'Удалить',
+      variant: 'danger',
+      onConfirm: async () => {
+        try {
+          await deleteSection(section.id);
+          actions.setSections(await getSections());
+          showSuccess('Раздел удалён');
+        } catch (error) {
+          console.error('Error deleting section:', error);
+          showError('Ошибка при удалении раздела: ' + error.message);
+        }
+      }
+    });
+  };
+
+  const handleReorderSections = async (ids) => {
+    try {
+      const reordered = await reorderSections(ids);
+      actions.setSections(reordered);
+      actions.setArticles(sortArticlesBySectionAndLanguage(articles, reordered.map(s => s.names.ru)));
+    } catch (error) {
+      console.error('Error reordering sections:', error);
+      showError('Ошибка при изменении порядка разделов: ' + error.message);
+    }
+  };
+
   // Archive handlers
   const handleDownloadFromArchive = async (issueId) => {
     setProcessing(true, 'Загрузка PDF из архива...');
@@ -473,6 +721,110 @@ const App = () => {
     }
   };
 
+  const handleExportJatsFromArchive = async (issueId) => {
+    setProcessing(true, 'Подготовка пакета JATS...');
+
+    try {
+      const issue = archive.find((i) => i.id === issueId);
+      const [jatsFiles, pdfBlob] = await Promise.all([getJatsFiles(issueId), getPdfBlob(issueId)]);
+      if (!jatsFiles || !pdfBlob) {
+        showError('Файлы JATS не найдены в архиве');
+        return;
+      }
+
+      const jatsPackage = await buildJatsPackage(jatsFiles, pdfBlob, issue?.pageMap);
+      downloadPDF(jatsPackage, `${(issue?.name || 'journal').replace(/\s+/g, '_')}_jats.zip`);
+      showSuccess('Пакет JATS скачан');
+    } catch (error) {
+      console.error('Error exporting JATS:', error);
+      showError('Ошибка при экспорте JATS: ' + error.message);
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const handleExportEpubFromArchive = async (issueId) => {
+    try {
+      const issue = archive.find((i) => i.id === issueId);
+      const epub = await getEpubFile(issueId);
+      if (!epub) {
+        showError('EPUB не найден в архиве');
+        return;
+      }
+
+      downloadPDF(epub, `${(issue?.name || 'journal').replace(/\s+/g, '_')}.epub`);
+      showSuccess('EPUB скачан');
+    } catch (error) {
+      console.error('Error exporting EPUB:', error);
+      showError('Ошибка при экспорте EPUB: ' + error.message);
+    }
+  };
+
+  const handleExportCrossrefFromArchive = async (issueId) => {
+    const issue = archive.find((i) => i.id === issueId);
+    if (!issue?.serverId) return;
+
+    setProcessing(true, 'Подготовка файла Crossref...');
+
+    try {
+      const xmlBlob = await getCrossrefDeposit(issue.serverId);
+      downloadPDF(xmlBlob, `${issue.name.replace(/\s+/g, '_')}_crossref.xml`);
+      showSuccess('Файл депозита Crossref скачан');
+    } catch (error) {
+      console.error('Error exporting Crossref deposit:', error);
+      showNotification(`Файл Crossref не создан:\n${error.message}`, 'warning', 0);
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const handleExportElibraryFromArchive = async (issueId) => {
+    const issue = archive.find((i) => i.id === issueId);
+    if (!issue?.serverId) return;
+
+    setProcessing(true, 'Подготовка файла eLibrary...');
+
+    try {
+      const problems = await getElibraryProblems(issue.serverId);
+      const xmlBlob = await getElibraryXml(issue.serverId);
+      downloadPDF(xmlBlob, `${issue.name.replace(/\s+/g, '_')}_elibrary.xml`);
+
+      if (problems.length > 0) {
+        const report = problems
+          .map((item) => `${item.n ? `${item.n}. ` : ''}${item.title}: ${item.missing.join(', ')}`)
+          .join('\n');
+        showNotification(`Файл eLibrary скачан, но РИНЦ потребует заполнить:\n${report}`, 'warning', 0);
+      } else {
+        showSuccess('Файл eLibrary скачан');
+      }
+    } catch (error) {
+      console.error('Error exporting eLibrary XML:', error);
+      showError('Ошибка при экспорте в eLibrary: ' + error.message);
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const handleCopyCitation = async (issueId, n, format) => {
+    const issue = archive.find((i) => i.id === issueId);
+    if (!issue?.serverId) return;
+
+    try {
+      const citations = await getArchiveCitations(issue.serverId, format);
+      const citation = citations.find((item) => item.n === n);
+      if (!citation) {
+        showError('Статья не найдена в выпуске');
+        return;
+      }
+
+      await navigator.clipboard.writeText(citation.citation);
+      showSuccess('Ссылка на статью скопирована');
+    } catch (error) {
+      console.error('Error copying citation:', error);
+      showError('Не удалось скопировать ссылку: ' + error.message);
+    }
+  };
+
   const handleViewFromArchive = async (issueId) => {
     setProcessing(true, 'Открытие PDF...');
 
@@ -503,6 +855,11 @@ const App = () => {
       onConfirm: async () => {
         try {
           await removeFromArchive(issueId);
+          if (issue?.serverId) {
+            await deleteArchiveIssue(issue.serverId).catch((error) => {
+              console.warn('Failed to delete issue from server archive:', error);
+            });
+          }
           actions.removeFromArchive(issueId);
           showSuccess('Выпуск удалён из архива');
         } catch (error) {
@@ -578,11 +935,14 @@ const App = () => {
     setRetryingArticleId(articleId);
 
     try {
-      const classification = await retryArticleClassification(
-        article.content,
-        article.title,
-        3 // 3 retry attempts
-      );
+      const codeMatch = matchSectionByCodes(getArticleMetadata(article, getLocale(article.language)), sections);
+      const classification = codeMatch
+        ? { ...codeMatch, needsReview: false }
+        : await retryArticleClassification(
+          article.content,
+          article.title,
+          3 // 3 retry attempts
+        );
 
       // Update the article with new classification
       const updates = {
@@ -600,7 +960,7 @@ const App = () => {
       const updated = articles.map((a) =>
         a.id === articleId ? { ...a, ...updates } : a
       );
-      actions.setArticles(sortArticlesBySectionAndLanguage(updated));
+      actions.setArticles(sortArticlesBySectionAndLanguage(updated, sectionNames));
 
       if (classification.section !== NEEDS_REVIEW_SECTION) {
         showSuccess(`Статья классифицирована: ${classification.section}`);
@@ -630,12 +990,20 @@ const App = () => {
     setProcessing(true, `Повторный анализ: 0/${unclassifiedArticles.length}...`);
 
     try {
-      const results = await batchRetryClassification(
-        unclassifiedArticles,
+      // Articles with matching UDC / GRNTI codes need no AI call
+      const codeResults = unclassifiedArticles
+        .map(article => {
+          const classification = getCodeClassification(getArticleMetadata(article, getLocale(article.language)));
+          return classification && { ...article, ...classification };
+        })
+        .filter(Boolean);
+      const aiResults = await batchRetryClassification(
+        unclassifiedArticles.filter(article => !codeResults.some(r => r.id === article.id)),
         (current, total, article) => {
           setProcessing(true, `Повторный анализ: ${current}/${total} - ${article.title.substring(0, 30)}...`);
         }
       );
+      const results = [...codeResults, ...aiResults];
 
       // Update all articles with new classification results
       const updatedArticles = articles.map(article => {
@@ -646,7 +1014,7 @@ const App = () => {
         return article;
       });
 
-      actions.setArticles(sortArticlesBySectionAndLanguage(updatedArticles));
+      actions.setArticles(sortArticlesBySectionAndLanguage(updatedArticles, sectionNames));
 
       // Calculate statistics
       const successCount = results.filter(r => r.section !== NEEDS_REVIEW_SECTION).length;
@@ -690,11 +1058,13 @@ const App = () => {
             articles={articles}
             coverPage={coverPage}
             descriptionPage={descriptionPage}
+            forewordPage={forewordPage}
             finalPage={finalPage}
             editingArticle={editingArticle}
             isProcessing={isProcessing}
             onCoverUpload={(file) => handleSpecialPageUpload(file, 'cover')}
             onDescriptionUpload={(file) => handleSpecialPageUpload(file, 'description')}
+            onForewordUpload={(file) => handleSpecialPageUpload(file, 'foreword')}
             onFinalUpload={(file) => handleSpecialPageUpload(file, 'final')}
             onArticlesUpload={handleArticlesUpload}
             onEditArticle={actions.setEditingArticle}
@@ -703,11 +1073,18 @@ const App = () => {
             onStopEditing={() => actions.setEditingArticle(null)}
             onGeneratePDF={handleGeneratePDF}
             onRetryClassification={handleRetryClassification}
+            onUpdateArticleMetadata={updateArticleMetadata}
+            onExtractMetadataWithAI={handleExtractMetadataWithAI}
             onRetryAllClassification={handleRetryAllClassification}
             retryingArticleId={retryingArticleId}
+            sectionNames={sectionNames}
+            minReferences={journalProfile.minReferences}
+            transliteration={journalProfile.transliteration}
+            formatRules={journalProfile.formatRules}
             fileInputRef={fileInputRef}
             coverInputRef={coverInputRef}
             descInputRef={descInputRef}
+            forewordInputRef={forewordInputRef}
             finalInputRef={finalInputRef}
           />
         )}
@@ -733,10 +1110,27 @@ const App = () => {
             archive={archive}
             onDownload={handleDownloadFromArchive}
             onView={handleViewFromArchive}
+            onExportJats={handleExportJatsFromArchive}
+            onExportEpub={handleExportEpubFromArchive}
+            onExportCrossref={handleExportCrossrefFromArchive}
+            onExportElibrary={handleExportElibraryFromArchive}
+            onCopyCitation={handleCopyCitation}
             onDelete={handleDeleteFromArchive}
           />
         )}
 
+        {activeTab === 'profile' && (
+          <JournalProfileTab
+            profile={journalProfile}
+            onSave={handleSaveJournalProfile}
+            isSaving={isProcessing}
+            sections={sections}
+            onSaveSection={handleSaveSection}
+            onDeleteSection={handleDeleteSection}
+            onReorderSections={handleReorderSections}
+          />
+        )}
+
         {activeTab === 'info' && <InfoTab />}
 
         {isProcessing && (
@@ -1,8 +1,18 @@
-import React from 'react';
-import { FileText, Eye, Download, Trash2, Calendar } from 'lucide-react';
+import React, { useState } from 'react';
+import { FileText, Eye, Download, Trash2, Calendar, FileArchive, FileCode, Link2, Copy, Quote, Globe, BookOpen, Library } from 'lucide-react';
 import { getMonthName } from '../../utils/archiveStorage';
+import { getOffprintUrl, getOffprintsZipUrl, getArchiveCitationsUrl, getArchiveSiteUrl } from '../../services/dataApi';
+
+const CITATION_FORMATS = [
+  { value: 'gost', label: 'ГОСТ Р 7.0.5' },
+  { value: 'apa', label: 'APA' },
+  { value: 'bibtex', label: 'BibTeX' },
+  { value: 'ris', label: 'RIS' },
+];
+
+const ArchiveTab = ({ archive, onDownload, onView, onExportJats, onExportEpub, onExportCrossref, onExportElibrary, onCopyCitation, onDelete }) => {
+  const [citationFormat, setCitationFormat] = useState('gost');
 
-const ArchiveTab = ({ archive, onDownload, onView, onDelete }) => {
   if (archive.length === 0) {
     return (
       <div className="bg-white rounded-2xl shadow-xl p-8">
@@ -106,6 +116,51 @@ const ArchiveTab = ({ archive, onDownload, onView, onDelete }) => {
                           </button>
                         </div>
 
+                        {issue.hasJats && (
+                          <button
+                            onClick={() => onExportJats(issue.id)}
+                            className="mt-2 w-full border border-indigo-200 text-indigo-700 px-3 py-2 rounded-lg hover:bg-indigo-50 transition text-sm flex items-center justify-center gap-1"
+                            title="JATS 1.3 XML статей с PDF выпуска и статей (ZIP)"
+                          >
+                            <FileCode size={16} />
+                            Экспорт JATS XML
+                          </button>
+                        )}
+
+                        {issue.hasEpub && (
+                          <button
+                            onClick={() => onExportEpub(issue.id)}
+                            className="mt-2 w-full border border-indigo-200 text-indigo-700 px-3 py-2 rounded-lg hover:bg-indigo-50 transition text-sm flex items-center justify-center gap-1"
+                            title="Электронная книга EPUB 3 для читалок"
+                          >
+                            <BookOpen size={16} />
+                            Скачать EPUB
+                          </button>
+                        )}
+
+                        {/* DOI deposit is built on the server from the page map and journal profile */}
+                        {issue.serverId && issue.pageMap?.length > 0 && (
+                          <button
+                            onClick={() => onExportCrossref(issue.id)}
+                            className="mt-2 w-full border border-indigo-200 text-indigo-700 px-3 py-2 rounded-lg hover:bg-indigo-50 transition text-sm flex items-center justify-center gap-1"
+                            title="XML депозита DOI для загрузки в Crossref"
+                          >
+                            <Link2 size={16} />
+                            Crossref XML
+                          </button>
+                        )}
+
+                        {issue.serverId && issue.pageMap?.length > 0 && (
+                          <button
+                            onClick={() => onExportElibrary(issue.id)}
+                            className="mt-2 w-full border border-indigo-200 text-indigo-700 px-3 py-2 rounded-lg hover:bg-indigo-50 transition text-sm flex items-center justify-center gap-1"
+                            title="Метаданные статей в формате Articulus для загрузки в eLibrary (РИНЦ)"
+                          >
+                            <Library size={16} />
+                            eLibrary XML
+                          </button>
+                        )}
+
                         {issue.articles && issue.articles.length > 0 && (
                           <details className="mt-4">
                             <summary className="text-sm text-gray-500 cursor-pointer hover:text-gray-700">
@@ -125,6 +180,69 @@ const ArchiveTab = ({ archive, onDownload, onView, onDelete }) => {
                             </ul>
                           </details>
                         )}
+
+                        {/* Offprints are split on the server from the archived copy */}
+                        {issue.serverId && issue.pageMap?.length > 0 && (
+                          <details className="mt-2">
+                            <summary className="text-sm text-gray-500 cursor-pointer hover:text-gray-700">
+                              Оттиски статей и ссылки
+                            </summary>
+                            <label className="mt-2 ml-4 text-xs text-gray-500 flex items-center gap-2">
+                              Формат ссылки
+                              <select
+                                value={citationFormat}
+                                onChange={(e) => setCitationFormat(e.target.value)}
+                                className="border border-gray-300 rounded px-1 py-0.5 text-xs"
+                              >
+                                {CITATION_FORMATS.map(format => (
+                                  <option key={format.value} value={format.value}>{format.label}</option>
+                                ))}
+                              </select>
+                            </label>
+                            <ul className="mt-2 text-sm space-y-1 pl-4">
+                              {issue.pageMap.map((article) => (
+                                <li key={article.n} className="flex items-center gap-1">
+                                  <a
+                                    href={getOffprintUrl(issue.serverId, article.n)}
+                                    className="text-indigo-600 hover:underline truncate"
+                                    title={`${article.author} — ${article.title}`}
+                                  >
+                                    {article.n}. {article.title} (с. {article.firstPage}–{article.lastPage})
+                                  </a>
+                                  <button
+                                    onClick={() => onCopyCitation(issue.id, article.n, citationFormat)}
+                                    className="shrink-0 text-gray-400 hover:text-indigo-600"
+                                    title="Копировать ссылку на статью"
+                                  >
+                                    <Copy size={14} />
+                                  </button>
+                                </li>
+                              ))}
+                            </ul>
+                            <a
+                              href={getOffprintsZipUrl(issue.serverId)}
+                              className="mt-2 ml-4 text-sm text-indigo-600 hover:underline flex items-center gap-1"
+                            >
+                              <FileArchive size={16} />
+                              Все оттиски (ZIP)
+                            </a>
+                            <a
+                              href={getArchiveCitationsUrl(issue.serverId, citationFormat)}
+                              className="mt-1 ml-4 text-sm text-indigo-600 hover:underline flex items-center gap-1"
+                            >
+                              <Quote size={16} />
+                              Все ссылки выпуска
+                            </a>
+                            <a
+                              href={getArchiveSiteUrl(issue.serverId)}
+                              className="mt-1 ml-4 text-sm text-indigo-600 hover:underline flex items-center gap-1"
+                              title="Статические HTML-страницы выпуска и статей с метаданными для Google Scholar"
+                            >
+                              <Globe size={16} />
+                              Сайт выпуска (ZIP)
+                            </a>
+                          </details>
+                        )}
                       </div>
                     ))}
                   </div>
@@ -0,0 +1,308 @@
+import React, { useState, useEffect } from 'react';
+import { Plus, Trash2, Sparkles, Check } from 'lucide-react';
+import { getLocale } from '../../utils/languageDetection';
+import { EMPTY_AUTHOR, getArticleMetadata, isValidOrcid, normalizeOrcid } from '../../../shared/articleMetadata.js';
+import { FRONT_MATTER_LANGUAGES } from '../../../shared/frontMatter.js';
+import { isValidUdc, isValidGrnti, normalizeUdc, normalizeGrnti } from '../../../shared/classificationCodes.js';
+import { hasCyrillic, toLatin } from '../../../shared/transliteration.js';
+
+const LANGUAGE_LABELS = { ru: 'Русский', kk: 'Қазақша', en: 'English' };
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:border-transparent';
+
+/**
+ * Form state from article metadata: keywords and GRNTI codes are edited as comma-separated text
+ * @param {Object} article - Article
+ * @returns {Object}
+ */
+const toFormState = (article) => {
+  const metadata = getArticleMetadata(article, getLocale(article.language));
+  return {
+    ...metadata,
+    keywords: Object.fromEntries(FRONT_MATTER_LANGUAGES.map(lang => [lang, (metadata.keywords[lang] || []).join(', ')])),
+    grnti: metadata.grnti.join(', ')
+  };
+};
+
+/**
+ * Structured metadata of an article: UDC and GRNTI codes, co-authors with e-mail, ORCID and affiliations,
+ * titles, abstracts and keywords in ru/kk/en, Latin forms of Cyrillic names, title and references.
+ * The automatic transliteration (journal profile systems) is shown as the placeholder of an empty Latin field
+ */
+const ArticleMetadataForm = ({ article, transliteration, onSave, onExtractWithAI }) => {
+  const [form, setForm] = useState(() => toFormState(article));
+  const language = getLocale(article.language);
+
+  // Reload when the metadata is replaced (AI extraction, title/author edits)
+  useEffect(() => {
+    setForm(toFormState(article));
+  }, [article.metadata]);
+
+  const setLanguageField = (field, lang, value) => {
+    setForm(prev => ({ ...prev, [field]: { ...prev[field], [lang]: value } }));
+  };
+
+  const setAuthor = (index, updates) => {
+    setForm(prev => ({
+      ...prev,
+      authors: prev.authors.map((author, i) => (i === index ? { ...author, ...updates } : author))
+    }));
+  };
+
+  const toggleAuthorAffiliation = (index, affiliation) => {
+    const { affiliations } = form.authors[index];
+    setAuthor(index, {
+      affiliations: affiliations.includes(affiliation)
+        ? affiliations.filter(a => a !== affiliation)
+        : [...affiliations, affiliation].sort((a, b) => a - b)
+    });
+  };
+
+  const moveAuthor = (index, offset) => {
+    setForm(prev => {
+      const authors = [...prev.authors];
+      [authors[index], authors[index + offset]] = [authors[index + offset], authors[index]];
+      return { ...prev, authors };
+    });
+  };
+
+  // Authors refer to affiliations by index: removing one renumbers the rest
+  const removeAffiliation = (index) => {
+    setForm(prev => ({
+      ...prev,
+      affiliations: prev.affiliations.filter((_, i) => i !== index),
+      authors: prev.authors.map(author => ({
+        ...author,
+        affiliations: author.affiliations.filter(a => a !== index).map(a => (a > index ? a - 1 : a))
+      }))
+    }));
+  };
+
+  const setReferenceLatin = (index, latin) => {
+    setForm(prev => ({
+      ...prev,
+      references: prev.references.map((reference, i) => (i === index ? { ...reference, latin } : reference))
+    }));
+  };
+
+  const cyrillicReferences = form.references
+    .map((reference, index) => ({ reference, index }))
+    .filter(({ reference }) => hasCyrillic(reference.text));
+
+  const udcInvalid = form.udc && !isValidUdc(normalizeUdc(form.udc));
+  const invalidGrnti = normalizeGrnti(form.grnti).filter(code => !isValidGrnti(code));
+
+  return (
+    <div className="space-y-5 border border-gray-200 rounded-lg p-4 bg-gray-50/50">
+      <div>
+        <h4 className="text-sm font-semibold text-gray-700 mb-2">Классификационные коды</h4>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+          <label className="space-y-1">
+            <span className="text-xs text-gray-500">УДК</span>
+            <input
+              className={`${inputClass} ${udcInvalid ? 'border-red-400' : ''}`}
+              value={form.udc}
+              onChange={(e) => setForm(prev => ({ ...prev, udc: e.target.value }))}
+              placeholder="004.8:621.3"
+              title={udcInvalid ? 'Неверный формат УДК' : ''}
+            />
+          </label>
+          <label className="space-y-1">
+            <span className="text-xs text-gray-500">МРНТИ (ГРНТИ)</span>
+            <input
+              className={`${inputClass} ${invalidGrnti.length > 0 ? 'border-red-400' : ''}`}
+              value={form.grnti}
+              onChange={(e) => setForm(prev => ({ ...prev, grnti: e.target.value }))}
+              placeholder="20.23.25, 50.41.25"
+              title={invalidGrnti.length > 0 ? `Неверный формат (нужно 00.00.00): ${invalidGrnti.join(', ')}` : ''}
+            />
+          </label>
+        </div>
+        <p className="mt-1 text-xs text-gray-500">
+          Коды определяют раздел статьи по диапазонам УДК и МРНТИ разделов журнала
+        </p>
+      </div>
+
+      <div>
+        <h4 className="text-sm font-semibold text-gray-700 mb-2">Название</h4>
+        <div className="space-y-2">
+          {FRONT_MATTER_LANGUAGES.map(lang => (
+            <label key={lang} className="flex items-center gap-2">
+              <span className="w-20 text-xs text-gray-500">{LANGUAGE_LABELS[lang]}</span>
+              <input className={inputClass} value={form.titles[lang] || ''} onChange={(e) => setLanguageField('titles', lang, e.target.value)} />
+            </label>
+          ))}
+          {hasCyrillic(form.titles[language]) && (
+            <label className="flex items-center gap-2">
+              <span className="w-20 text-xs text-gray-500">Латиницей</span>
+              <input
+                className={inputClass}
+                value={form.latinTitle}
+                onChange={(e) => setForm(prev => ({ ...prev, latinTitle: e.target.value }))}
+                placeholder={toLatin(form.titles[language], transliteration, language)}
+              />
+            </label>
+          )}
+        </div>
+      </div>
+
+      <div>
+        <h4 className="text-sm font-semibold text-gray-700 mb-2">Авторы</h4>
+        <div className="space-y-3">
+          {form.authors.map((author, index) => {
+            const orcidInvalid = author.orcid && !isValidOrcid(normalizeOrcid(author.orcid));
+            return (
+              <div key={index} className="border border-gray-200 rounded-lg p-3 bg-white space-y-2">
+                <div className="grid grid-cols-1 md:grid-cols-4 gap-2">
+                  <input className={inputClass} value={author.surname} onChange={(e) => setAuthor(index, { surname: e.target.value })} placeholder="Фамилия" />
+                  <input className={inputClass} value={author.givenNames} onChange={(e) => setAuthor(index, { givenNames: e.target.value })} placeholder="Имя, отчество или инициалы" />
+                  <input className={inputClass} type="email" value={author.email} onChange={(e) => setAuthor(index, { email: e.target.value })} placeholder="E-mail" />
+                  <input
+                    className={`${inputClass} ${orcidInvalid ? 'border-red-400' : ''}`}
+                    value={author.orcid}
+                    onChange={(e) => setAuthor(index, { orcid: e.target.value })}
+                    placeholder="ORCID 0000-0000-0000-0000"
+                    title={orcidInvalid ? 'Неверный ORCID (формат или контрольная цифра)' : ''}
+                  />
+                </div>
+                {hasCyrillic(`${author.surname} ${author.givenNames}`) && (
+                  <div className="grid grid-cols-1 md:grid-cols-4 gap-2">
+                    <input
+                      className={inputClass}
+                      value={author.latinSurname}
+                      onChange={(e) => setAuthor(index, { latinSurname: e.target.value })}
+                      placeholder={toLatin(author.surname, transliteration, language) || 'Фамилия латиницей'}
+                      title="Фамилия латиницей"
+                    />
+                    <input
+                      className={inputClass}
+                      value={author.latinGivenNames}
+                      onChange={(e) => setAuthor(index, { latinGivenNames: e.target.value })}
+                      placeholder={toLatin(author.givenNames, transliteration, language) || 'Имя латиницей'}
+                      title="Имя, отчество или инициалы латиницей"
+                    />
+                  </div>
+                )}
+                <div className="flex flex-wrap items-center gap-3 text-xs text-gray-600">
+                  {form.affiliations.map((affiliation, affIndex) => (
+                    <label key={affIndex} className="flex items-center gap-1" title={affiliation}>
+                      <input type="checkbox" checked={author.affiliations.includes(affIndex)} onChange={() => toggleAuthorAffiliation(index, affIndex)} />
+                      {affIndex + 1}
+                    </label>
+                  ))}
+                  <span className="ml-auto flex gap-2">
+                    <button type="button" disabled={index === 0} onClick={() => moveAuthor(index, -1)} className="px-2 text-gray-500 hover:text-gray-800 disabled:opacity-30" title="Выше">↑</button>
+                    <button type="button" disabled={index === form.authors.length - 1} onClick={() => moveAuthor(index, 1)} className="px-2 text-gray-500 hover:text-gray-800 disabled:opacity-30" title="Ниже">↓</button>
+                    <button
+                      type="button"
+                      onClick={() => setForm(prev => ({ ...prev, authors: prev.authors.filter((_, i) => i !== index) }))}
+                      className="text-red-600 hover:text-red-800"
+                      title="Удалить автора"
+                    >
+                      <Trash2 size={14} />
+                    </button>
+                  </span>
+                </div>
+              </div>
+            );
+          })}
+          <button
+            type="button"
+            onClick={() => setForm(prev => ({ ...prev, authors: [...prev.authors, { ...EMPTY_AUTHOR }] }))}
+            className="text-sm text-indigo-600 hover:text-indigo-800 flex items-center gap-1"
+          >
+            <Plus size={14} /> Добавить автора
+          </button>
+        </div>
+      </div>
+
+      <div>
+        <h4 className="text-sm font-semibold text-gray-700 mb-2">Места работы</h4>
+        <div className="space-y-2">
+          {form.affiliations.map((affiliation, index) => (
+            <div key={index} className="flex items-center gap-2">
+              <span className="w-6 text-xs text-gray-500 text-right">{index + 1}</span>
+              <input
+                className={inputClass}
+                value={affiliation}
+                onChange={(e) => setForm(prev => ({ ...prev, affiliations: prev.affiliations.map((a, i) => (i === index ? e.target.value : a)) }))}
+                placeholder="Организация, город, страна"
+              />
+              <button type="button" onClick={() => removeAffiliation(index)} className="text-red-600 hover:text-red-800" title="Удалить место работы">
+                <Trash2 size={14} />
+              </button>
+            </div>
+          ))}
+          <button
+            type="button"
+            onClick={() => setForm(prev => ({ ...prev, affiliations: [...prev.affiliations, ''] }))}
+            className="text-sm text-indigo-600 hover:text-indigo-800 flex items-center gap-1"
+          >
+            <Plus size={14} /> Добавить место работы
+          </button>
+        </div>
+      </div>
+
+      <div>
+        <h4 className="text-sm font-semibold text-gray-700 mb-2">Аннотация и ключевые слова</h4>
+        <div className="space-y-3">
+          {FRONT_MATTER_LANGUAGES.map(lang => (
+            <div key={lang} className="space-y-1">
+              <span className="text-xs text-gray-500">{LANGUAGE_LABELS[lang]}</span>
+              <textarea className={inputClass} rows={3} value={form.abstracts[lang] || ''} onChange={(e) => setLanguageField('abstracts', lang, e.target.value)} placeholder="Аннотация" />
+              <input className={inputClass} value={form.keywords[lang]} onChange={(e) => setLanguageField('keywords', lang, e.target.value)} placeholder="Ключевые слова через запятую" />
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {cyrillicReferences.length > 0 && (
+        <details>
+          <summary className="cursor-pointer text-sm font-semibold text-gray-700">
+            Список литературы латиницей (References): {cyrillicReferences.length}
+          </summary>
+          <div className="mt-2 space-y-3">
+            {cyrillicReferences.map(({ reference, index }) => (
+              <div key={index} className="space-y-1">
+                <span className="text-xs text-gray-500">{reference.number ?? index + 1}. {reference.text}</span>
+                <textarea
+                  className={inputClass}
+                  rows={2}
+                  value={reference.latin}
+                  onChange={(e) => setReferenceLatin(index, e.target.value)}
+                  placeholder={toLatin(reference.text, transliteration)}
+                />
+              </div>
+            ))}
+          </div>
+        </details>
+      )}
+
+      <p className="text-xs text-gray-500">
+        Пустые поля латиницей заполняются транслитерацией по профилю журнала (подсказка в поле)
+      </p>
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          type="button"
+          onClick={() => onSave(form)}
+          className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition text-sm flex items-center gap-1"
+        >
+          <Check size={16} /> Применить метаданные
+        </button>
+        {onExtractWithAI && (
+          <button
+            type="button"
+            onClick={onExtractWithAI}
+            className="px-4 py-2 border border-purple-300 text-purple-700 rounded-lg hover:bg-purple-50 transition text-sm flex items-center gap-1"
+            title="Заменить метаданные извлечёнными AI из текста статьи"
+          >
+            <Sparkles size={16} /> Заполнить с помощью AI
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ArticleMetadataForm;
@@ -1,7 +1,7 @@
 import React from 'react';
 import { Edit2, Trash2, Check, Download, BookOpen, AlertTriangle, User, Sparkles, RefreshCw, RotateCcw } from 'lucide-react';
 import Alert from '../UI/Alert';
-import { ARTICLE_SECTIONS } from '../../services/aiApi';
+import ArticleMetadataForm from './ArticleMetadataForm';
 import { groupArticlesBySection, SECTION_ORDER, NEEDS_REVIEW_SECTION } from '../../utils/languageDetection';
 import { CONFIDENCE_THRESHOLDS } from '../../constants/sections';
 
@@ -37,7 +37,7 @@ const ConfidenceIndicator = ({ confidence, needsReview, manuallyClassified, reas
   return null;
 };
 
-const ArticleItem = ({ article, index, globalIndex, isEditing, onEdit, onUpdate, onDelete, onStopEditing, onRetryClassification, isRetrying }) => {
+const ArticleItem = ({ article, index, globalIndex, sectionNames, isEditing, onEdit, onUpdate, onUpdateMetadata, onExtractMetadataWithAI, onDelete, onStopEditing, onRetryClassification, isRetrying, transliteration }) => {
   const needsAttention = article.needsReview || (article.sectionConfidence && article.sectionConfidence < CONFIDENCE_THRESHOLDS.MEDIUM);
   const canRetry = (article.needsReview || article.section === NEEDS_REVIEW_SECTION) && !article.manuallyClassified;
 
@@ -68,20 +68,35 @@ const ArticleItem = ({ article, index, globalIndex, isEditing, onEdit, onUpdate,
             />
             <div className="relative">
               <select
-                value={article.section || ARTICLE_SECTIONS[0]}
+                value={article.section || sectionNames[0]}
                 onChange={(e) => onUpdate(article.id, 'section', e.target.value)}
                 className="w-full px-4 py-2 border border-gray-300 rounded-lg bg-white focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
               >
-                {ARTICLE_SECTIONS.map(section => (
+                {sectionNames.map(section => (
                   <option key={section} value={section}>{section}</option>
                 ))}
               </select>
               {article.sectionReasoning && !article.manuallyClassified && (
                 <p className="mt-1 text-xs text-gray-500 italic">
-                  AI обоснование: {article.sectionReasoning}
+                  Обоснование: {article.sectionReasoning}
                 </p>
               )}
             </div>
+            {onUpdateMetadata && (
+              <details className="text-sm">
+                <summary className="cursor-pointer text-gray-600 hover:text-gray-800">
+                  Метаданные: УДК и МРНТИ, авторы, места работы, ORCID, аннотации, ключевые слова и латиница
+                </summary>
+                <div className="mt-2">
+                  <ArticleMetadataForm
+                    article={article}
+                    transliteration={transliteration}
+                    onSave={(metadata) => onUpdateMetadata(article.id, metadata)}
+                    onExtractWithAI={onExtractMetadataWithAI ? () => onExtractMetadataWithAI(article.id) : null}
+                  />
+                </div>
+              </details>
+            )}
             <button
               onClick={onStopEditing}
               className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition"
@@ -110,6 +125,12 @@ const ArticleItem = ({ article, index, globalIndex, isEditing, onEdit, onUpdate,
                   ? 'Қазақша'
                   : 'English'}
               </span>
+              {article.metadata?.udc && (
+                <span className="px-2 py-1 rounded text-xs bg-gray-100 text-gray-700">УДК {article.metadata.udc}</span>
+              )}
+              {article.metadata?.grnti?.length > 0 && (
+                <span className="px-2 py-1 rounded text-xs bg-gray-100 text-gray-700">МРНТИ {article.metadata.grnti.join(', ')}</span>
+              )}
               <ConfidenceIndicator
                 confidence={article.sectionConfidence}
                 needsReview={article.needsReview}
@@ -216,7 +237,11 @@ const ArticlesList = ({
   finalPage,
   onRetryClassification,
   onRetryAllClassification,
-  retryingArticleId
+  onUpdateArticleMetadata,
+  onExtractMetadataWithAI,
+  retryingArticleId,
+  sectionNames = SECTION_ORDER,
+  transliteration
 }) => {
   const missingPages = [];
   if (!coverPage) missingPages.push('Титульный лист');
@@ -225,8 +250,13 @@ const ArticlesList = ({
 
   const canGeneratePDF = coverPage && descriptionPage && finalPage;
 
+  // Sections removed from the profile stay visible after the configured ones
+  const orphanSections = [...new Set(articles.map(a => a.section))]
+    .filter(section => section && section !== NEEDS_REVIEW_SECTION && !sectionNames.includes(section));
+  const displayOrder = [...sectionNames, ...orphanSections];
+
   // Group articles by section
-  const groupedArticles = groupArticlesBySection(articles);
+  const groupedArticles = groupArticlesBySection(articles, displayOrder);
   const hasArticles = articles.length > 0;
 
   // Statistics
@@ -283,7 +313,7 @@ const ArticlesList = ({
       {hasArticles ? (
         <div className="space-y-6">
           {/* Regular sections */}
-          {SECTION_ORDER.map(sectionName => {
+          {displayOrder.map(sectionName => {
             const sectionArticles = groupedArticles[sectionName];
             if (!sectionArticles || sectionArticles.length === 0) return null;
 
@@ -300,13 +330,17 @@ const ArticlesList = ({
                         article={article}
                         index={currentGlobalIndex}
                         globalIndex={currentGlobalIndex}
+                        sectionNames={displayOrder}
                         isEditing={editingArticle === article.id}
                         onEdit={onEditArticle}
                         onUpdate={onUpdateArticle}
+                        onUpdateMetadata={onUpdateArticleMetadata}
+                        onExtractMetadataWithAI={onExtractMetadataWithAI}
                         onDelete={onDeleteArticle}
                         onStopEditing={onStopEditing}
                         onRetryClassification={onRetryClassification}
                         isRetrying={retryingArticleId === article.id}
+                        transliteration={transliteration}
                       />
                     );
                   })}
@@ -334,13 +368,17 @@ const ArticlesList = ({
                       article={article}
                       index={currentGlobalIndex}
                       globalIndex={currentGlobalIndex}
+                      sectionNames={displayOrder}
                       isEditing={editingArticle === article.id}
                       onEdit={onEditArticle}
                       onUpdate={onUpdateArticle}
+                      onUpdateMetadata={onUpdateArticleMetadata}
+                      onExtractMetadataWithAI={onExtractMetadataWithAI}
                       onDelete={onDeleteArticle}
                       onStopEditing={onStopEditing}
                       onRetryClassification={onRetryClassification}
                       isRetrying={retryingArticleId === article.id || retryingArticleId === 'all'}
+                      transliteration={transliteration}
                     />
                   );
                 })}
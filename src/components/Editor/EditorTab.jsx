@@ -2,16 +2,20 @@ import React from 'react';
 import SpecialPageUpload from './SpecialPageUpload';
 import ArticleUploadZone from './ArticleUploadZone';
 import ArticlesList from './ArticlesList';
+import ReferencesPanel from './ReferencesPanel';
+import FormatCheckPanel from './FormatCheckPanel';
 
 const EditorTab = ({
   articles,
   coverPage,
   descriptionPage,
+  forewordPage,
   finalPage,
   editingArticle,
   isProcessing,
   onCoverUpload,
   onDescriptionUpload,
+  onForewordUpload,
   onFinalUpload,
   onArticlesUpload,
   onEditArticle,
@@ -20,11 +24,18 @@ const EditorTab = ({
   onStopEditing,
   onGeneratePDF,
   onRetryClassification,
+  onUpdateArticleMetadata,
+  onExtractMetadataWithAI,
   onRetryAllClassification,
   retryingArticleId,
+  sectionNames,
+  minReferences,
+  transliteration,
+  formatRules,
   fileInputRef,
   coverInputRef,
   descInputRef,
+  forewordInputRef,
   finalInputRef
 }) => {
   return (
@@ -32,12 +43,15 @@ const EditorTab = ({
       <SpecialPageUpload
         coverPage={coverPage}
         descriptionPage={descriptionPage}
+        forewordPage={forewordPage}
         finalPage={finalPage}
         onCoverUpload={onCoverUpload}
         onDescriptionUpload={onDescriptionUpload}
+        onForewordUpload={onForewordUpload}
         onFinalUpload={onFinalUpload}
         coverInputRef={coverInputRef}
         descInputRef={descInputRef}
+        forewordInputRef={forewordInputRef}
         finalInputRef={finalInputRef}
       />
 
@@ -46,6 +60,10 @@ const EditorTab = ({
         fileInputRef={fileInputRef}
       />
 
+      {articles.length > 0 && (
+        <FormatCheckPanel articles={articles} rules={formatRules} />
+      )}
+
       {articles.length > 0 && (
         <ArticlesList
           articles={articles}
@@ -60,10 +78,18 @@ const EditorTab = ({
           descriptionPage={descriptionPage}
           finalPage={finalPage}
           onRetryClassification={onRetryClassification}
+          onUpdateArticleMetadata={onUpdateArticleMetadata}
+          onExtractMetadataWithAI={onExtractMetadataWithAI}
           onRetryAllClassification={onRetryAllClassification}
           retryingArticleId={retryingArticleId}
+          sectionNames={sectionNames}
+          transliteration={transliteration}
         />
       )}
+
+      {articles.length > 0 && (
+        <ReferencesPanel articles={articles} minReferences={minReferences} />
+      )}
     </div>
   );
 };
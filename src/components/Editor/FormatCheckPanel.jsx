@@ -0,0 +1,130 @@
+import React, { useState, useEffect } from 'react';
+import { FileCheck, CheckCircle, XCircle, MinusCircle, Loader2 } from 'lucide-react';
+import { checkManuscriptFormat } from '../../utils/formatChecker';
+
+const isDocx = (article) => !!article.file?.name.toLowerCase().endsWith('.docx');
+
+/**
+ * Result icon of a check: passed, failed or not checked (null)
+ */
+const CheckIcon = ({ passed }) => {
+  if (passed === null) return <MinusCircle size={16} className="text-gray-400 flex-shrink-0" />;
+  return passed
+    ? <CheckCircle size={16} className="text-green-600 flex-shrink-0" />
+    : <XCircle size={16} className="text-red-600 flex-shrink-0" />;
+};
+
+/**
+ * Pass/fail report of the uploaded manuscripts against the journal's formatting rules,
+ * shown before the issue is assembled. Only DOCX files are checked
+ */
+const FormatCheckPanel = ({ articles, rules }) => {
+  const [results, setResults] = useState({});
+  const [isChecking, setIsChecking] = useState(false);
+
+  // Files are re-read only when articles are added or removed, not on title or metadata edits
+  const articleIds = articles.map(article => article.id).join(',');
+
+  useEffect(() => {
+    if (!rules?.enabled) return undefined;
+    let cancelled = false;
+
+    const runChecks = async () => {
+      setIsChecking(true);
+      const checked = {};
+      for (const article of articles.filter(isDocx)) {
+        try {
+          checked[article.id] = await checkManuscriptFormat(article.file, rules);
+        } catch (error) {
+          checked[article.id] = { error: error.message };
+        }
+      }
+      if (!cancelled) {
+        setResults(checked);
+        setIsChecking(false);
+      }
+    };
+
+    runChecks();
+    return () => {
+      cancelled = true;
+    };
+  }, [articleIds, rules]);
+
+  if (!rules?.enabled) return null;
+
+  const checkedArticles = articles.filter(article => results[article.id]);
+  const failed = checkedArticles.filter(article => !results[article.id].passed).length;
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-8">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+        <h2 className="text-2xl font-bold text-gray-800 flex items-center gap-2">
+          <FileCheck className="text-indigo-600" size={24} />
+          Оформление рукописей
+        </h2>
+        {isChecking ? (
+          <span className="text-sm text-gray-500 flex items-center gap-2">
+            <Loader2 size={16} className="animate-spin" /> Проверка...
+          </span>
+        ) : (
+          <span className={`text-sm ${failed > 0 ? 'text-red-700' : 'text-green-700'}`}>
+            {failed > 0
+              ? `Не соответствуют требованиям: ${failed} из ${checkedArticles.length}`
+              : 'Все проверенные рукописи соответствуют требованиям'}
+          </span>
+        )}
+      </div>
+      <p className="text-xs text-gray-500 mb-4">
+        Требования задаются в профиле журнала. Проверьте рукописи до сборки выпуска
+      </p>
+
+      <div className="space-y-3">
+        {articles.map(article => {
+          const result = results[article.id];
+          if (!isDocx(article)) {
+            return (
+              <div key={article.id} className="border border-gray-200 rounded-lg p-3 flex items-center gap-2 text-sm">
+                <CheckIcon passed={null} />
+                <span className="font-medium text-gray-800">{article.title}</span>
+                <span className="text-gray-500">· не проверяется: файл не DOCX</span>
+              </div>
+            );
+          }
+          if (!result) return null;
+          if (result.error) {
+            return (
+              <div key={article.id} className="border border-red-200 rounded-lg p-3 text-sm text-red-700">
+                {result.error}
+              </div>
+            );
+          }
+
+          const violations = result.checks.filter(check => check.passed === false);
+          return (
+            <details key={article.id} className="border border-gray-200 rounded-lg p-3">
+              <summary className="cursor-pointer flex flex-wrap items-center gap-2 text-sm">
+                <CheckIcon passed={result.passed} />
+                <span className="font-medium text-gray-800">{article.title}</span>
+                <span className="text-gray-500">
+                  · {violations.length > 0 ? `нарушений: ${violations.length}` : 'соответствует'}
+                </span>
+              </summary>
+              <ul className="mt-2 ml-6 space-y-1 text-sm">
+                {result.checks.map(check => (
+                  <li key={check.rule} className="flex items-start gap-2">
+                    <CheckIcon passed={check.passed} />
+                    <span className="text-gray-800">{check.label}:</span>
+                    <span className={check.passed === false ? 'text-red-700' : 'text-gray-600'}>{check.message}</span>
+                  </li>
+                ))}
+              </ul>
+            </details>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default FormatCheckPanel;
@@ -0,0 +1,94 @@
+import React, { useMemo } from 'react';
+import { BookMarked, CheckCircle, AlertTriangle } from 'lucide-react';
+import { checkReferences } from '../../../shared/references.js';
+
+/**
+ * Parsed references of one article
+ */
+const ReferencesTable = ({ references }) => (
+  <div className="overflow-x-auto">
+    <table className="w-full text-xs text-left">
+      <thead className="text-gray-500 border-b border-gray-200">
+        <tr>
+          <th className="py-1 pr-2">№</th>
+          <th className="py-1 pr-2">Авторы</th>
+          <th className="py-1 pr-2">Название</th>
+          <th className="py-1 pr-2">Источник</th>
+          <th className="py-1 pr-2">Год</th>
+          <th className="py-1 pr-2">Стр.</th>
+          <th className="py-1">DOI</th>
+        </tr>
+      </thead>
+      <tbody className="text-gray-700">
+        {references.map((reference, i) => (
+          <tr key={i} className="border-b border-gray-100 align-top" title={reference.latin ? `References: ${reference.latin}` : reference.text}>
+            <td className="py-1 pr-2">{reference.number ?? i + 1}</td>
+            <td className="py-1 pr-2">{reference.authors.map(a => `${a.surname} ${a.givenNames}`.trim()).join(', ') || '—'}</td>
+            <td className="py-1 pr-2">{reference.title || '—'}</td>
+            <td className="py-1 pr-2">{reference.source || '—'}</td>
+            <td className="py-1 pr-2">{reference.year || '—'}</td>
+            <td className="py-1 pr-2">{reference.pages || '—'}</td>
+            <td className="py-1">{reference.doi || '—'}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+/**
+ * Reference list checks of the uploaded articles: the count against the journal minimum,
+ * the transliterated References list, numbering and in-text citations [N] without an entry
+ */
+const ReferencesPanel = ({ articles, minReferences = 0 }) => {
+  const results = useMemo(
+    () => articles.map(article => ({ article, ...checkReferences(article.content, { minReferences }) })),
+    [articles, minReferences]
+  );
+  const withProblems = results.filter(result => result.problems.length > 0).length;
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-8">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+        <h2 className="text-2xl font-bold text-gray-800 flex items-center gap-2">
+          <BookMarked className="text-indigo-600" size={24} />
+          Списки литературы
+        </h2>
+        <span className={`text-sm ${withProblems > 0 ? 'text-amber-700' : 'text-green-700'}`}>
+          {withProblems > 0 ? `Замечания в ${withProblems} из ${results.length} статей` : 'Замечаний нет'}
+        </span>
+      </div>
+      {minReferences > 0 && (
+        <p className="text-xs text-gray-500 mb-4">Минимум источников по профилю журнала: {minReferences}</p>
+      )}
+
+      <div className="space-y-3">
+        {results.map(({ article, references, latinCount, problems }) => (
+          <details key={article.id} className="border border-gray-200 rounded-lg p-3">
+            <summary className="cursor-pointer flex flex-wrap items-center gap-2 text-sm">
+              {problems.length > 0
+                ? <AlertTriangle size={16} className="text-amber-600" />
+                : <CheckCircle size={16} className="text-green-600" />}
+              <span className="font-medium text-gray-800">{article.title}</span>
+              <span className="text-gray-500">
+                · источников: {references.length}{latinCount > 0 ? ` · References: ${latinCount}` : ''}
+              </span>
+            </summary>
+            {problems.length > 0 && (
+              <ul className="mt-2 ml-6 list-disc text-sm text-amber-800 space-y-1">
+                {problems.map((problem, i) => <li key={i}>{problem.message}</li>)}
+              </ul>
+            )}
+            {references.length > 0 && (
+              <div className="mt-3">
+                <ReferencesTable references={references} />
+              </div>
+            )}
+          </details>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ReferencesPanel;
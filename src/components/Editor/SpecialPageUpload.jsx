@@ -18,6 +18,11 @@ const colorVariants = {
     button: 'bg-orange-600 hover:bg-orange-700',
     border: 'border-orange-300 hover:border-orange-400',
   },
+  teal: {
+    badge: 'bg-teal-100 text-teal-600',
+    button: 'bg-teal-600 hover:bg-teal-700',
+    border: 'border-teal-300 hover:border-teal-400',
+  },
 };
 
 const SpecialPageCard = ({
@@ -77,19 +82,22 @@ const SpecialPageCard = ({
 const SpecialPageUpload = ({
   coverPage,
   descriptionPage,
+  forewordPage,
   finalPage,
   onCoverUpload,
   onDescriptionUpload,
+  onForewordUpload,
   onFinalUpload,
   coverInputRef,
   descInputRef,
+  forewordInputRef,
   finalInputRef
 }) => {
   return (
     <div className="bg-white rounded-2xl shadow-xl p-8">
       <h2 className="text-2xl font-bold mb-6 text-gray-800">Структура журнала</h2>
 
-      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
         <SpecialPageCard
           title="Титульный лист"
           description="Обложка журнала"
@@ -112,6 +120,17 @@ const SpecialPageUpload = ({
           inputRef={descInputRef}
         />
 
+        <SpecialPageCard
+          title="Слово редактора"
+          description="Необязательно"
+          number="3"
+          color="teal"
+          page={forewordPage}
+          onUpload={onForewordUpload}
+          onDelete={() => onForewordUpload(null)}
+          inputRef={forewordInputRef}
+        />
+
         <SpecialPageCard
           title="Заключительная страница"
           description="После содержания"
@@ -131,9 +150,11 @@ const SpecialPageUpload = ({
             <ol className="list-decimal list-inside space-y-1">
               <li>Титульный лист (обязательно)</li>
               <li>Описание журнала и редакции (обязательно)</li>
+              <li>Слово редактора (если загружено)</li>
               <li>Статьи с автоматическим содержанием</li>
               <li>Заключительная страница (обязательно)</li>
             </ol>
+            <p className="mt-2">Порядок блоков и место содержания настраиваются в профиле журнала.</p>
           </div>
         </div>
       </div>
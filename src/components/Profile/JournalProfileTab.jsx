@@ -0,0 +1,385 @@
+import React, { useState, useEffect } from 'react';
+import { Settings, Save, RotateCcw } from 'lucide-react';
+import {
+  DEFAULT_JOURNAL_PROFILE,
+  normalizeJournalProfile,
+  formatFooterText,
+  formatRunningHeaderText,
+  formatArticleDoi
+} from '../../../shared/journalProfile.js';
+import { normalizeIssueLayout } from '../../../shared/issueLayout.js';
+import { TRANSLITERATION_SYSTEMS, transliterate } from '../../../shared/transliteration.js';
+import SectionsEditor from './SectionsEditor';
+import LayoutEditor from './LayoutEditor';
+
+const PAGE_SIZES = [
+  { name: 'A4', width: 210, height: 297 },
+  { name: 'A5', width: 148, height: 210 },
+  { name: 'B5', width: 176, height: 250 },
+];
+
+// Numeric manuscript formatting rules (0 - not checked)
+const FORMAT_RULE_FIELDS = [
+  { key: 'pageWidth', label: 'Ширина страницы, мм' },
+  { key: 'pageHeight', label: 'Высота страницы, мм' },
+  { key: 'marginTop', label: 'Верхнее поле, мм' },
+  { key: 'marginBottom', label: 'Нижнее поле, мм' },
+  { key: 'marginLeft', label: 'Левое поле, мм' },
+  { key: 'marginRight', label: 'Правое поле, мм' },
+  { key: 'fontSize', label: 'Кегль, pt' },
+  { key: 'lineSpacing', label: 'Межстрочный интервал', step: '0.1' },
+  { key: 'minPages', label: 'Страниц не меньше' },
+  { key: 'maxPages', label: 'Страниц не больше' },
+  { key: 'abstractMinWords', label: 'Аннотация, слов не меньше' },
+  { key: 'abstractMaxWords', label: 'Аннотация, слов не больше' },
+  { key: 'minKeywords', label: 'Ключевых слов не меньше' },
+  { key: 'maxKeywords', label: 'Ключевых слов не больше' }
+];
+
+const FORMAT_RULE_FLAGS = [
+  { key: 'udcFirst', label: 'УДК в первой строке' },
+  { key: 'titleBold', label: 'Название полужирным' },
+  { key: 'titleUppercase', label: 'Название прописными буквами' },
+  { key: 'figureCaptions', label: 'Подписи ко всем рисункам' }
+];
+
+const FRONT_MATTER_LANGUAGE_LABELS = { kk: 'казахском', ru: 'русском', en: 'английском' };
+
+// Names shown in the transliteration examples
+const TRANSLITERATION_EXAMPLES = { ru: 'Щербаков Сергей Юрьевич', kk: 'Құдайбергенов Әлихан Іргебайұлы' };
+
+// Article shown in the running header examples
+const SAMPLE_ARTICLE = { title: 'Моделирование процессов обогащения медных руд', author: 'Иванов И.И., Петров П.П.' };
+
+// Values shown in the DOI pattern example
+const SAMPLE_DOI_VALUES = { year: 2025, month: 3, n: 1 };
+
+const inputClass = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent';
+
+const Field = ({ label, hint, children }) => (
+  <label className="block">
+    <span className="block text-sm font-medium text-gray-700 mb-1">{label}</span>
+    {children}
+    {hint && <span className="block text-xs text-gray-500 mt-1">{hint}</span>}
+  </label>
+);
+
+const JournalProfileTab = ({ profile, onSave, isSaving, sections, onSaveSection, onDeleteSection, onReorderSections }) => {
+  const [form, setForm] = useState(() => normalizeJournalProfile(profile));
+
+  // Reload form when profile is loaded or saved
+  useEffect(() => {
+    setForm(normalizeJournalProfile(profile));
+  }, [profile]);
+
+  const setField = (key, value) => setForm(prev => ({ ...prev, [key]: value }));
+  const setNested = (key, field, value) => setForm(prev => ({ ...prev, [key]: { ...prev[key], [field]: value } }));
+  const setNumber = (key, field, value) => setNested(key, field, parseFloat(value) || 0);
+
+  const handlePageSizeChange = (name) => {
+    const size = PAGE_SIZES.find(s => s.name === name);
+    if (size) setField('pageSize', { ...size });
+  };
+
+  const handleReset = () => {
+    setForm(normalizeJournalProfile({ ...DEFAULT_JOURNAL_PROFILE, id: form.id }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave({ ...form, layout: normalizeIssueLayout(form.layout) });
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-8">
+      <h2 className="text-2xl font-bold mb-6 text-gray-800 flex items-center gap-2">
+        <Settings className="text-indigo-600" size={28} />
+        Профиль журнала
+      </h2>
+
+      <form onSubmit={handleSubmit} className="space-y-6">
+        <div className="border border-gray-200 rounded-xl p-6 space-y-4">
+          <h3 className="text-lg font-semibold">Издание</h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <Field label="Краткое название">
+              <input className={inputClass} value={form.name} onChange={(e) => setField('name', e.target.value)} required />
+            </Field>
+            <Field label="ISSN">
+              <input className={inputClass} value={form.issn} onChange={(e) => setField('issn', e.target.value)} placeholder="0000-0000" />
+            </Field>
+            <Field label="ID журнала в eLibrary (titleid)" hint="Для выгрузки метаданных статей в РИНЦ">
+              <input className={inputClass} value={form.elibraryTitleId} onChange={(e) => setField('elibraryTitleId', e.target.value)} />
+            </Field>
+            <Field label="Минимум источников в списке литературы" hint="Статьи с меньшим числом источников отмечаются в редакторе (0 — без ограничения)">
+              <input type="number" min="0" className={inputClass} value={form.minReferences} onChange={(e) => setField('minReferences', parseInt(e.target.value, 10) || 0)} />
+            </Field>
+            {[['ru', 'Транслитерация русских текстов'], ['kk', 'Транслитерация казахских текстов']].map(([language, label]) => (
+              <Field
+                key={language}
+                label={label}
+                hint={`ФИО, названия и списки литературы для РИНЦ и Scopus. Пример: ${transliterate(TRANSLITERATION_EXAMPLES[language], form.transliteration[language], language)}`}
+              >
+                <select className={inputClass} value={form.transliteration[language]} onChange={(e) => setNested('transliteration', language, e.target.value)}>
+                  {TRANSLITERATION_SYSTEMS.filter(system => system.languages.includes(language)).map(system => (
+                    <option key={system.id} value={system.id}>{system.name}</option>
+                  ))}
+                </select>
+              </Field>
+            ))}
+          </div>
+          <Field label="Полное название (колонтитул)">
+            <input className={inputClass} value={form.title} onChange={(e) => setField('title', e.target.value)} required />
+          </Field>
+        </div>
+
+        <div className="border border-gray-200 rounded-xl p-6 space-y-4">
+          <h3 className="text-lg font-semibold">Нижний колонтитул</h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <Field label="Нечётные страницы" hint={`Пример: ${formatFooterText(form, 3)}`}>
+              <input className={inputClass} value={form.footerFormat.odd} onChange={(e) => setNested('footerFormat', 'odd', e.target.value)} />
+            </Field>
+            <Field label="Чётные страницы" hint={`Пример: ${formatFooterText(form, 4)}`}>
+              <input className={inputClass} value={form.footerFormat.even} onChange={(e) => setNested('footerFormat', 'even', e.target.value)} />
+            </Field>
+          </div>
+          <p className="text-xs text-gray-500">Подстановки: {'{title}'}, {'{page}'}, {'{issn}'}</p>
+        </div>
+
+        <div className="border border-gray-200 rounded-xl p-6 space-y-4">
+          <h3 className="text-lg font-semibold">Верхний колонтитул</h3>
+          <label className="flex items-start gap-3">
+            <input
+              type="checkbox"
+              className="mt-1"
+              checked={form.runningHeader.enabled}
+              onChange={(e) => setNested('runningHeader', 'enabled', e.target.checked)}
+            />
+            <span className="text-sm text-gray-700">
+              Колонтитул на страницах статей
+              <span className="block text-xs text-gray-500">Не выводится на первой странице статьи</span>
+            </span>
+          </label>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <Field label="Нечётные страницы" hint={`Пример: ${formatRunningHeaderText(form, 3, SAMPLE_ARTICLE)}`}>
+              <input className={inputClass} value={form.runningHeader.odd} onChange={(e) => setNested('runningHeader', 'odd', e.target.value)} disabled={!form.runningHeader.enabled} />
+            </Field>
+            <Field label="Чётные страницы" hint={`Пример: ${formatRunningHeaderText(form, 4, SAMPLE_ARTICLE)}`}>
+              <input className={inputClass} value={form.runningHeader.even} onChange={(e) => setNested('runningHeader', 'even', e.target.value)} disabled={!form.runningHeader.enabled} />
+            </Field>
+          </div>
+          <p className="text-xs text-gray-500">
+            Подстановки: {'{shortTitle}'} — название статьи, {'{author}'} — фамилия первого автора, {'{title}'}, {'{issn}'}
+          </p>
+        </div>
+
+        <div className="border border-gray-200 rounded-xl p-6 space-y-4">
+          <h3 className="text-lg font-semibold">Страница (мм)</h3>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <Field label="Формат">
+              <select className={inputClass} value={form.pageSize.name} onChange={(e) => handlePageSizeChange(e.target.value)}>
+                {PAGE_SIZES.map(size => (
+                  <option key={size.name} value={size.name}>{size.name}</option>
+                ))}
+              </select>
+            </Field>
+            <Field label="Межстрочный интервал">
+              <input type="number" step="0.5" min="1" className={inputClass} value={form.lineHeight} onChange={(e) => setField('lineHeight', parseFloat(e.target.value) || 0)} />
+            </Field>
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            {[
+              { key: 'top', label: 'Верхнее поле' },
+              { key: 'bottom', label: 'Нижнее поле' },
+              { key: 'left', label: 'Левое поле' },
+              { key: 'right', label: 'Правое поле' },
+            ].map(({ key, label }) => (
+              <Field key={key} label={label}>
+                <input type="number" min="0" className={inputClass} value={form.margins[key]} onChange={(e) => setNumber('margins', key, e.target.value)} />
+              </Field>
+            ))}
+          </div>
+        </div>
+
+        <div className="border border-gray-200 rounded-xl p-6 space-y-4">
+          <h3 className="text-lg font-semibold">Шрифты и содержание</h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <Field label="Шрифт (TTF/OTF в папке шрифтов сервера)" hint="Имя файла без пути. Пусто — системный Noto Serif / Liberation Serif">
+              <input className={inputClass} value={form.fonts.regular} onChange={(e) => setNested('fonts', 'regular', e.target.value)} placeholder="TimesNewRoman.ttf" />
+            </Field>
+            <Field label="Полужирный шрифт (TTF/OTF в папке шрифтов сервера)">
+              <input className={inputClass} value={form.fonts.bold} onChange={(e) => setNested('fonts', 'bold', e.target.value)} placeholder="TimesNewRoman-Bold.ttf" />
+            </Field>
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            {[
+              { key: 'footerSize', label: 'Колонтитул, pt' },
+              { key: 'tocTitleSize', label: 'Заголовок, pt' },
+              { key: 'tocSectionSize', label: 'Раздел, pt' },
+              { key: 'tocEntrySize', label: 'Статья, pt' },
+            ].map(({ key, label }) => (
+              <Field key={key} label={label}>
+                <input type="number" min="6" max="36" className={inputClass} value={form.fonts[key]} onChange={(e) => setNumber('fonts', key, e.target.value)} />
+              </Field>
+            ))}
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <Field label="Заголовок содержания">
+              <input className={inputClass} value={form.tocHeading} onChange={(e) => setField('tocHeading', e.target.value)} />
+            </Field>
+            <Field label="Оформление разделов" hint="Названия берутся из списка разделов (рус., каз., англ.)">
+              <select className={inputClass} value={form.sectionHeading} onChange={(e) => setField('sectionHeading', e.target.value)}>
+                <option value="header">Заголовок на первой странице раздела</option>
+                <option value="divider">Отдельная титульная страница раздела</option>
+              </select>
+            </Field>
+          </div>
+        </div>
+
+        <div className="border border-gray-200 rounded-xl p-6 space-y-3">
+          <h3 className="text-lg font-semibold">Печатная версия</h3>
+          <label className="flex items-start gap-3">
+            <input
+              type="checkbox"
+              className="mt-1"
+              checked={form.printMode.enabled}
+              onChange={(e) => setNested('printMode', 'enabled', e.target.checked)}
+            />
+            <span className="text-sm text-gray-700">
+              Статьи начинаются с нечётной (правой) страницы
+              <span className="block text-xs text-gray-500">При необходимости перед статьёй вставляется пустая страница; нумерация и содержание учитывают её</span>
+            </span>
+          </label>
+          <label className="flex items-center gap-3">
+            <input
+              type="checkbox"
+              checked={form.printMode.blankPageFooter}
+              onChange={(e) => setNested('printMode', 'blankPageFooter', e.target.checked)}
+            />
+            <span className="text-sm text-gray-700">Колонтитул на пустых страницах</span>
+          </label>
+          <Field label="Архивный формат" hint="Для депонирования в национальной библиотеке и репозитории: метаданные XMP, цветовой профиль sRGB, проверка встроенных шрифтов">
+            <select className={inputClass} value={form.pdfA} onChange={(e) => setField('pdfA', e.target.value)}>
+              <option value="">Обычный PDF</option>
+              <option value="1b">PDF/A-1b</option>
+              <option value="2b">PDF/A-2b</option>
+            </select>
+          </Field>
+        </div>
+
+        <div className="border border-gray-200 rounded-xl p-6 space-y-4">
+          <h3 className="text-lg font-semibold">DOI и Crossref</h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <Field label="Шаблон DOI" hint={form.doi.pattern ? `Пример: ${formatArticleDoi(form, SAMPLE_DOI_VALUES)}` : 'Пусто — DOI не присваиваются'}>
+              <input className={inputClass} value={form.doi.pattern} onChange={(e) => setNested('doi', 'pattern', e.target.value)} placeholder="10.12345/vestnik.{year}.{month}.{n}" />
+            </Field>
+            <Field label="Адрес страницы статьи" hint="Куда DOI ведёт читателя">
+              <input className={inputClass} value={form.doi.resourceUrl} onChange={(e) => setNested('doi', 'resourceUrl', e.target.value)} placeholder="https://journal.example.kz/articles/{year}/{month}/{n}" />
+            </Field>
+          </div>
+          <p className="text-xs text-gray-500">
+            Подстановки: {'{year}'}, {'{month}'} — дата выпуска, {'{n}'} — номер статьи в выпуске, {'{doi}'} — только в адресе страницы
+          </p>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <Field label="Депозитор">
+              <input className={inputClass} value={form.doi.depositorName} onChange={(e) => setNested('doi', 'depositorName', e.target.value)} />
+            </Field>
+            <Field label="E-mail депозитора" hint="Сюда Crossref присылает результат загрузки">
+              <input type="email" className={inputClass} value={form.doi.depositorEmail} onChange={(e) => setNested('doi', 'depositorEmail', e.target.value)} />
+            </Field>
+            <Field label="Регистрант" hint="Пусто — совпадает с депозитором">
+              <input className={inputClass} value={form.doi.registrant} onChange={(e) => setNested('doi', 'registrant', e.target.value)} />
+            </Field>
+          </div>
+        </div>
+
+        <div className="border border-gray-200 rounded-xl p-6 space-y-4">
+          <h3 className="text-lg font-semibold">Требования к оформлению рукописей</h3>
+          <label className="flex items-start gap-3">
+            <input
+              type="checkbox"
+              className="mt-1"
+              checked={form.formatRules.enabled}
+              onChange={(e) => setNested('formatRules', 'enabled', e.target.checked)}
+            />
+            <span className="text-sm text-gray-700">
+              Проверять DOCX статей перед сборкой выпуска
+              <span className="block text-xs text-gray-500">По умолчанию — требования информационного письма журнала; 0 — правило не проверяется</span>
+            </span>
+          </label>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <Field label="Шрифт основного текста" hint="Пусто — не проверяется">
+              <input className={inputClass} value={form.formatRules.fontFamily} onChange={(e) => setNested('formatRules', 'fontFamily', e.target.value)} />
+            </Field>
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            {FORMAT_RULE_FIELDS.map(({ key, label, step }) => (
+              <Field key={key} label={label}>
+                <input type="number" min="0" step={step || '1'} className={inputClass} value={form.formatRules[key]} onChange={(e) => setNumber('formatRules', key, e.target.value)} />
+              </Field>
+            ))}
+          </div>
+          <div className="flex flex-wrap gap-x-6 gap-y-2">
+            {FORMAT_RULE_FLAGS.map(({ key, label }) => (
+              <label key={key} className="flex items-center gap-2 text-sm text-gray-700">
+                <input type="checkbox" checked={form.formatRules[key]} onChange={(e) => setNested('formatRules', key, e.target.checked)} />
+                {label}
+              </label>
+            ))}
+          </div>
+          <div className="flex flex-wrap items-center gap-x-6 gap-y-2 text-sm text-gray-700">
+            <span>Аннотация и ключевые слова на</span>
+            {Object.entries(FRONT_MATTER_LANGUAGE_LABELS).map(([lang, label]) => (
+              <label key={lang} className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={form.formatRules.frontMatterLanguages.includes(lang)}
+                  onChange={(e) => setNested('formatRules', 'frontMatterLanguages', e.target.checked
+                    ? [...form.formatRules.frontMatterLanguages, lang]
+                    : form.formatRules.frontMatterLanguages.filter(item => item !== lang))}
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <LayoutEditor
+          layout={form.layout}
+          sectionNames={form.sections}
+          onChange={(layout) => setField('layout', layout)}
+        />
+
+        <div className="flex justify-end gap-3">
+          <button
+            type="button"
+            onClick={handleReset}
+            className="px-5 py-3 rounded-xl border border-gray-300 text-gray-700 hover:bg-gray-50 flex items-center gap-2"
+          >
+            <RotateCcw size={18} />
+            По умолчанию
+          </button>
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="px-5 py-3 rounded-xl bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50 flex items-center gap-2"
+          >
+            <Save size={18} />
+            Сохранить профиль
+          </button>
+        </div>
+      </form>
+
+      <div className="mt-6">
+        <SectionsEditor
+          sections={sections}
+          onSave={onSaveSection}
+          onDelete={onDeleteSection}
+          onReorder={onReorderSections}
+          isSaving={isSaving}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default JournalProfileTab;
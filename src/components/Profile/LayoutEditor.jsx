@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import { Plus, Trash2, ArrowUp, ArrowDown } from 'lucide-react';
+import {
+  LAYOUT_BLOCK_TYPES,
+  LAYOUT_BLOCK_LABELS,
+  UNIQUE_LAYOUT_BLOCKS,
+  getLayoutBlockLabel
+} from '../../../shared/issueLayout.js';
+
+const inputClass = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent';
+
+// Value of the "add block" selector for an articles block without a section
+const ALL_SECTIONS = '';
+
+const LayoutEditor = ({ layout, sectionNames, onChange }) => {
+  const [newType, setNewType] = useState(LAYOUT_BLOCK_TYPES.BLANK);
+  const [newSection, setNewSection] = useState(ALL_SECTIONS);
+
+  const usedTypes = layout.map(block => block.type);
+  const availableTypes = Object.values(LAYOUT_BLOCK_TYPES)
+    .filter(type => !UNIQUE_LAYOUT_BLOCKS.includes(type) || !usedTypes.includes(type));
+
+  const handleMove = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= layout.length) return;
+    const blocks = [...layout];
+    [blocks[index], blocks[target]] = [blocks[target], blocks[index]];
+    onChange(blocks);
+  };
+
+  const handleRemove = (index) => {
+    onChange(layout.filter((_, i) => i !== index));
+  };
+
+  const handleAdd = () => {
+    const type = availableTypes.includes(newType) ? newType : availableTypes[0];
+    let block = { type };
+    if (type === LAYOUT_BLOCK_TYPES.ARTICLES) {
+      block = { type, section: newSection || null };
+    } else if (type === LAYOUT_BLOCK_TYPES.DIVIDER) {
+      // A divider always belongs to one section
+      const section = newSection || sectionNames[0];
+      if (!section) return;
+      block = { type, section };
+    }
+    onChange([...layout, block]);
+  };
+
+  return (
+    <div className="border border-gray-200 rounded-xl p-6 space-y-4">
+      <div>
+        <h3 className="text-lg font-semibold">Структура выпуска</h3>
+        <p className="text-xs text-gray-500">
+          Блоки объединяются в указанном порядке, номера страниц в содержании рассчитываются по нему.
+          Незагруженные страницы пропускаются; статьи разделов без отдельного блока попадают в блок «Статьи (остальные разделы)».
+          Разделитель раздела заменяет для этого раздела заголовок или разделитель, заданный в оформлении.
+        </p>
+      </div>
+
+      <ol className="space-y-2">
+        {layout.map((block, index) => (
+          <li key={`${block.type}-${block.section || ''}-${index}`} className="border border-gray-200 rounded-lg px-4 py-2 flex items-center gap-3">
+            <span className="text-sm font-bold text-indigo-600 w-6">{index + 1}</span>
+            <span className="flex-1 text-sm text-gray-800">{getLayoutBlockLabel(block)}</span>
+            <button
+              type="button"
+              onClick={() => handleMove(index, -1)}
+              disabled={index === 0}
+              className="p-1.5 text-gray-600 hover:bg-gray-100 rounded-lg transition disabled:opacity-30"
+              title="Выше"
+            >
+              <ArrowUp size={16} />
+            </button>
+            <button
+              type="button"
+              onClick={() => handleMove(index, 1)}
+              disabled={index === layout.length - 1}
+              className="p-1.5 text-gray-600 hover:bg-gray-100 rounded-lg transition disabled:opacity-30"
+              title="Ниже"
+            >
+              <ArrowDown size={16} />
+            </button>
+            <button
+              type="button"
+              onClick={() => handleRemove(index)}
+              className="p-1.5 text-red-600 hover:bg-red-50 rounded-lg transition"
+              title="Удалить"
+            >
+              <Trash2 size={16} />
+            </button>
+          </li>
+        ))}
+      </ol>
+
+      <div className="flex flex-col md:flex-row gap-3">
+        <select className={inputClass} value={newType} onChange={(e) => setNewType(e.target.value)}>
+          {availableTypes.map(type => (
+            <option key={type} value={type}>{LAYOUT_BLOCK_LABELS[type]}</option>
+          ))}
+        </select>
+        {(newType === LAYOUT_BLOCK_TYPES.ARTICLES || newType === LAYOUT_BLOCK_TYPES.DIVIDER) && (
+          <select className={inputClass} value={newSection} onChange={(e) => setNewSection(e.target.value)}>
+            {newType === LAYOUT_BLOCK_TYPES.ARTICLES && <option value={ALL_SECTIONS}>Остальные разделы</option>}
+            {sectionNames.map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        )}
+        <button
+          type="button"
+          onClick={handleAdd}
+          disabled={availableTypes.length === 0}
+          className="px-4 py-2 rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50 flex items-center justify-center gap-2 flex-shrink-0"
+        >
+          <Plus size={16} />
+          Добавить блок
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default LayoutEditor;
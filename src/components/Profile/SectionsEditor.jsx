@@ -0,0 +1,184 @@
+import React, { useState } from 'react';
+import { Plus, Edit2, Trash2, ArrowUp, ArrowDown, Check, X } from 'lucide-react';
+import { normalizeSection } from '../../../shared/sections.js';
+
+const inputClass = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent';
+
+const EMPTY_SECTION = normalizeSection({ names: {} });
+
+const toText = (list) => list.join(', ');
+const toList = (text) => text.split(/[,;\n]/).map(item => item.trim()).filter(Boolean);
+
+const SectionForm = ({ section, onSubmit, onCancel, isSaving }) => {
+  const [names, setNames] = useState(section.names);
+  const [description, setDescription] = useState(section.description);
+  const [udc, setUdc] = useState(toText(section.udcRanges));
+  const [grnti, setGrnti] = useState(toText(section.grntiRanges));
+  const [keywords, setKeywords] = useState(toText(section.keywords));
+
+  const setName = (lang, value) => setNames(prev => ({ ...prev, [lang]: value }));
+
+  const handleSubmit = () => {
+    if (!names.ru.trim()) return;
+    onSubmit({
+      ...section,
+      names,
+      description,
+      udcRanges: toList(udc),
+      grntiRanges: toList(grnti),
+      keywords: toList(keywords),
+    });
+  };
+
+  return (
+    <div className="border border-indigo-200 bg-indigo-50/40 rounded-xl p-4 space-y-3">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        <input className={inputClass} value={names.ru} onChange={(e) => setName('ru', e.target.value)} placeholder="Название (рус.)*" />
+        <input className={inputClass} value={names.kk} onChange={(e) => setName('kk', e.target.value)} placeholder="Атауы (қаз.)" />
+        <input className={inputClass} value={names.en} onChange={(e) => setName('en', e.target.value)} placeholder="Name (eng.)" />
+      </div>
+      <input className={inputClass} value={description} onChange={(e) => setDescription(e.target.value)} placeholder="Тематика для AI-классификатора (например: физика, химия, биология)" />
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <input className={inputClass} value={udc} onChange={(e) => setUdc(e.target.value)} placeholder="УДК: 004, 62, 50-59" />
+        <input className={inputClass} value={grnti} onChange={(e) => setGrnti(e.target.value)} placeholder="ГРНТИ: 20, 44-45" />
+      </div>
+      <textarea className={inputClass} rows={3} value={keywords} onChange={(e) => setKeywords(e.target.value)} placeholder="Ключевые слова (основы слов через запятую): ИСТОРИ, ФИЛОСОФ, ЛИНГВИСТ" />
+      <div className="flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 flex items-center gap-2"
+        >
+          <X size={16} />
+          Отмена
+        </button>
+        <button
+          type="button"
+          onClick={handleSubmit}
+          disabled={isSaving || !names.ru.trim()}
+          className="px-4 py-2 rounded-lg bg-green-600 text-white hover:bg-green-700 disabled:opacity-50 flex items-center gap-2"
+        >
+          <Check size={16} />
+          Сохранить раздел
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const SectionsEditor = ({ sections, onSave, onDelete, onReorder, isSaving }) => {
+  // ID of the section being edited, 'new' for a new section
+  const [editingId, setEditingId] = useState(null);
+
+  const handleSubmit = async (section) => {
+    await onSave(section);
+    setEditingId(null);
+  };
+
+  const handleMove = (index, direction) => {
+    const ids = sections.map(s => s.id);
+    const target = index + direction;
+    if (target < 0 || target >= ids.length) return;
+    [ids[index], ids[target]] = [ids[target], ids[index]];
+    onReorder(ids);
+  };
+
+  return (
+    <div className="border border-gray-200 rounded-xl p-6 space-y-4">
+      <div className="flex items-center justify-between gap-4">
+        <div>
+          <h3 className="text-lg font-semibold">Разделы журнала</h3>
+          <p className="text-xs text-gray-500">
+            Порядок разделов определяет порядок статей в выпуске и содержании. Ключевые слова и коды УДК/ГРНТИ используются при автоматической классификации.
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={() => setEditingId('new')}
+          disabled={editingId === 'new'}
+          className="px-4 py-2 rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50 flex items-center gap-2 flex-shrink-0"
+        >
+          <Plus size={16} />
+          Добавить раздел
+        </button>
+      </div>
+
+      <div className="space-y-3">
+        {sections.map((section, index) => (
+          editingId !== null && editingId === section.id ? (
+            <SectionForm
+              key={section.id}
+              section={section}
+              onSubmit={handleSubmit}
+              onCancel={() => setEditingId(null)}
+              isSaving={isSaving}
+            />
+          ) : (
+            <div key={section.id ?? section.names.ru} className="border border-gray-200 rounded-xl p-4 flex items-start gap-4">
+              <div className="bg-indigo-100 text-indigo-600 rounded-lg w-10 h-10 flex items-center justify-center font-bold flex-shrink-0">
+                {index + 1}
+              </div>
+              <div className="flex-1 min-w-0">
+                <p className="font-semibold text-gray-800">{section.names.ru}</p>
+                <p className="text-sm text-gray-500">
+                  {[section.names.kk, section.names.en].filter(Boolean).join(' / ') || 'Нет переводов названия'}
+                </p>
+                <p className="text-xs text-gray-500 mt-1">
+                  УДК: {toText(section.udcRanges) || '—'} · ГРНТИ: {toText(section.grntiRanges) || '—'} · Ключевых слов: {section.keywords.length}
+                </p>
+              </div>
+              <div className="flex gap-1 flex-shrink-0">
+                <button
+                  type="button"
+                  onClick={() => handleMove(index, -1)}
+                  disabled={index === 0 || isSaving}
+                  className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg transition disabled:opacity-30"
+                  title="Выше"
+                >
+                  <ArrowUp size={18} />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleMove(index, 1)}
+                  disabled={index === sections.length - 1 || isSaving}
+                  className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg transition disabled:opacity-30"
+                  title="Ниже"
+                >
+                  <ArrowDown size={18} />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setEditingId(section.id)}
+                  className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg transition"
+                  title="Редактировать"
+                >
+                  <Edit2 size={18} />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onDelete(section)}
+                  disabled={sections.length <= 1}
+                  className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition disabled:opacity-30"
+                  title="Удалить"
+                >
+                  <Trash2 size={18} />
+                </button>
+              </div>
+            </div>
+          )
+        ))}
+
+        {editingId === 'new' && (
+          <SectionForm
+            section={EMPTY_SECTION}
+            onSubmit={handleSubmit}
+            onCancel={() => setEditingId(null)}
+            isSaving={isSaving}
+          />
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SectionsEditor;
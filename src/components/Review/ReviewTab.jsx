@@ -10,7 +10,8 @@ const ReviewTab = ({ articles, reviewResult, onReviewArticle }) => {
     if (!reviewResult || reviewResult.apiError) return;
 
     try {
-      const pdfBlob = await generateReviewPDF(reviewResult);
+      const article = articles.find(a => a.file?.name === reviewResult.fileName);
+      const pdfBlob = await generateReviewPDF(reviewResult, article);
       const fileName = `review_${reviewResult.fileName.replace(/\.[^/.]+$/, '')}_${new Date().toISOString().split('T')[0]}.pdf`;
       downloadPDF(pdfBlob, fileName);
       showSuccess('Рецензия экспортирована в PDF');
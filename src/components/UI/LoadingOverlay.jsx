@@ -18,25 +18,55 @@ const StepIcon = ({ type }) => {
         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
       </svg>
     ),
+    toc: (
+      <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6h16M4 10h16M4 14h16M4 18h16" />
+      </svg>
+    ),
+    merge: (
+      <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 11H5m14 0a2 2 0 012 2v6a2 2 0 01-2 2H5a2 2 0 01-2-2v-6a2 2 0 012-2m14 0V9a2 2 0 00-2-2M5 11V9a2 2 0 012-2m0 0V5a2 2 0 012-2h6a2 2 0 012 2v2M7 7h10" />
+      </svg>
+    ),
+    numbering: (
+      <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 20l4-16m2 16l4-16M6 9h14M4 15h14" />
+      </svg>
+    ),
   };
   return icons[type] || icons.reading;
 };
 
-// Detect step type from message (3 steps per file)
+const STEPS_PER_FILE = 3;
+
+// Journal generation stages (progress messages of the server job)
+const GENERATION_STEPS = [
+  { match: 'Конвертация', type: 'reading', label: 'Конвертация в PDF', color: 'text-blue-600 bg-blue-100' },
+  { match: 'содержания', type: 'toc', label: 'Содержание', color: 'text-purple-600 bg-purple-100' },
+  { match: 'Объединение', type: 'merge', label: 'Объединение PDF', color: 'text-amber-600 bg-amber-100' },
+  { match: 'Нумерация', type: 'numbering', label: 'Нумерация страниц', color: 'text-green-600 bg-green-100' },
+];
+
+// Detect step type from message (3 steps per file when uploading, 4 stages when generating)
 const getStepInfo = (message) => {
   if (message.includes('Чтение')) {
-    return { type: 'reading', label: 'Чтение файла', color: 'text-blue-600 bg-blue-100', stepNum: 1 };
+    return { type: 'reading', label: 'Чтение файла', color: 'text-blue-600 bg-blue-100', stepNum: 1, steps: STEPS_PER_FILE };
   }
   if (message.includes('AI анализ')) {
-    return { type: 'ai', label: 'AI анализ метаданных', color: 'text-purple-600 bg-purple-100', stepNum: 2 };
+    return { type: 'ai', label: 'AI анализ метаданных', color: 'text-purple-600 bg-purple-100', stepNum: 2, steps: STEPS_PER_FILE };
   }
   if (message.includes('Орфография')) {
-    return { type: 'spell', label: 'Проверка орфографии', color: 'text-green-600 bg-green-100', stepNum: 3 };
+    return { type: 'spell', label: 'Проверка орфографии', color: 'text-green-600 bg-green-100', stepNum: 3, steps: STEPS_PER_FILE };
   }
-  return { type: 'reading', label: 'Обработка', color: 'text-gray-600 bg-gray-100', stepNum: 1 };
-};
 
-const STEPS_PER_FILE = 3;
+  const generationStep = GENERATION_STEPS.findIndex(step => message.includes(step.match));
+  if (generationStep >= 0) {
+    const { type, label, color } = GENERATION_STEPS[generationStep];
+    return { type, label, color, stepNum: generationStep + 1, steps: GENERATION_STEPS.length, isGeneration: true };
+  }
+
+  return { type: 'reading', label: 'Обработка', color: 'text-gray-600 bg-gray-100', stepNum: 1, steps: STEPS_PER_FILE };
+};
 
 // Extract filename from message
 const getFileName = (message) => {
@@ -127,8 +157,10 @@ const LoadingOverlay = ({ message = 'Обработка...', current, total }) =
               />
             </div>
             <p className="text-sm text-gray-500">
-              {fileCounts
-                ? `Шаг ${stepInfo.stepNum} из ${STEPS_PER_FILE}`
+              {stepInfo.isGeneration
+                ? `Этап ${stepInfo.stepNum} из ${stepInfo.steps} · ${progressPercent}%`
+                : fileCounts
+                ? `Шаг ${stepInfo.stepNum} из ${stepInfo.steps}`
                 : `${progressPercent}%`
               }
             </p>
@@ -1,5 +1,5 @@
 import React from 'react';
-import { Edit2, CheckCircle, Eye, FileText, BookOpen } from 'lucide-react';
+import { Edit2, CheckCircle, Eye, FileText, BookOpen, Settings } from 'lucide-react';
 
 const Tabs = ({ activeTab, setActiveTab }) => {
   const tabs = [
@@ -7,6 +7,7 @@ const Tabs = ({ activeTab, setActiveTab }) => {
     { id: 'spellcheck', label: 'Орфография', icon: CheckCircle },
     { id: 'review', label: 'Рецензия', icon: Eye },
     { id: 'archive', label: 'Архив', icon: FileText },
+    { id: 'profile', label: 'Профиль журнала', icon: Settings },
     { id: 'info', label: 'О журнале', icon: BookOpen },
   ];
 
@@ -31,7 +31,7 @@ const Toast = ({ id, message, type = 'info', onClose }) => {
       role="alert"
     >
       <Icon className={ICON_STYLES[type]} size={20} />
-      <span className="flex-1 text-sm font-medium">{message}</span>
+      <span className="flex-1 text-sm font-medium whitespace-pre-line">{message}</span>
       <button
         onClick={() => onClose(id)}
         className="p-1 hover:bg-black/5 rounded-lg transition"
@@ -1,5 +1,8 @@
 import React, { createContext, useContext, useReducer, useCallback, useEffect } from 'react';
 import { loadArchiveMetadata } from '../utils/archiveStorage';
+import { getJournalProfile, getSections } from '../services/dataApi';
+import { normalizeJournalProfile } from '../../shared/journalProfile.js';
+import { DEFAULT_SECTIONS, normalizeSection, getSectionNames, getSectionTitles } from '../../shared/sections.js';
 
 // Initial state
 const initialState = {
@@ -10,6 +13,7 @@ const initialState = {
   // Special pages
   coverPage: null,
   descriptionPage: null,
+  forewordPage: null,
   finalPage: null,
 
   // AI Results
@@ -26,6 +30,12 @@ const initialState = {
   // Archive
   archive: [],
 
+  // Journal profile (branding and layout)
+  journalProfile: normalizeJournalProfile(),
+
+  // Journal sections (names per language, classification metadata)
+  sections: DEFAULT_SECTIONS.map(normalizeSection),
+
   // Notifications
   notifications: [],
 
@@ -43,6 +53,7 @@ const ACTIONS = {
 
   SET_COVER_PAGE: 'SET_COVER_PAGE',
   SET_DESCRIPTION_PAGE: 'SET_DESCRIPTION_PAGE',
+  SET_FOREWORD_PAGE: 'SET_FOREWORD_PAGE',
   SET_FINAL_PAGE: 'SET_FINAL_PAGE',
 
   ADD_SPELL_CHECK_RESULTS: 'ADD_SPELL_CHECK_RESULTS',
@@ -56,6 +67,9 @@ const ACTIONS = {
   ADD_TO_ARCHIVE: 'ADD_TO_ARCHIVE',
   REMOVE_FROM_ARCHIVE: 'REMOVE_FROM_ARCHIVE',
 
+  SET_JOURNAL_PROFILE: 'SET_JOURNAL_PROFILE',
+  SET_SECTIONS: 'SET_SECTIONS',
+
   ADD_NOTIFICATION: 'ADD_NOTIFICATION',
   REMOVE_NOTIFICATION: 'REMOVE_NOTIFICATION',
 
@@ -96,6 +110,9 @@ function appReducer(state, action) {
     case ACTIONS.SET_DESCRIPTION_PAGE:
       return { ...state, descriptionPage: action.payload };
 
+    case ACTIONS.SET_FOREWORD_PAGE:
+      return { ...state, forewordPage: action.payload };
+
     case ACTIONS.SET_FINAL_PAGE:
       return { ...state, finalPage: action.payload };
 
@@ -166,6 +183,29 @@ function appReducer(state, action) {
         archive: state.archive.filter(issue => issue.id !== action.payload),
       };
 
+    case ACTIONS.SET_JOURNAL_PROFILE:
+      // Section order always comes from the sections list
+      return {
+        ...state,
+        journalProfile: {
+          ...action.payload,
+          sections: getSectionNames(state.sections),
+          sectionTitles: getSectionTitles(state.sections)
+        },
+      };
+
+    case ACTIONS.SET_SECTIONS:
+      // Keep the profile's section order in sync (used by the generators)
+      return {
+        ...state,
+        sections: action.payload,
+        journalProfile: {
+          ...state.journalProfile,
+          sections: getSectionNames(action.payload),
+          sectionTitles: getSectionTitles(action.payload)
+        },
+      };
+
     case ACTIONS.ADD_NOTIFICATION:
       return {
         ...state,
@@ -200,6 +240,22 @@ export function AppProvider({ children }) {
     dispatch({ type: ACTIONS.SET_ARCHIVE, payload: savedArchive });
   }, []);
 
+  // Load journal profile on mount
+  useEffect(() => {
+    getJournalProfile()
+      .then(profile => dispatch({ type: ACTIONS.SET_JOURNAL_PROFILE, payload: profile }))
+      .catch(error => console.warn('Failed to load journal profile:', error.message));
+  }, []);
+
+  // Load journal sections on mount
+  useEffect(() => {
+    getSections()
+      .then(sections => {
+        if (sections.length > 0) dispatch({ type: ACTIONS.SET_SECTIONS, payload: sections });
+      })
+      .catch(error => console.warn('Failed to load sections:', error.message));
+  }, []);
+
   // Action creators
   const actions = {
     setArticles: useCallback((articles) => {
@@ -230,6 +286,10 @@ export function AppProvider({ children }) {
       dispatch({ type: ACTIONS.SET_DESCRIPTION_PAGE, payload: page });
     }, []),
 
+    setForewordPage: useCallback((page) => {
+      dispatch({ type: ACTIONS.SET_FOREWORD_PAGE, payload: page });
+    }, []),
+
     setFinalPage: useCallback((page) => {
       dispatch({ type: ACTIONS.SET_FINAL_PAGE, payload: page });
     }, []),
@@ -269,6 +329,14 @@ export function AppProvider({ children }) {
       dispatch({ type: ACTIONS.REMOVE_FROM_ARCHIVE, payload: id });
     }, []),
 
+    setJournalProfile: useCallback((profile) => {
+      dispatch({ type: ACTIONS.SET_JOURNAL_PROFILE, payload: profile });
+    }, []),
+
+    setSections: useCallback((sections) => {
+      dispatch({ type: ACTIONS.SET_SECTIONS, payload: sections });
+    }, []),
+
     // Notification helpers
     showNotification: useCallback((message, type = 'info', duration = 5000) => {
       const id = Date.now() + Math.random();
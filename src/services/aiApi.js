@@ -152,12 +152,14 @@ export const analyzeArticlesBatch = async (articles) => {
 };
 
 /**
- * Extracts metadata (title and author) from article content
+ * Extracts metadata from article content: title, author and structured metadata
+ * (co-authors, affiliations, titles, abstracts and keywords by language; null if not extracted)
  */
 export const extractMetadataWithAI = async (fileName, content) => {
   const fallback = {
     title: fileName.replace('.docx', '').replace(/_/g, ' '),
-    author: 'Автор не указан'
+    author: 'Автор не указан',
+    metadata: null
   };
 
   try {
@@ -175,12 +177,13 @@ export const extractMetadataWithAI = async (fileName, content) => {
     const result = await response.json();
     return {
       title: result.title || fallback.title,
-      author: result.author || fallback.author
+      author: result.author || fallback.author,
+      metadata: result.metadata || null
     };
   } catch (error) {
     console.error('Metadata extraction error:', error);
     if (error.message === 'API_KEY_MISSING' || error.message === 'API_KEY_INVALID') {
-      return { title: fallback.title, author: '⚠️ API не настроен' };
+      return { title: fallback.title, author: '⚠️ API не настроен', metadata: null };
     }
     return fallback;
   }
@@ -4,20 +4,14 @@
  * Falls back to localStorage/IndexedDB when database is unavailable
  */
 
-import { getApiUrl } from '../utils/apiService';
+import { getApiUrl, getSessionId } from '../utils/apiService';
+import { normalizeJournalProfile } from '../../shared/journalProfile.js';
+import { DEFAULT_SECTIONS, normalizeSection, sortSections } from '../../shared/sections.js';
+import { getArticleMetadata } from '../../shared/articleMetadata.js';
+import { getLocale } from '../utils/languageDetection';
 
 const API_BASE = getApiUrl();
 
-// Get or create session ID
-function getSessionId() {
-  let sessionId = localStorage.getItem('ai_redactor_session_id');
-  if (!sessionId) {
-    sessionId = crypto.randomUUID();
-    localStorage.setItem('ai_redactor_session_id', sessionId);
-  }
-  return sessionId;
-}
-
 // Common headers for API requests
 function getHeaders() {
   return {
@@ -319,6 +313,7 @@ export async function createArchiveIssue(issueData, pdfBlob) {
   formData.append('title', issueData.title || '');
   formData.append('articleCount', issueData.articleCount || 0);
   formData.append('metadata', JSON.stringify(issueData.metadata || {}));
+  formData.append('pageMap', JSON.stringify(issueData.pageMap || []));
 
   if (pdfBlob) {
     formData.append('pdf', pdfBlob, issueData.pdfFilename || 'journal.pdf');
@@ -339,6 +334,171 @@ export async function createArchiveIssue(issueData, pdfBlob) {
   return response.json();
 }
 
+/**
+ * Metadata of the articles in an issue, stored with the server copy
+ * (the server has only the PDF, so the issue website and metadata exports take it from here)
+ * @param {Array<Object>} pageMap - Page map of the issue
+ * @param {Array<Object>} articles - Articles the issue was generated from
+ * @param {Object} [transliteration] - Transliteration settings of the journal (empty Latin fields are filled)
+ * @returns {Array<Object>} - {n, language, titles, abstracts, keywords, authors, affiliations, udc, grnti, references,
+ *   latinTitle} (see shared/articleMetadata.js)
+ */
+function getArticlesFrontMatter(pageMap, articles, transliteration) {
+  return (pageMap || []).map(entry => {
+    const article = articles.find(a => a.file?.name === entry.fileName) || { title: entry.title, author: entry.author };
+    const language = getLocale(article.language);
+    return {
+      n: entry.n,
+      language,
+      ...getArticleMetadata(article, language, transliteration)
+    };
+  });
+}
+
+/**
+ * Copy a generated issue to the server archive (offprints are split there)
+ * The issue stays in the local archive as well
+ * @param {Object} issue - Local archive issue (see createIssue) with pageMap
+ * @param {Blob} pdfBlob - PDF file
+ * @param {Object} [journalProfile] - Journal profile the issue was generated with
+ * @param {Array<Object>} [articles] - Articles of the issue (abstracts and keywords)
+ * @returns {Promise<Object|null>} - Server archive issue, or null without a database
+ */
+export async function uploadArchiveIssue(issue, pdfBlob, journalProfile = null, articles = []) {
+  if (!await checkApiAvailability()) {
+    return null;
+  }
+
+  return createArchiveIssue({
+    year: issue.year,
+    month: issue.month,
+    title: issue.name,
+    articleCount: issue.articlesCount,
+    pdfFilename: `${issue.name.replace(/\s+/g, '_')}.pdf`,
+    metadata: {
+      profileId: journalProfile?.id ?? null,
+      articles: getArticlesFrontMatter(issue.pageMap, articles, journalProfile?.transliteration || {})
+    },
+    pageMap: issue.pageMap
+  }, pdfBlob);
+}
+
+/**
+ * Get offprint download URL of an article in a server archive issue
+ * @param {number} id - Server archive issue ID
+ * @param {number} n - Article number in the issue (1-based)
+ * @returns {string}
+ */
+export function getOffprintUrl(id, n) {
+  return `${API_BASE}/api/data/archive/${id}/articles/${n}/pdf`;
+}
+
+/**
+ * Get download URL of all offprints of a server archive issue (ZIP)
+ * @param {number} id - Server archive issue ID
+ * @returns {string}
+ */
+export function getOffprintsZipUrl(id) {
+  return `${API_BASE}/api/data/archive/${id}/offprints`;
+}
+
+/**
+ * Get download URL of the static website of a server archive issue (ZIP)
+ * @param {number} id - Server archive issue ID
+ * @returns {string}
+ */
+export function getArchiveSiteUrl(id) {
+  return `${API_BASE}/api/data/archive/${id}/site`;
+}
+
+/**
+ * Get citations of every article in a server archive issue
+ * @param {number} id - Server archive issue ID
+ * @param {string} format - 'gost', 'apa', 'bibtex' or 'ris'
+ * @returns {Promise<Array<{n: number, title: string, citation: string}>>}
+ */
+export async function getArchiveCitations(id, format) {
+  const response = await fetch(`${API_BASE}/api/data/archive/${id}/citations?format=${encodeURIComponent(format)}`, {
+    method: 'GET',
+    headers: getHeaders(),
+  });
+
+  if (!response.ok) {
+    throw new Error('Failed to get citations');
+  }
+
+  const data = await response.json();
+  return data.citations;
+}
+
+/**
+ * Get download URL of all citations of a server archive issue (BibTeX/RIS/text file)
+ * @param {number} id - Server archive issue ID
+ * @param {string} format - 'gost', 'apa', 'bibtex' or 'ris'
+ * @returns {string}
+ */
+export function getArchiveCitationsUrl(id, format) {
+  return `${API_BASE}/api/data/archive/${id}/citations?format=${encodeURIComponent(format)}&download=1`;
+}
+
+/**
+ * Download Crossref deposit XML of a server archive issue
+ * @param {number} id - Server archive issue ID
+ * @returns {Promise<Blob>}
+ * @throws {Error} - With the missing profile settings when the deposit cannot be built
+ */
+export async function getCrossrefDeposit(id) {
+  const response = await fetch(`${API_BASE}/api/data/archive/${id}/crossref`, {
+    method: 'GET',
+    headers: getHeaders(),
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.problems?.join('\n') || error.error || 'Failed to get Crossref deposit');
+  }
+
+  return response.blob();
+}
+
+/**
+ * Get the fields eLibrary (RINC) requires that are missing in a server archive issue
+ * @param {number} id - Server archive issue ID
+ * @returns {Promise<Array<{n: number|null, title: string, missing: string[]}>>} - Issue (n = null)
+ *   and articles with missing fields
+ */
+export async function getElibraryProblems(id) {
+  const response = await fetch(`${API_BASE}/api/data/archive/${id}/elibrary`, {
+    method: 'GET',
+    headers: getHeaders(),
+  });
+
+  if (!response.ok) {
+    throw new Error('Failed to check eLibrary export');
+  }
+
+  const data = await response.json();
+  return data.problems;
+}
+
+/**
+ * Download eLibrary (RINC) Articulus XML of a server archive issue
+ * @param {number} id - Server archive issue ID
+ * @returns {Promise<Blob>}
+ */
+export async function getElibraryXml(id) {
+  const response = await fetch(`${API_BASE}/api/data/archive/${id}/elibrary?download=1`, {
+    method: 'GET',
+    headers: getHeaders(),
+  });
+
+  if (!response.ok) {
+    throw new Error('Failed to get eLibrary XML');
+  }
+
+  return response.blob();
+}
+
 /**
  * Get archive issue PDF
  * @param {number} id - Issue ID
@@ -383,6 +543,204 @@ export async function deleteArchiveIssue(id) {
   }
 }
 
+// ============ JOURNAL PROFILE API ============
+
+const JOURNAL_PROFILE_KEY = 'ai_redactor_journal_profile';
+
+/**
+ * Get default journal profile
+ * Falls back to the profile saved in localStorage (or built-in defaults)
+ */
+export async function getJournalProfile() {
+  if (!await checkApiAvailability()) {
+    const data = localStorage.getItem(JOURNAL_PROFILE_KEY);
+    return normalizeJournalProfile(data ? JSON.parse(data) : null);
+  }
+
+  const response = await fetch(`${API_BASE}/api/data/journal-profiles/default`, {
+    method: 'GET',
+    headers: getHeaders(),
+  });
+
+  if (!response.ok) {
+    throw new Error('Failed to get journal profile');
+  }
+
+  return normalizeJournalProfile(await response.json());
+}
+
+/**
+ * Save journal profile (create if it has no ID yet)
+ * @param {Object} profile - Journal profile
+ */
+export async function saveJournalProfile(profile) {
+  if (!await checkApiAvailability()) {
+    const normalized = normalizeJournalProfile(profile);
+    localStorage.setItem(JOURNAL_PROFILE_KEY, JSON.stringify(normalized));
+    return normalized;
+  }
+
+  const { id, isDefault, createdAt, updatedAt, ...fields } = profile;
+  const url = id
+    ? `${API_BASE}/api/data/journal-profiles/${id}`
+    : `${API_BASE}/api/data/journal-profiles`;
+
+  const response = await fetch(url, {
+    method: id ? 'PATCH' : 'POST',
+    headers: {
+      ...getHeaders(),
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(fields),
+  });
+
+  if (!response.ok) {
+    throw new Error('Failed to save journal profile');
+  }
+
+  return normalizeJournalProfile(await response.json());
+}
+
+// ============ SECTIONS API ============
+
+const SECTIONS_KEY = 'ai_redactor_sections';
+
+/**
+ * Read sections saved in localStorage (memory-only mode)
+ */
+function loadLocalSections() {
+  const data = localStorage.getItem(SECTIONS_KEY);
+  const sections = data ? JSON.parse(data) : DEFAULT_SECTIONS;
+  return sortSections(sections.map(normalizeSection))
+    .map((section, index) => ({ ...section, id: section.id ?? `local-${index + 1}` }));
+}
+
+/**
+ * Save sections to localStorage, renumbering sort order and local IDs
+ * @param {Array<Object>} sections - Sections in display order
+ */
+function saveLocalSections(sections) {
+  const normalized = sections.map((section, index) => ({
+    ...normalizeSection(section),
+    id: section.id ?? `local-${Date.now()}`,
+    sortOrder: index + 1,
+  }));
+  localStorage.setItem(SECTIONS_KEY, JSON.stringify(normalized));
+  return normalized;
+}
+
+/**
+ * Get sections of the default journal profile
+ * Falls back to sections saved in localStorage (or built-in sections)
+ */
+export async function getSections() {
+  if (!await checkApiAvailability()) {
+    return loadLocalSections();
+  }
+
+  const response = await fetch(`${API_BASE}/api/data/sections`, {
+    method: 'GET',
+    headers: getHeaders(),
+  });
+
+  if (!response.ok) {
+    throw new Error('Failed to get sections');
+  }
+
+  const sections = await response.json();
+  return sections.map(normalizeSection);
+}
+
+/**
+ * Save section (create if it has no ID yet)
+ * @param {Object} section - Section with names, description, ranges and keywords
+ */
+export async function saveSection(section) {
+  if (!await checkApiAvailability()) {
+    const sections = loadLocalSections();
+    const index = sections.findIndex(s => s.id === section.id);
+    if (index >= 0) {
+      sections[index] = { ...section, id: sections[index].id };
+    } else {
+      sections.push({ ...section, id: null });
+    }
+    const saved = saveLocalSections(sections);
+    return saved[index >= 0 ? index : saved.length - 1];
+  }
+
+  // Order is changed only through reorderSections; new sections are appended
+  const { id, profileId, sortOrder, ...fields } = section;
+  const url = id
+    ? `${API_BASE}/api/data/sections/${id}`
+    : `${API_BASE}/api/data/sections`;
+
+  const response = await fetch(url, {
+    method: id ? 'PATCH' : 'POST',
+    headers: {
+      ...getHeaders(),
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(fields),
+  });
+
+  if (!response.ok) {
+    throw new Error('Failed to save section');
+  }
+
+  return normalizeSection(await response.json());
+}
+
+/**
+ * Delete section
+ * @param {number|string} id - Section ID
+ */
+export async function deleteSection(id) {
+  if (!await checkApiAvailability()) {
+    saveLocalSections(loadLocalSections().filter(s => s.id !== id));
+    return;
+  }
+
+  const response = await fetch(`${API_BASE}/api/data/sections/${id}`, {
+    method: 'DELETE',
+    headers: getHeaders(),
+  });
+
+  if (!response.ok) {
+    throw new Error('Failed to delete section');
+  }
+}
+
+/**
+ * Reorder sections
+ * @param {Array<number|string>} ids - Section IDs in the new order
+ * @returns {Promise<Array<Object>>} Sections in the new order
+ */
+export async function reorderSections(ids) {
+  if (!await checkApiAvailability()) {
+    const sections = loadLocalSections();
+    const ordered = ids
+      .map(id => sections.find(s => s.id === id))
+      .filter(Boolean);
+    return saveLocalSections(ordered);
+  }
+
+  const response = await fetch(`${API_BASE}/api/data/sections/order`, {
+    method: 'PUT',
+    headers: {
+      ...getHeaders(),
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ ids }),
+  });
+
+  if (!response.ok) {
+    throw new Error('Failed to reorder sections');
+  }
+
+  const sections = await response.json();
+  return sections.map(normalizeSection);
+}
+
 /**
  * Check if database is available
  */
@@ -410,8 +768,23 @@ export default {
   deleteSpecialPage,
   getArchiveIssues,
   createArchiveIssue,
+  uploadArchiveIssue,
+  getOffprintUrl,
+  getOffprintsZipUrl,
+  getArchiveSiteUrl,
+  getArchiveCitations,
+  getArchiveCitationsUrl,
+  getCrossrefDeposit,
+  getElibraryProblems,
+  getElibraryXml,
   getArchiveIssuePdf,
   deleteArchiveIssue,
+  getJournalProfile,
+  saveJournalProfile,
+  getSections,
+  saveSection,
+  deleteSection,
+  reorderSections,
   isDatabaseAvailable,
   resetApiCheck,
 };
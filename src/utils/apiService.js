@@ -8,6 +8,25 @@
 const API_URL = import.meta.env.VITE_API_URL ||
   (import.meta.env.PROD ? '' : 'http://localhost:3001');
 
+/**
+ * Get base URL of the backend API
+ * @returns {string}
+ */
+export const getApiUrl = () => API_URL;
+
+/**
+ * Get or create the browser session ID (jobs and stored data belong to it)
+ * @returns {string}
+ */
+export const getSessionId = () => {
+  let sessionId = localStorage.getItem('ai_redactor_session_id');
+  if (!sessionId) {
+    sessionId = crypto.randomUUID();
+    localStorage.setItem('ai_redactor_session_id', sessionId);
+  }
+  return sessionId;
+};
+
 /**
  * Check if server is available
  * @returns {Promise<{available: boolean, libreOffice: boolean}>}
@@ -55,20 +74,13 @@ export const convertDocxToPdf = async (file) => {
 };
 
 /**
- * Generate journal PDF from multiple files
- * @param {Object} params - Journal parameters
- * @param {Object} params.coverPage - Cover page data with file
- * @param {Object} params.descriptionPage - Description page data with file
- * @param {Array} params.articles - Array of article objects with file, title, author, section
- * @param {Object} params.finalPage - Final page data with file
- * @param {Function} onProgress - Progress callback
- * @returns {Promise<Blob>} - Generated PDF blob
+ * Build multipart form for journal generation
+ * @param {Object} params - Journal parameters (see generateJournalPdf)
+ * @returns {FormData}
  */
-export const generateJournalPdf = async ({ coverPage, descriptionPage, articles, finalPage }, onProgress = () => {}) => {
+const buildJournalFormData = ({ coverPage, descriptionPage, forewordPage, articles, finalPage, journalProfile, issue }) => {
   const formData = new FormData();
 
-  onProgress({ step: 1, total: 4, message: 'Подготовка файлов...' });
-
   if (coverPage?.file) {
     formData.append('coverPage', coverPage.file);
   }
@@ -77,6 +89,10 @@ export const generateJournalPdf = async ({ coverPage, descriptionPage, articles,
     formData.append('descriptionPage', descriptionPage.file);
   }
 
+  if (forewordPage?.file) {
+    formData.append('forewordPage', forewordPage.file);
+  }
+
   // Prepare articles metadata for Table of Contents
   const articlesMetadata = [];
 
@@ -90,7 +106,9 @@ export const generateJournalPdf = async ({ coverPage, descriptionPage, articles,
           fileName: article.file.name,
           title: article.title || article.file.name.replace(/\.[^/.]+$/, ''),
           author: article.author || 'Автор не указан',
-          section: article.section || 'ТЕХНИЧЕСКИЕ НАУКИ'
+          section: article.section || journalProfile?.sections?.[0] || 'ТЕХНИЧЕСКИЕ НАУКИ',
+          // Keywords by language for the PDF document info
+          keywords: article.metadata?.keywords || {}
         });
       }
     }
@@ -103,25 +121,231 @@ export const generateJournalPdf = async ({ coverPage, descriptionPage, articles,
     formData.append('finalPage', finalPage.file);
   }
 
-  onProgress({ step: 2, total: 4, message: 'Отправка файлов на сервер...' });
+  // Stored profiles are loaded by ID on the server; unsaved ones are sent as a whole
+  if (journalProfile?.id) {
+    formData.append('profileId', String(journalProfile.id));
+  } else if (journalProfile) {
+    formData.append('journalProfile', JSON.stringify(journalProfile));
+  }
+
+  if (issue) {
+    formData.append('issue', JSON.stringify({ name: issue.name, year: issue.year, month: issue.month }));
+  }
+
+  return formData;
+};
+
+// Generation job that is still running (survives page reloads)
+const ACTIVE_JOB_KEY = 'ai_redactor_generation_job';
+
+// Issue of the running job, so a job finished after a reload is archived like any other
+const ACTIVE_JOB_ISSUE_KEY = 'ai_redactor_generation_issue';
 
-  const response = await fetch(`${API_URL}/api/generate-journal`, {
+// Polling interval when progress streaming (SSE) is unavailable
+const JOB_POLL_INTERVAL = 2000;
+
+// Consecutive polling errors tolerated (e.g. while the server restarts)
+const JOB_POLL_MAX_ERRORS = 30;
+
+/**
+ * Get ID of the generation job started before the page was reloaded
+ * @returns {string|null}
+ */
+export const getActiveJournalJobId = () => localStorage.getItem(ACTIVE_JOB_KEY);
+
+/**
+ * Get the issue of the generation job started before the page was reloaded
+ * @returns {Object|null} - Issue (see createIssue)
+ */
+export const getActiveJournalJobIssue = () => {
+  try {
+    return JSON.parse(localStorage.getItem(ACTIVE_JOB_ISSUE_KEY));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Forget the active generation job
+ */
+export const clearActiveJournalJob = () => {
+  localStorage.removeItem(ACTIVE_JOB_KEY);
+  localStorage.removeItem(ACTIVE_JOB_ISSUE_KEY);
+};
+
+/**
+ * Start journal generation as a background job on the server
+ * @param {Object} params - Journal parameters (see generateJournalPdf)
+ * @returns {Promise<Object>} - Job {id, status, progress}
+ */
+export const startJournalJob = async (params) => {
+  const response = await fetch(`${API_URL}/api/generate-journal/jobs`, {
     method: 'POST',
-    body: formData
+    headers: { 'X-Session-Id': getSessionId() },
+    body: buildJournalFormData(params)
   });
 
-  onProgress({ step: 3, total: 4, message: 'Конвертация в PDF...' });
-
   if (!response.ok) {
     const error = await response.json().catch(() => ({ error: 'Server error' }));
-    throw new Error(error.error || 'Journal generation failed');
+    throw new Error(error.error || 'Failed to start journal generation');
+  }
+
+  const job = await response.json();
+  localStorage.setItem(ACTIVE_JOB_KEY, job.id);
+  if (params.issue) {
+    localStorage.setItem(ACTIVE_JOB_ISSUE_KEY, JSON.stringify(params.issue));
+  }
+  return job;
+};
+
+/**
+ * Get generation job status
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} - Job {id, status, progress, error}
+ */
+export const getJournalJob = async (jobId) => {
+  const response = await fetch(`${API_URL}/api/jobs/${jobId}`, {
+    headers: { 'X-Session-Id': getSessionId() }
+  });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({ error: 'Server error' }));
+    const error = new Error(response.status === 404 ? 'Задание генерации не найдено' : (data.error || 'Failed to get job'));
+    error.status = response.status;
+    throw error;
   }
 
-  onProgress({ step: 4, total: 4, message: 'PDF успешно создан!' });
+  return response.json();
+};
+
+/**
+ * Wait for a generation job to finish, reporting its progress
+ * Uses Server-Sent Events and falls back to polling if the stream is unavailable
+ * @param {string} jobId - Job ID
+ * @param {Function} onProgress - Called with job progress {stage, current, total, message}
+ * @returns {Promise<Object>} - Completed job (rejects if the job failed; error.jobFailed is set)
+ */
+export const watchJournalJob = (jobId, onProgress = () => {}) => new Promise((resolve, reject) => {
+  let source = null;
+  let pollTimer = null;
+  let settled = false;
+  let pollErrors = 0;
+
+  const finish = (callback, value) => {
+    settled = true;
+    source?.close();
+    clearTimeout(pollTimer);
+    callback(value);
+  };
+
+  const handleUpdate = (job) => {
+    if (job.progress) onProgress(job.progress);
+
+    if (job.status === 'completed') {
+      finish(resolve, job);
+    } else if (job.status === 'failed') {
+      const error = new Error(job.error || 'Journal generation failed');
+      error.jobFailed = true;
+      finish(reject, error);
+    }
+  };
+
+  const poll = async () => {
+    try {
+      handleUpdate(await getJournalJob(jobId));
+      pollErrors = 0;
+    } catch (error) {
+      if (error.status === 404 || ++pollErrors >= JOB_POLL_MAX_ERRORS) {
+        finish(reject, error);
+        return;
+      }
+    }
+    if (!settled) {
+      pollTimer = setTimeout(poll, JOB_POLL_INTERVAL);
+    }
+  };
+
+  if (typeof EventSource === 'undefined') {
+    poll();
+    return;
+  }
+
+  // EventSource cannot send headers: the session goes in the query
+  source = new EventSource(`${API_URL}/api/jobs/${jobId}/events?sessionId=${encodeURIComponent(getSessionId())}`);
+  source.onmessage = (event) => handleUpdate(JSON.parse(event.data));
+  source.onerror = () => {
+    // Stream closed by a proxy or lost connection: continue with polling
+    source.close();
+    if (!settled) poll();
+  };
+});
+
+/**
+ * Download result of a completed generation job
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Blob>} - Generated PDF blob
+ */
+export const downloadJournalJob = async (jobId) => {
+  const response = await fetch(`${API_URL}/api/jobs/${jobId}/download`, {
+    headers: { 'X-Session-Id': getSessionId() }
+  });
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({ error: 'Server error' }));
+    throw new Error(error.error || 'Failed to download journal');
+  }
 
   return response.blob();
 };
 
+/**
+ * Wait for a generation job and download its PDF
+ * The job is forgotten once it has finished (successfully or not); if the
+ * connection is lost it stays active, so it can be resumed after a reload
+ * @param {string} jobId - Job ID
+ * @param {Function} onProgress - Progress callback ({stage, current, total, message})
+ * @returns {Promise<{blob: Blob, pageMap: Array<Object>|null, compliance: Object|null}>} - Generated PDF blob,
+ *   article page ranges ({n, fileName, title, author, section, firstPage, lastPage}) and the PDF/A report
+ *   ({level, compliant, problems: [{source, fileName, issues}]}, null for a regular PDF)
+ */
+export const getJournalJobResult = async (jobId, onProgress = () => {}) => {
+  let job;
+  try {
+    job = await watchJournalJob(jobId, onProgress);
+  } catch (error) {
+    if (error.jobFailed || error.status === 404) {
+      clearActiveJournalJob();
+    }
+    throw error;
+  }
+
+  const pdfBlob = await downloadJournalJob(jobId);
+  clearActiveJournalJob();
+  return { blob: pdfBlob, pageMap: job.pageMap, compliance: job.compliance };
+};
+
+/**
+ * Generate journal PDF from multiple files
+ * Runs as a background job on the server; progress comes from the job
+ * @param {Object} params - Journal parameters
+ * @param {Object} params.coverPage - Cover page data with file
+ * @param {Object} params.descriptionPage - Description page data with file
+ * @param {Object} [params.forewordPage] - Editorial foreword data with file
+ * @param {Array} params.articles - Array of article objects with file, title, author, section
+ * @param {Object} params.finalPage - Final page data with file
+ * @param {Object} [params.journalProfile] - Journal profile (branding and layout)
+ * @param {Object} [params.issue] - Issue {name, year, month} for the document metadata
+ * @param {Function} onProgress - Progress callback ({stage, current, total, message})
+ * @returns {Promise<{blob: Blob, pageMap: Array<Object>|null, compliance: Object|null}>} - Generated PDF blob,
+ *   page map and PDF/A report (see getJournalJobResult)
+ */
+export const generateJournalPdf = async (params, onProgress = () => {}) => {
+  onProgress({ stage: 'upload', current: 0, total: 0, message: 'Отправка файлов на сервер...' });
+
+  const job = await startJournalJob(params);
+  return getJournalJobResult(job.id, onProgress);
+};
+
 /**
  * Convert file to PDF using base64 (alternative method)
  * @param {File} file - File to convert
@@ -163,8 +387,16 @@ export const convertToBase64Pdf = async (file) => {
 };
 
 export default {
+  getApiUrl,
   checkServerHealth,
   convertDocxToPdf,
   generateJournalPdf,
+  startJournalJob,
+  getJournalJob,
+  watchJournalJob,
+  downloadJournalJob,
+  getJournalJobResult,
+  getActiveJournalJobId,
+  clearActiveJournalJob,
   convertToBase64Pdf
 };
@@ -97,6 +97,50 @@ export const deletePdfBlob = async (issueId) => {
   }
 };
 
+/**
+ * IndexedDB key of the JATS files of an issue (stored next to its PDF)
+ * @param {number} issueId - Issue ID
+ * @returns {string}
+ */
+const jatsKey = (issueId) => `${issueId}:jats`;
+
+/**
+ * Saves the JATS files of an issue (ZIP, see jatsExport) to IndexedDB
+ * @param {number} issueId - Issue ID
+ * @param {Blob} zipBlob - ZIP blob
+ * @returns {Promise<void>}
+ */
+export const saveJatsFiles = (issueId, zipBlob) => savePdfBlob(jatsKey(issueId), zipBlob);
+
+/**
+ * Gets the JATS files of an issue from IndexedDB
+ * @param {number} issueId - Issue ID
+ * @returns {Promise<Blob|null>}
+ */
+export const getJatsFiles = (issueId) => getPdfBlob(jatsKey(issueId));
+
+/**
+ * IndexedDB key of the EPUB edition of an issue
+ * @param {number} issueId - Issue ID
+ * @returns {string}
+ */
+const epubKey = (issueId) => `${issueId}:epub`;
+
+/**
+ * Saves the EPUB edition of an issue (see epubExport) to IndexedDB
+ * @param {number} issueId - Issue ID
+ * @param {Blob} epubBlob - EPUB blob
+ * @returns {Promise<void>}
+ */
+export const saveEpubFile = (issueId, epubBlob) => savePdfBlob(epubKey(issueId), epubBlob);
+
+/**
+ * Gets the EPUB edition of an issue from IndexedDB
+ * @param {number} issueId - Issue ID
+ * @returns {Promise<Blob|null>}
+ */
+export const getEpubFile = (issueId) => getPdfBlob(epubKey(issueId));
+
 /**
  * Saves archive metadata to localStorage
  * @param {Array} archive - Array of issue metadata
@@ -159,6 +203,8 @@ export const addToArchive = async (issue, pdfBlob) => {
 export const removeFromArchive = async (issueId) => {
   try {
     await deletePdfBlob(issueId);
+    await deletePdfBlob(jatsKey(issueId));
+    await deletePdfBlob(epubKey(issueId));
 
     const currentArchive = loadArchiveMetadata();
     const updatedArchive = currentArchive.filter(issue => issue.id !== issueId);
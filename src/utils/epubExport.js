@@ -0,0 +1,328 @@
+/**
+ * EPUB 3 edition of an issue
+ * Built when the issue is generated, while the DOCX files are at hand: one XHTML chapter per
+ * article from the mammoth HTML, a cover from the cover special page and a nav document
+ * grouped by section like the printed TOC
+ * Noto Serif is embedded, so Kazakh letters (Ә, Ғ, Қ, Ң, Ө, Ұ, Ү, Һ, І) render on any reader
+ */
+import JSZip from 'jszip';
+import { convertDocxToHtml } from './docxConverter';
+import { getLocale } from './languageDetection';
+import { getCyrillicFontFiles } from './fontLoader';
+import { getSectionTitle } from '../../shared/journalProfile.js';
+
+const XHTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+
+const FONT_FILES = {
+  regular: { name: 'NotoSerif-Regular.ttf', weight: 'normal', style: 'normal' },
+  bold: { name: 'NotoSerif-Bold.ttf', weight: 'bold', style: 'normal' },
+  italic: { name: 'NotoSerif-Italic.ttf', weight: 'normal', style: 'italic' }
+};
+
+const IMAGE_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  gif: 'image/gif',
+  svg: 'image/svg+xml'
+};
+
+/**
+ * Escape text for XML
+ * @param {string} text - Text
+ * @returns {string}
+ */
+const escapeXml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Number for file names in the book ("01")
+ * @param {number} n - Article number in the issue
+ * @returns {string}
+ */
+const padNumber = (n) => String(n).padStart(2, '0');
+
+/**
+ * Save an embedded image for the book and return its file name
+ * Formats outside the EPUB core media types (EMF, WMF, TIFF) are dropped
+ * @param {string} src - Data URI from mammoth
+ * @param {string} prefix - File name prefix
+ * @param {Array<Object>} images - Collected images {name, data, mediaType}
+ * @returns {string|null}
+ */
+const addImage = (src, prefix, images) => {
+  const match = /^data:image\/([\w+.-]+);base64,(.+)$/.exec(src || '');
+  if (!match) return null;
+
+  const extension = match[1] === 'jpeg' ? 'jpg' : match[1].replace(/\+.*$/, '');
+  if (!IMAGE_TYPES[extension]) return null;
+
+  const name = `${prefix}-${images.length + 1}.${extension}`;
+  images.push({ name, data: match[2], mediaType: IMAGE_TYPES[extension] });
+  return name;
+};
+
+/**
+ * Convert mammoth HTML to XHTML body content, moving images to files
+ * @param {string} html - HTML
+ * @param {string} prefix - Image file name prefix
+ * @param {Array<Object>} images - Collected images
+ * @returns {string}
+ */
+const htmlToXhtml = (html, prefix, images) => {
+  const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+
+  doc.body.querySelectorAll('img').forEach(img => {
+    const name = addImage(img.getAttribute('src'), prefix, images);
+    if (name) {
+      img.setAttribute('src', `../images/${name}`);
+      if (!img.hasAttribute('alt')) img.setAttribute('alt', '');
+    } else {
+      img.remove();
+    }
+  });
+
+  const serializer = new XMLSerializer();
+  return [...doc.body.childNodes]
+    .map(node => serializer.serializeToString(node))
+    .join('\n')
+    .replaceAll(` xmlns="${XHTML_NAMESPACE}"`, '');
+};
+
+/**
+ * Wrap body content in an XHTML content document
+ * @param {Object} page
+ * @param {string} page.title - Document title
+ * @param {string} page.lang - Language
+ * @param {string} page.body - Body content
+ * @param {string} [page.root] - Relative path to the book root ('' or '../')
+ * @returns {string}
+ */
+const buildXhtml = ({ title, lang, body, root = '' }) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<!DOCTYPE html>',
+  `<html xmlns="${XHTML_NAMESPACE}" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${lang}" lang="${lang}">`,
+  '<head>',
+  '<meta charset="UTF-8"/>',
+  `<title>${escapeXml(title)}</title>`,
+  `<link rel="stylesheet" type="text/css" href="${root}styles.css"/>`,
+  '</head>',
+  `<body>\n${body}\n</body>`,
+  '</html>'
+].join('\n');
+
+/**
+ * Build the stylesheet (with the embedded fonts when they are available)
+ * @param {Object|null} fonts - Font files by style
+ * @returns {string}
+ */
+const buildStylesheet = (fonts) => {
+  const fontFaces = Object.entries(FONT_FILES)
+    .filter(([style]) => fonts?.[style])
+    .map(([, file]) => `@font-face { font-family: "Noto Serif"; font-weight: ${file.weight}; font-style: ${file.style}; src: url("fonts/${file.name}"); }`);
+
+  return [
+    ...fontFaces,
+    'body { font-family: "Noto Serif", serif; line-height: 1.4; }',
+    'h1 { font-size: 1.4em; text-align: center; }',
+    'p { margin: 0 0 0.5em; text-align: justify; }',
+    'img { max-width: 100%; }',
+    'table { border-collapse: collapse; } td, th { border: 1px solid #999; padding: 0.2em; }',
+    '.article-meta { font-size: 0.85em; color: #555; text-align: left; }',
+    '.cover { text-align: center; } .cover img { max-height: 95vh; }',
+    'nav ol { list-style: none; padding-left: 1em; } nav span { font-weight: bold; }',
+    ''
+  ].join('\n');
+};
+
+/**
+ * Build the cover page from the cover special page
+ * A DOCX cover with an image uses the image; other content is kept as text;
+ * without a DOCX cover the journal title and issue name are shown
+ * @param {Object|null} coverPage - Cover special page {file, type}
+ * @param {Object} context - {profile, issue}
+ * @param {Array<Object>} images - Collected images
+ * @returns {Promise<{body: string, coverImage: string|null}>}
+ */
+const buildCover = async (coverPage, { profile, issue }, images) => {
+  const type = (coverPage?.type || '').toLowerCase();
+  if (coverPage?.file && (type === '.docx' || type === '.doc')) {
+    const { html } = await convertDocxToHtml(coverPage.file);
+    const imageMatch = /<img[^>]+src="(data:image\/[^"]+)"/.exec(html);
+    const coverImage = imageMatch ? addImage(imageMatch[1], 'cover', images) : null;
+
+    if (coverImage) {
+      return { body: `<section epub:type="cover" class="cover"><img src="images/${coverImage}" alt="${escapeXml(profile.title)}"/></section>`, coverImage };
+    }
+    return { body: `<section epub:type="cover" class="cover">${htmlToXhtml(html, 'cover', images).replaceAll('../images/', 'images/')}</section>`, coverImage: null };
+  }
+
+  return {
+    body: `<section epub:type="cover" class="cover"><h1>${escapeXml(profile.title)}</h1><p>${escapeXml(issue.name)}</p></section>`,
+    coverImage: null
+  };
+};
+
+/**
+ * Build the nav document: articles grouped by section in issue order
+ * @param {Array<Object>} chapters - Chapters {href, title, author, section}
+ * @param {Object} profile - Journal profile
+ * @returns {string}
+ */
+const buildNav = (chapters, profile) => {
+  const groups = [];
+  chapters.forEach(chapter => {
+    const last = groups[groups.length - 1];
+    if (last && last.section === chapter.section) {
+      last.chapters.push(chapter);
+    } else {
+      groups.push({ section: chapter.section, chapters: [chapter] });
+    }
+  });
+
+  // Nav list items may hold only the link, so the authors go into the link text
+  const chapterItem = (chapter) => `<li><a href="${chapter.href}">${escapeXml([chapter.author, chapter.title].filter(Boolean).join(' — '))}</a></li>`;
+  const items = groups.map(group => {
+    if (!group.section) return group.chapters.map(chapterItem).join('\n');
+    return `<li><span>${escapeXml(getSectionTitle(profile, group.section).ru)}</span>\n<ol>\n${group.chapters.map(chapterItem).join('\n')}\n</ol></li>`;
+  });
+
+  return buildXhtml({
+    title: profile.tocHeading,
+    lang: 'ru',
+    body: [
+      `<nav epub:type="toc" id="toc">\n<h1>${escapeXml(profile.tocHeading)}</h1>\n<ol>\n${items.join('\n')}\n</ol>\n</nav>`,
+      '<nav epub:type="landmarks" hidden="">\n<ol>',
+      '<li><a epub:type="cover" href="cover.xhtml">Обложка</a></li>',
+      `<li><a epub:type="toc" href="nav.xhtml#toc">${escapeXml(profile.tocHeading)}</a></li>`,
+      chapters[0] ? `<li><a epub:type="bodymatter" href="${chapters[0].href}">${escapeXml(chapters[0].title)}</a></li>` : '',
+      '</ol>\n</nav>'
+    ].filter(Boolean).join('\n')
+  });
+};
+
+/**
+ * Build the package document
+ * @param {Object} book - {profile, issue, languages, manifest, spine}
+ * @returns {string}
+ */
+const buildPackage = ({ profile, issue, languages, manifest, spine }) => {
+  const modified = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="pub-id">',
+    '<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    `<dc:identifier id="pub-id">urn:uuid:${crypto.randomUUID()}</dc:identifier>`,
+    `<dc:title>${escapeXml(`${profile.title}. ${issue.name}`)}</dc:title>`,
+    ...languages.map(lang => `<dc:language>${lang}</dc:language>`),
+    `<dc:publisher>${escapeXml(profile.title)}</dc:publisher>`,
+    `<dc:date>${issue.year}-${padNumber(issue.month)}</dc:date>`,
+    profile.issn ? `<dc:source>urn:issn:${escapeXml(profile.issn)}</dc:source>` : '',
+    `<meta property="dcterms:modified">${modified}</meta>`,
+    '</metadata>',
+    '<manifest>',
+    ...manifest.map(item => `<item id="${item.id}" href="${item.href}" media-type="${item.mediaType}"${item.properties ? ` properties="${item.properties}"` : ''}/>`),
+    '</manifest>',
+    '<spine>',
+    ...spine.map(id => `<itemref idref="${id}"/>`),
+    '</spine>',
+    '</package>'
+  ].filter(Boolean).join('\n');
+};
+
+/**
+ * Build the EPUB edition of an issue (stored in the archive with the issue)
+ * Articles follow the page map order when it is known (server generation), otherwise the editor order
+ * @param {Array<Object>} articles - Articles with files
+ * @param {Object} context
+ * @param {Object} context.profile - Journal profile
+ * @param {Object} context.issue - Issue {name, year, month}
+ * @param {Array<Object>} [context.pageMap] - Page map of the issue
+ * @param {Object} [context.coverPage] - Cover special page {file, type}
+ * @returns {Promise<Blob>} - EPUB file
+ */
+export const buildIssueEpub = async (articles, { profile, issue, pageMap = null, coverPage = null }) => {
+  const images = [];
+  const manifest = [];
+  const zip = new JSZip();
+
+  // The mimetype entry must come first and stay uncompressed
+  zip.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+  zip.file('META-INF/container.xml', [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">',
+    '<rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles>',
+    '</container>'
+  ].join('\n'));
+
+  const ordered = articles
+    .map((article, index) => ({ article, pageEntry: pageMap?.find(entry => entry.fileName === article.file?.name) || null, index }))
+    .sort((a, b) => (a.pageEntry?.n ?? a.index + 1) - (b.pageEntry?.n ?? b.index + 1));
+
+  const chapters = [];
+  for (const [index, { article, pageEntry }] of ordered.entries()) {
+    const number = padNumber(pageEntry?.n ?? index + 1);
+    const lang = getLocale(article.language);
+    const { html } = await convertDocxToHtml(article.file);
+    const meta = [
+      article.section,
+      pageEntry && `с. ${pageEntry.firstPage}–${pageEntry.lastPage}`,
+      pageEntry?.doi && `DOI: ${pageEntry.doi}`
+    ].filter(Boolean).map(escapeXml).join(' · ');
+
+    const href = `chapters/article-${number}.xhtml`;
+    zip.file(`OEBPS/${href}`, buildXhtml({
+      title: article.title,
+      lang,
+      root: '../',
+      body: `<section epub:type="chapter" id="article-${number}">\n`
+        + (meta ? `<p class="article-meta">${meta}</p>\n` : '')
+        + `${htmlToXhtml(html, `article-${number}`, images)}\n</section>`
+    }));
+    manifest.push({ id: `article-${number}`, href, mediaType: 'application/xhtml+xml' });
+    chapters.push({ id: `article-${number}`, href, title: article.title, author: article.author, section: article.section, lang });
+  }
+
+  const cover = await buildCover(coverPage, { profile, issue }, images);
+  zip.file('OEBPS/cover.xhtml', buildXhtml({ title: profile.title, lang: 'ru', body: cover.body }));
+  zip.file('OEBPS/nav.xhtml', buildNav(chapters, profile));
+
+  const fonts = await getCyrillicFontFiles();
+  zip.file('OEBPS/styles.css', buildStylesheet(fonts));
+  Object.entries(FONT_FILES)
+    .filter(([style]) => fonts?.[style])
+    .forEach(([style, file], i) => {
+      zip.file(`OEBPS/fonts/${file.name}`, fonts[style], { base64: true });
+      manifest.push({ id: `font-${i + 1}`, href: `fonts/${file.name}`, mediaType: 'font/ttf' });
+    });
+
+  images.forEach((image, i) => {
+    zip.file(`OEBPS/images/${image.name}`, image.data, { base64: true });
+    manifest.push({
+      id: `image-${i + 1}`,
+      href: `images/${image.name}`,
+      mediaType: image.mediaType,
+      properties: image.name === cover.coverImage ? 'cover-image' : null
+    });
+  });
+
+  manifest.unshift(
+    { id: 'cover', href: 'cover.xhtml', mediaType: 'application/xhtml+xml' },
+    { id: 'nav', href: 'nav.xhtml', mediaType: 'application/xhtml+xml', properties: 'nav' },
+    { id: 'css', href: 'styles.css', mediaType: 'text/css' }
+  );
+
+  const languages = [...new Set(['ru', ...chapters.map(chapter => chapter.lang)])];
+  zip.file('OEBPS/content.opf', buildPackage({
+    profile,
+    issue,
+    languages,
+    manifest,
+    spine: ['cover', 'nav', ...chapters.map(chapter => chapter.id)]
+  }));
+
+  return zip.generateAsync({ type: 'blob', mimeType: 'application/epub+zip', compression: 'DEFLATE' });
+};
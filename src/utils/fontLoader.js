@@ -185,6 +185,19 @@ export const preloadFonts = async () => {
   }
 };
 
+/**
+ * Gets the loaded Noto Serif font files (for embedding outside jsPDF, e.g. EPUB)
+ * @returns {Promise<{regular: string, bold: string|null, italic: string|null}|null>} - Base64 TTF data,
+ *   or null if the fonts could not be loaded
+ */
+export const getCyrillicFontFiles = async () => {
+  if (!fontsLoaded) {
+    await preloadFonts();
+  }
+
+  return fontData.regular ? { ...fontData } : null;
+};
+
 /**
  * Registers Cyrillic font with jsPDF instance
  * @param {jsPDF} doc - jsPDF instance
@@ -0,0 +1,481 @@
+/**
+ * Manuscript formatting check against the journal's author guidelines (see shared/formatRules.js)
+ * Page setup, fonts, sizes and spacing are read from word/document.xml and word/styles.xml:
+ * a property missing on a run or paragraph comes from its style, the styles it is based on and
+ * the document defaults, as in Word. The page count is the one Word saved in docProps/app.xml
+ */
+import JSZip from 'jszip';
+import { normalizeFormatRules } from '../../shared/formatRules.js';
+import { parseFrontMatter } from '../../shared/frontMatter.js';
+import { extractClassificationCodes, isClassificationLine } from '../../shared/classificationCodes.js';
+
+const W = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const A = 'http://schemas.openxmlformats.org/drawingml/2006/main';
+
+const TWIPS_PER_MM = 1440 / 25.4;
+
+// Page size and margins may differ from the rules by this much, mm
+const MM_TOLERANCE = 1;
+
+// Share of the main text that may be in another font, size or spacing (symbols, formula letters, notes)
+const TOLERATED_SHARE = 0.05;
+
+// A figure caption is looked for in the next two text paragraphs or the one before the figure
+const CAPTION_DISTANCE = 2;
+const CAPTION_PATTERN = /^(?:рис(?:унок|\.)|сурет|figure|fig\.)\s*(\d+)/i;
+
+// Word uses 10 pt when neither the run, its styles nor the defaults give a size
+const WORD_DEFAULT_SIZE = 10;
+
+const LANGUAGE_LABELS = { ru: 'рус.', kk: 'каз.', en: 'англ.' };
+
+/**
+ * Child elements of a WordprocessingML element by local name
+ * @param {Element|null} element - Element
+ * @param {string} name - Local name
+ * @returns {Element[]}
+ */
+const children = (element, name) => (element
+  ? Array.from(element.childNodes).filter(node => node.namespaceURI === W && node.localName === name)
+  : []);
+
+const child = (element, name) => children(element, name)[0] || null;
+
+const attr = (element, name) => element?.getAttributeNS(W, name) || '';
+
+// Toggle properties (<w:b/>, <w:b w:val="0"/>)
+const isOn = (element) => !!element && !['0', 'false', 'off'].includes(attr(element, 'val'));
+
+/**
+ * Nearest ancestor with a local name
+ * @param {Element} element - Element
+ * @param {string} name - Local name
+ * @returns {Element|null}
+ */
+const closest = (element, name) => {
+  let node = element.parentNode;
+  while (node && !(node.namespaceURI === W && node.localName === name)) node = node.parentNode;
+  return node || null;
+};
+
+/**
+ * Theme fonts that rFonts refer to by asciiTheme/hAnsiTheme ("minorHAnsi" -> "Calibri")
+ * @param {Document|null} themeDoc - word/theme/theme1.xml
+ * @returns {{major: string, minor: string}}
+ */
+const getThemeFonts = (themeDoc) => {
+  const typeface = (name) => themeDoc
+    ?.getElementsByTagNameNS(A, name)[0]
+    ?.getElementsByTagNameNS(A, 'latin')[0]
+    ?.getAttribute('typeface') || '';
+  return { major: typeface('majorFont'), minor: typeface('minorFont') };
+};
+
+/**
+ * Effective run and paragraph properties through the style chain
+ * @param {Document|null} stylesDoc - word/styles.xml
+ * @param {{major: string, minor: string}} themeFonts - Theme fonts
+ * @returns {Object} - {font, size, bold, lineSpacing}
+ */
+const createStyleResolver = (stylesDoc, themeFonts) => {
+  const styles = new Map();
+  let defaultParagraphStyle = '';
+  for (const style of stylesDoc ? Array.from(stylesDoc.getElementsByTagNameNS(W, 'style')) : []) {
+    styles.set(attr(style, 'styleId'), style);
+    if (attr(style, 'type') === 'paragraph' && ['1', 'true', 'on'].includes(attr(style, 'default'))) {
+      defaultParagraphStyle = attr(style, 'styleId');
+    }
+  }
+  const docDefaults = stylesDoc?.getElementsByTagNameNS(W, 'docDefaults')[0] || null;
+  const rPrDefault = child(child(docDefaults, 'rPrDefault'), 'rPr');
+  const pPrDefault = child(child(docDefaults, 'pPrDefault'), 'pPr');
+
+  // Property elements (rPr or pPr) of a style and the styles it is based on
+  const styleChain = (id, kind) => {
+    const chain = [];
+    const seen = new Set();
+    let style = styles.get(id);
+    while (style && !seen.has(style)) {
+      seen.add(style);
+      chain.push(child(style, kind));
+      style = styles.get(attr(child(style, 'basedOn'), 'val'));
+    }
+    return chain;
+  };
+
+  const paragraphStyle = (paragraph) => attr(child(child(paragraph, 'pPr'), 'pStyle'), 'val') || defaultParagraphStyle;
+
+  // Sources of run properties, most specific first
+  const runSources = (run, paragraph) => {
+    const rPr = child(run, 'rPr');
+    return [
+      rPr,
+      ...styleChain(attr(child(rPr, 'rStyle'), 'val'), 'rPr'),
+      ...styleChain(paragraphStyle(paragraph), 'rPr'),
+      rPrDefault
+    ].filter(Boolean);
+  };
+
+  const find = (sources, name, test = () => true) => sources
+    .map(source => child(source, name))
+    .find(element => element && test(element)) || null;
+
+  return {
+    font: (run, paragraph) => {
+      const fonts = find(runSources(run, paragraph), 'rFonts',
+        element => ['hAnsi', 'ascii', 'hAnsiTheme', 'asciiTheme'].some(name => attr(element, name)));
+      const theme = attr(fonts, 'hAnsiTheme') || attr(fonts, 'asciiTheme');
+      if (theme) return theme.startsWith('major') ? themeFonts.major : themeFonts.minor;
+      return attr(fonts, 'hAnsi') || attr(fonts, 'ascii');
+    },
+    size: (run, paragraph) => Number(attr(find(runSources(run, paragraph), 'sz'), 'val')) / 2 || WORD_DEFAULT_SIZE,
+    bold: (run, paragraph) => isOn(find(runSources(run, paragraph), 'b')),
+    lineSpacing: (paragraph) => {
+      const sources = [child(paragraph, 'pPr'), ...styleChain(paragraphStyle(paragraph), 'pPr'), pPrDefault].filter(Boolean);
+      const spacing = find(sources, 'spacing', element => attr(element, 'line'));
+      if (!spacing) return { rule: 'auto', value: 1 };
+      const rule = attr(spacing, 'lineRule') || 'auto';
+      const line = Number(attr(spacing, 'line'));
+      return { rule, value: rule === 'auto' ? line / 240 : line / 20 };
+    }
+  };
+};
+
+/**
+ * Runs of a paragraph (inside hyperlinks and tracked insertions too, not in nested text boxes)
+ * @param {Element} paragraph - w:p
+ * @returns {Array<{run: Element, text: string}>}
+ */
+const getRuns = (paragraph) => Array.from(paragraph.getElementsByTagNameNS(W, 'r'))
+  .filter(run => closest(run, 'p') === paragraph)
+  .map(run => ({
+    run,
+    text: Array.from(run.childNodes)
+      .map(node => (node.localName === 't' ? node.textContent : node.localName === 'tab' ? ' ' : ''))
+      .join('')
+  }));
+
+/**
+ * Paragraphs of the document body in order
+ * @param {Document} doc - word/document.xml
+ * @returns {Array<{element: Element, runs: Array<Object>, text: string, inTable: boolean, hasFigure: boolean}>}
+ */
+const getParagraphs = (doc) => Array.from(doc.getElementsByTagNameNS(W, 'p'))
+  .filter(paragraph => !closest(paragraph, 'txbxContent'))
+  .map(paragraph => {
+    const runs = getRuns(paragraph);
+    const figures = [
+      ...Array.from(paragraph.getElementsByTagNameNS(W, 'drawing')),
+      ...Array.from(paragraph.getElementsByTagNameNS(W, 'pict'))
+    ].filter(figure => closest(figure, 'p') === paragraph);
+    return {
+      element: paragraph,
+      runs,
+      text: runs.map(run => run.text).join('').replace(/\s+/g, ' ').trim(),
+      inTable: !!closest(paragraph, 'tbl'),
+      hasFigure: figures.length > 0
+    };
+  });
+
+const countLetters = (text) => text.replace(/\s/g, '').length;
+
+const countWords = (text) => String(text || '').split(/\s+/).filter(word => /\p{L}/u.test(word)).length;
+
+const sameFont = (a, b) => a.toLowerCase().replace(/\s+/g, '') === b.toLowerCase().replace(/\s+/g, '');
+
+/**
+ * Tally of a text property: characters per value
+ */
+const createTally = () => {
+  const counts = new Map();
+  return {
+    add: (value, count) => counts.set(value, (counts.get(value) || 0) + count),
+    // Share of characters whose value fails the test
+    deviation: (isCompliant) => {
+      const total = [...counts.values()].reduce((sum, count) => sum + count, 0);
+      const off = [...counts].filter(([value]) => !isCompliant(value)).reduce((sum, [, count]) => sum + count, 0);
+      return total > 0 ? off / total : 0;
+    },
+    // "Times New Roman 96%, Arial 4%"
+    describe: (format = String) => {
+      const total = [...counts.values()].reduce((sum, count) => sum + count, 0);
+      return [...counts]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 4)
+        .map(([value, count]) => `${format(value)} ${Math.round(count / total * 100) || '<1'}%`)
+        .join(', ');
+    }
+  };
+};
+
+// "от 4 до 6", "от 5", "до 300"
+const formatRange = (min, max) => [min && `от ${min}`, max && `до ${max}`].filter(Boolean).join(' ');
+
+const formatMm = (twips) => Math.round(Math.abs(twips) / TWIPS_PER_MM);
+
+/**
+ * Check the page size and margins of every section
+ * @param {Document} doc - word/document.xml
+ * @param {Object} rules - Rules
+ * @param {Function} addCheck - (rule, label, passed, message)
+ */
+const checkPageSetup = (doc, rules, addCheck) => {
+  const sections = Array.from(doc.getElementsByTagNameNS(W, 'sectPr')).filter(section => !closest(section, 'sectPrChange'));
+  const near = (value, expected) => Math.abs(value - expected) <= MM_TOLERANCE;
+
+  if (rules.pageWidth && rules.pageHeight) {
+    const sizes = [...new Set(sections.map(section => {
+      const size = child(section, 'pgSz');
+      return `${formatMm(Number(attr(size, 'w')))}×${formatMm(Number(attr(size, 'h')))}`;
+    }))];
+    // Landscape sections (wide tables) are the same paper turned
+    const passed = sizes.every(size => {
+      const [width, height] = size.split('×').map(Number).sort((a, b) => a - b);
+      const [expectedWidth, expectedHeight] = [rules.pageWidth, rules.pageHeight].sort((a, b) => a - b);
+      return near(width, expectedWidth) && near(height, expectedHeight);
+    });
+    addCheck('pageSize', 'Формат страницы', sections.length > 0 ? passed : null,
+      sections.length > 0
+        ? `${sizes.join('; ')} мм${passed ? '' : ` (нужно ${rules.pageWidth}×${rules.pageHeight})`}`
+        : 'Параметры страницы не заданы');
+  }
+
+  const margins = [
+    ['top', 'marginTop', 'верхнее'],
+    ['bottom', 'marginBottom', 'нижнее'],
+    ['left', 'marginLeft', 'левое'],
+    ['right', 'marginRight', 'правое']
+  ].filter(([, rule]) => rules[rule]);
+  if (margins.length > 0 && sections.length > 0) {
+    const problems = new Set();
+    for (const section of sections) {
+      const pgMar = child(section, 'pgMar');
+      for (const [side, rule, label] of margins) {
+        const value = formatMm(Number(attr(pgMar, side)));
+        if (!near(value, rules[rule])) problems.add(`${label} ${value} мм (нужно ${rules[rule]})`);
+      }
+    }
+    addCheck('margins', 'Поля', problems.size === 0,
+      problems.size === 0 ? margins.map(([, rule, label]) => `${label} ${rules[rule]}`).join(', ') + ' мм' : [...problems].join('; '));
+  }
+};
+
+/**
+ * Check the font, size and line spacing of the main text (paragraphs outside tables)
+ * @param {Array<Object>} paragraphs - Body paragraphs
+ * @param {Object} resolver - Style resolver
+ * @param {Object} rules - Rules
+ * @param {Function} addCheck - (rule, label, passed, message)
+ */
+const checkTypography = (paragraphs, resolver, rules, addCheck) => {
+  const fonts = createTally();
+  const sizes = createTally();
+  const spacing = createTally();
+
+  for (const paragraph of paragraphs.filter(item => !item.inTable && item.text)) {
+    for (const { run, text } of paragraph.runs) {
+      const count = countLetters(text);
+      if (count === 0) continue;
+      fonts.add(resolver.font(run, paragraph.element) || 'шрифт по умолчанию', count);
+      sizes.add(resolver.size(run, paragraph.element), count);
+    }
+    const { rule, value } = resolver.lineSpacing(paragraph.element);
+    spacing.add(`${rule}:${Math.round(value * 100) / 100}`, countLetters(paragraph.text));
+  }
+
+  if (rules.fontFamily) {
+    const deviation = fonts.deviation(font => sameFont(font, rules.fontFamily));
+    addCheck('font', 'Шрифт', deviation <= TOLERATED_SHARE,
+      `${fonts.describe()}${deviation > TOLERATED_SHARE ? ` (нужно ${rules.fontFamily})` : ''}`);
+  }
+  if (rules.fontSize) {
+    const deviation = sizes.deviation(size => Math.abs(size - rules.fontSize) < 0.25);
+    addCheck('fontSize', 'Кегль', deviation <= TOLERATED_SHARE,
+      `${sizes.describe(size => `${size} пт`)}${deviation > TOLERATED_SHARE ? ` (нужно ${rules.fontSize} пт)` : ''}`);
+  }
+  if (rules.lineSpacing) {
+    const deviation = spacing.deviation(key => {
+      const [rule, value] = key.split(':');
+      return rule === 'auto' && Math.abs(Number(value) - rules.lineSpacing) < 0.05;
+    });
+    const describeSpacing = (key) => {
+      const [rule, value] = key.split(':');
+      if (rule === 'exact') return `точно ${value} пт`;
+      if (rule === 'atLeast') return `минимум ${value} пт`;
+      return Number(value) === 1 ? 'одинарный' : `множитель ${value}`;
+    };
+    addCheck('lineSpacing', 'Межстрочный интервал', deviation <= TOLERATED_SHARE,
+      `${spacing.describe(describeSpacing)}${deviation > TOLERATED_SHARE ? ` (нужно ${describeSpacing(`auto:${rules.lineSpacing}`)})` : ''}`);
+  }
+};
+
+/**
+ * Check the head of the article: the UDC line first, then the title in bold capitals
+ * @param {Array<Object>} paragraphs - Body paragraphs
+ * @param {Object} resolver - Style resolver
+ * @param {Object} rules - Rules
+ * @param {Function} addCheck - (rule, label, passed, message)
+ */
+const checkArticleHead = (paragraphs, resolver, rules, addCheck) => {
+  const lines = paragraphs.filter(item => item.text);
+  if (lines.length === 0) return;
+
+  if (rules.udcFirst) {
+    const first = lines[0].text;
+    const passed = isClassificationLine(first) && !!extractClassificationCodes(first).udc;
+    addCheck('udcFirst', 'УДК в начале статьи', passed, passed ? first : `Первая строка: «${first.slice(0, 60)}»`);
+  }
+
+  const title = lines.find(item => !isClassificationLine(item.text));
+  if (!title) return;
+  const preview = `«${title.text.slice(0, 60)}»`;
+
+  if (rules.titleUppercase) {
+    const letters = title.text.replace(/[^\p{L}]/gu, '');
+    const passed = letters.length > 0 && letters === letters.toUpperCase();
+    addCheck('titleUppercase', 'Название прописными буквами', passed, preview);
+  }
+  if (rules.titleBold) {
+    const passed = title.runs
+      .filter(({ text }) => text.trim())
+      .every(({ run }) => resolver.bold(run, title.element));
+    addCheck('titleBold', 'Название полужирным', passed, preview);
+  }
+};
+
+/**
+ * Check the abstracts and keywords in the required languages
+ * @param {Array<Object>} paragraphs - Body paragraphs
+ * @param {Object} rules - Rules
+ * @param {Function} addCheck - (rule, label, passed, message)
+ */
+const checkFrontMatter = (paragraphs, rules, addCheck) => {
+  const languages = rules.frontMatterLanguages;
+  if (languages.length === 0) return;
+  const { abstracts, keywords } = parseFrontMatter(paragraphs.map(item => item.text).filter(Boolean).join('\n'));
+
+  const abstractParts = languages.map(lang => {
+    if (!abstracts[lang]) return { ok: false, text: `${LANGUAGE_LABELS[lang]} нет` };
+    const words = countWords(abstracts[lang]);
+    const ok = (!rules.abstractMinWords || words >= rules.abstractMinWords)
+      && (!rules.abstractMaxWords || words <= rules.abstractMaxWords);
+    return { ok, text: `${LANGUAGE_LABELS[lang]} ${words} сл.` };
+  });
+  const wordRange = formatRange(rules.abstractMinWords, rules.abstractMaxWords);
+  addCheck('abstracts', 'Аннотации', abstractParts.every(part => part.ok),
+    abstractParts.map(part => part.text).join(', ') + (wordRange ? ` (нужно ${wordRange} слов)` : ''));
+
+  const keywordParts = languages.map(lang => {
+    const count = keywords[lang]?.length || 0;
+    const ok = count > 0 && (!rules.minKeywords || count >= rules.minKeywords) && (!rules.maxKeywords || count <= rules.maxKeywords);
+    return { ok, text: count > 0 ? `${LANGUAGE_LABELS[lang]} ${count}` : `${LANGUAGE_LABELS[lang]} нет` };
+  });
+  const countRange = formatRange(rules.minKeywords, rules.maxKeywords);
+  addCheck('keywords', 'Ключевые слова', keywordParts.every(part => part.ok),
+    keywordParts.map(part => part.text).join(', ') + (countRange ? ` (нужно ${countRange})` : ''));
+};
+
+/**
+ * Check that every figure has a caption and captions are numbered in order
+ * Image paragraphs that follow each other share the caption after the last of them;
+ * a caption above a figure counts only if no figure before it took it
+ * @param {Array<Object>} paragraphs - Body paragraphs
+ * @param {Function} addCheck - (rule, label, passed, message)
+ */
+const checkFigureCaptions = (paragraphs, addCheck) => {
+  const items = paragraphs.filter(item => item.text || item.hasFigure);
+  const figures = items.map((item, i) => ({ item, i })).filter(({ item }) => item.hasFigure);
+  if (figures.length === 0) {
+    addCheck('figureCaptions', 'Подписи к рисункам', true, 'Рисунков нет');
+    return;
+  }
+
+  const isCaption = (item) => !!item && CAPTION_PATTERN.test(item.text);
+  const usedCaptions = new Set();
+  const captionAfter = (i) => {
+    let seen = 0;
+    for (let j = i + 1; j < items.length && seen < CAPTION_DISTANCE; j++) {
+      if (isCaption(items[j])) return items[j];
+      if (!items[j].hasFigure) seen++;
+    }
+    return null;
+  };
+
+  const uncaptioned = figures.filter(({ item, i }) => {
+    const caption = isCaption(item) ? item : captionAfter(i);
+    if (caption) usedCaptions.add(caption);
+    return !caption;
+  }).filter(({ i }) => {
+    const above = items[i - 1];
+    if (!isCaption(above) || usedCaptions.has(above)) return true;
+    usedCaptions.add(above);
+    return false;
+  });
+
+  const numbers = items.filter(isCaption).map(item => Number(item.text.match(CAPTION_PATTERN)[1]));
+  const inOrder = numbers.every((number, i) => number === i + 1);
+
+  const problems = [];
+  if (uncaptioned.length > 0) {
+    problems.push(`без подписи: ${uncaptioned.map(({ item }) => figures.findIndex(figure => figure.item === item) + 1).join(', ')}-й рисунок`);
+  }
+  if (!inOrder) problems.push(`нумерация подписей: ${numbers.join(', ')}`);
+  addCheck('figureCaptions', 'Подписи к рисункам', problems.length === 0,
+    problems.length === 0 ? `Рисунков: ${figures.length}, подписей: ${numbers.length}` : problems.join('; '));
+};
+
+/**
+ * Check a DOCX manuscript against the formatting rules
+ * @param {File} file - DOCX file
+ * @param {Object} rules - Formatting rules (journal profile formatRules)
+ * @returns {Promise<{passed: boolean, checks: Array<{rule: string, label: string, passed: boolean|null, message: string}>}>}
+ *   passed: null - the rule could not be checked
+ */
+export const checkManuscriptFormat = async (file, rules) => {
+  const options = normalizeFormatRules(rules);
+
+  try {
+    const zip = await JSZip.loadAsync(await file.arrayBuffer());
+    const read = async (path) => zip.file(path)?.async('string') ?? null;
+    const [documentXml, stylesXml, themeXml, appXml] = await Promise.all([
+      read('word/document.xml'),
+      read('word/styles.xml'),
+      read('word/theme/theme1.xml'),
+      read('docProps/app.xml')
+    ]);
+    if (!documentXml) {
+      throw new Error('нет word/document.xml');
+    }
+
+    const parser = new DOMParser();
+    const parse = (xml) => (xml ? parser.parseFromString(xml, 'application/xml') : null);
+    const doc = parse(documentXml);
+    const resolver = createStyleResolver(parse(stylesXml), getThemeFonts(parse(themeXml)));
+    const paragraphs = getParagraphs(doc);
+
+    const checks = [];
+    const addCheck = (rule, label, passed, message) => checks.push({ rule, label, passed, message });
+
+    checkPageSetup(doc, options, addCheck);
+    checkTypography(paragraphs, resolver, options, addCheck);
+
+    if (options.minPages || options.maxPages) {
+      const pages = Number(appXml?.match(/<Pages>(\d+)<\/Pages>/)?.[1]) || 0;
+      const passed = pages > 0
+        ? (!options.minPages || pages >= options.minPages) && (!options.maxPages || pages <= options.maxPages)
+        : null;
+      addCheck('pages', 'Объём', passed, pages > 0
+        ? `${pages} стр. (нужно ${formatRange(options.minPages, options.maxPages)})`
+        : 'Число страниц не сохранено в файле');
+    }
+
+    checkArticleHead(paragraphs, resolver, options, addCheck);
+    checkFrontMatter(paragraphs, options, addCheck);
+    if (options.figureCaptions) checkFigureCaptions(paragraphs, addCheck);
+
+    return { passed: checks.every(check => check.passed !== false), checks };
+  } catch (error) {
+    console.error('Format check error:', error);
+    throw new Error(`Ошибка проверки оформления ${file.name}: ${error.message}`);
+  }
+};
@@ -0,0 +1,419 @@
+/**
+ * JATS 1.3 (Journal Publishing) export
+ * Article XML is built when the issue is generated, while the DOCX files are at hand:
+ * front matter from the article metadata and text, body from the mammoth HTML, ref-list from the parsed references
+ * The issue package bundles the XML with the issue PDF and per-article PDFs
+ */
+import JSZip from 'jszip';
+import { convertDocxToHtml } from './docxConverter';
+import { getLocale } from './languageDetection';
+import { isKeywordsLine, FRONT_MATTER_LANGUAGES } from '../../shared/frontMatter.js';
+import { getArticleMetadata, isValidOrcid } from '../../shared/articleMetadata.js';
+import { isReferenceHeading } from '../../shared/references.js';
+
+const JATS_DOCTYPE = '<!DOCTYPE article PUBLIC "-//NLM//DTD JATS (Z39.96) Journal Publishing DTD v1.3 20210610//EN" "JATS-journalpublishing1-3.dtd">';
+
+// Front matter (title, authors, abstract, keywords) is looked for in the first blocks only
+const FRONT_MATTER_BLOCKS = 40;
+
+const INLINE_ELEMENTS = {
+  strong: 'bold',
+  b: 'bold',
+  em: 'italic',
+  i: 'italic',
+  u: 'underline',
+  sup: 'sup',
+  sub: 'sub'
+};
+
+/**
+ * Escape text for XML
+ * @param {string} text - Text
+ * @returns {string}
+ */
+const escapeXml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Number for file and directory names in the package ("01")
+ * @param {number} n - Article number in the issue
+ * @returns {string}
+ */
+const padNumber = (n) => String(n).padStart(2, '0');
+
+/**
+ * Save an embedded image for the package and return its file name
+ * @param {string} src - Data URI from mammoth
+ * @param {Array<Object>} graphics - Collected graphics {name, data}
+ * @returns {string|null}
+ */
+const addGraphic = (src, graphics) => {
+  const match = /^data:image\/([\w+.-]+);base64,(.+)$/.exec(src || '');
+  if (!match) return null;
+
+  const extension = match[1] === 'jpeg' ? 'jpg' : match[1].replace(/\+.*$/, '');
+  const name = `graphic-${graphics.length + 1}.${extension}`;
+  graphics.push({ name, data: match[2] });
+  return name;
+};
+
+/**
+ * Convert inline HTML content to JATS
+ * @param {Node} node - HTML node
+ * @param {Array<Object>} graphics - Collected graphics
+ * @returns {string}
+ */
+const convertInline = (node, graphics) => {
+  if (node.nodeType === Node.TEXT_NODE) return escapeXml(node.textContent);
+  if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+  const tag = node.tagName.toLowerCase();
+  const children = () => [...node.childNodes].map(child => convertInline(child, graphics)).join('');
+
+  if (INLINE_ELEMENTS[tag]) {
+    const content = children();
+    return content ? `<${INLINE_ELEMENTS[tag]}>${content}</${INLINE_ELEMENTS[tag]}>` : '';
+  }
+  if (tag === 'a') {
+    const href = node.getAttribute('href') || '';
+    // Bookmarks and internal links (footnote references) keep only their text
+    return /^(?:https?|mailto):/.test(href)
+      ? `<ext-link ext-link-type="uri" xlink:href="${escapeXml(href)}">${children()}</ext-link>`
+      : children();
+  }
+  if (tag === 'img') {
+    const name = addGraphic(node.getAttribute('src'), graphics);
+    return name ? `<inline-graphic xlink:href="${name}"/>` : '';
+  }
+  if (tag === 'br') return ' ';
+
+  return children();
+};
+
+/**
+ * Convert an HTML list to a JATS list
+ * @param {Element} list - ul/ol element
+ * @param {Array<Object>} graphics - Collected graphics
+ * @returns {string}
+ */
+const convertList = (list, graphics) => {
+  const type = list.tagName.toLowerCase() === 'ol' ? 'order' : 'bullet';
+  const items = [...list.children].filter(child => child.tagName.toLowerCase() === 'li').map(item => {
+    const nested = [...item.children].filter(child => ['ul', 'ol'].includes(child.tagName.toLowerCase()));
+    const text = [...item.childNodes]
+      .filter(child => !nested.includes(child))
+      .map(child => convertInline(child, graphics))
+      .join('')
+      .trim();
+    return `<list-item><p>${text}</p>${nested.map(child => convertList(child, graphics)).join('')}</list-item>`;
+  });
+  return `<list list-type="${type}">${items.join('')}</list>`;
+};
+
+/**
+ * Convert an HTML table to a JATS table (XHTML table model; cell paragraphs are joined)
+ * @param {Element} table - table element
+ * @param {string} id - Table ID
+ * @param {Array<Object>} graphics - Collected graphics
+ * @returns {string}
+ */
+const convertTable = (table, id, graphics) => {
+  const rows = [...table.querySelectorAll('tr')].map(row => {
+    const cells = [...row.children].map(cell => {
+      const tag = cell.tagName.toLowerCase() === 'th' ? 'th' : 'td';
+      const span = ['colspan', 'rowspan']
+        .filter(attr => cell.getAttribute(attr))
+        .map(attr => ` ${attr}="${escapeXml(cell.getAttribute(attr))}"`)
+        .join('');
+      const paragraphs = cell.querySelectorAll('p').length > 0 ? [...cell.querySelectorAll('p')] : [cell];
+      const text = paragraphs.map(p => convertInline(p, graphics).trim()).filter(Boolean).join(' ');
+      return `<${tag}${span}>${text}</${tag}>`;
+    });
+    return `<tr>${cells.join('')}</tr>`;
+  });
+  return `<table-wrap id="${id}"><table>${rows.join('')}</table></table-wrap>`;
+};
+
+/**
+ * Convert mammoth HTML to a JATS body
+ * Headings open nested sections; paragraphs with images only become figures
+ * The front matter (everything up to the last keywords line near the top) is skipped,
+ * it is in the article-meta
+ * @param {string} html - Article HTML
+ * @param {Array<Object>} graphics - Collected graphics (filled)
+ * @param {Object} [options]
+ * @param {boolean} [options.skipReferences] - End the body at the reference list heading (the list is in back)
+ * @returns {string}
+ */
+export const htmlToJatsBody = (html, graphics = [], { skipReferences = false } = {}) => {
+  const doc = new DOMParser().parseFromString(`<div>${html}</div>`, 'text/html');
+  const blocks = [...doc.body.firstChild.children];
+
+  const lastKeywords = blocks
+    .slice(0, FRONT_MATTER_BLOCKS)
+    .map(block => isKeywordsLine(block.textContent))
+    .lastIndexOf(true);
+  const referencesStart = skipReferences
+    ? blocks.findIndex((block, i) => i > lastKeywords && isReferenceHeading(block.textContent))
+    : -1;
+
+  const out = [];
+  const openSections = [];
+  let tableCount = 0;
+  let figureCount = 0;
+
+  for (const block of blocks.slice(lastKeywords + 1, referencesStart >= 0 ? referencesStart : undefined)) {
+    const tag = block.tagName.toLowerCase();
+    const heading = /^h([1-6])$/.exec(tag);
+
+    if (heading) {
+      const level = Number(heading[1]);
+      while (openSections.length > 0 && openSections[openSections.length - 1] >= level) {
+        out.push('</sec>');
+        openSections.pop();
+      }
+      out.push(`<sec><title>${convertInline(block, graphics).trim()}</title>`);
+      openSections.push(level);
+    } else if (tag === 'ul' || tag === 'ol') {
+      out.push(convertList(block, graphics));
+    } else if (tag === 'table') {
+      out.push(convertTable(block, `t${++tableCount}`, graphics));
+    } else {
+      const images = [...block.querySelectorAll('img')];
+      if (images.length > 0 && !block.textContent.trim()) {
+        for (const image of images) {
+          const name = addGraphic(image.getAttribute('src'), graphics);
+          if (name) out.push(`<fig id="f${++figureCount}"><graphic xlink:href="${name}"/></fig>`);
+        }
+        continue;
+      }
+      const content = convertInline(block, graphics).trim();
+      if (content) out.push(`<p>${content}</p>`);
+    }
+  }
+
+  out.push(...openSections.map(() => '</sec>'));
+  return `<body>${out.join('\n')}</body>`;
+};
+
+/**
+ * Build the journal-meta element
+ * @param {Object} profile - Journal profile
+ * @returns {string}
+ */
+const buildJournalMeta = (profile) => [
+  '<journal-meta>',
+  `<journal-id journal-id-type="publisher-id">${escapeXml(profile.name)}</journal-id>`,
+  `<journal-title-group><journal-title>${escapeXml(profile.title)}</journal-title></journal-title-group>`,
+  profile.issn ? `<issn publication-format="print">${escapeXml(profile.issn)}</issn>` : '',
+  '</journal-meta>'
+].filter(Boolean).join('\n');
+
+/**
+ * Build a name element
+ * @param {string} surname - Surname
+ * @param {string} givenNames - Given names
+ * @param {string} [lang] - xml:lang of a Latin form
+ * @returns {string}
+ */
+const buildName = (surname, givenNames, lang = '') => [
+  `<name name-style="western"${lang ? ` xml:lang="${lang}"` : ''}><surname>${escapeXml(surname)}</surname>`,
+  givenNames ? `<given-names>${escapeXml(givenNames)}</given-names>` : '',
+  '</name>'
+].join('');
+
+/**
+ * Build the contrib element of an author; a Cyrillic name comes with its Latin form in name-alternatives
+ * @param {Object} author - Metadata author {surname, givenNames, latinSurname, latinGivenNames, email, orcid, affiliations}
+ * @returns {string}
+ */
+const buildContrib = (author) => [
+  '<contrib contrib-type="author">',
+  isValidOrcid(author.orcid) ? `<contrib-id contrib-id-type="orcid">https://orcid.org/${author.orcid}</contrib-id>` : '',
+  author.latinSurname && author.latinSurname !== author.surname
+    ? `<name-alternatives>${buildName(author.surname, author.givenNames)}${buildName(author.latinSurname, author.latinGivenNames, 'en')}</name-alternatives>`
+    : buildName(author.surname, author.givenNames),
+  author.email ? `<email>${escapeXml(author.email)}</email>` : '',
+  ...author.affiliations.map(index => `<xref ref-type="aff" rid="aff${index + 1}"/>`),
+  '</contrib>'
+].join('');
+
+/**
+ * Build the article-meta element
+ * @param {Object} article - Article {title, author, section, content, language, metadata}
+ * @param {Object} context - {issue, pageEntry, lang, transliteration}
+ * @returns {string}
+ */
+const buildArticleMeta = (article, { issue, pageEntry, lang, transliteration }) => {
+  const { titles, authors, affiliations, abstracts, keywords, latinTitle } = getArticleMetadata(article, lang, transliteration);
+  const contribs = authors.map(buildContrib);
+
+  const month = String(issue.month || new Date().getMonth() + 1).padStart(2, '0');
+  const year = issue.year || new Date().getFullYear();
+  const otherLanguages = FRONT_MATTER_LANGUAGES.filter(language => language !== lang);
+
+  return [
+    '<article-meta>',
+    pageEntry?.doi ? `<article-id pub-id-type="doi">${escapeXml(pageEntry.doi)}</article-id>` : '',
+    article.section
+      ? `<article-categories><subj-group subj-group-type="heading"><subject>${escapeXml(article.section)}</subject></subj-group></article-categories>`
+      : '',
+    '<title-group>',
+    `<article-title>${escapeXml(titles[lang])}</article-title>`,
+    ...otherLanguages
+      .filter(language => titles[language])
+      .map(language => `<trans-title-group xml:lang="${language}"><trans-title>${escapeXml(titles[language])}</trans-title></trans-title-group>`),
+    latinTitle && latinTitle !== titles[lang]
+      ? `<alt-title alt-title-type="transliterated" xml:lang="en">${escapeXml(latinTitle)}</alt-title>`
+      : '',
+    '</title-group>',
+    contribs.length > 0 ? `<contrib-group>${contribs.join('')}</contrib-group>` : '',
+    ...affiliations.map((aff, i) => `<aff id="aff${i + 1}">${escapeXml(aff)}</aff>`),
+    `<pub-date publication-format="print" date-type="pub" iso-8601-date="${year}-${month}"><month>${month}</month><year>${year}</year></pub-date>`,
+    pageEntry ? `<fpage>${pageEntry.firstPage}</fpage><lpage>${pageEntry.lastPage}</lpage>` : '',
+    abstracts[lang] ? `<abstract xml:lang="${lang}"><p>${escapeXml(abstracts[lang])}</p></abstract>` : '',
+    ...otherLanguages
+      .filter(language => abstracts[language])
+      .map(language => `<trans-abstract xml:lang="${language}"><p>${escapeXml(abstracts[language])}</p></trans-abstract>`),
+    ...[lang, ...otherLanguages]
+      .filter(language => keywords[language]?.length > 0)
+      .map(language => `<kwd-group xml:lang="${language}">${keywords[language].map(kwd => `<kwd>${escapeXml(kwd)}</kwd>`).join('')}</kwd-group>`),
+    '</article-meta>'
+  ].filter(Boolean).join('\n');
+};
+
+/**
+ * Build the element-citation of a reference from its parsed fields
+ * @param {Object} reference - Parsed reference (see shared/references.js)
+ * @returns {string}
+ */
+const buildElementCitation = (reference) => {
+  const [fpage, lpage] = reference.pages.split('-');
+  const names = reference.authors.map(author => `<name><surname>${escapeXml(author.surname)}</surname>`
+    + (author.givenNames ? `<given-names>${escapeXml(author.givenNames)}</given-names>` : '') + '</name>');
+
+  return [
+    '<element-citation>',
+    names.length > 0 ? `<person-group person-group-type="author">${names.join('')}</person-group>` : '',
+    reference.title ? `<article-title>${escapeXml(reference.title)}</article-title>` : '',
+    reference.source ? `<source>${escapeXml(reference.source)}</source>` : '',
+    reference.year ? `<year>${escapeXml(reference.year)}</year>` : '',
+    fpage ? `<fpage>${escapeXml(fpage)}</fpage>` : '',
+    lpage ? `<lpage>${escapeXml(lpage)}</lpage>` : '',
+    reference.doi ? `<pub-id pub-id-type="doi">${escapeXml(reference.doi)}</pub-id>` : '',
+    '</element-citation>'
+  ].join('');
+};
+
+/**
+ * Build the back element with the reference list
+ * Each reference has its parsed fields, the text as printed and the transliterated entry
+ * @param {Array<Object>} references - Parsed references
+ * @returns {string} - '' without references
+ */
+const buildBack = (references) => {
+  if (references.length === 0) return '';
+
+  const refs = references.map((reference, i) => [
+    `<ref id="r${i + 1}"><label>${reference.number ?? i + 1}</label><citation-alternatives>`,
+    buildElementCitation(reference),
+    `<mixed-citation>${escapeXml(reference.text)}</mixed-citation>`,
+    reference.latin ? `<mixed-citation xml:lang="en">${escapeXml(reference.latin)}</mixed-citation>` : '',
+    '</citation-alternatives></ref>'
+  ].join(''));
+  return ['<back>', '<ref-list>', ...refs, '</ref-list>', '</back>'].join('\n');
+};
+
+/**
+ * Build JATS XML of one article
+ * @param {Object} article - Article {file, title, author, section, content, language}
+ * @param {Object} context
+ * @param {Object} context.profile - Journal profile
+ * @param {Object} context.issue - Issue {year, month}
+ * @param {Object} [context.pageEntry] - Page map entry {firstPage, lastPage, doi}
+ * @returns {Promise<{xml: string, graphics: Array<{name: string, data: string}>}>} - XML and base64 images
+ */
+export const buildArticleJats = async (article, { profile, issue, pageEntry = null }) => {
+  const lang = getLocale(article.language);
+  const { references } = getArticleMetadata(article, lang, profile.transliteration);
+  const graphics = [];
+
+  let body = '<body/>';
+  if (article.file?.name.toLowerCase().endsWith('.docx')) {
+    const { html } = await convertDocxToHtml(article.file);
+    body = htmlToJatsBody(html, graphics, { skipReferences: references.length > 0 });
+  }
+
+  const xml = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    JATS_DOCTYPE,
+    `<article xmlns:xlink="http://www.w3.org/1999/xlink" xmlns:mml="http://www.w3.org/1998/Math/MathML" article-type="research-article" dtd-version="1.3" xml:lang="${lang}">`,
+    '<front>',
+    buildJournalMeta(profile),
+    buildArticleMeta(article, { issue, pageEntry, lang, transliteration: profile.transliteration }),
+    '</front>',
+    body,
+    buildBack(references),
+    '</article>'
+  ].filter(Boolean).join('\n');
+
+  return { xml, graphics };
+};
+
+/**
+ * Build the JATS files of an issue (stored in the archive with the issue)
+ * Articles are numbered in issue order when the page map is known (server generation),
+ * otherwise in the editor order
+ * @param {Array<Object>} articles - Articles with files
+ * @param {Object} context - {profile, issue, pageMap}
+ * @returns {Promise<Blob>} - ZIP with article-NN/article-NN.xml and graphics
+ */
+export const buildIssueJatsFiles = async (articles, { profile, issue, pageMap = null }) => {
+  const zip = new JSZip();
+
+  for (const [index, article] of articles.entries()) {
+    const pageEntry = pageMap?.find(entry => entry.fileName === article.file?.name) || null;
+    const dir = `article-${padNumber(pageEntry?.n ?? index + 1)}`;
+    const { xml, graphics } = await buildArticleJats(article, { profile, issue, pageEntry });
+
+    zip.file(`${dir}/${dir}.xml`, xml);
+    graphics.forEach(graphic => zip.file(`${dir}/${graphic.name}`, graphic.data, { base64: true }));
+  }
+
+  return zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+};
+
+/**
+ * Build the issue package: stored JATS files, the issue PDF and per-article PDFs
+ * (split by the page map; without it only the issue PDF is included)
+ * @param {Blob} jatsFiles - ZIP from buildIssueJatsFiles
+ * @param {Blob} issuePdf - Issue PDF
+ * @param {Array<Object>|null} pageMap - Page map of the issue
+ * @returns {Promise<Blob>} - ZIP package
+ */
+export const buildJatsPackage = async (jatsFiles, issuePdf, pageMap = null) => {
+  const zip = await JSZip.loadAsync(jatsFiles);
+  const issueBytes = await issuePdf.arrayBuffer();
+  zip.file('issue.pdf', issueBytes);
+
+  if (pageMap?.length > 0) {
+    // pdf-lib is only needed here, keep it out of the main bundle
+    const { PDFDocument } = await import('pdf-lib');
+    const issueDoc = await PDFDocument.load(issueBytes);
+
+    for (const entry of pageMap) {
+      const articleDoc = await PDFDocument.create();
+      const indices = Array.from({ length: entry.lastPage - entry.firstPage + 1 }, (_, i) => entry.firstPage - 1 + i);
+      const pages = await articleDoc.copyPages(issueDoc, indices);
+      pages.forEach(page => articleDoc.addPage(page));
+
+      const dir = `article-${padNumber(entry.n)}`;
+      zip.file(`${dir}/${dir}.pdf`, await articleDoc.save());
+    }
+  }
+
+  return zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+};
@@ -190,14 +190,15 @@ export const sortArticlesByLanguage = (articles) => {
 
 /**
  * Sorts articles by section first, then by language, then by author name
- * Section Order: ТЕХНИЧЕСКИЕ НАУКИ → ПЕДАГОГИЧЕСКИЕ НАУКИ → ЕСТЕСТВЕННЫЕ И ЭКОНОМИЧЕСКИЕ НАУКИ
+ * Section order comes from the journal sections (default: ТЕХНИЧЕСКИЕ → ПЕДАГОГИЧЕСКИЕ → ЕСТЕСТВЕННЫЕ И ЭКОНОМИЧЕСКИЕ НАУКИ)
  * Language Order within section per ТЗ: Cyrillic (А-Я) → Kazakh (А-Я) → Latin (A-Z)
  * Articles with NEEDS_REVIEW_SECTION are placed at the end
  *
  * @param {Array<{author: string, language: LanguageCode, section: string}>} articles - Array of articles
+ * @param {string[]} [sectionOrder] - Section order (defaults to SECTION_ORDER)
  * @returns {Array} - Sorted articles
  */
-export const sortArticlesBySectionAndLanguage = (articles) => {
+export const sortArticlesBySectionAndLanguage = (articles, sectionOrder = SECTION_ORDER) => {
   if (!Array.isArray(articles)) return [];
 
   return [...articles].sort((a, b) => {
@@ -209,8 +210,8 @@ export const sortArticlesBySectionAndLanguage = (articles) => {
     if (!aIsReview && bIsReview) return -1;
 
     // First, sort by section priority (using centralized function)
-    const sectionPriorityA = getSectionPriority(a.section);
-    const sectionPriorityB = getSectionPriority(b.section);
+    const sectionPriorityA = getSectionPriority(a.section, sectionOrder);
+    const sectionPriorityB = getSectionPriority(b.section, sectionOrder);
 
     if (sectionPriorityA !== sectionPriorityB) {
       return sectionPriorityA - sectionPriorityB;
@@ -236,15 +237,16 @@ export const sortArticlesBySectionAndLanguage = (articles) => {
 /**
  * Groups articles by section
  * @param {Array} articles - Array of articles
+ * @param {string[]} [sectionOrder] - Section order (defaults to SECTION_ORDER)
  * @returns {Object} - Articles grouped by section (only non-empty sections)
  */
-export const groupArticlesBySection = (articles) => {
+export const groupArticlesBySection = (articles, sectionOrder = SECTION_ORDER) => {
   if (!Array.isArray(articles)) return {};
 
   const groups = {};
 
   // Initialize groups in correct order
-  SECTION_ORDER.forEach(section => {
+  sectionOrder.forEach(section => {
     const sectionArticles = articles.filter(a => a.section === section);
     if (sectionArticles.length > 0) {
       groups[section] = sectionArticles;
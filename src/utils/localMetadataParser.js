@@ -3,6 +3,15 @@
  * Used as fallback when OpenRouter API is unavailable or rate limited
  */
 
+import { isClassificationLine } from '../../shared/classificationCodes.js';
+
+/**
+ * Check whether a line holds classification codes or bare numbers (УДК, МРНТИ, IRSTI lines)
+ * @param {string} line - Text line
+ * @returns {boolean}
+ */
+const isCodeLine = (line) => /^[\d\s.\-]+$/.test(line) || isClassificationLine(line);
+
 /**
  * Extracts title from content
  * Assumes title is in the first few lines, often in UPPERCASE
@@ -29,8 +38,8 @@ export const extractTitleLocal = (content, fileName) => {
     const line = lines[i];
     // Skip very short lines (likely headers like "УДК 123")
     if (line.length < 10) continue;
-    // Skip lines that are mostly numbers (UDK codes)
-    if (/^[УДКудкUDK\s\d\.\-]+$/.test(line)) continue;
+    // Skip code lines (УДК, МРНТИ)
+    if (isCodeLine(line)) continue;
 
     // Check if line is mostly uppercase (title indicator)
     const upperCount = (line.match(/[А-ЯӘҒҚҢӨҰҮҺІA-Z]/g) || []).length;
@@ -45,7 +54,7 @@ export const extractTitleLocal = (content, fileName) => {
   // Strategy 2: First substantial line (not UDK, not too short)
   for (let i = 0; i < Math.min(5, lines.length); i++) {
     const line = lines[i];
-    if (line.length >= 15 && !/^[УДКудкUDK\s\d\.\-]+$/.test(line)) {
+    if (line.length >= 15 && !isCodeLine(line)) {
       return toTitleCase(line);
     }
   }
@@ -116,8 +125,8 @@ export const extractAuthorLocal = (content, fileName = '') => {
   for (let i = 0; i < Math.min(20, lines.length); i++) {
     const line = lines[i];
 
-    // Skip UDK/УДК lines
-    if (/^[УДКудкUDK\s\d\.\-]+$/.test(line)) continue;
+    // Skip УДК / МРНТИ lines
+    if (isCodeLine(line)) continue;
 
     // Detect title line (all caps, long)
     const upperCount = (line.match(/[А-ЯӘҒҚҢӨҰҮҺІA-Z]/g) || []).length;
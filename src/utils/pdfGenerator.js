@@ -7,17 +7,21 @@ import html2canvas from 'html2canvas';
 import { convertDocxToHtml, readFileAsArrayBuffer } from './docxConverter';
 import { registerCyrillicFont, getFontName, preloadFonts, getFontDiagnostics } from './fontLoader';
 import { checkServerHealth, generateJournalPdf } from './apiService';
-import { groupArticlesBySection, SECTION_ORDER } from './languageDetection';
-
-// Constants (based on "Вестник ЖезУ" journal requirements)
-const PAGE_WIDTH = 210; // A4 width in mm
-const PAGE_HEIGHT = 297; // A4 height in mm
-const MARGIN_LEFT = 25; // 2.5 cm
-const MARGIN_RIGHT = 25; // 2.5 cm
-const MARGIN_TOP = 30; // 3 cm
-const MARGIN_BOTTOM = 30; // 3 cm
-const CONTENT_WIDTH = PAGE_WIDTH - MARGIN_LEFT - MARGIN_RIGHT;
-const LINE_HEIGHT = 6; // For 12pt font with single spacing
+import { groupArticlesBySection } from './languageDetection';
+import { normalizeJournalProfile, formatFooterText } from '../../shared/journalProfile.js';
+import { DOCUMENT_CREATOR, getIssueDocumentInfo } from '../../shared/documentInfo.js';
+
+// Layout (mm), taken from the journal profile by applyJournalProfile()
+// Defaults follow "Вестник ЖезУ" journal requirements
+let journalProfile = normalizeJournalProfile();
+let PAGE_WIDTH = 210; // A4 width in mm
+let PAGE_HEIGHT = 297; // A4 height in mm
+let MARGIN_LEFT = 25; // 2.5 cm
+let MARGIN_RIGHT = 25; // 2.5 cm
+let MARGIN_TOP = 30; // 3 cm
+let MARGIN_BOTTOM = 30; // 3 cm
+let CONTENT_WIDTH = PAGE_WIDTH - MARGIN_LEFT - MARGIN_RIGHT;
+let LINE_HEIGHT = 6; // For 12pt font with single spacing
 const FONT_SIZE = 12; // Times New Roman 12pt as per requirements
 const EMPTY_LINES_BEFORE_ARTICLE = 4;
 
@@ -25,7 +29,24 @@ const EMPTY_LINES_BEFORE_ARTICLE = 4;
 preloadFonts();
 
 // Content dimensions for images
-const CONTENT_HEIGHT = PAGE_HEIGHT - MARGIN_TOP - MARGIN_BOTTOM;
+let CONTENT_HEIGHT = PAGE_HEIGHT - MARGIN_TOP - MARGIN_BOTTOM;
+
+/**
+ * Applies journal profile page setup to the layout used by the generators
+ * @param {Object|null} profile - Journal profile (null = default profile)
+ */
+const applyJournalProfile = (profile) => {
+  journalProfile = normalizeJournalProfile(profile);
+  PAGE_WIDTH = journalProfile.pageSize.width;
+  PAGE_HEIGHT = journalProfile.pageSize.height;
+  MARGIN_LEFT = journalProfile.margins.left;
+  MARGIN_RIGHT = journalProfile.margins.right;
+  MARGIN_TOP = journalProfile.margins.top;
+  MARGIN_BOTTOM = journalProfile.margins.bottom;
+  LINE_HEIGHT = journalProfile.lineHeight;
+  CONTENT_WIDTH = PAGE_WIDTH - MARGIN_LEFT - MARGIN_RIGHT;
+  CONTENT_HEIGHT = PAGE_HEIGHT - MARGIN_TOP - MARGIN_BOTTOM;
+};
 
 /**
  * Validates if all required pages are uploaded
@@ -75,6 +96,17 @@ export const createIssue = (articles, coverPage, descriptionPage, finalPage) =>
   };
 };
 
+/**
+ * Fill the document info of a jsPDF document
+ * @param {jsPDF} doc - jsPDF instance
+ * @param {Object} info - {title, author, subject, keywords: string[], creator} (see shared/documentInfo.js)
+ */
+const setDocumentProperties = (doc, { title, author, subject, keywords, creator }) => {
+  const properties = { title, author, subject, keywords: keywords.join(', '), creator };
+  doc.setProperties(Object.fromEntries(Object.entries(properties).filter(([, value]) => value)));
+  doc.setCreationDate(new Date());
+};
+
 /**
  * Adds Cyrillic font support to jsPDF
  * @param {jsPDF} doc - jsPDF instance
@@ -116,19 +148,18 @@ const splitTextToLines = (doc, text, maxWidth) => {
 
 /**
  * Adds page number and journal footer to the current page
- * Footer format alternates between odd and even pages (all centered):
- * - Odd pages: "Вестник Жезказганского Университета имени О.А. Байконурова | page_number"
- * - Even pages: "page_number | Вестник Жезказганского Университета имени О.А. Байконурова"
+ * Footer text alternates between odd and even pages (all centered),
+ * using the footer format of the journal profile:
+ * - Odd pages: "Journal Title | page_number"
+ * - Even pages: "page_number | Journal Title"
  * @param {jsPDF} doc - jsPDF instance
  * @param {number} pageNum - Page number
  */
 const addPageNumber = (doc, pageNum) => {
-  const journalTitle = 'Вестник Жезказганского Университета имени О.А. Байконурова';
-  const isOddPage = pageNum % 2 === 1;
   const footerY = PAGE_HEIGHT - 10;
   const lineY = PAGE_HEIGHT - 15;
 
-  doc.setFontSize(10);
+  doc.setFontSize(journalProfile.fonts.footerSize);
   doc.setTextColor(0, 0, 0);
 
   // Draw horizontal line above footer
@@ -136,15 +167,8 @@ const addPageNumber = (doc, pageNum) => {
   doc.setLineWidth(0.2);
   doc.line(MARGIN_LEFT, lineY, PAGE_WIDTH - MARGIN_RIGHT, lineY);
 
-  if (isOddPage) {
-    // Odd pages: "Journal Title | page_number" (centered)
-    const footerText = `${journalTitle} | ${pageNum}`;
-    doc.text(footerText, PAGE_WIDTH / 2, footerY, { align: 'center' });
-  } else {
-    // Even pages: "page_number | Journal Title" (centered)
-    const footerText = `${pageNum} | ${journalTitle}`;
-    doc.text(footerText, PAGE_WIDTH / 2, footerY, { align: 'center' });
-  }
+  const footerText = formatFooterText(journalProfile, pageNum);
+  doc.text(footerText, PAGE_WIDTH / 2, footerY, { align: 'center' });
 };
 
 /**
@@ -788,15 +812,15 @@ const generateTableOfContents = (doc, tocEntries, startPage) => {
   }
 
   // Title
-  doc.setFontSize(16);
+  doc.setFontSize(journalProfile.fonts.tocTitleSize);
   doc.setFont(fontName, 'bold');
-  doc.text('СОДЕРЖАНИЕ', PAGE_WIDTH / 2, currentY, { align: 'center' });
+  doc.text(journalProfile.tocHeading, PAGE_WIDTH / 2, currentY, { align: 'center' });
   currentY += LINE_HEIGHT * 2.5;
 
   // Group entries by section
   const entriesBySection = {};
   tocEntries.forEach(entry => {
-    const section = entry.section || SECTION_ORDER[0];
+    const section = entry.section || journalProfile.sections[0];
     if (!entriesBySection[section]) {
       entriesBySection[section] = [];
     }
@@ -806,7 +830,7 @@ const generateTableOfContents = (doc, tocEntries, startPage) => {
   let articleNumber = 1;
 
   // Iterate through sections in order
-  for (const sectionName of SECTION_ORDER) {
+  for (const sectionName of journalProfile.sections) {
     const sectionEntries = entriesBySection[sectionName];
     if (!sectionEntries || sectionEntries.length === 0) continue;
 
@@ -819,14 +843,14 @@ const generateTableOfContents = (doc, tocEntries, startPage) => {
     }
 
     // Section header
-    doc.setFontSize(12);
+    doc.setFontSize(journalProfile.fonts.tocSectionSize);
     doc.setFont(fontName, 'bold');
     doc.setTextColor(0, 51, 102); // Dark blue
     doc.text(sectionName, PAGE_WIDTH / 2, currentY, { align: 'center' });
     doc.setTextColor(0, 0, 0);
     currentY += LINE_HEIGHT * 2;
 
-    doc.setFontSize(11);
+    doc.setFontSize(journalProfile.fonts.tocEntrySize);
     doc.setFont(fontName, 'normal');
 
     // Articles in section
@@ -907,13 +931,16 @@ const addSectionHeader = (doc, sectionName, pageNum) => {
  * @param {Object} descriptionPage - Description page data
  * @param {Object} finalPage - Final page data
  * @param {Function} onProgress - Progress callback
+ * @param {Object} [profile] - Journal profile (branding and layout)
  * @returns {Promise<Blob>} - Generated PDF as Blob
  */
-export const generatePDF = async (issue, articles, coverPage, descriptionPage, finalPage, onProgress = () => {}) => {
+export const generatePDF = async (issue, articles, coverPage, descriptionPage, finalPage, onProgress = () => {}, profile = null) => {
+  applyJournalProfile(profile);
+
   const doc = new jsPDF({
     orientation: 'portrait',
     unit: 'mm',
-    format: 'a4'
+    format: [PAGE_WIDTH, PAGE_HEIGHT]
   });
 
   // Setup Cyrillic font support
@@ -937,7 +964,7 @@ export const generatePDF = async (issue, articles, coverPage, descriptionPage, f
   let currentStep = 0;
 
   // Group articles by section
-  const groupedArticles = groupArticlesBySection(articles);
+  const groupedArticles = groupArticlesBySection(articles, journalProfile.sections);
 
   try {
     // 1. Cover page
@@ -959,7 +986,7 @@ export const generatePDF = async (issue, articles, coverPage, descriptionPage, f
     let articleIndex = 0;
     let estimatedPage = estimatedArticleStartPage;
 
-    for (const sectionName of SECTION_ORDER) {
+    for (const sectionName of journalProfile.sections) {
       const sectionArticles = groupedArticles[sectionName];
       if (!sectionArticles || sectionArticles.length === 0) continue;
 
@@ -989,7 +1016,7 @@ export const generatePDF = async (issue, articles, coverPage, descriptionPage, f
     let lastSection = null;
     let globalArticleIndex = 0;
 
-    for (const sectionName of SECTION_ORDER) {
+    for (const sectionName of journalProfile.sections) {
       const sectionArticles = groupedArticles[sectionName];
       if (!sectionArticles || sectionArticles.length === 0) continue;
 
@@ -1077,6 +1104,8 @@ export const generatePDF = async (issue, articles, coverPage, descriptionPage, f
     currentPage++;
     currentPage = await addSpecialPage(doc, finalPage, currentPage, 'Заключительная страница');
 
+    setDocumentProperties(doc, getIssueDocumentInfo(journalProfile, issue, articles));
+
     // Generate blob
     const pdfBlob = doc.output('blob');
 
@@ -1114,9 +1143,12 @@ export const downloadPDF = (pdfBlob, fileName) => {
  * @param {Object} descriptionPage - Description page data
  * @param {Object} finalPage - Final page data
  * @param {Function} onProgress - Progress callback
- * @returns {Promise<{blob: Blob, method: string}>}
+ * @param {Object} [profile] - Journal profile (branding and layout)
+ * @param {Object} [forewordPage] - Editorial foreword data (server generation only)
+ * @returns {Promise<{blob: Blob, method: string, pageMap: Array<Object>|null, compliance: Object|null}>} -
+ *   pageMap (article page ranges) and compliance (PDF/A report) are known for server generation only
  */
-export const generatePDFSmart = async (issue, articles, coverPage, descriptionPage, finalPage, onProgress = () => {}) => {
+export const generatePDFSmart = async (issue, articles, coverPage, descriptionPage, finalPage, onProgress = () => {}, profile = null, forewordPage = null) => {
   // Check if server is available
   onProgress({ step: 0, total: 5, message: 'Проверка сервера конвертации...' });
 
@@ -1127,24 +1159,24 @@ export const generatePDFSmart = async (issue, articles, coverPage, descriptionPa
     console.log('Using server-side PDF generation (LibreOffice)');
     onProgress({ step: 1, total: 5, message: 'Конвертация через LibreOffice...' });
 
-    const pdfBlob = await generateJournalPdf(
-      { coverPage, descriptionPage, articles, finalPage },
+    const { blob: pdfBlob, pageMap, compliance } = await generateJournalPdf(
+      { coverPage, descriptionPage, forewordPage, articles, finalPage, journalProfile: profile, issue },
       (progress) => onProgress({
-        step: progress.step + 1,
-        total: 5,
+        step: progress.current,
+        total: progress.total,
         message: progress.message
       })
     );
 
-    return { blob: pdfBlob, method: 'server' };
+    return { blob: pdfBlob, method: 'server', pageMap, compliance };
   }
 
   // Fallback to client-side generation (no LibreOffice needed)
   console.log('LibreOffice unavailable, using client-side PDF generation');
   onProgress({ step: 1, total: 5, message: 'Генерация PDF в браузере...' });
 
-  const pdfBlob = await generatePDF(issue, articles, coverPage, descriptionPage, finalPage, onProgress);
-  return { blob: pdfBlob, method: 'client' };
+  const pdfBlob = await generatePDF(issue, articles, coverPage, descriptionPage, finalPage, onProgress, profile);
+  return { blob: pdfBlob, method: 'client', pageMap: null, compliance: null };
 };
 
 /**
@@ -1159,13 +1191,22 @@ export const isServerGenerationAvailable = async () => {
 /**
  * Generates PDF for a review report
  * @param {Object} review - Review data
+ * @param {Object} [article] - Reviewed article (title, author and section for the document info)
  * @returns {Promise<Blob>} - PDF blob
  */
-export const generateReviewPDF = async (review) => {
+export const generateReviewPDF = async (review, article = null) => {
   const doc = new jsPDF({
     orientation: 'portrait',
     unit: 'mm',
-    format: 'a4'
+    format: [PAGE_WIDTH, PAGE_HEIGHT]
+  });
+
+  const articleTitle = article?.title || review.fileName.replace(/\.[^/.]+$/, '');
+  setDocumentProperties(doc, {
+    title: `Рецензия: ${articleTitle}`,
+    subject: `Рецензия на статью «${articleTitle}»${article?.author ? `, ${article.author}` : ''}`,
+    keywords: ['рецензия', article?.section].filter(Boolean),
+    creator: DOCUMENT_CREATOR
   });
 
   // Setup Cyrillic font